@@ -14,7 +14,13 @@ export default [
         document: true,
         window: true,
         test: true,
-        expect: true
+        expect: true,
+        beforeEach: true,
+        beforeAll: true,
+        afterAll: true,
+        afterEach: true,
+        jest: true,
+        process: true
       }
     },
     rules: {
@@ -1,15 +1,72 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import './App.css';
 import Home from './pages/Home';
+import CartPage from './pages/Cart';
+import NotFound from './pages/NotFound';
 import RestaurantList from './components/RestaurantList';
+import RestaurantDetail from './components/RestaurantDetail';
+import CartDrawer from './components/CartDrawer';
+import Checkout from './components/Checkout';
+import AdminPanel from './components/AdminPanel';
+import KitchenDashboard from './components/KitchenDashboard';
+import OrderTracking from './components/OrderTracking';
+import OrderHistory from './components/OrderHistory';
+import AddressBook from './components/AddressBook';
+import Favorites from './components/Favorites';
+import SignInDialog from './components/SignInDialog';
+import UserMenu from './components/UserMenu';
+import TopNav from './components/TopNav';
+import { Link } from './router/Link';
+import { ROUTES } from './router/routes';
+import { buildPath, goBack, navigate, resolveRoute, useLocation, useScrollRestoration } from './router/router';
+import { useCart } from './storage/hooks';
+import { getCurrentUser, signOut, subscribeSession } from './storage/session';
+import { getOrderSimulator } from './simulation/orderSimulator';
 
 // PUBLIC_INTERFACE
 function App() {
   /**
-   * App root: shows the designed HomePage first, then the restaurant list section.
+   * App root: the header (primary navigation, cart, user menu, theme toggle) and the page
+   * for the current route; see router/routes.js for the declared routes.
    * Keeps Ocean Professional header toggle for theme demo.
+   * The header also opens the cart drawer, which follows cart writes (this tab or another) via useCart,
+   * and holds the user menu; the signed-in user follows the session via subscribeSession.
+   * Unknown paths render the not-found page.
    */
   const [theme, setTheme] = useState('light');
+  const cart = useCart();
+  const [cartOpen, setCartOpen] = useState(false);
+  const [user, setUser] = useState(null);
+  const [signInOpen, setSignInOpen] = useState(false);
+
+  const location = useLocation();
+  useScrollRestoration();
+
+  // Resolve the signed-in user now and after every sign-in, sign-up or sign-out
+  useEffect(() => {
+    let cancelled = false;
+    const refresh = () =>
+      getCurrentUser()
+        .then((current) => {
+          if (!cancelled) setUser(current);
+        })
+        .catch((e) => console.error('Failed to load the signed-in user.', e));
+    refresh();
+    const unsubscribe = subscribeSession(refresh);
+    return () => {
+      cancelled = true;
+      unsubscribe();
+    };
+  }, []);
+
+  // Run the local order progression engine (unless REACT_APP_ORDER_SIMULATION=off); with
+  // several tabs open, the one holding the simulator lease advances orders
+  useEffect(() => {
+    const simulator = getOrderSimulator();
+    if (!simulator) return undefined;
+    simulator.start();
+    return () => simulator.stop();
+  }, []);
 
   // Apply theme to document element
   useEffect(() => {
@@ -21,6 +78,75 @@ function App() {
     setTheme(prevTheme => prevTheme === 'light' ? 'dark' : 'light');
   };
 
+  const closeCart = useCallback(() => setCartOpen(false), []);
+  const openSignIn = useCallback(() => setSignInOpen(true), []);
+  const closeSignIn = useCallback(() => setSignInOpen(false), []);
+
+  const goToCheckout = () => {
+    setCartOpen(false);
+    navigate('/checkout');
+  };
+
+  const { route, params } = resolveRoute(ROUTES, location.path);
+
+  const renderPage = () => {
+    switch (route && route.name) {
+      case 'home':
+        return <Home />;
+      case 'restaurants':
+        return <RestaurantList user={user} />;
+      case 'restaurant':
+        return (
+          <RestaurantDetail
+            key={params.id}
+            restaurantId={Number(params.id)}
+            user={user}
+            onBack={() => goBack('/restaurants')}
+          />
+        );
+      case 'cart':
+        return <CartPage cart={cart} user={user} onCheckout={goToCheckout} />;
+      case 'checkout':
+        return (
+          <Checkout
+            cart={cart}
+            user={user}
+            onRequestSignIn={openSignIn}
+            onExit={() => navigate('/restaurants')}
+          />
+        );
+      case 'orders':
+        return (
+          <OrderHistory
+            user={user}
+            onRequestSignIn={openSignIn}
+            onBack={() => goBack('/restaurants')}
+            onReordered={() => setCartOpen(true)}
+          />
+        );
+      case 'order':
+        return <OrderTracking key={params.id} orderId={Number(params.id)} onBack={() => goBack('/orders')} />;
+      case 'addresses':
+        return <AddressBook user={user} onRequestSignIn={openSignIn} onBack={() => goBack('/restaurants')} />;
+      case 'favorites':
+        return <Favorites user={user} onRequestSignIn={openSignIn} onBack={() => goBack('/restaurants')} />;
+      case 'admin':
+        return <AdminPanel onExit={() => goBack('/')} />;
+      case 'kitchen':
+      case 'kitchenBoard':
+        return (
+          <KitchenDashboard
+            restaurantId={params.restaurantId != null ? Number(params.restaurantId) : null}
+            onSelectRestaurant={(id) => navigate(buildPath('/kitchen/:restaurantId', { restaurantId: id }))}
+          />
+        );
+      default:
+        return <NotFound path={location.path} />;
+    }
+  };
+
+  const cartCount = cart.reduce((acc, it) => acc + (Number(it.quantity) || 0), 0);
+
   return (
     <div className="App">
       {/* Ocean Professional minimal app chrome */}
@@ -38,7 +164,7 @@ function App() {
           zIndex: 10
           }}
       >
-        <div style={{ display: 'flex', alignItems: 'center', gap: 10 }}>
+        <Link to="/" className="app-brand">
           <div
             aria-hidden
             style={{
@@ -50,24 +176,39 @@ function App() {
             }}
           />
           <div style={{ fontWeight: 800, color: '#111827' }}>Local Food Delivery</div>
+        </Link>
+        <TopNav className="app-header-nav" />
+        <div className="header-actions">
+          <button
+            type="button"
+            className="btn-ocean cart-trigger"
+            onClick={() => setCartOpen(true)}
+            aria-label={`Open cart, ${cartCount} item${cartCount === 1 ? '' : 's'}`}
+          >
+            🛒 Cart
+            <span className="cart-count" aria-hidden>{cartCount}</span>
+          </button>
+          <UserMenu user={user} onSignIn={openSignIn} onSignOut={signOut} />
+          <button
+            className="theme-toggle"
+            onClick={toggleTheme}
+            aria-label={`Switch to ${theme === 'light' ? 'dark' : 'light'} mode`}
+          >
+            {theme === 'light' ? '🌙 Dark' : '☀️ Light'}
+          </button>
         </div>
-        <button
-          className="theme-toggle"
-          onClick={toggleTheme}
-          aria-label={`Switch to ${theme === 'light' ? 'dark' : 'light'} mode`}
-        >
-          {theme === 'light' ? '🌙 Dark' : '☀️ Light'}
-        </button>
       </header>
 
-      {/* Homepage hero per design */}
-      <Home onExplore={() => { /* no-op; scrolling handled in component */ }} />
+      <CartDrawer open={cartOpen} cart={cart} user={user} onClose={closeCart} onCheckout={goToCheckout} />
+      <SignInDialog open={signInOpen} onClose={closeSignIn} onSignedIn={closeSignIn} />
 
-      {/* Anchor bridge so CTA can scroll here */}
-      <div id="restaurant-list" />
+      {renderPage()}
 
-      {/* Continue with the app content: Restaurant directory */}
-      <RestaurantList />
+      <footer className="app-footer">
+        <Link to="/admin">Developer panel</Link>
+        {' · '}
+        <Link to="/kitchen">Kitchen dashboard</Link>
+      </footer>
     </div>
   );
 }
@@ -1,8 +1,54 @@
-import { render, screen } from '@testing-library/react';
+import { act, render, screen, fireEvent, within } from '@testing-library/react';
 import App from './App';
 
-test('renders app header', () => {
+beforeEach(() => {
+  window.localStorage.clear();
+  window.history.replaceState(null, '', '#/');
+});
+
+test('renders app header', async () => {
   render(<App />);
   const header = screen.getByText(/Local Food Delivery/i);
   expect(header).toBeInTheDocument();
+  const nav = screen.getByRole('navigation', { name: 'Primary' });
+  expect(within(nav).getByRole('link', { name: 'Home' })).toHaveAttribute('aria-current', 'page');
+  // Let the async cart and session loads settle
+  await act(() => Promise.resolve());
+});
+
+test('navigates from the directory to a restaurant and back', async () => {
+  render(<App />);
+  const nav = screen.getByRole('navigation', { name: 'Primary' });
+  fireEvent.click(within(nav).getByRole('link', { name: 'Restaurants' }));
+  expect(window.location.hash).toBe('#/restaurants');
+
+  fireEvent.click(await screen.findByRole('button', { name: /^Sushi Central/ }));
+  expect(window.location.hash).toBe('#/restaurant/2');
+  expect(await screen.findByRole('heading', { name: 'Sushi Central' })).toBeInTheDocument();
+  expect(within(nav).getByRole('link', { name: 'Restaurants' })).toHaveAttribute('aria-current', 'page');
+
+  fireEvent.click(screen.getByRole('button', { name: 'Back to restaurants' }));
+  expect(await screen.findByText('Pasta Palace')).toBeInTheDocument();
+  expect(window.location.hash).toBe('#/restaurants');
+});
+
+test('unknown paths render the not-found page', async () => {
+  window.history.replaceState(null, '', '#/nowhere');
+  render(<App />);
+  expect(screen.getByRole('heading', { name: 'Page not found' })).toBeInTheDocument();
+  expect(screen.getByText('/nowhere')).toBeInTheDocument();
+  await act(() => Promise.resolve());
+});
+
+test('home page testimonials quote the best customer reviews', async () => {
+  render(<App />);
+  const testimonials = screen.getByRole('region', { name: 'Customer testimonials' });
+  expect(await within(testimonials).findByText('— Aisha K., Sushi Central')).toBeInTheDocument();
+  const quotes = within(testimonials).getAllByRole('listitem');
+  expect(quotes.map((q) => q.querySelector('cite').textContent)).toEqual([
+    '— Aisha K., Sushi Central',
+    '— Priya S., Pasta Palace',
+    '— Lucas M., Sushi Central'
+  ]);
+  expect(quotes[1]).toHaveTextContent('“Delivery was quick and the tracking made it stress-free. Definitely my go-to app!”');
 });
@@ -0,0 +1,155 @@
+import React, { useState } from 'react';
+import '../styles/home.css';
+import '../styles/addresses.css';
+import repository from '../storage/repository';
+import { useAddresses, useRestaurants } from '../storage/hooks';
+import { formatAddress } from '../storage/addressBook';
+import { getDeliveryZone } from '../storage/deliveryZones';
+import AddressForm from './AddressForm';
+
+/**
+ * AddressBook
+ * "My addresses" view (#/addresses): the signed-in user's saved delivery addresses with
+ * add, edit and delete. Each address says how many restaurants deliver there; checkout and
+ * the restaurant directory offer these addresses as delivery destinations.
+ */
+// PUBLIC_INTERFACE
+export default function AddressBook({ user = null, onRequestSignIn, onBack }) {
+  /**
+   * Renders the address book.
+   * Props:
+   * - user: the signed-in user (from the session) or null
+   * - onRequestSignIn: function to open the sign-in dialog
+   * - onBack: function to call when the user leaves the view
+   */
+  const userId = user ? user.id : null;
+  const { addresses, loading, error } = useAddresses(userId);
+  const { restaurants } = useRestaurants();
+  // null (no form), { record: null } to add, { record } to edit
+  const [editing, setEditing] = useState(null);
+  const [pendingDeleteId, setPendingDeleteId] = useState(null);
+  const [message, setMessage] = useState('');
+
+  const save = async (values) => {
+    const current = editing.record;
+    if (current) {
+      const updated = await repository.updateAddress(current.id, values, { expectedRevision: current.revision });
+      setMessage(updated ? `Saved “${updated.label}”.` : `“${current.label}” no longer exists.`);
+    } else {
+      const created = await repository.createAddress({ ...values, userId });
+      setMessage(`Added “${created.label}”.`);
+    }
+    setEditing(null);
+  };
+
+  const remove = async (address) => {
+    setPendingDeleteId(null);
+    try {
+      await repository.deleteAddress(address.id);
+      setMessage(`Deleted “${address.label}”.`);
+    } catch (e) {
+      console.error('Failed to delete address.', e);
+      setMessage('Deleting the address failed. Please try again.');
+    }
+  };
+
+  // Restaurants that can be checked (have a location) and how many of them deliver here
+  const coverage = (address) => {
+    const zones = restaurants.map((r) => getDeliveryZone(r, address)).filter((z) => z.status !== 'unknown');
+    if (!zones.length) return null;
+    const inside = zones.filter((z) => z.status === 'inside').length;
+    return `${inside} of ${zones.length} restaurant${zones.length === 1 ? '' : 's'} deliver here`;
+  };
+
+  return (
+    <main className="addresses-page" aria-label="My addresses">
+      <section className="addresses-card">
+        <header className="addresses-head">
+          <h1 className="addresses-title">My addresses</h1>
+          <button type="button" className="btn-outline-ocean" onClick={onBack}>← Back</button>
+        </header>
+
+        <div className="addresses-message" role="status" aria-live="polite">{message}</div>
+
+        {!user ? (
+          <div className="addresses-empty">
+            <p>Sign in to save delivery addresses.</p>
+            <button type="button" className="btn-ocean" onClick={onRequestSignIn}>Sign in</button>
+          </div>
+        ) : loading ? (
+          <div className="addresses-empty" role="status">Loading your addresses…</div>
+        ) : error ? (
+          <div className="addresses-empty" role="alert">We could not load your addresses.</div>
+        ) : (
+          <>
+            {addresses.length === 0 && !editing ? (
+              <div className="addresses-empty">You have no saved addresses yet.</div>
+            ) : null}
+
+            <ul className="addresses-list" aria-label="Saved addresses">
+              {addresses.map((address) => (
+                <li key={address.id} className="address-row">
+                  {editing && editing.record && editing.record.id === address.id ? (
+                    <AddressForm
+                      key={`${address.id}-${address.revision}`}
+                      address={address}
+                      onSubmit={save}
+                      onCancel={() => setEditing(null)}
+                    />
+                  ) : (
+                    <>
+                      <div className="address-row-main">
+                        <div className="address-row-label">{address.label}</div>
+                        <div>{formatAddress(address)}</div>
+                        {address.notes ? <div className="address-row-meta">Notes: {address.notes}</div> : null}
+                        <div className="address-row-meta">
+                          {address.lat == null ? 'Location unknown' : coverage(address) || 'Location found'}
+                        </div>
+                      </div>
+                      {pendingDeleteId === address.id ? (
+                        <div className="address-row-actions" role="group" aria-label={`Delete ${address.label}?`}>
+                          <span className="address-row-meta">Delete “{address.label}”?</span>
+                          <button type="button" className="btn-ocean" onClick={() => remove(address)}>Delete</button>
+                          <button type="button" className="btn-outline-ocean" onClick={() => setPendingDeleteId(null)}>
+                            Keep
+                          </button>
+                        </div>
+                      ) : (
+                        <div className="address-row-actions">
+                          <button
+                            type="button"
+                            className="btn-outline-ocean"
+                            aria-label={`Edit ${address.label}`}
+                            onClick={() => setEditing({ record: address })}
+                          >
+                            Edit
+                          </button>
+                          <button
+                            type="button"
+                            className="btn-outline-ocean"
+                            aria-label={`Delete ${address.label}`}
+                            onClick={() => setPendingDeleteId(address.id)}
+                          >
+                            Delete
+                          </button>
+                        </div>
+                      )}
+                    </>
+                  )}
+                </li>
+              ))}
+            </ul>
+
+            {editing && !editing.record ? (
+              <AddressForm onSubmit={save} onCancel={() => setEditing(null)} />
+            ) : (
+              <button type="button" className="btn-ocean addresses-add" onClick={() => setEditing({ record: null })}>
+                Add address
+              </button>
+            )}
+          </>
+        )}
+      </section>
+    </main>
+  );
+}
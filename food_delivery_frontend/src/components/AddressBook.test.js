@@ -0,0 +1,50 @@
+import { act, render, screen, fireEvent, within } from '@testing-library/react';
+import AddressBook from './AddressBook';
+import { getAddressesByUser } from '../storage/localStore';
+
+const alice = { id: 1, name: 'Alice Johnson', email: 'alice@example.com' };
+
+beforeEach(() => {
+  window.localStorage.clear();
+});
+
+test('asks signed-out visitors to sign in', async () => {
+  const onRequestSignIn = jest.fn();
+  render(<AddressBook onRequestSignIn={onRequestSignIn} onBack={() => {}} />);
+  await act(() => Promise.resolve());
+  fireEvent.click(screen.getByRole('button', { name: 'Sign in' }));
+  expect(onRequestSignIn).toHaveBeenCalled();
+});
+
+test('adds, edits and deletes saved addresses', async () => {
+  render(<AddressBook user={alice} onBack={() => {}} />);
+  const list = await screen.findByRole('list', { name: 'Saved addresses' });
+  expect(within(list).getByText('12 Market Street, Bayview 94000')).toBeInTheDocument();
+  expect(await within(list).findByText('2 of 2 restaurants deliver here')).toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole('button', { name: 'Add address' }));
+  const form = screen.getByRole('form', { name: 'New address' });
+  fireEvent.click(within(form).getByRole('button', { name: 'Add address' }));
+  expect(within(form).getByText('Street address is required.')).toBeInTheDocument();
+
+  fireEvent.change(within(form).getByLabelText('Label'), { target: { value: 'Gym' } });
+  fireEvent.change(within(form).getByLabelText('Street address'), { target: { value: '9 Lake Drive' } });
+  fireEvent.change(within(form).getByLabelText('City'), { target: { value: 'Bayview' } });
+  fireEvent.change(within(form).getByLabelText('Postal code'), { target: { value: '94006' } });
+  expect(within(form).getByText('Located in Lakeside, Bayview.')).toBeInTheDocument();
+  fireEvent.click(within(form).getByRole('button', { name: 'Add address' }));
+
+  expect(await screen.findByText('Added “Gym”.')).toBeInTheDocument();
+  expect(await screen.findByText('1 of 2 restaurants deliver here')).toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole('button', { name: 'Edit Gym' }));
+  const edit = screen.getByRole('form', { name: 'Edit Gym' });
+  fireEvent.change(within(edit).getByLabelText('Label'), { target: { value: 'Climbing gym' } });
+  fireEvent.click(within(edit).getByRole('button', { name: 'Save address' }));
+  expect(await screen.findByText('Saved “Climbing gym”.')).toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole('button', { name: 'Delete Climbing gym' }));
+  fireEvent.click(within(screen.getByRole('group', { name: 'Delete Climbing gym?' })).getByRole('button', { name: 'Delete' }));
+  expect(await screen.findByText('Deleted “Climbing gym”.')).toBeInTheDocument();
+  expect(getAddressesByUser(1).map((a) => a.label)).toEqual(['Home']);
+});
@@ -0,0 +1,134 @@
+import React, { useState } from 'react';
+import '../styles/home.css';
+import '../styles/addresses.css';
+import { validateAddress } from '../storage/addressBook';
+import { geocodeAddress } from '../storage/geocoding';
+
+function toFormValues(address) {
+  return {
+    label: address ? address.label || '' : '',
+    street: address ? address.street || '' : '',
+    city: address ? address.city || '' : '',
+    postalCode: address ? address.postalCode || '' : '',
+    notes: address ? address.notes || '' : ''
+  };
+}
+
+/**
+ * AddressForm
+ * Create/edit form for a saved delivery address. Validates on submit (street, city and postal
+ * code required) and says whether the postal code can be located for delivery-zone checks.
+ */
+// PUBLIC_INTERFACE
+export default function AddressForm({ address = null, onSubmit, onCancel }) {
+  /**
+   * Renders the address form.
+   * Props:
+   * - address: the address to edit, or null to add one
+   * - onSubmit: async function({ label, street, city, postalCode, notes }) that saves the values
+   * - onCancel: function to close the form without saving
+   */
+  const [values, setValues] = useState(() => toFormValues(address));
+  const [errors, setErrors] = useState({});
+  const [submitError, setSubmitError] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const setField = (name) => (e) => setValues((prev) => ({ ...prev, [name]: e.target.value }));
+  const located = geocodeAddress(values);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const found = validateAddress(values);
+    setErrors(found);
+    setSubmitError('');
+    if (Object.keys(found).length) return;
+    setSubmitting(true);
+    try {
+      await onSubmit({
+        label: values.label.trim(),
+        street: values.street.trim(),
+        city: values.city.trim(),
+        postalCode: values.postalCode.trim(),
+        notes: values.notes.trim()
+      });
+    } catch (err) {
+      if (err.name === 'WriteConflictError') {
+        setSubmitError('This address was changed elsewhere since you opened it. Cancel and reopen it to see the latest version.');
+      } else if (err.name === 'AddressValidationError') {
+        setErrors(err.errors);
+      } else {
+        console.error('Failed to save address.', err);
+        setSubmitError('Saving the address failed. Please try again.');
+      }
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const fieldId = (name) => `address-${name}`;
+  const errorFor = (name) =>
+    errors[name] ? (
+      <span id={`${fieldId(name)}-error`} className="address-field-error">{errors[name]}</span>
+    ) : null;
+  const describe = (name) => ({
+    'aria-invalid': errors[name] ? 'true' : undefined,
+    'aria-describedby': errors[name] ? `${fieldId(name)}-error` : undefined
+  });
+  const textField = (name, label, props = {}) => (
+    <div className={`address-field ${props.wide ? 'is-wide' : ''}`}>
+      <label className="field-label" htmlFor={fieldId(name)}>{label}</label>
+      <input
+        id={fieldId(name)}
+        className="field-input"
+        value={values[name]}
+        onChange={setField(name)}
+        placeholder={props.placeholder}
+        {...describe(name)}
+      />
+      {errorFor(name)}
+    </div>
+  );
+
+  return (
+    <form
+      className="address-form"
+      onSubmit={handleSubmit}
+      noValidate
+      aria-label={address ? `Edit ${address.label}` : 'New address'}
+    >
+      <div className="address-form-grid">
+        {textField('label', 'Label', { placeholder: 'Home, Work…' })}
+        {textField('street', 'Street address', { wide: true })}
+        {textField('city', 'City')}
+        {textField('postalCode', 'Postal code')}
+        <div className="address-field is-wide">
+          <label className="field-label" htmlFor={fieldId('notes')}>Delivery notes (optional)</label>
+          <textarea
+            id={fieldId('notes')}
+            className="field-input"
+            rows={2}
+            value={values.notes}
+            onChange={setField('notes')}
+          />
+        </div>
+      </div>
+
+      {values.postalCode.trim() ? (
+        <p className="address-locate" role="status">
+          {located
+            ? `Located in ${located.area}, ${located.city}.`
+            : 'We cannot locate this postal code, so restaurants cannot check whether they deliver there.'}
+        </p>
+      ) : null}
+
+      {submitError ? <p className="address-field-error" role="alert">{submitError}</p> : null}
+
+      <div className="address-form-actions">
+        <button type="button" className="btn-outline-ocean" onClick={onCancel}>Cancel</button>
+        <button type="submit" className="btn-ocean" disabled={submitting}>
+          {address ? 'Save address' : 'Add address'}
+        </button>
+      </div>
+    </form>
+  );
+}
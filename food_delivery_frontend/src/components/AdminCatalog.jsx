@@ -0,0 +1,375 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import '../styles/home.css';
+import '../styles/cart.css';
+import '../styles/admin.css';
+import repository from '../storage/repository';
+import { DIETARY_LABELS, groupMenuByCategory } from '../storage/menuCatalog';
+import { formatPriceLevel } from '../storage/restaurantCatalog';
+import { getMenuItemDeleteImpact, getRestaurantDeleteImpact } from '../storage/catalogAdmin';
+import RestaurantForm from './RestaurantForm';
+import MenuItemForm from './MenuItemForm';
+
+const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+
+function loadCatalog() {
+  return Promise.all([repository.getRestaurants(), repository.getMenus(), repository.getOrders()]);
+}
+
+function orderNumbers(orders) {
+  return orders.map((o) => `#${o.id}`).join(', ');
+}
+
+// What a confirmed delete will also change, as sentences for the dialog
+function describeImpact(pending) {
+  if (pending.kind === 'restaurant') {
+    const { menuItems, cancelledOrders, unaffectedOrders } = pending.impact;
+    return [
+      `${plural(menuItems.length, 'menu item')} will be deleted.`,
+      cancelledOrders.length
+        ? `${plural(cancelledOrders.length, 'open order')} will be cancelled (${orderNumbers(cancelledOrders)}).`
+        : 'No open orders will be cancelled.',
+      unaffectedOrders.length
+        ? `${plural(unaffectedOrders.length, 'order')} already out for delivery or finished will be kept.`
+        : null
+    ].filter(Boolean);
+  }
+  const { orders } = pending.impact;
+  return [
+    orders.length
+      ? `${plural(orders.length, 'past order')} include this item; they are kept, but reordering them will skip it.`
+      : 'No orders include this item.'
+  ];
+}
+
+function DeleteDialog({ pending, onCancel, onConfirm, busy }) {
+  useEffect(() => {
+    const onKey = (e) => {
+      if (e.key === 'Escape') onCancel();
+    };
+    window.addEventListener('keydown', onKey);
+    return () => window.removeEventListener('keydown', onKey);
+  }, [onCancel]);
+
+  return (
+    <div className="cart-overlay is-centered" onClick={onCancel}>
+      <div
+        className="confirm-dialog"
+        role="alertdialog"
+        aria-modal="true"
+        aria-labelledby="admin-delete-title"
+        aria-describedby="admin-delete-effects"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <h2 id="admin-delete-title" className="cart-title">Delete “{pending.record.name}”?</h2>
+        <ul id="admin-delete-effects" className="admin-effects">
+          {describeImpact(pending).map((line) => <li key={line}>{line}</li>)}
+        </ul>
+        <div className="cart-foot-actions">
+          <button type="button" className="btn-outline-ocean" onClick={onCancel}>Cancel</button>
+          <button type="button" className="btn-danger" onClick={onConfirm} disabled={busy}>
+            Delete
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * AdminCatalog
+ * Restaurant and menu management for the admin console: a restaurant table, the menu table
+ * of the selected restaurant, create/edit forms and delete confirmations that list what
+ * else the delete changes (menu items removed, open orders cancelled) before it happens.
+ */
+// PUBLIC_INTERFACE
+export default function AdminCatalog({ onChange }) {
+  /**
+   * Renders the catalog management section.
+   * Props:
+   * - onChange: optional function called after every successful write (e.g. to refresh counts)
+   */
+  const [restaurants, setRestaurants] = useState([]);
+  const [menus, setMenus] = useState([]);
+  const [orders, setOrders] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [loadError, setLoadError] = useState('');
+  const [selectedId, setSelectedId] = useState(null);
+  // { kind: 'restaurant' | 'menu', record: existing record or null for a new one }
+  const [editing, setEditing] = useState(null);
+  const [pendingDelete, setPendingDelete] = useState(null);
+  const [deleting, setDeleting] = useState(false);
+  const [status, setStatus] = useState('');
+
+  const applyCatalog = ([foundRestaurants, foundMenus, foundOrders]) => {
+    setRestaurants(foundRestaurants);
+    setMenus(foundMenus);
+    setOrders(foundOrders);
+  };
+
+  useEffect(() => {
+    let cancelled = false;
+    loadCatalog()
+      .then((catalog) => {
+        if (!cancelled) applyCatalog(catalog);
+      })
+      .catch((e) => {
+        console.error('Failed to load the catalog.', e);
+        if (!cancelled) setLoadError('Could not load restaurants and menus.');
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const menuCounts = useMemo(() => {
+    const counts = new Map();
+    menus.forEach((m) => counts.set(Number(m.restaurantId), (counts.get(Number(m.restaurantId)) || 0) + 1));
+    return counts;
+  }, [menus]);
+
+  const selected = restaurants.find((r) => Number(r.id) === Number(selectedId)) || null;
+  const selectedMenu = useMemo(
+    () => (selected ? menus.filter((m) => Number(m.restaurantId) === Number(selected.id)) : []),
+    [menus, selected]
+  );
+  const categories = useMemo(() => groupMenuByCategory(menus).map((s) => s.category), [menus]);
+
+  const afterWrite = async (message) => {
+    applyCatalog(await loadCatalog());
+    setEditing(null);
+    setStatus(message);
+    if (onChange) onChange();
+  };
+
+  const saveRestaurant = async (values) => {
+    const current = editing.record;
+    if (current) {
+      // A restaurant edited elsewhere since it was loaded rejects with WriteConflictError (shown by the form)
+      const updated = await repository.updateRestaurant(current.id, values, { expectedRevision: current.revision });
+      await afterWrite(updated ? `Saved “${updated.name}”.` : `“${current.name}” no longer exists.`);
+    } else {
+      const created = await repository.createRestaurant(values);
+      setSelectedId(created.id);
+      await afterWrite(`Added “${created.name}”. Add its menu items below.`);
+    }
+  };
+
+  const saveMenuItem = async (values) => {
+    const current = editing.record;
+    if (current) {
+      const updated = await repository.updateMenuItem(current.id, values, { expectedRevision: current.revision });
+      await afterWrite(updated ? `Saved “${updated.name}”.` : `“${current.name}” no longer exists.`);
+    } else {
+      const created = await repository.createMenuItem({ ...values, restaurantId: selected.id });
+      await afterWrite(`Added “${created.name}” to ${selected.name}.`);
+    }
+  };
+
+  const askDelete = (kind, record) => {
+    setStatus('');
+    setPendingDelete({
+      kind,
+      record,
+      impact: kind === 'restaurant'
+        ? getRestaurantDeleteImpact(record.id, { menus, orders })
+        : getMenuItemDeleteImpact(record.id, { orders })
+    });
+  };
+
+  const cancelDelete = useCallback(() => setPendingDelete(null), []);
+
+  const confirmDelete = async () => {
+    const { kind, record, impact } = pendingDelete;
+    setDeleting(true);
+    try {
+      if (kind === 'restaurant') {
+        await repository.deleteRestaurant(record.id);
+        if (Number(selectedId) === Number(record.id)) setSelectedId(null);
+        const cancelledNote = impact.cancelledOrders.length
+          ? ` and cancelled ${plural(impact.cancelledOrders.length, 'open order')} (${orderNumbers(impact.cancelledOrders)})`
+          : '';
+        await afterWrite(
+          `Deleted “${record.name}”: removed ${plural(impact.menuItems.length, 'menu item')}${cancelledNote}.`
+        );
+      } else {
+        await repository.deleteMenuItem(record.id);
+        await afterWrite(`Deleted “${record.name}”.`);
+      }
+    } catch (e) {
+      console.error('Delete failed.', e);
+      setStatus(`Deleting “${record.name}” failed.`);
+    } finally {
+      setDeleting(false);
+      setPendingDelete(null);
+    }
+  };
+
+  if (loading) {
+    return <p className="admin-subtle" role="status">Loading restaurants…</p>;
+  }
+  if (loadError) {
+    return <p className="admin-field-error" role="alert">{loadError}</p>;
+  }
+
+  return (
+    <div className="admin-catalog">
+      <div className="admin-section-head">
+        <h2 className="admin-section-title">Restaurants</h2>
+        <button
+          type="button"
+          className="btn-ocean"
+          onClick={() => setEditing({ kind: 'restaurant', record: null })}
+        >
+          New restaurant
+        </button>
+      </div>
+
+      <div className="admin-status" role="status" aria-live="polite">{status}</div>
+
+      {editing && editing.kind === 'restaurant' ? (
+        <RestaurantForm
+          key={editing.record ? editing.record.id : 'new'}
+          restaurant={editing.record}
+          onSubmit={saveRestaurant}
+          onCancel={() => setEditing(null)}
+        />
+      ) : null}
+
+      <div className="admin-table-wrap">
+        <table className="admin-table">
+          <caption className="sr-only">Restaurants</caption>
+          <thead>
+            <tr>
+              <th scope="col">Name</th>
+              <th scope="col">Cuisine</th>
+              <th scope="col">Rating</th>
+              <th scope="col">Price</th>
+              <th scope="col">Menu items</th>
+              <th scope="col"><span className="sr-only">Actions</span></th>
+            </tr>
+          </thead>
+          <tbody>
+            {restaurants.map((r) => (
+              <tr key={r.id} className={Number(r.id) === Number(selectedId) ? 'is-selected' : ''}>
+                <th scope="row">{r.name}</th>
+                <td>{r.cuisine}</td>
+                <td>{r.rating != null ? `${Number(r.rating).toFixed(1)} (${r.reviewCount})` : 'No reviews'}</td>
+                <td>{formatPriceLevel(r.priceLevel)}</td>
+                <td>{menuCounts.get(Number(r.id)) || 0}</td>
+                <td className="admin-row-actions">
+                  <button
+                    type="button"
+                    className="btn-outline-ocean"
+                    aria-pressed={Number(r.id) === Number(selectedId)}
+                    aria-label={`Manage menu of ${r.name}`}
+                    onClick={() => {
+                      setSelectedId(r.id);
+                      setEditing(null);
+                    }}
+                  >
+                    Menu
+                  </button>
+                  <button
+                    type="button"
+                    className="btn-outline-ocean"
+                    aria-label={`Edit ${r.name}`}
+                    onClick={() => setEditing({ kind: 'restaurant', record: r })}
+                  >
+                    Edit
+                  </button>
+                  <button
+                    type="button"
+                    className="btn-danger"
+                    aria-label={`Delete ${r.name}`}
+                    onClick={() => askDelete('restaurant', r)}
+                  >
+                    Delete
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {restaurants.length === 0 ? <p className="admin-subtle">No restaurants yet.</p> : null}
+      </div>
+
+      {selected ? (
+        <section aria-labelledby="admin-menu-title">
+          <div className="admin-section-head">
+            <h2 id="admin-menu-title" className="admin-section-title">Menu of {selected.name}</h2>
+            <button
+              type="button"
+              className="btn-ocean"
+              onClick={() => setEditing({ kind: 'menu', record: null })}
+            >
+              New menu item
+            </button>
+          </div>
+
+          {editing && editing.kind === 'menu' ? (
+            <MenuItemForm
+              key={editing.record ? editing.record.id : 'new'}
+              item={editing.record}
+              categories={categories}
+              onSubmit={saveMenuItem}
+              onCancel={() => setEditing(null)}
+            />
+          ) : null}
+
+          <div className="admin-table-wrap">
+            <table className="admin-table">
+              <caption className="sr-only">Menu of {selected.name}</caption>
+              <thead>
+                <tr>
+                  <th scope="col">Name</th>
+                  <th scope="col">Category</th>
+                  <th scope="col">Price</th>
+                  <th scope="col">Dietary</th>
+                  <th scope="col"><span className="sr-only">Actions</span></th>
+                </tr>
+              </thead>
+              <tbody>
+                {selectedMenu.map((item) => (
+                  <tr key={item.id}>
+                    <th scope="row">{item.name}</th>
+                    <td>{item.category}</td>
+                    <td>${Number(item.price || 0).toFixed(2)}</td>
+                    <td>{(item.dietary || []).map((tag) => DIETARY_LABELS[tag] || tag).join(', ')}</td>
+                    <td className="admin-row-actions">
+                      <button
+                        type="button"
+                        className="btn-outline-ocean"
+                        aria-label={`Edit ${item.name}`}
+                        onClick={() => setEditing({ kind: 'menu', record: item })}
+                      >
+                        Edit
+                      </button>
+                      <button
+                        type="button"
+                        className="btn-danger"
+                        aria-label={`Delete ${item.name}`}
+                        onClick={() => askDelete('menu', item)}
+                      >
+                        Delete
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {selectedMenu.length === 0 ? <p className="admin-subtle">No menu items yet.</p> : null}
+          </div>
+        </section>
+      ) : (
+        <p className="admin-subtle">Choose “Menu” on a restaurant to manage its dishes.</p>
+      )}
+
+      {pendingDelete ? (
+        <DeleteDialog pending={pendingDelete} onCancel={cancelDelete} onConfirm={confirmDelete} busy={deleting} />
+      ) : null}
+    </div>
+  );
+}
@@ -0,0 +1,81 @@
+import { render, screen, fireEvent, within } from '@testing-library/react';
+import AdminCatalog from './AdminCatalog';
+import {
+  createOrder,
+  getMenus,
+  getOrderById,
+  getRestaurantById,
+  getRestaurants,
+  initializeStore,
+  updateRestaurant
+} from '../storage/localStore';
+
+beforeEach(() => {
+  window.localStorage.clear();
+  initializeStore();
+});
+
+test('creates a restaurant after fixing validation errors, then adds a menu item', async () => {
+  render(<AdminCatalog />);
+  fireEvent.click(await screen.findByRole('button', { name: 'New restaurant' }));
+
+  const form = screen.getByRole('form', { name: 'New restaurant' });
+  fireEvent.change(within(form).getByLabelText('Image URL'), { target: { value: 'tacos.jpg' } });
+  fireEvent.click(within(form).getByRole('button', { name: 'Add restaurant' }));
+  expect(screen.getByText('Enter a name.')).toBeInTheDocument();
+  expect(screen.getByText('Image must be a full http(s) URL.')).toBeInTheDocument();
+  expect(getRestaurants()).toHaveLength(2);
+
+  fireEvent.change(within(form).getByLabelText('Name'), { target: { value: 'Taco Town' } });
+  fireEvent.change(within(form).getByLabelText('Image URL'), { target: { value: '' } });
+  fireEvent.click(within(form).getByRole('button', { name: 'Add restaurant' }));
+  expect(await screen.findByText(/Added “Taco Town”/)).toBeInTheDocument();
+  // Ratings come from reviews, so a new restaurant has none
+  expect(getRestaurants()[2]).toMatchObject({ name: 'Taco Town', rating: null, reviewCount: 0 });
+  expect(screen.getByRole('row', { name: /Taco Town/ })).toHaveTextContent('No reviews');
+
+  fireEvent.click(screen.getByRole('button', { name: 'New menu item' }));
+  const itemForm = screen.getByRole('form', { name: 'New menu item' });
+  fireEvent.change(within(itemForm).getByLabelText('Name'), { target: { value: 'Al Pastor' } });
+  fireEvent.change(within(itemForm).getByLabelText('Price ($)'), { target: { value: '0' } });
+  fireEvent.click(within(itemForm).getByRole('button', { name: 'Add menu item' }));
+  expect(screen.getByText('Price must be greater than 0.')).toBeInTheDocument();
+
+  fireEvent.change(within(itemForm).getByLabelText('Price ($)'), { target: { value: '3.5' } });
+  fireEvent.click(within(itemForm).getByLabelText('Spicy'));
+  fireEvent.click(within(itemForm).getByRole('button', { name: 'Add menu item' }));
+  expect(await screen.findByRole('rowheader', { name: 'Al Pastor' })).toBeInTheDocument();
+  expect(getMenus().find((m) => m.name === 'Al Pastor')).toMatchObject({ price: 3.5, dietary: ['spicy'] });
+});
+
+test('deleting a restaurant shows and applies the cascade', async () => {
+  const open = createOrder({ userId: 2, restaurantId: 2, items: [{ menuItemId: 4, quantity: 1 }] });
+  render(<AdminCatalog />);
+  fireEvent.click(await screen.findByRole('button', { name: 'Delete Sushi Central' }));
+
+  const dialog = screen.getByRole('alertdialog', { name: 'Delete “Sushi Central”?' });
+  expect(within(dialog).getByText('4 menu items will be deleted.')).toBeInTheDocument();
+  expect(within(dialog).getByText(`1 open order will be cancelled (#${open.id}).`)).toBeInTheDocument();
+
+  fireEvent.click(within(dialog).getByRole('button', { name: 'Delete' }));
+  expect(
+    await screen.findByText(`Deleted “Sushi Central”: removed 4 menu items and cancelled 1 open order (#${open.id}).`)
+  ).toBeInTheDocument();
+  expect(screen.queryByRole('rowheader', { name: 'Sushi Central' })).not.toBeInTheDocument();
+  expect(getOrderById(open.id).status).toBe('cancelled');
+  expect(getMenus().some((m) => m.restaurantId === 2)).toBe(false);
+});
+
+test('saving a restaurant that was edited elsewhere in the meantime is refused', async () => {
+  render(<AdminCatalog />);
+  fireEvent.click(await screen.findByRole('button', { name: 'Edit Pasta Palace' }));
+  const form = screen.getByRole('form', { name: 'Edit Pasta Palace' });
+
+  // Another tab renames it while the form is open
+  updateRestaurant(1, { name: 'Pasta Palazzo' });
+
+  fireEvent.change(within(form).getByLabelText('Cuisine'), { target: { value: 'Pasta' } });
+  fireEvent.click(within(form).getByRole('button', { name: 'Save restaurant' }));
+  expect(await within(form).findByRole('alert')).toHaveTextContent(/changed elsewhere since you opened it/);
+  expect(getRestaurantById(1)).toMatchObject({ name: 'Pasta Palazzo', cuisine: 'Italian' });
+});
@@ -0,0 +1,140 @@
+import React, { useEffect, useState } from 'react';
+import '../styles/home.css';
+import '../styles/admin.css';
+import repository from '../storage/repository';
+import AdminCatalog from './AdminCatalog';
+
+function summarize(state) {
+  return [
+    { label: 'Restaurants', count: state.restaurants.length },
+    { label: 'Menu items', count: state.menus.length },
+    { label: 'Users', count: state.users.length },
+    { label: 'Orders', count: state.orders.length }
+  ];
+}
+
+/**
+ * AdminPanel
+ * Developer/admin area reachable at #/admin.
+ * Manages restaurants and menus (AdminCatalog), shows what is stored locally (including the
+ * schema version and any state backups kept after a failed migration) and hosts the explicit
+ * "Reset demo data" action, which is the only place seed data replaces existing records.
+ */
+// PUBLIC_INTERFACE
+export default function AdminPanel({ onExit }) {
+  /**
+   * Renders the developer panel.
+   * Props:
+   * - onExit: function to call when the user leaves the panel
+   */
+  const [summary, setSummary] = useState([]);
+  const [schemaVersion, setSchemaVersion] = useState(null);
+  const [backups, setBackups] = useState([]);
+  const [status, setStatus] = useState('');
+  // Bumped after a reset so the catalog remounts and reloads the seed
+  const [catalogKey, setCatalogKey] = useState(0);
+
+  const applyState = (state) => {
+    setSummary(summarize(state));
+    setSchemaVersion(state.schemaVersion || null);
+  };
+
+  // Keep the stored-data counts current after catalog edits
+  const refreshSummary = () => {
+    repository.getAppState()
+      .then(applyState)
+      .catch((e) => console.error('Failed to load app state.', e));
+  };
+
+  useEffect(() => {
+    let cancelled = false;
+    Promise.all([repository.getAppState(), repository.getStateBackups()])
+      .then(([state, found]) => {
+        if (cancelled) return;
+        applyState(state);
+        setBackups(found);
+      })
+      .catch((e) => {
+        console.error('Failed to load app state.', e);
+        if (!cancelled) setStatus('Could not load stored data.');
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const onReset = async () => {
+    const ok = window.confirm(
+      'Reset demo data? All restaurants, menu items, users and orders you created will be replaced by the seed data.'
+    );
+    if (!ok) return;
+    try {
+      const state = await repository.resetToSeed();
+      await repository.clearCart();
+      applyState(state);
+      setCatalogKey((k) => k + 1);
+      setStatus('Demo data restored. Your cart was emptied.');
+    } catch (e) {
+      console.error('Failed to reset demo data.', e);
+      setStatus('Resetting demo data failed.');
+    }
+  };
+
+  return (
+    <main className="admin-page" aria-label="Developer panel">
+      <section className="admin-card">
+        <header className="admin-head">
+          <h1 className="admin-title">Developer panel</h1>
+          <button type="button" className="btn-outline-ocean" onClick={onExit}>
+            ← Back to app
+          </button>
+        </header>
+
+        <AdminCatalog key={catalogKey} onChange={refreshSummary} />
+
+        <h2 className="admin-section-title">Stored data</h2>
+        <dl className="admin-stats">
+          {summary.map((row) => (
+            <div key={row.label} className="admin-stat">
+              <dt>{row.label}</dt>
+              <dd>{row.count}</dd>
+            </div>
+          ))}
+          {schemaVersion ? (
+            <div className="admin-stat">
+              <dt>Schema version</dt>
+              <dd>v{schemaVersion}</dd>
+            </div>
+          ) : null}
+        </dl>
+
+        {backups.length ? (
+          <>
+            <h2 className="admin-section-title">State backups</h2>
+            <p className="admin-subtle">
+              Stored data that could not be upgraded is kept here instead of being discarded.
+            </p>
+            <ul className="admin-backups">
+              {backups.map((b) => (
+                <li key={b.key}>
+                  <code>{b.key}</code> — {b.reason}
+                </li>
+              ))}
+            </ul>
+          </>
+        ) : null}
+
+        <h2 className="admin-section-title">Demo data</h2>
+        <p className="admin-subtle">
+          Seed data is only written when nothing is stored yet. Use this to start over from the seed.
+        </p>
+        <button type="button" className="btn-danger" onClick={onReset}>
+          Reset demo data
+        </button>
+        <div className="admin-status" role="status" aria-live="polite">
+          {status}
+        </div>
+      </section>
+    </main>
+  );
+}
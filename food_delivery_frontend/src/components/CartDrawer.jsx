@@ -0,0 +1,186 @@
+import React, { useEffect, useRef } from 'react';
+import '../styles/home.css';
+import '../styles/cart.css';
+import repository, { getCartLineKey, splitCartByRestaurant } from '../storage/repository';
+import { useAddresses, useRestaurants } from '../storage/hooks';
+import { getDefaultAddress } from '../storage/addressBook';
+import { getDeliveryPoint } from '../storage/geocoding';
+import { priceCart } from '../storage/pricing';
+import PriceBreakdown from './PriceBreakdown';
+
+/**
+ * CartContents
+ * The cart lines, price breakdown and actions, shared by the drawer and the /cart page.
+ * The breakdown is an estimate: the tip and promo code are chosen at checkout. Delivery is
+ * priced to the signed-in customer's default address, which checkout starts from, so the two
+ * agree until another address is picked there.
+ */
+// PUBLIC_INTERFACE
+export function CartContents({ cart = [], user = null, onCheckout }) {
+  /**
+   * Renders the cart lines with quantity controls, the price breakdown and the cart actions.
+   * Props:
+   * - cart: array of cart lines
+   * - user: the signed-in user or null; delivery is priced to their default address
+   * - onCheckout: optional function to start checkout with the current cart
+   */
+  // Restaurants supply their delivery fees
+  const { restaurants } = useRestaurants();
+  const { addresses } = useAddresses(user ? user.id : null);
+  const home = getDefaultAddress(addresses);
+  const pricing = priceCart(splitCartByRestaurant(cart), { restaurants, deliverTo: home ? getDeliveryPoint(home) : null });
+  const itemCount = cart.reduce((acc, it) => acc + (Number(it.quantity) || 0), 0);
+
+  const onClear = () => {
+    if (window.confirm('Remove all items from your cart?')) {
+      repository.clearCart();
+    }
+  };
+
+  if (cart.length === 0) {
+    return (
+      <div className="cart-empty" role="status">
+        Your cart is empty. Add dishes from a restaurant menu to get started.
+      </div>
+    );
+  }
+
+  return (
+    <>
+      <ul className="cart-lines" aria-label="Cart items">
+        {cart.map((line) => {
+          const key = getCartLineKey(line);
+          const qty = Math.max(1, Number(line.quantity) || 1);
+          const lineTotal = qty * (Number(line.unitPrice) || 0);
+          return (
+            <li key={key} className="cart-line">
+              <div className="cart-line-info">
+                <div className="cart-line-name">{line.name}</div>
+                {line.size || (line.addons && line.addons.length) ? (
+                  <div className="cart-line-meta">
+                    {[line.size, ...(line.addons || [])].filter(Boolean).join(' · ')}
+                  </div>
+                ) : null}
+                <div className="cart-line-meta">
+                  ${(Number(line.unitPrice) || 0).toFixed(2)} each
+                </div>
+              </div>
+
+              <div className="cart-line-controls">
+                <div className="qty-stepper" role="group" aria-label={`Quantity for ${line.name}`}>
+                  <button
+                    type="button"
+                    className="btn-outline-ocean"
+                    onClick={() => repository.updateCartLine(key, { quantity: qty - 1 })}
+                    aria-label={`Decrease ${line.name}`}
+                  >
+                    −
+                  </button>
+                  <input
+                    type="number"
+                    min={1}
+                    step={1}
+                    className="field-input qty"
+                    value={qty}
+                    onChange={(e) => repository.updateCartLine(key, { quantity: Math.max(1, Number(e.target.value) || 1) })}
+                    aria-label={`${line.name} quantity`}
+                  />
+                  <button
+                    type="button"
+                    className="btn-outline-ocean"
+                    onClick={() => repository.updateCartLine(key, { quantity: qty + 1 })}
+                    aria-label={`Increase ${line.name}`}
+                  >
+                    +
+                  </button>
+                </div>
+                <span className="price-chip">${lineTotal.toFixed(2)}</span>
+                <button
+                  type="button"
+                  className="cart-remove"
+                  onClick={() => repository.removeCartLine(key)}
+                  aria-label={`Remove ${line.name} from cart`}
+                >
+                  Remove
+                </button>
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+
+      <footer className="cart-foot">
+        <PriceBreakdown
+          pricing={pricing}
+          subtotalLabel={`Subtotal (${itemCount} item${itemCount === 1 ? '' : 's'})`}
+          estimate
+        />
+        <div className="cart-foot-actions">
+          <button type="button" className="btn-outline-ocean" onClick={onClear}>
+            Clear cart
+          </button>
+          {onCheckout ? (
+            <button type="button" className="btn-ocean" onClick={onCheckout}>
+              Checkout
+            </button>
+          ) : null}
+        </div>
+      </footer>
+    </>
+  );
+}
+
+/**
+ * CartDrawer
+ * Slide-in panel listing the persisted cart lines (size and add-ons included).
+ * Lets users change quantities, remove lines, clear the cart and see the estimated total.
+ */
+// PUBLIC_INTERFACE
+export default function CartDrawer({ open, cart = [], user = null, onClose, onCheckout }) {
+  /**
+   * Renders the cart drawer.
+   * Props:
+   * - open: boolean, whether the drawer is visible
+   * - cart: array of cart lines (from getCart / subscribeCart)
+   * - user: the signed-in user or null (see CartContents)
+   * - onClose: function to call when the drawer should close
+   * - onCheckout: optional function to start checkout with the current cart
+   */
+  const panelRef = useRef(null);
+
+  // Close on Escape and move focus into the panel when opened
+  useEffect(() => {
+    if (!open) return;
+    const onKey = (e) => {
+      if (e.key === 'Escape' && onClose) onClose();
+    };
+    window.addEventListener('keydown', onKey);
+    if (panelRef.current) panelRef.current.focus();
+    return () => window.removeEventListener('keydown', onKey);
+  }, [open, onClose]);
+
+  if (!open) return null;
+
+  return (
+    <div className="cart-overlay" onClick={onClose}>
+      <aside
+        className="cart-drawer"
+        role="dialog"
+        aria-modal="true"
+        aria-label="Shopping cart"
+        tabIndex={-1}
+        ref={panelRef}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <header className="cart-head">
+          <h2 className="cart-title">Your cart</h2>
+          <button type="button" className="btn-outline-ocean" onClick={onClose} aria-label="Close cart">
+            ✕
+          </button>
+        </header>
+
+        <CartContents cart={cart} user={user} onCheckout={onCheckout} />
+      </aside>
+    </div>
+  );
+}
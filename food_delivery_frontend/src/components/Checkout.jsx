@@ -0,0 +1,718 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import '../styles/home.css';
+import '../styles/checkout.css';
+import repository, { getCartLineKey, splitCartByRestaurant } from '../storage/repository';
+import { useAddresses, useNow, useRestaurants } from '../storage/hooks';
+import { TIP_PERCENTAGES, priceCart } from '../storage/pricing';
+import { formatAddress, getDefaultAddress } from '../storage/addressBook';
+import { getDeliveryPoint } from '../storage/geocoding';
+import { DeliveryZoneError, getDeliveryZone } from '../storage/deliveryZones';
+import { RestaurantClosedError, SCHEDULING, formatLocalTime, getOpenState, getScheduleSlots } from '../storage/openingHours';
+import PriceBreakdown from './PriceBreakdown';
+import { getOrderSimulator } from '../simulation/orderSimulator';
+import { Link } from '../router/Link';
+
+const STEPS = [
+  { id: 'review', label: 'Review cart' },
+  { id: 'address', label: 'Delivery address' },
+  { id: 'payment', label: 'Payment' },
+  { id: 'confirm', label: 'Confirm' }
+];
+
+const PAYMENT_METHODS = [
+  { id: 'card', label: 'Credit / debit card', hint: 'Simulated — no card details are collected.' },
+  { id: 'cash', label: 'Cash on delivery', hint: 'Pay the courier when your food arrives.' }
+];
+
+const EMPTY_ADDRESS = { street: '', city: '', postalCode: '', notes: '' };
+
+// The form fields of a saved address
+const addressFields = (saved) => ({
+  street: saved.street,
+  city: saved.city,
+  postalCode: saved.postalCode,
+  notes: saved.notes || ''
+});
+
+// Returns a map of field -> message for the given step; empty when the step is valid.
+// zoneError: why a restaurant in the cart cannot deliver to the address, if one cannot.
+// timeError: why the picked delivery time does not work (closed now, or a slot that has passed).
+function validateStep(step, { cart, address, paymentMethod, zoneError, timeError }) {
+  const errors = {};
+  if (step === 'review' || step === 'confirm') {
+    if (!cart.length) {
+      errors.cart = 'Your cart is empty. Add some dishes before checking out.';
+    }
+  }
+  if (step === 'address' || step === 'confirm') {
+    if (!address.street.trim()) errors.street = 'Street address is required.';
+    if (!address.city.trim()) errors.city = 'City is required.';
+    if (!address.postalCode.trim()) errors.postalCode = 'Postal code is required.';
+    else if (zoneError) errors.postalCode = zoneError;
+    if (timeError) errors.deliveryTime = timeError;
+  }
+  if (step === 'payment' || step === 'confirm') {
+    if (!PAYMENT_METHODS.some((m) => m.id === paymentMethod)) {
+      errors.paymentMethod = 'Choose a payment method.';
+    }
+  }
+  return errors;
+}
+
+/**
+ * Checkout
+ * Multi-step checkout (review cart → delivery address → payment stub → confirm)
+ * that converts the cart into an order via createOrder and shows the confirmation.
+ * A cart mixed before single-restaurant carts were enforced becomes one order per restaurant.
+ * Orders are placed for the signed-in user; signed-out customers are asked to sign in
+ * at the confirm step. A promo code entered on the review step is checked right away
+ * (checkPromoCode) and again when the order is placed. The footer shows the price breakdown
+ * from storage/pricing, including the tip picked on the payment step.
+ * Signed-in customers can fill the address from their address book; it starts from their
+ * default address (the one the cart prices delivery to). An address outside a
+ * restaurant's delivery zone cannot be used, and a located address prices delivery by distance.
+ * The address step also picks the delivery time: as soon as possible while the restaurants are
+ * open, or a later slot within their opening hours (storage/openingHours).
+ * A mixed cart is placed as one order per restaurant. If one of them fails, the orders already
+ * placed are listed next to the error and their lines leave the cart, so retrying places only
+ * the rest.
+ */
+// PUBLIC_INTERFACE
+export default function Checkout({ cart = [], user = null, onRequestSignIn, onExit }) {
+  /**
+   * Renders the checkout flow.
+   * Props:
+   * - cart: array of cart lines (kept live by the parent through subscribeCart)
+   * - user: the signed-in user (from the session) or null
+   * - onRequestSignIn: function to open the sign-in dialog
+   * - onExit: function to call when the user leaves checkout (back to browsing)
+   */
+  const [stepIndex, setStepIndex] = useState(0);
+  const [address, setAddress] = useState(EMPTY_ADDRESS);
+  // Id of the saved address the fields were filled from ('' once edited or for a new one)
+  const [addressId, setAddressId] = useState('');
+  const [paymentMethod, setPaymentMethod] = useState('card');
+  const [errors, setErrors] = useState({});
+  // [{ order, restaurant }] once checkout succeeds
+  const [placedOrders, setPlacedOrders] = useState(null);
+  // [{ order, restaurant }] placed by an attempt that failed part-way; kept out of retries
+  const [partialOrders, setPartialOrders] = useState([]);
+  const [submitting, setSubmitting] = useState(false);
+  const [promoInput, setPromoInput] = useState('');
+  // The applied promotion ({ code, type, description, discount, freeDelivery }) or null
+  const [promo, setPromo] = useState(null);
+  const [promoError, setPromoError] = useState('');
+  const [tipPercent, setTipPercent] = useState(0);
+  // ISO time of the picked delivery slot; '' for as soon as possible
+  const [scheduledFor, setScheduledFor] = useState('');
+  const { restaurants } = useRestaurants();
+  const { addresses: savedAddresses } = useAddresses(user ? user.id : null);
+  const now = useNow();
+
+  const step = STEPS[stepIndex].id;
+  const groups = splitCartByRestaurant(cart);
+  const saved = savedAddresses.find((a) => String(a.id) === addressId);
+  // Where the order goes, when known: the saved address's point or the typed postal code's
+  const deliverTo = getDeliveryPoint(saved || address);
+  const cartRestaurants = groups.map((group) => restaurants.find((r) => Number(r.id) === group.restaurantId));
+  const outside = cartRestaurants
+    .map((restaurant) => ({ restaurant, zone: getDeliveryZone(restaurant, deliverTo) }))
+    .find(({ zone }) => zone.status === 'outside');
+  const zoneError = outside ? new DeliveryZoneError(outside.restaurant, outside.zone).message : '';
+  const closed = cartRestaurants
+    .map((restaurant) => ({ restaurant, state: getOpenState(restaurant, now) }))
+    .find(({ state }) => !state.open);
+  // Slots every restaurant in the cart is open for
+  const cartRestaurantKey = groups.map((group) => group.restaurantId).join(',');
+  const slots = useMemo(
+    () =>
+      cartRestaurantKey
+        .split(',')
+        .filter(Boolean)
+        .map((id) => getScheduleSlots(restaurants.find((r) => String(r.id) === id), { now }))
+        .reduce((common, own) => (common ? common.filter((s) => own.some((o) => o.at === s.at)) : own), null) || [],
+    [restaurants, cartRestaurantKey, now]
+  );
+  const timeError = scheduledFor
+    ? slots.some((slot) => slot.at === scheduledFor)
+      ? ''
+      : 'That delivery time is no longer available. Pick another one.'
+    : closed
+      ? `${new RestaurantClosedError(closed.restaurant, closed.state).message} Schedule the delivery for later.`
+      : '';
+  // One breakdown per group, so quote.orders[i] is the order placed for groups[i]; the promo
+  // code only goes on the first one
+  const quote = priceCart(groups, { restaurants, promotion: promo, tipPercent, deliverTo });
+  const firstOrder = quote.orders[0] || { subtotal: 0, deliveryFee: 0 };
+  const promoSubtotal = firstOrder.subtotal;
+  const promoDeliveryFee = firstOrder.deliveryFee;
+
+  const checkPromo = (code) =>
+    repository.checkPromoCode(code, {
+      userId: user ? user.id : null,
+      subtotal: promoSubtotal,
+      deliveryFee: promoDeliveryFee
+    });
+
+  const applyPromo = async (e) => {
+    e.preventDefault();
+    setPromoError('');
+    try {
+      setPromo(await checkPromo(promoInput));
+    } catch (err) {
+      if (err.name !== 'PromoCodeError') console.error('Failed to check promo code.', err);
+      setPromo(null);
+      setPromoError(err.name === 'PromoCodeError' ? err.message : 'We could not check this code. Please try again.');
+    }
+  };
+
+  const removePromo = () => {
+    setPromo(null);
+    setPromoError('');
+    setPromoInput('');
+  };
+
+  // Re-check the applied code when the cart or the signed-in user changes
+  const appliedCode = promo ? promo.code : '';
+  useEffect(() => {
+    if (!appliedCode) return undefined;
+    let cancelled = false;
+    repository
+      .checkPromoCode(appliedCode, {
+        userId: user ? user.id : null,
+        subtotal: promoSubtotal,
+        deliveryFee: promoDeliveryFee
+      })
+      .then((result) => {
+        if (!cancelled) setPromo(result);
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        setPromo(null);
+        setPromoError(err.name === 'PromoCodeError' ? err.message : 'We could not check this code. Please try again.');
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [appliedCode, user, promoSubtotal, promoDeliveryFee]);
+
+  const goNext = () => {
+    const found = validateStep(step, { cart, address, paymentMethod, zoneError, timeError });
+    setErrors(found);
+    if (Object.keys(found).length === 0) {
+      setStepIndex((i) => Math.min(i + 1, STEPS.length - 1));
+    }
+  };
+
+  const goBack = () => {
+    setErrors({});
+    setStepIndex((i) => Math.max(i - 1, 0));
+  };
+
+  const setField = (field, value) => {
+    setAddress((prev) => ({ ...prev, [field]: value }));
+    setAddressId('');
+    setErrors((prev) => {
+      if (!prev[field]) return prev;
+      const next = { ...prev };
+      delete next[field];
+      return next;
+    });
+  };
+
+  const pickSavedAddress = (id) => {
+    const picked = savedAddresses.find((a) => String(a.id) === id);
+    setAddress(picked ? addressFields(picked) : EMPTY_ADDRESS);
+    setAddressId(picked ? id : '');
+    setErrors({});
+  };
+
+  // Start from the default address once the address book loads, unless one was entered already
+  const prefilled = useRef(false);
+  useEffect(() => {
+    const home = getDefaultAddress(savedAddresses);
+    if (prefilled.current || !home) return;
+    prefilled.current = true;
+    if (address === EMPTY_ADDRESS && !addressId) {
+      setAddress(addressFields(home));
+      setAddressId(String(home.id));
+    }
+  }, [savedAddresses, address, addressId]);
+
+  const pickTime = (at) => {
+    setScheduledFor(at);
+    setErrors((prev) => {
+      if (!prev.deliveryTime) return prev;
+      const next = { ...prev };
+      delete next.deliveryTime;
+      return next;
+    });
+  };
+
+  // Start simulated progress right away rather than at the next scan
+  const startSimulatedProgress = () => {
+    const simulator = getOrderSimulator();
+    if (simulator) simulator.sync();
+  };
+
+  // Some orders of a mixed cart were written before another one failed. They stay placed: their
+  // lines leave the cart so a retry does not place them twice, and they are listed with the error.
+  const keepPlacedOrders = async (orders) => {
+    const placedRestaurantIds = new Set(orders.map((o) => Number(o.restaurantId)));
+    for (const line of cart.filter((l) => placedRestaurantIds.has(Number(l.restaurantId)))) {
+      await repository.removeCartLine(getCartLineKey(line));
+    }
+    // The promo code goes with the first order, which was placed
+    setPromo(null);
+    startSimulatedProgress();
+    const restaurants = await Promise.all(orders.map((o) => repository.getRestaurantById(o.restaurantId)));
+    setPartialOrders((prev) => [...prev, ...orders.map((order, i) => ({ order, restaurant: restaurants[i] }))]);
+  };
+
+  const placeOrder = async () => {
+    const found = validateStep('confirm', { cart, address, paymentMethod, zoneError, timeError });
+    setErrors(found);
+    if (Object.keys(found).length > 0) return;
+    if (!user) {
+      setErrors({ submit: 'Sign in to place your order.' });
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      const drafts = groups.map((group, i) => ({
+        userId: user.id,
+        restaurantId: group.restaurantId,
+        items: group.lines.map((line) => ({
+          menuItemId: line.menuItemId,
+          quantity: line.quantity,
+          unitPrice: Number(line.unitPrice) || 0,
+          name: line.name,
+          ...(line.size ? { size: line.size } : {}),
+          ...(line.addons && line.addons.length ? { addons: line.addons } : {}),
+          ...(line.options ? { options: line.options } : {})
+        })),
+        deliveryAddress: {
+          street: address.street.trim(),
+          city: address.city.trim(),
+          postalCode: address.postalCode.trim(),
+          ...(address.notes.trim() ? { notes: address.notes.trim() } : {}),
+          ...(saved ? { addressId: saved.id } : {}),
+          ...(deliverTo || {})
+        },
+        paymentMethod,
+        tip: quote.orders[i].tip,
+        ...(promo && i === 0 ? { promoCode: promo.code } : {}),
+        ...(scheduledFor ? { scheduledFor } : {})
+      }));
+
+      // One at a time so ids stay in cart order
+      const orders = [];
+      try {
+        for (const draft of drafts) {
+          const order = await repository.createOrder(draft);
+          if (!order) throw new Error(`No order was created for restaurant ${draft.restaurantId}.`);
+          orders.push(order);
+        }
+      } catch (e) {
+        if (orders.length) await keepPlacedOrders(orders);
+        throw e;
+      }
+
+      const restaurants = await Promise.all(orders.map((o) => repository.getRestaurantById(o.restaurantId)));
+      await repository.clearCart();
+      startSimulatedProgress();
+      setPlacedOrders([...partialOrders, ...orders.map((order, i) => ({ order, restaurant: restaurants[i] }))]);
+    } catch (e) {
+      if (['DeliveryZoneError', 'RestaurantClosedError', 'ScheduledTimeError'].includes(e.name)) {
+        setErrors({ submit: e.message });
+      } else if (e.name === 'PromoCodeError') {
+        // e.g. the code was used in another tab meanwhile; nothing was written
+        setPromo(null);
+        setPromoError(e.message);
+        setErrors({ submit: `${e.message} The code was removed; place the order again to continue without it.` });
+      } else {
+        console.error('Failed to place order.', e);
+        setErrors({ submit: 'We could not place your order. Please try again.' });
+      }
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (placedOrders) {
+    const charged = placedOrders.reduce((acc, p) => acc + Number(p.order.total), 0);
+    const applied = placedOrders.map((p) => p.order.promotion).find(Boolean);
+    return (
+      <main className="checkout-page" aria-label="Order confirmation">
+        <section className="checkout-card checkout-done" role="status">
+          <div className="checkout-done-icon" aria-hidden>✅</div>
+          <h1 className="checkout-title">{placedOrders.length > 1 ? 'Orders placed!' : 'Order placed!'}</h1>
+          {placedOrders.map(({ order, restaurant }) => (
+            <p key={order.id} className="checkout-subtle">
+              Your order number is <strong>#{order.id}</strong>
+              {restaurant ? <> from <strong>{restaurant.name}</strong></> : null}.{' '}
+              {order.scheduledFor ? <>Scheduled for {formatLocalTime(restaurant, order.scheduledFor)}.{' '}</> : null}
+              <Link className="cta-link" to={`/orders/${order.id}`}>Track order →</Link>
+            </p>
+          ))}
+          <p className="checkout-subtle">
+            Total charged: <strong>${charged.toFixed(2)}</strong>
+          </p>
+          {applied ? (
+            <p className="checkout-subtle">
+              Promo <strong>{applied.code}</strong> applied
+              {applied.freeDelivery ? ': free delivery' : `: you saved $${applied.discount.toFixed(2)}`}.
+            </p>
+          ) : null}
+          <button type="button" className="btn-ocean" onClick={onExit}>
+            Back to restaurants
+          </button>
+        </section>
+      </main>
+    );
+  }
+
+  const renderError = (field) =>
+    errors[field] ? (
+      <p id={`err-${field}`} className="checkout-error" role="alert">
+        {errors[field]}
+      </p>
+    ) : null;
+
+  return (
+    <main className="checkout-page" aria-label="Checkout">
+      <section className="checkout-card">
+        <header className="checkout-head">
+          <h1 className="checkout-title">Checkout</h1>
+          <button type="button" className="btn-outline-ocean" onClick={onExit}>
+            ← Keep browsing
+          </button>
+        </header>
+
+        <ol className="checkout-steps" aria-label="Checkout progress">
+          {STEPS.map((s, i) => (
+            <li
+              key={s.id}
+              className={`checkout-step ${i === stepIndex ? 'is-current' : ''} ${i < stepIndex ? 'is-done' : ''}`}
+              aria-current={i === stepIndex ? 'step' : undefined}
+            >
+              <span className="checkout-step-num">{i + 1}</span>
+              {s.label}
+            </li>
+          ))}
+        </ol>
+
+        {step === 'review' && (
+          <div className="checkout-body">
+            {cart.length ? (
+              <ul className="checkout-lines" aria-label="Items in your order">
+                {cart.map((line) => (
+                  <li key={getCartLineKey(line)} className="checkout-line">
+                    <span>
+                      {line.quantity} × {line.name}
+                      {line.size || (line.addons && line.addons.length) ? (
+                        <span className="checkout-line-meta">
+                          {' '}({[line.size, ...(line.addons || [])].filter(Boolean).join(', ')})
+                        </span>
+                      ) : null}
+                    </span>
+                    <span>${((Number(line.quantity) || 0) * (Number(line.unitPrice) || 0)).toFixed(2)}</span>
+                  </li>
+                ))}
+              </ul>
+            ) : null}
+            {groups.length > 1 ? (
+              <p className="checkout-subtle" role="note">
+                Your cart has items from {groups.length} restaurants. They will be placed as{' '}
+                {groups.length} separate orders.
+              </p>
+            ) : null}
+            {renderError('cart')}
+
+            {cart.length ? (
+              <form className="checkout-promo" onSubmit={applyPromo}>
+                {promo ? (
+                  <>
+                    <span className="field-label">Promo code</span>
+                    <div className="checkout-promo-row">
+                      <p className="checkout-promo-applied" role="status">
+                        <strong>{promo.code}</strong> applied{promo.description ? ` — ${promo.description}` : ''}
+                      </p>
+                      <button type="button" className="btn-outline-ocean" onClick={removePromo}>
+                        Remove
+                      </button>
+                    </div>
+                  </>
+                ) : (
+                  <>
+                    <label className="field-label" htmlFor="co-promo">Promo code</label>
+                    <div className="checkout-promo-row">
+                      <input
+                        id="co-promo"
+                        className="field-input"
+                        value={promoInput}
+                        onChange={(e) => {
+                          setPromoInput(e.target.value);
+                          setPromoError('');
+                        }}
+                        placeholder="e.g. WELCOME"
+                        autoComplete="off"
+                        aria-invalid={!!promoError}
+                        aria-describedby={promoError ? 'err-promo' : undefined}
+                      />
+                      <button type="submit" className="btn-outline-ocean">Apply</button>
+                    </div>
+                  </>
+                )}
+                {promoError ? (
+                  <p id="err-promo" className="checkout-error" role="alert">{promoError}</p>
+                ) : null}
+              </form>
+            ) : null}
+          </div>
+        )}
+
+        {step === 'address' && (
+          <div className="checkout-body checkout-form">
+            {savedAddresses.length ? (
+              <>
+                <label className="field-label" htmlFor="co-saved">Saved address</label>
+                <select
+                  id="co-saved"
+                  className="field-input"
+                  value={saved ? addressId : ''}
+                  onChange={(e) => pickSavedAddress(e.target.value)}
+                >
+                  <option value="">A new address</option>
+                  {savedAddresses.map((a) => (
+                    <option key={a.id} value={String(a.id)}>{a.label} — {formatAddress(a)}</option>
+                  ))}
+                </select>
+              </>
+            ) : null}
+
+            <label className="field-label" htmlFor="co-street">Street address</label>
+            <input
+              id="co-street"
+              className="field-input"
+              value={address.street}
+              onChange={(e) => setField('street', e.target.value)}
+              aria-invalid={!!errors.street}
+              aria-describedby={errors.street ? 'err-street' : undefined}
+            />
+            {renderError('street')}
+
+            <label className="field-label" htmlFor="co-city">City</label>
+            <input
+              id="co-city"
+              className="field-input"
+              value={address.city}
+              onChange={(e) => setField('city', e.target.value)}
+              aria-invalid={!!errors.city}
+              aria-describedby={errors.city ? 'err-city' : undefined}
+            />
+            {renderError('city')}
+
+            <label className="field-label" htmlFor="co-postal">Postal code</label>
+            <input
+              id="co-postal"
+              className="field-input"
+              value={address.postalCode}
+              onChange={(e) => setField('postalCode', e.target.value)}
+              aria-invalid={!!errors.postalCode}
+              aria-describedby={errors.postalCode ? 'err-postalCode' : undefined}
+            />
+            {renderError('postalCode')}
+
+            <label className="field-label" htmlFor="co-notes">Delivery notes (optional)</label>
+            <textarea
+              id="co-notes"
+              className="field-input"
+              rows={2}
+              value={address.notes}
+              onChange={(e) => setField('notes', e.target.value)}
+            />
+            {address.postalCode.trim() && !deliverTo ? (
+              <p className="checkout-subtle" role="note">
+                We cannot locate this postal code, so the standard delivery fee applies.
+              </p>
+            ) : null}
+
+            <fieldset className="checkout-when">
+              <legend className="field-label">Delivery time</legend>
+              <label className="checkout-radio">
+                <input
+                  type="radio"
+                  name="delivery-time"
+                  checked={!scheduledFor}
+                  disabled={!!closed}
+                  onChange={() => pickTime('')}
+                />
+                <span>
+                  <strong>As soon as possible</strong>
+                  {closed ? (
+                    <span className="checkout-line-meta"> — {closed.restaurant.name} is closed now</span>
+                  ) : null}
+                </span>
+              </label>
+              <label className="checkout-radio">
+                <input
+                  type="radio"
+                  name="delivery-time"
+                  checked={!!scheduledFor}
+                  disabled={!slots.length}
+                  onChange={() => pickTime(slots[0].at)}
+                />
+                <span>
+                  <strong>Schedule for later</strong>
+                  {!slots.length ? (
+                    <span className="checkout-line-meta">
+                      {' '}— no delivery times in the next {SCHEDULING.daysAhead} days
+                    </span>
+                  ) : null}
+                </span>
+              </label>
+              {scheduledFor ? (
+                <>
+                  <label className="field-label" htmlFor="co-time">Deliver at</label>
+                  <select
+                    id="co-time"
+                    className="field-input"
+                    value={scheduledFor}
+                    onChange={(e) => pickTime(e.target.value)}
+                    aria-invalid={!!errors.deliveryTime}
+                    aria-describedby={errors.deliveryTime ? 'err-deliveryTime' : undefined}
+                  >
+                    {slots.map((slot) => (
+                      <option key={slot.at} value={slot.at}>{slot.label}</option>
+                    ))}
+                  </select>
+                </>
+              ) : null}
+              {renderError('deliveryTime')}
+            </fieldset>
+          </div>
+        )}
+
+        {step === 'payment' && (
+          <fieldset className="checkout-body checkout-payment">
+            <legend className="field-label">Payment method</legend>
+            {PAYMENT_METHODS.map((m) => (
+              <label key={m.id} className="checkout-radio">
+                <input
+                  type="radio"
+                  name="payment-method"
+                  value={m.id}
+                  checked={paymentMethod === m.id}
+                  onChange={() => setPaymentMethod(m.id)}
+                />
+                <span>
+                  <strong>{m.label}</strong>
+                  <span className="checkout-line-meta"> — {m.hint}</span>
+                </span>
+              </label>
+            ))}
+            {renderError('paymentMethod')}
+
+            <div className="checkout-tip" role="radiogroup" aria-label="Tip for your courier">
+              <span className="field-label">Tip for your courier</span>
+              <div className="checkout-tip-options">
+                {TIP_PERCENTAGES.map((percent) => (
+                  <button
+                    key={percent}
+                    type="button"
+                    role="radio"
+                    aria-checked={tipPercent === percent}
+                    className={`filter-chip ${tipPercent === percent ? 'is-active' : ''}`}
+                    onClick={() => setTipPercent(percent)}
+                  >
+                    {percent ? `${percent}%` : 'No tip'}
+                  </button>
+                ))}
+              </div>
+            </div>
+          </fieldset>
+        )}
+
+        {step === 'confirm' && (
+          <div className="checkout-body">
+            <dl className="checkout-summary">
+              <dt>Ordering as</dt>
+              <dd>{user ? `${user.name} (${user.email})` : 'Not signed in'}</dd>
+              <dt>Items</dt>
+              <dd>{cart.reduce((acc, l) => acc + (Number(l.quantity) || 0), 0)}</dd>
+              <dt>Deliver to</dt>
+              <dd>{[address.street, address.city, address.postalCode].filter((v) => v.trim()).join(', ')}</dd>
+              <dt>Delivery time</dt>
+              <dd>{scheduledFor ? formatLocalTime(cartRestaurants[0], scheduledFor, now) : 'As soon as possible'}</dd>
+              <dt>Payment</dt>
+              <dd>{(PAYMENT_METHODS.find((m) => m.id === paymentMethod) || {}).label}</dd>
+              {promo ? (
+                <>
+                  <dt>Promo code</dt>
+                  <dd>{promo.code}</dd>
+                </>
+              ) : null}
+            </dl>
+            {renderError('cart')}
+            {renderError('street')}
+            {renderError('city')}
+            {renderError('postalCode')}
+            {renderError('deliveryTime')}
+            {renderError('paymentMethod')}
+            {partialOrders.length ? (
+              <div className="checkout-partial" role="status">
+                <p>These orders were placed and their items removed from your cart:</p>
+                <ul>
+                  {partialOrders.map(({ order, restaurant }) => (
+                    <li key={order.id}>
+                      <strong>#{order.id}</strong>
+                      {restaurant ? <> from <strong>{restaurant.name}</strong></> : null}.{' '}
+                      <Link className="cta-link" to={`/orders/${order.id}`}>Track order →</Link>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            ) : null}
+            {renderError('submit')}
+          </div>
+        )}
+
+        <footer className="checkout-foot">
+          <PriceBreakdown
+            pricing={quote}
+            promoCode={promo ? promo.code : ''}
+            showTip={step === 'payment' || step === 'confirm'}
+          />
+          <div className="checkout-actions">
+            {stepIndex > 0 ? (
+              <button type="button" className="btn-outline-ocean" onClick={goBack}>
+                Back
+              </button>
+            ) : null}
+            {step === 'confirm' && !user ? (
+              <button type="button" className="btn-ocean" onClick={onRequestSignIn}>
+                Sign in to place order
+              </button>
+            ) : step === 'confirm' ? (
+              <button
+                type="button"
+                className="btn-ocean"
+                onClick={placeOrder}
+                disabled={submitting}
+                aria-busy={submitting}
+              >
+                {submitting ? 'Placing order…' : 'Place order'}
+              </button>
+            ) : (
+              <button type="button" className="btn-ocean" onClick={goNext}>
+                Continue
+              </button>
+            )}
+          </div>
+        </footer>
+      </section>
+    </main>
+  );
+}
@@ -0,0 +1,211 @@
+import { act, render, screen, fireEvent, within } from '@testing-library/react';
+import Checkout from './Checkout';
+import { CartContents } from './CartDrawer';
+import repository from '../storage/repository';
+import { useCart } from '../storage/hooks';
+import { addToCart, clearCart, createPromotion, getCart, getOrderById, getOrdersByUser } from '../storage/localStore';
+
+beforeEach(() => {
+  window.localStorage.clear();
+});
+
+test('shows an inline error when the cart is empty', async () => {
+  render(<Checkout cart={[]} onExit={() => {}} />);
+  // Let the restaurants (for their delivery fees) load
+  await act(() => Promise.resolve());
+  fireEvent.click(screen.getByRole('button', { name: 'Continue' }));
+  expect(screen.getByRole('alert')).toHaveTextContent(/cart is empty/i);
+});
+
+test('places an order from the cart and clears it', async () => {
+  const cart = addToCart({
+    restaurantId: 1, menuItemId: 2, name: 'Penne Arrabbiata', unitPrice: 10.5, quantity: 2,
+    size: 'Large', addons: ['Extra Cheese']
+  });
+  render(<Checkout cart={cart} user={{ id: 2, name: 'Bob Smith', email: 'bob@example.com' }} onExit={() => {}} />);
+
+  fireEvent.click(screen.getByRole('button', { name: 'Continue' }));
+  // Address step blocks until the required fields are filled
+  fireEvent.click(screen.getByRole('button', { name: 'Continue' }));
+  expect(screen.getByText('Street address is required.')).toBeInTheDocument();
+
+  fireEvent.change(screen.getByLabelText('Street address'), { target: { value: '1 Harbor Way' } });
+  fireEvent.change(screen.getByLabelText('City'), { target: { value: 'Bayview' } });
+  fireEvent.change(screen.getByLabelText('Postal code'), { target: { value: '94000' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Continue' }));
+  fireEvent.click(screen.getByRole('button', { name: 'Continue' }));
+  fireEvent.click(screen.getByRole('button', { name: 'Place order' }));
+
+  const orderId = Number((await screen.findByText(/^#\d+$/)).textContent.slice(1));
+  const order = getOrderById(orderId);
+  expect(order.items[0]).toMatchObject({ menuItemId: 2, quantity: 2, size: 'Large', addons: ['Extra Cheese'] });
+  expect(order.userId).toBe(2);
+  expect(order.deliveryAddress.city).toBe('Bayview');
+  expect(getCart()).toEqual([]);
+});
+
+test('asks signed-out customers to sign in before placing the order', async () => {
+  const cart = addToCart({ restaurantId: 1, menuItemId: 1, name: 'Spaghetti Carbonara', unitPrice: 12.99, quantity: 1 });
+  const onRequestSignIn = jest.fn();
+  render(<Checkout cart={cart} onRequestSignIn={onRequestSignIn} onExit={() => {}} />);
+  await act(() => Promise.resolve());
+
+  fireEvent.click(screen.getByRole('button', { name: 'Continue' }));
+  fireEvent.change(screen.getByLabelText('Street address'), { target: { value: '1 Harbor Way' } });
+  fireEvent.change(screen.getByLabelText('City'), { target: { value: 'Bayview' } });
+  fireEvent.change(screen.getByLabelText('Postal code'), { target: { value: '94000' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Continue' }));
+  fireEvent.click(screen.getByRole('button', { name: 'Continue' }));
+
+  expect(screen.queryByRole('button', { name: 'Place order' })).not.toBeInTheDocument();
+  fireEvent.click(screen.getByRole('button', { name: 'Sign in to place order' }));
+  expect(onRequestSignIn).toHaveBeenCalled();
+});
+
+test('applies a promo code, explains refusals and records it on the order', async () => {
+  const cart = addToCart({ restaurantId: 1, menuItemId: 1, name: 'Spaghetti Carbonara', unitPrice: 12.99, quantity: 2 });
+  createPromotion({ code: 'PASTA5', description: '$5 off pasta night', type: 'amount', value: 5, minSubtotal: 20 });
+  render(<Checkout cart={cart} user={{ id: 1, name: 'Alice Johnson', email: 'alice@example.com' }} onExit={() => {}} />);
+
+  fireEvent.change(screen.getByLabelText('Promo code'), { target: { value: 'welcome' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Apply' }));
+  expect(await screen.findByRole('alert')).toHaveTextContent('“WELCOME” is only valid on your first order.');
+
+  fireEvent.change(screen.getByLabelText('Promo code'), { target: { value: 'pasta5' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Apply' }));
+  expect(await screen.findByText(/applied — \$5 off pasta night/)).toBeInTheDocument();
+  expect(screen.getByText('−$5.00')).toBeInTheDocument();
+  // 25.98 + 1.99 delivery to Alice's default address + 1.30 service + 1.73 tax − 5
+  expect(screen.getByText('$26.00')).toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole('button', { name: 'Continue' }));
+  fireEvent.change(screen.getByLabelText('Street address'), { target: { value: '1 Harbor Way' } });
+  fireEvent.change(screen.getByLabelText('City'), { target: { value: 'Bayview' } });
+  fireEvent.change(screen.getByLabelText('Postal code'), { target: { value: '94000' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Continue' }));
+  fireEvent.click(screen.getByRole('radio', { name: '10%' }));
+  // 94000 is where Pasta Palace is, so delivery costs the distance base fee of 1.99
+  expect(screen.getByText('$1.99')).toBeInTheDocument();
+  expect(screen.getByText('$28.60')).toBeInTheDocument();
+  fireEvent.click(screen.getByRole('button', { name: 'Continue' }));
+  fireEvent.click(screen.getByRole('button', { name: 'Place order' }));
+
+  const orderId = Number((await screen.findByText(/^#\d+$/)).textContent.slice(1));
+  expect(getOrderById(orderId)).toMatchObject({
+    total: 28.6,
+    pricing: { subtotal: 25.98, deliveryFee: 1.99, tip: 2.6, discount: 5 },
+    promotion: { code: 'PASTA5', discount: 5 }
+  });
+  expect(screen.getByText(/you saved \$5.00/)).toBeInTheDocument();
+});
+
+test('fills the address from the address book and refuses addresses outside the delivery zone', async () => {
+  const cart = addToCart({ restaurantId: 2, menuItemId: 3, name: 'Salmon Nigiri (2 pcs)', unitPrice: 6, quantity: 2 });
+  render(<Checkout cart={cart} user={{ id: 2, name: 'Bob Smith', email: 'bob@example.com' }} onExit={() => {}} />);
+
+  fireEvent.click(screen.getByRole('button', { name: 'Continue' }));
+  fireEvent.change(await screen.findByLabelText('Saved address'), { target: { value: '2' } });
+  expect(screen.getByLabelText('Street address')).toHaveValue('48 Sunset Boulevard');
+  expect(screen.getByLabelText('Delivery notes (optional)')).toHaveValue('Ring twice');
+
+  fireEvent.click(screen.getByRole('button', { name: 'Continue' }));
+  expect(screen.getByRole('alert')).toHaveTextContent(
+    'Sushi Central does not deliver to this address (10.1 km away; it delivers within 6 km).'
+  );
+
+  fireEvent.change(screen.getByLabelText('Postal code'), { target: { value: '94003' } });
+  expect(screen.getByLabelText('Saved address')).toHaveValue('');
+  fireEvent.click(screen.getByRole('button', { name: 'Continue' }));
+  fireEvent.click(screen.getByRole('button', { name: 'Continue' }));
+  fireEvent.click(screen.getByRole('button', { name: 'Place order' }));
+
+  const orderId = Number((await screen.findByText(/^#\d+$/)).textContent.slice(1));
+  expect(getOrderById(orderId).deliveryAddress).toMatchObject({ postalCode: '94003', lat: 37.7599, lng: -122.4148 });
+});
+
+test('the cart and checkout quote the same delivery fee and total for the default address', async () => {
+  const cart = addToCart({ restaurantId: 2, menuItemId: 6, name: 'Edamame', unitPrice: 4.5, quantity: 2 });
+  const alice = { id: 1, name: 'Alice Johnson', email: 'alice@example.com' };
+  const quoted = (name) => within(screen.getByText(name).closest('.price-row')).getByRole('definition').textContent;
+
+  const drawer = render(<CartContents cart={cart} user={alice} />);
+  // Alice's home is 2.9 km from Sushi Central: delivery is priced by distance, not the flat fee
+  await screen.findByText('$1.99');
+  const drawerQuote = [quoted('Delivery fee'), quoted('Estimated total')];
+  drawer.unmount();
+
+  render(<Checkout cart={cart} user={alice} onExit={() => {}} />);
+  await act(() => Promise.resolve());
+  fireEvent.click(screen.getByRole('button', { name: 'Continue' }));
+  expect(screen.getByLabelText('Saved address')).toHaveValue('1');
+  expect(screen.getByLabelText('Street address')).toHaveValue('12 Market Street');
+  expect([quoted('Delivery fee'), quoted('Total')]).toEqual(drawerQuote);
+});
+
+test('schedules the order for later while the restaurant is closed', async () => {
+  const cart = addToCart({ restaurantId: 2, menuItemId: 6, name: 'Edamame', unitPrice: 4.5, quantity: 1 });
+  // The cart was filled at lunch; by 15:00 Sushi Central has closed until dinner
+  Date.now.mockReturnValue(Date.parse('2026-03-04T15:00:00-08:00'));
+  render(<Checkout cart={cart} user={{ id: 1, name: 'Alice Johnson', email: 'alice@example.com' }} onExit={() => {}} />);
+  await act(() => Promise.resolve());
+
+  fireEvent.click(screen.getByRole('button', { name: 'Continue' }));
+  fireEvent.change(screen.getByLabelText('Saved address'), { target: { value: '1' } });
+  expect(screen.getByRole('radio', { name: /As soon as possible/ })).toBeDisabled();
+  fireEvent.click(screen.getByRole('button', { name: 'Continue' }));
+  expect(screen.getByRole('alert')).toHaveTextContent(
+    'Sushi Central is closed right now. Opens at 17:00. Schedule the delivery for later.'
+  );
+
+  fireEvent.click(screen.getByRole('radio', { name: 'Schedule for later' }));
+  expect(screen.getByLabelText('Deliver at')).toHaveDisplayValue('Today 17:00');
+  fireEvent.change(screen.getByLabelText('Deliver at'), {
+    target: { value: new Date(Date.parse('2026-03-04T18:30:00-08:00')).toISOString() }
+  });
+  fireEvent.click(screen.getByRole('button', { name: 'Continue' }));
+  fireEvent.click(screen.getByRole('button', { name: 'Continue' }));
+  expect(screen.getByText('Today 18:30')).toBeInTheDocument();
+  fireEvent.click(screen.getByRole('button', { name: 'Place order' }));
+
+  const orderId = Number((await screen.findByText(/^#\d+$/)).textContent.slice(1));
+  expect(getOrderById(orderId).scheduledFor).toBe('2026-03-05T02:30:00.000Z');
+  expect(screen.getByText(/Scheduled for Today 18:30/)).toBeInTheDocument();
+});
+
+test('a mixed cart that fails part-way keeps the placed orders out of the retry', async () => {
+  // Carts mixed before the one-restaurant rule: one line from each restaurant
+  const [pasta] = addToCart({ restaurantId: 1, menuItemId: 1, name: 'Spaghetti Carbonara', unitPrice: 12.99, quantity: 1 });
+  clearCart();
+  const [sushi] = addToCart({ restaurantId: 2, menuItemId: 6, name: 'Edamame', unitPrice: 4.5, quantity: 1 });
+  window.localStorage.setItem('fd_cart_v1', JSON.stringify([pasta, sushi]));
+  const placedBefore = getOrdersByUser(1).length;
+
+  const createOrder = repository.createOrder;
+  const spy = jest.spyOn(repository, 'createOrder').mockImplementation((draft) =>
+    draft.restaurantId === 2 ? Promise.reject(new Error('Network down')) : createOrder(draft)
+  );
+  function LiveCheckout() {
+    return <Checkout cart={useCart()} user={{ id: 1, name: 'Alice Johnson', email: 'alice@example.com' }} onExit={() => {}} />;
+  }
+  render(<LiveCheckout />);
+  await act(() => Promise.resolve());
+
+  fireEvent.click(screen.getByRole('button', { name: 'Continue' }));
+  fireEvent.change(screen.getByLabelText('Saved address'), { target: { value: '1' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Continue' }));
+  fireEvent.click(screen.getByRole('button', { name: 'Continue' }));
+  fireEvent.click(screen.getByRole('button', { name: 'Place order' }));
+
+  expect(await screen.findByText('We could not place your order. Please try again.')).toBeInTheDocument();
+  const partial = screen.getByText(/These orders were placed/).closest('div');
+  expect(within(partial).getByRole('listitem')).toHaveTextContent(/^#\d+ from Pasta Palace/);
+  expect(getCart()).toEqual([expect.objectContaining({ restaurantId: 2 })]);
+
+  spy.mockRestore();
+  fireEvent.click(screen.getByRole('button', { name: 'Place order' }));
+  expect(await screen.findByRole('heading', { name: 'Orders placed!' })).toBeInTheDocument();
+  expect(screen.getAllByText(/^#\d+$/)).toHaveLength(2);
+  // The Pasta Palace order was not placed a second time
+  expect(getOrdersByUser(1).length).toBe(placedBefore + 2);
+  expect(getCart()).toEqual([]);
+});
@@ -0,0 +1,47 @@
+import React, { useState } from 'react';
+import '../styles/home.css';
+import repository from '../storage/repository';
+import { findFavorite } from '../storage/favorites';
+
+/**
+ * FavoriteButton
+ * Heart toggle that saves a restaurant or dish to the signed-in user's favorites, or removes it.
+ */
+// PUBLIC_INTERFACE
+export default function FavoriteButton({ userId, favorites = [], type, targetId, name, className = '' }) {
+  /**
+   * Renders the toggle.
+   * Props:
+   * - userId: the signed-in user's id
+   * - favorites: the user's favorites (from useFavorites); aria-pressed tells whether this one is saved
+   * - type: 'restaurant' or 'menuItem'; targetId: its id; name: shown in the accessible label
+   * - className: extra classes for placement
+   */
+  const [busy, setBusy] = useState(false);
+  const saved = findFavorite(favorites, type, targetId);
+
+  const toggle = async () => {
+    setBusy(true);
+    try {
+      if (saved) await repository.deleteFavorite(saved.id);
+      else await repository.createFavorite({ userId, type, targetId });
+    } catch (err) {
+      console.error('Failed to update favorites.', err);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <button
+      type="button"
+      className={`favorite-toggle ${saved ? 'is-saved' : ''} ${className}`.trim()}
+      aria-pressed={!!saved}
+      aria-label={type === 'restaurant' ? `Favorite ${name}` : `Save ${name}`}
+      disabled={busy}
+      onClick={toggle}
+    >
+      <span aria-hidden>{saved ? '♥' : '♡'}</span>
+    </button>
+  );
+}
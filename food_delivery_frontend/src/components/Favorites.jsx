@@ -0,0 +1,109 @@
+import React, { useState } from 'react';
+import '../styles/home.css';
+import '../styles/favorites.css';
+import repository from '../storage/repository';
+import { useFavorites } from '../storage/hooks';
+import { buildPath } from '../router/router';
+import { Link } from '../router/Link';
+
+/**
+ * Favorites
+ * "My favorites" view (#/favorites): the signed-in user's favorite restaurants and saved
+ * dishes, each linking to its restaurant page, with a button to remove it. Favorites are added
+ * with the heart toggles in the directory and on restaurant pages.
+ */
+// PUBLIC_INTERFACE
+export default function Favorites({ user = null, onRequestSignIn, onBack }) {
+  /**
+   * Renders the favorites.
+   * Props:
+   * - user: the signed-in user (from the session) or null
+   * - onRequestSignIn: function to open the sign-in dialog
+   * - onBack: function to call when the user leaves the view
+   */
+  const { favorites, loading, error } = useFavorites(user ? user.id : null);
+  const [message, setMessage] = useState('');
+
+  const restaurants = favorites.filter((f) => f.type === 'restaurant');
+  const dishes = favorites.filter((f) => f.type === 'menuItem');
+
+  const remove = async (favorite) => {
+    try {
+      await repository.deleteFavorite(favorite.id);
+      setMessage(`Removed “${favorite.name}” from your favorites.`);
+    } catch (e) {
+      console.error('Failed to remove favorite.', e);
+      setMessage('Removing the favorite failed. Please try again.');
+    }
+  };
+
+  const renderRow = (favorite, meta) => (
+    <li key={favorite.id} className="favorite-row">
+      <div>
+        <Link className="favorite-row-title" to={buildPath('/restaurant/:id', { id: favorite.restaurantId })}>
+          {favorite.name}
+        </Link>
+        {meta ? <div className="favorite-row-meta">{meta}</div> : null}
+      </div>
+      <button
+        type="button"
+        className="btn-outline-ocean"
+        aria-label={`Remove ${favorite.name}`}
+        onClick={() => remove(favorite)}
+      >
+        Remove
+      </button>
+    </li>
+  );
+
+  return (
+    <main className="favorites-page" aria-label="My favorites">
+      <section className="favorites-card">
+        <header className="favorites-head">
+          <h1 className="favorites-title">My favorites</h1>
+          <button type="button" className="btn-outline-ocean" onClick={onBack}>← Back</button>
+        </header>
+
+        <div className="favorites-message" role="status" aria-live="polite">{message}</div>
+
+        {!user ? (
+          <div className="favorites-empty">
+            <p>Sign in to keep your favorite restaurants and dishes.</p>
+            <button type="button" className="btn-ocean" onClick={onRequestSignIn}>Sign in</button>
+          </div>
+        ) : loading ? (
+          <div className="favorites-empty" role="status">Loading your favorites…</div>
+        ) : error ? (
+          <div className="favorites-empty" role="alert">We could not load your favorites.</div>
+        ) : !favorites.length ? (
+          <div className="favorites-empty">
+            Nothing saved yet. Tap ♡ on a restaurant or dish to find it here.{' '}
+            <Link className="cta-link" to="/restaurants">Browse restaurants</Link>
+          </div>
+        ) : (
+          <>
+            <h2 className="favorites-subtitle">Restaurants</h2>
+            {restaurants.length ? (
+              <ul className="favorites-list" aria-label="Favorite restaurants">
+                {restaurants.map((f) => renderRow(f, ''))}
+              </ul>
+            ) : (
+              <p className="favorite-row-meta">No favorite restaurants yet.</p>
+            )}
+
+            <h2 className="favorites-subtitle">Saved dishes</h2>
+            {dishes.length ? (
+              <ul className="favorites-list" aria-label="Saved dishes">
+                {dishes.map((f) =>
+                  renderRow(f, `${f.restaurantName}${f.price != null ? ` · $${Number(f.price).toFixed(2)}` : ''}`)
+                )}
+              </ul>
+            ) : (
+              <p className="favorite-row-meta">No saved dishes yet.</p>
+            )}
+          </>
+        )}
+      </section>
+    </main>
+  );
+}
@@ -0,0 +1,39 @@
+import { render, screen, fireEvent, within } from '@testing-library/react';
+import Favorites from './Favorites';
+import RestaurantDetail from './RestaurantDetail';
+import { deleteMenuItem, getFavoritesByUser, initializeStore } from '../storage/localStore';
+
+const alice = { id: 1, name: 'Alice Johnson', email: 'alice@example.com' };
+
+beforeEach(() => {
+  window.localStorage.clear();
+  window.history.replaceState(null, '', '#/');
+  initializeStore();
+});
+
+test('lists favorite restaurants and saved dishes, which can be removed', async () => {
+  render(<Favorites user={alice} onBack={() => {}} />);
+  const restaurants = await screen.findByRole('list', { name: 'Favorite restaurants' });
+  expect(within(restaurants).getByRole('link', { name: 'Pasta Palace' })).toHaveAttribute('href', '#/restaurant/1');
+  const dishes = screen.getByRole('list', { name: 'Saved dishes' });
+  expect(within(dishes).getByText('Sushi Central · $7.50')).toBeInTheDocument();
+
+  fireEvent.click(within(restaurants).getByRole('button', { name: 'Remove Pasta Palace' }));
+  expect(await screen.findByText('No favorite restaurants yet.')).toBeInTheDocument();
+  expect(screen.getByText('Removed “Pasta Palace” from your favorites.')).toBeInTheDocument();
+
+  // Deleting the dish from the menu (e.g. in the admin console) removes it here too
+  deleteMenuItem(4);
+  expect(await screen.findByText(/Nothing saved yet/)).toBeInTheDocument();
+});
+
+test('saves dishes with the heart on the menu cards', async () => {
+  render(<RestaurantDetail restaurantId={1} user={alice} onBack={() => {}} />);
+  expect(await screen.findByRole('button', { name: 'Favorite Pasta Palace' })).toHaveAttribute('aria-pressed', 'true');
+
+  const heart = screen.getByRole('button', { name: 'Save Penne Arrabbiata' });
+  expect(heart).toHaveAttribute('aria-pressed', 'false');
+  fireEvent.click(heart);
+  expect(await screen.findByRole('button', { name: 'Save Penne Arrabbiata', pressed: true })).toBeInTheDocument();
+  expect(getFavoritesByUser(1)[0]).toMatchObject({ type: 'menuItem', targetId: 2 });
+});
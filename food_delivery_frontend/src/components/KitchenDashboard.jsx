@@ -0,0 +1,222 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import '../styles/home.css';
+import '../styles/kitchen.css';
+import repository from '../storage/repository';
+import { useStoreQuery } from '../storage/hooks';
+import { ORDER_STATUS_LABELS, getStatusEnteredAt } from '../storage/orderLifecycle';
+import { keepKitchenOpen } from '../simulation/kitchenPresence';
+
+// Board columns: the status shown, the action that moves an order on, and when it counts as late
+const COLUMNS = [
+  { status: 'placed', title: 'New', action: 'Accept', next: 'preparing', lateAfterMs: 2 * 60 * 1000 },
+  {
+    status: 'preparing',
+    title: 'Preparing',
+    action: 'Ready for pickup',
+    next: 'delivering',
+    lateAfterMs: 15 * 60 * 1000
+  },
+  {
+    status: 'delivering',
+    title: 'Out for delivery',
+    action: 'Mark delivered',
+    next: 'completed',
+    lateAfterMs: 30 * 60 * 1000
+  }
+];
+
+function formatElapsed(ms) {
+  const total = Math.max(0, Math.floor(ms / 1000));
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const seconds = String(total % 60).padStart(2, '0');
+  return hours ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}` : `${minutes}:${seconds}`;
+}
+
+function formatTime(iso) {
+  const d = new Date(iso);
+  return Number.isNaN(d.getTime()) ? '' : d.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+}
+
+/**
+ * KitchenDashboard
+ * Restaurant-side order queue: open orders for one restaurant in New / Preparing /
+ * Out for delivery columns, with accept, ready-for-pickup and delivered actions and timers
+ * showing how long each order has waited in its status.
+ * The board reloads after every order, menu or restaurant write (useStoreQuery), including
+ * writes from another tab, so the customer and kitchen views can run side by side. While the
+ * board is open, the order simulator leaves accepting and handing off its orders to it.
+ */
+// PUBLIC_INTERFACE
+export default function KitchenDashboard({ restaurantId = null, onSelectRestaurant }) {
+  /**
+   * Renders the kitchen dashboard.
+   * Props:
+   * - restaurantId: number|null, the restaurant whose queue is shown (null shows the picker only)
+   * - onSelectRestaurant: function(id) called when another restaurant is picked
+   */
+  const [message, setMessage] = useState('');
+  const [now, setNow] = useState(() => Date.now());
+
+  const { data, loading, error, reload } = useStoreQuery(
+    async () => {
+      const [restaurants, orders, users, menu] = await Promise.all([
+        repository.getRestaurants(),
+        repository.getOrders(),
+        repository.getUsers(),
+        restaurantId != null ? repository.getMenusByRestaurant(restaurantId) : Promise.resolve([])
+      ]);
+      return {
+        restaurants,
+        orders: orders.filter((o) => restaurantId != null && Number(o.restaurantId) === Number(restaurantId)),
+        users: new Map(users.map((u) => [Number(u.id), u])),
+        menuNames: new Map(menu.map((m) => [Number(m.id), m.name]))
+      };
+    },
+    ['restaurants', 'menus', 'orders', 'users'],
+    String(restaurantId)
+  );
+  const restaurants = data ? data.restaurants : [];
+  const orders = useMemo(() => (data ? data.orders : []), [data]);
+  const users = data ? data.users : new Map();
+  const menuNames = data ? data.menuNames : new Map();
+
+  // Tell the order simulator (in any tab) that this kitchen handles its own orders
+  useEffect(() => (restaurantId != null ? keepKitchenOpen(restaurantId) : undefined), [restaurantId]);
+
+  // Tick the aging timers
+  useEffect(() => {
+    const handle = window.setInterval(() => setNow(Date.now()), 1000);
+    return () => window.clearInterval(handle);
+  }, []);
+
+  const columns = useMemo(
+    () =>
+      COLUMNS.map((column) => ({
+        ...column,
+        orders: orders
+          .filter((o) => o.status === column.status)
+          // Oldest first: the order waiting longest is handled next
+          .sort((a, b) => getStatusEnteredAt(a) - getStatusEnteredAt(b))
+      })),
+    [orders]
+  );
+
+  const restaurant = restaurants.find((r) => Number(r.id) === Number(restaurantId));
+
+  const advance = async (order, next) => {
+    setMessage('');
+    try {
+      await repository.updateOrderStatus(order.id, next, { expectedRevision: order.revision });
+      // The store subscription reloads the board
+    } catch (e) {
+      const current = e.name === 'InvalidOrderTransitionError' ? ORDER_STATUS_LABELS[e.from] : null;
+      if (current) {
+        setMessage(`Order #${order.id} is already “${current}”.`);
+      } else if (e.name === 'WriteConflictError') {
+        // Changed since this board loaded it (another tab or the simulator)
+        setMessage(`Order #${order.id} changed in the meantime. Check it and try again.`);
+      } else {
+        console.error('Failed to update order.', e);
+        setMessage(`Could not update order #${order.id}. Please try again.`);
+      }
+      // A rejected transition writes nothing; show the order where it actually is
+      reload();
+    }
+  };
+
+  const itemLabel = (item) => {
+    const name = item.name || menuNames.get(Number(item.menuItemId)) || `Item ${item.menuItemId}`;
+    const extras = [item.size, ...(item.addons || [])].filter(Boolean).join(', ');
+    return `${item.quantity} × ${name}${extras ? ` (${extras})` : ''}`;
+  };
+
+  return (
+    <main className="kitchen-page" aria-label="Kitchen dashboard">
+      <header className="kitchen-head">
+        <div>
+          <h1 className="kitchen-title">Kitchen{restaurant ? ` · ${restaurant.name}` : ''}</h1>
+          <p className="kitchen-subtle">Orders update live, including from other tabs.</p>
+        </div>
+        <label className="kitchen-picker">
+          <span className="field-label">Restaurant</span>
+          <select
+            className="field-input"
+            value={restaurantId != null ? String(restaurantId) : ''}
+            onChange={(e) => onSelectRestaurant(Number(e.target.value))}
+          >
+            <option value="" disabled>Choose a restaurant</option>
+            {restaurants.map((r) => (
+              <option key={r.id} value={String(r.id)}>{r.name}</option>
+            ))}
+          </select>
+        </label>
+      </header>
+
+      <div className="kitchen-message" role="status" aria-live="polite">
+        {message || (error ? 'Could not load orders.' : '')}
+      </div>
+
+      {restaurantId == null ? (
+        <p className="kitchen-empty">Choose a restaurant to see its order queue.</p>
+      ) : loading ? (
+        <p className="kitchen-empty" role="status">Loading orders…</p>
+      ) : !restaurant ? (
+        <p className="kitchen-empty" role="alert">This restaurant does not exist anymore.</p>
+      ) : (
+        <div className="kitchen-board">
+          {columns.map((column) => (
+            <section key={column.status} className="kitchen-column" aria-labelledby={`kitchen-${column.status}`}>
+              <h2 id={`kitchen-${column.status}`} className="kitchen-column-title">
+                {column.title} <span className="kitchen-count">{column.orders.length}</span>
+              </h2>
+              {column.orders.length === 0 ? (
+                <p className="kitchen-column-empty">Nothing here.</p>
+              ) : (
+                <ul className="kitchen-tickets">
+                  {column.orders.map((order) => {
+                    const enteredAt = getStatusEnteredAt(order);
+                    const waited = Number.isFinite(enteredAt) ? now - enteredAt : 0;
+                    const late = waited > column.lateAfterMs;
+                    const customer = users.get(Number(order.userId));
+                    return (
+                      <li
+                        key={order.id}
+                        className={`kitchen-ticket ${late ? 'is-late' : ''}`}
+                        aria-label={`Order #${order.id}`}
+                      >
+                        <div className="kitchen-ticket-head">
+                          <strong>#{order.id}</strong>
+                          <span className="kitchen-timer" title={`In “${column.title}” for`}>
+                            {late ? 'Late · ' : ''}{formatElapsed(waited)}
+                          </span>
+                        </div>
+                        <div className="kitchen-ticket-meta">
+                          {customer ? `${customer.name} · ` : ''}placed {formatTime(order.createdAt)}
+                          {order.scheduledFor ? ` · due ${formatTime(order.scheduledFor)}` : ''}
+                        </div>
+                        <ul className="kitchen-items">
+                          {(order.items || []).map((item, i) => (
+                            <li key={`${item.menuItemId}-${i}`}>{itemLabel(item)}</li>
+                          ))}
+                        </ul>
+                        <button
+                          type="button"
+                          className="btn-ocean"
+                          onClick={() => advance(order, column.next)}
+                          aria-label={`${column.action}: order #${order.id}`}
+                        >
+                          {column.action}
+                        </button>
+                      </li>
+                    );
+                  })}
+                </ul>
+              )}
+            </section>
+          ))}
+        </div>
+      )}
+    </main>
+  );
+}
@@ -0,0 +1,56 @@
+import { render, screen, fireEvent, within } from '@testing-library/react';
+import KitchenDashboard from './KitchenDashboard';
+import { createOrder, getOrderById, initializeStore, updateOrderStatus } from '../storage/localStore';
+import { isKitchenOpen } from '../simulation/kitchenPresence';
+
+beforeEach(() => {
+  window.localStorage.clear();
+  initializeStore();
+});
+
+// Columns are labelled by their title and count, e.g. "Preparing 1"
+const column = (name) => screen.findByRole('region', { name: new RegExp(`^${name} \\d+$`) });
+
+test('moves orders through the queue and follows writes made elsewhere', async () => {
+  const order = createOrder({ userId: 1, restaurantId: 2, items: [{ menuItemId: 4, quantity: 2, size: 'Large' }] });
+  render(<KitchenDashboard restaurantId={2} onSelectRestaurant={() => {}} />);
+
+  const ticket = await within(await column('New')).findByRole('listitem', { name: `Order #${order.id}` });
+  expect(within(ticket).getByText('2 × California Roll (Large)')).toBeInTheDocument();
+  expect(within(ticket).getByText(/Alice Johnson/)).toBeInTheDocument();
+
+  fireEvent.click(within(ticket).getByRole('button', { name: `Accept: order #${order.id}` }));
+  expect(await within(await column('Preparing')).findByRole('listitem', { name: `Order #${order.id}` })).toBeInTheDocument();
+  expect(getOrderById(order.id).status).toBe('preparing');
+
+  // e.g. the simulator or another view hands the order off
+  updateOrderStatus(order.id, 'delivering');
+  const handedOff = await within(await column('Out for delivery')).findByRole('listitem', { name: `Order #${order.id}` });
+  fireEvent.click(within(handedOff).getByRole('button', { name: /Mark delivered/ }));
+  expect(await within(await column('Out for delivery')).findByText('Nothing here.')).toBeInTheDocument();
+  expect(getOrderById(order.id).status).toBe('completed');
+});
+
+test('reports an order that was cancelled before it could be accepted', async () => {
+  const order = createOrder({ userId: 1, restaurantId: 2, items: [{ menuItemId: 4, quantity: 1 }] });
+  render(<KitchenDashboard restaurantId={2} onSelectRestaurant={() => {}} />);
+  const accept = await screen.findByRole('button', { name: `Accept: order #${order.id}` });
+
+  // Cancelled in another tab: the write happened, but this tab has not re-rendered yet
+  const stored = JSON.parse(window.localStorage.getItem('fd_app_state_v1'));
+  stored.orders = stored.orders.map((o) => (o.id === order.id ? { ...o, status: 'cancelled' } : o));
+  window.localStorage.setItem('fd_app_state_v1', JSON.stringify(stored));
+
+  fireEvent.click(accept);
+  expect(await screen.findByText(`Order #${order.id} is already “Cancelled”.`)).toBeInTheDocument();
+  expect(screen.queryByRole('listitem', { name: `Order #${order.id}` })).not.toBeInTheDocument();
+});
+
+test('keeps the order simulator away from its orders while open', async () => {
+  const { unmount } = render(<KitchenDashboard restaurantId={2} onSelectRestaurant={() => {}} />);
+  await column('New');
+  expect(isKitchenOpen(2)).toBe(true);
+  expect(isKitchenOpen(1)).toBe(false);
+  unmount();
+  expect(isKitchenOpen(2)).toBe(false);
+});
@@ -0,0 +1,207 @@
+import React, { useState } from 'react';
+import '../styles/home.css';
+import '../styles/admin.css';
+import { DIETARY_LABELS, DIETARY_TAGS } from '../storage/menuCatalog';
+import { validateMenuItemFields } from '../storage/catalogAdmin';
+
+// Ribbon presets shown on menu cards (see the seed data)
+const TAG_PRESETS = {
+  new: { label: 'New', tone: 'blue' },
+  'best-seller': { label: 'Best Seller', tone: 'amber' }
+};
+
+function tagPresetId(tag) {
+  const label = tag && tag.label;
+  return Object.keys(TAG_PRESETS).find((id) => TAG_PRESETS[id].label === label) || '';
+}
+
+function toFormValues(item) {
+  return {
+    name: item ? item.name || '' : '',
+    price: item && item.price != null ? String(item.price) : '',
+    category: item ? item.category || '' : '',
+    description: item ? item.description || '' : '',
+    image: item ? item.image || '' : '',
+    tag: tagPresetId(item && item.tag),
+    dietary: item && Array.isArray(item.dietary) ? item.dietary : []
+  };
+}
+
+/**
+ * MenuItemForm
+ * Create/edit form for a menu item used by the admin console. Validates on submit
+ * (name required, price above 0, image must be an http(s) URL). Option groups are kept
+ * as they are; the form only lists how many the item has.
+ */
+// PUBLIC_INTERFACE
+export default function MenuItemForm({ item = null, categories = [], onSubmit, onCancel }) {
+  /**
+   * Renders the menu item form.
+   * Props:
+   * - item: the menu item to edit, or null to create one
+   * - categories: existing category names offered as suggestions
+   * - onSubmit: async function({ name, price, category, description, image, tag, dietary }) that saves
+   * - onCancel: function to close the form without saving
+   */
+  const [values, setValues] = useState(() => toFormValues(item));
+  const [errors, setErrors] = useState({});
+  const [submitError, setSubmitError] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const setField = (name) => (e) => setValues((prev) => ({ ...prev, [name]: e.target.value }));
+
+  const toggleDietary = (tag) => {
+    setValues((prev) => ({
+      ...prev,
+      dietary: prev.dietary.includes(tag) ? prev.dietary.filter((t) => t !== tag) : [...prev.dietary, tag]
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const found = validateMenuItemFields(values);
+    setErrors(found);
+    setSubmitError('');
+    if (Object.keys(found).length) return;
+    setSubmitting(true);
+    try {
+      await onSubmit({
+        name: values.name.trim(),
+        price: Math.round(Number(values.price) * 100) / 100,
+        category: values.category.trim(),
+        description: values.description.trim(),
+        image: values.image.trim(),
+        tag: values.tag ? TAG_PRESETS[values.tag] : null,
+        dietary: DIETARY_TAGS.filter((t) => values.dietary.includes(t))
+      });
+    } catch (err) {
+      if (err.name === 'MenuValidationError') {
+        setSubmitError(err.errors.join(' '));
+      } else if (err.name === 'WriteConflictError') {
+        setSubmitError('This menu item was changed elsewhere since you opened it. Cancel and reopen it to see the latest version.');
+      } else {
+        console.error('Failed to save menu item.', err);
+        setSubmitError('Saving the menu item failed. Please try again.');
+      }
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const fieldId = (name) => `menu-item-${name}`;
+  const errorFor = (name) =>
+    errors[name] ? (
+      <span id={`${fieldId(name)}-error`} className="admin-field-error">{errors[name]}</span>
+    ) : null;
+  const describe = (name) => ({
+    'aria-invalid': errors[name] ? 'true' : undefined,
+    'aria-describedby': errors[name] ? `${fieldId(name)}-error` : undefined
+  });
+  const optionCount = item && Array.isArray(item.options) ? item.options.length : 0;
+
+  return (
+    <form
+      className="admin-form"
+      onSubmit={handleSubmit}
+      noValidate
+      aria-label={item ? `Edit ${item.name}` : 'New menu item'}
+    >
+      <div className="admin-form-grid">
+        <div className="admin-field">
+          <label className="field-label" htmlFor={fieldId('name')}>Name</label>
+          <input
+            id={fieldId('name')}
+            className="field-input"
+            value={values.name}
+            onChange={setField('name')}
+            {...describe('name')}
+          />
+          {errorFor('name')}
+        </div>
+        <div className="admin-field">
+          <label className="field-label" htmlFor={fieldId('price')}>Price ($)</label>
+          <input
+            id={fieldId('price')}
+            className="field-input"
+            type="number"
+            min={0}
+            step={0.01}
+            value={values.price}
+            onChange={setField('price')}
+            {...describe('price')}
+          />
+          {errorFor('price')}
+        </div>
+        <div className="admin-field">
+          <label className="field-label" htmlFor={fieldId('category')}>Category</label>
+          <input
+            id={fieldId('category')}
+            className="field-input"
+            list={fieldId('categories')}
+            placeholder="Other"
+            value={values.category}
+            onChange={setField('category')}
+          />
+          <datalist id={fieldId('categories')}>
+            {categories.map((c) => <option key={c} value={c} />)}
+          </datalist>
+        </div>
+        <div className="admin-field">
+          <label className="field-label" htmlFor={fieldId('tag')}>Ribbon</label>
+          <select id={fieldId('tag')} className="field-input" value={values.tag} onChange={setField('tag')}>
+            <option value="">None</option>
+            {Object.keys(TAG_PRESETS).map((id) => (
+              <option key={id} value={id}>{TAG_PRESETS[id].label}</option>
+            ))}
+          </select>
+        </div>
+        <div className="admin-field is-wide">
+          <label className="field-label" htmlFor={fieldId('description')}>Description</label>
+          <textarea
+            id={fieldId('description')}
+            className="field-input"
+            rows={2}
+            value={values.description}
+            onChange={setField('description')}
+          />
+        </div>
+        <div className="admin-field is-wide">
+          <label className="field-label" htmlFor={fieldId('image')}>Image URL</label>
+          <input
+            id={fieldId('image')}
+            className="field-input"
+            type="url"
+            placeholder="https://…"
+            value={values.image}
+            onChange={setField('image')}
+            {...describe('image')}
+          />
+          {errorFor('image')}
+        </div>
+        <fieldset className="admin-field is-wide admin-checks">
+          <legend className="field-label">Dietary</legend>
+          {DIETARY_TAGS.map((tag) => (
+            <label key={tag} className="admin-check">
+              <input type="checkbox" checked={values.dietary.includes(tag)} onChange={() => toggleDietary(tag)} />
+              {DIETARY_LABELS[tag]}
+            </label>
+          ))}
+        </fieldset>
+      </div>
+
+      {optionCount ? (
+        <p className="admin-subtle">
+          {optionCount} option group{optionCount === 1 ? '' : 's'} (sizes, add-ons) are kept unchanged.
+        </p>
+      ) : null}
+      {submitError ? <p className="admin-field-error" role="alert">{submitError}</p> : null}
+
+      <div className="admin-form-actions">
+        <button type="button" className="btn-outline-ocean" onClick={onCancel}>Cancel</button>
+        <button type="submit" className="btn-ocean" disabled={submitting}>
+          {item ? 'Save menu item' : 'Add menu item'}
+        </button>
+      </div>
+    </form>
+  );
+}
@@ -0,0 +1,275 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import '../styles/home.css';
+import '../styles/orders.css';
+import repository from '../storage/repository';
+import { ORDER_STATUSES, ORDER_STATUS_LABELS } from '../storage/orderLifecycle';
+import { priceSelection, selectionFromLabels, validateSelection } from '../storage/menuOptions';
+import { getOpenState } from '../storage/openingHours';
+import { formatStars, getReviewBlocker } from '../storage/reviews';
+import { Link } from '../router/Link';
+import ReviewForm from './ReviewForm';
+
+function formatDate(iso) {
+  const d = new Date(iso);
+  return Number.isNaN(d.getTime()) ? '' : d.toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' });
+}
+
+// Resolves every distinct menu item referenced by the orders; missing items map to undefined.
+async function loadMenuItems(orders) {
+  const ids = Array.from(new Set(orders.flatMap((o) => o.items.map((it) => Number(it.menuItemId)))));
+  const items = await Promise.all(ids.map((id) => repository.getMenuItemById(id)));
+  return new Map(ids.map((id, i) => [id, items[i]]));
+}
+
+/**
+ * OrderHistory
+ * "My orders" view (#/orders): past orders for the current user with restaurant,
+ * item names resolved from the menu, total, status and date. Supports filtering by
+ * status and reordering, which rebuilds the cart at current menu prices and flags
+ * items that are no longer on the menu (or no longer offer the options picked).
+ * Reordering from a restaurant that is closed right now, or that is gone, leaves the cart
+ * untouched, and so does a reorder that fails part-way.
+ * Delivered orders can be rated once ("Rate order"); reviewed orders show their stars.
+ */
+// PUBLIC_INTERFACE
+export default function OrderHistory({ user = null, onRequestSignIn, onBack, onReordered }) {
+  /**
+   * Renders the order history.
+   * Props:
+   * - user: the signed-in user (from the session) or null
+   * - onRequestSignIn: function to open the sign-in dialog
+   * - onBack: function to call when the user leaves the view
+   * - onReordered: function called after a reorder has rebuilt the cart
+   */
+  const [orders, setOrders] = useState([]);
+  const [restaurants, setRestaurants] = useState(new Map());
+  const [menuItems, setMenuItems] = useState(new Map());
+  const [statusFilter, setStatusFilter] = useState('all');
+  const [loading, setLoading] = useState(true);
+  const [message, setMessage] = useState('');
+  const [reviews, setReviews] = useState([]);
+  const [reviewingId, setReviewingId] = useState(null);
+
+  const userId = user ? user.id : null;
+
+  useEffect(() => {
+    let cancelled = false;
+    setOrders([]);
+    setReviews([]);
+    setReviewingId(null);
+    if (userId == null) {
+      setLoading(false);
+      return undefined;
+    }
+    setLoading(true);
+    (async () => {
+      const list = await repository.getOrdersByUser(userId);
+      const [allRestaurants, items, given] = await Promise.all([
+        repository.getRestaurants(),
+        loadMenuItems(list),
+        repository.getReviewsByUser(userId)
+      ]);
+      if (cancelled) return;
+      setOrders(list.slice().sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt))));
+      setRestaurants(new Map(allRestaurants.map((r) => [Number(r.id), r])));
+      setMenuItems(items);
+      setReviews(given);
+    })()
+      .catch((e) => {
+        console.error('Failed to load order history.', e);
+        if (!cancelled) setMessage('We could not load your orders.');
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [userId]);
+
+  const visible = useMemo(
+    () => (statusFilter === 'all' ? orders : orders.filter((o) => o.status === statusFilter)),
+    [orders, statusFilter]
+  );
+
+  // Items ordered before selections were stored only carry their size/addons labels
+  const selectionOf = (menu, it) => it.options || selectionFromLabels(menu, [it.size, ...(it.addons || [])]);
+
+  // An item can be reordered while it is on the menu and its picked options still exist
+  const isReorderable = (it) => {
+    const menu = menuItems.get(Number(it.menuItemId));
+    return !!menu && Object.keys(validateSelection(menu, selectionOf(menu, it))).length === 0;
+  };
+
+  const onReorder = async (order) => {
+    const restaurant = restaurants.get(Number(order.restaurantId));
+    if (!restaurant) {
+      setMessage(`The restaurant of order #${order.id} is no longer on the app.`);
+      return;
+    }
+    const lines = order.items
+      .filter(isReorderable)
+      .map((it) => {
+        const menu = menuItems.get(Number(it.menuItemId));
+        return {
+          restaurantId: order.restaurantId,
+          menuItemId: menu.id,
+          name: menu.name,
+          quantity: it.quantity,
+          ...priceSelection(menu, selectionOf(menu, it))
+        };
+      });
+    if (!lines.length) {
+      setMessage(`None of the items from order #${order.id} are available anymore.`);
+      return;
+    }
+    const openState = getOpenState(restaurant);
+    if (!openState.open) {
+      setMessage(`${restaurant.name} is closed right now.${openState.opensAt ? ` ${openState.label}.` : ''} Reorder once it is open.`);
+      return;
+    }
+
+    const previous = await repository.getCart();
+    try {
+      await repository.clearCart();
+      for (const line of lines) {
+        await repository.addToCart(line);
+      }
+    } catch (e) {
+      // Put the cart back as it was rather than leave part of the order in it
+      await repository.restoreCart(previous);
+      if (e.name === 'RestaurantClosedError') {
+        setMessage(`${e.message} Reorder once it is open.`);
+      } else {
+        console.error('Failed to reorder.', e);
+        setMessage(`Could not reorder order #${order.id}. Please try again.`);
+      }
+      return;
+    }
+
+    const skipped = order.items.length - lines.length;
+    setMessage(
+      skipped
+        ? `Cart rebuilt from order #${order.id}. ${skipped} item${skipped > 1 ? 's are' : ' is'} no longer available and ${skipped > 1 ? 'were' : 'was'} skipped.`
+        : `Cart rebuilt from order #${order.id} at current prices.`
+    );
+    if (onReordered) onReordered(order);
+  };
+
+  const reviewOf = (order) => reviews.find((r) => Number(r.orderId) === Number(order.id));
+
+  const onReview = async (order, values) => {
+    const review = await repository.createReview({ orderId: order.id, userId, ...values });
+    setReviews((prev) => [...prev, review]);
+    setReviewingId(null);
+    setMessage(`Thanks for reviewing order #${order.id}.`);
+  };
+
+  return (
+    <main className="orders-page" aria-label="My orders">
+      <section className="orders-card">
+        <header className="orders-head">
+          <h1 className="orders-title">My orders</h1>
+          <button type="button" className="btn-outline-ocean" onClick={onBack}>← Back</button>
+        </header>
+
+        <div className="orders-filters" role="group" aria-label="Filter by status">
+          {['all', ...ORDER_STATUSES].map((status) => (
+            <button
+              key={status}
+              type="button"
+              className={`filter-chip ${statusFilter === status ? 'is-active' : ''}`}
+              aria-pressed={statusFilter === status}
+              onClick={() => setStatusFilter(status)}
+            >
+              {status === 'all' ? 'All' : ORDER_STATUS_LABELS[status]}
+            </button>
+          ))}
+        </div>
+
+        <div className="orders-message" role="status" aria-live="polite">{message}</div>
+
+        {!user ? (
+          <div className="orders-empty">
+            <p>Sign in to see your orders.</p>
+            <button type="button" className="btn-ocean" onClick={onRequestSignIn}>Sign in</button>
+          </div>
+        ) : loading ? (
+          <div className="orders-empty" role="status">Loading your orders…</div>
+        ) : visible.length === 0 ? (
+          <div className="orders-empty">
+            {orders.length ? 'No orders with this status.' : 'You have not placed any orders yet.'}
+          </div>
+        ) : (
+          <ul className="orders-list">
+            {visible.map((order) => {
+              const restaurant = restaurants.get(Number(order.restaurantId));
+              const review = reviewOf(order);
+              const canReview = !getReviewBlocker(order, { userId, reviews });
+              return (
+                <li key={order.id} className="order-row">
+                  <div className="order-row-head">
+                    <div>
+                      <Link className="order-row-title" to={`/orders/${order.id}`}>
+                        {restaurant ? restaurant.name : 'Restaurant unavailable'} · #{order.id}
+                      </Link>
+                      <div className="order-row-meta">
+                        {formatDate(order.createdAt)}
+                        {order.scheduledFor ? ` · scheduled for ${formatDate(order.scheduledFor)}` : ''}
+                      </div>
+                    </div>
+                    <span className={`status-chip is-${order.status}`}>
+                      {ORDER_STATUS_LABELS[order.status] || order.status}
+                    </span>
+                  </div>
+
+                  <ul className="order-row-items">
+                    {order.items.map((it, i) => {
+                      const menu = menuItems.get(Number(it.menuItemId));
+                      const available = isReorderable(it);
+                      return (
+                        <li key={`${it.menuItemId}-${i}`} className={available ? '' : 'is-missing'}>
+                          {it.quantity} × {menu ? menu.name : (it.name || `Item #${it.menuItemId}`)}
+                          {it.size ? ` (${it.size})` : ''}
+                          {!menu ? <span className="missing-flag"> — no longer available</span> : null}
+                          {menu && !available ? <span className="missing-flag"> — options changed</span> : null}
+                        </li>
+                      );
+                    })}
+                  </ul>
+
+                  <div className="order-row-foot">
+                    <strong>${Number(order.total).toFixed(2)}</strong>
+                    <div className="order-row-actions">
+                      {review ? (
+                        <span className="review-given" aria-label={`You rated this order ${review.rating} out of 5`}>
+                          {formatStars(review.rating)}
+                        </span>
+                      ) : canReview && reviewingId !== order.id ? (
+                        <button type="button" className="btn-outline-ocean" onClick={() => setReviewingId(order.id)}>
+                          Rate order
+                        </button>
+                      ) : null}
+                      <button type="button" className="btn-ocean" onClick={() => onReorder(order)}>
+                        Reorder
+                      </button>
+                    </div>
+                  </div>
+
+                  {canReview && reviewingId === order.id ? (
+                    <ReviewForm
+                      order={order}
+                      restaurantName={restaurant ? restaurant.name : ''}
+                      onSubmit={(values) => onReview(order, values)}
+                      onCancel={() => setReviewingId(null)}
+                    />
+                  ) : null}
+                </li>
+              );
+            })}
+          </ul>
+        )}
+      </section>
+    </main>
+  );
+}
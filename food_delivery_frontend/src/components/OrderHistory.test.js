@@ -0,0 +1,121 @@
+import { render, screen, fireEvent, within } from '@testing-library/react';
+import OrderHistory from './OrderHistory';
+import repository from '../storage/repository';
+import {
+  addToCart,
+  createOrder,
+  deleteMenuItem,
+  deleteRestaurant,
+  getCart,
+  getRestaurantById,
+  getReviewsByUser,
+  initializeStore,
+  updateMenuItem,
+  updateOrderStatus
+} from '../storage/localStore';
+
+const alice = { id: 1, name: 'Alice Johnson', email: 'alice@example.com' };
+
+beforeEach(() => {
+  window.localStorage.clear();
+  initializeStore();
+});
+
+test('lists the user orders and filters them by status', async () => {
+  const order = createOrder({ userId: 1, restaurantId: 2, items: [{ menuItemId: 4, quantity: 2 }] });
+  render(<OrderHistory user={alice} onBack={() => {}} />);
+
+  expect(await screen.findByText(`Sushi Central · #${order.id}`)).toBeInTheDocument();
+  expect(screen.getByText(/Pasta Palace · #1/)).toBeInTheDocument();
+  expect(screen.getByText('2 × California Roll')).toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole('button', { name: 'Delivered' }));
+  expect(screen.getByText('No orders with this status.')).toBeInTheDocument();
+});
+
+test('reorder rebuilds the cart at current prices and skips removed items', async () => {
+  const order = createOrder({
+    userId: 1,
+    restaurantId: 1,
+    items: [{ menuItemId: 1, quantity: 1 }, { menuItemId: 2, quantity: 3, size: 'Large' }]
+  });
+  updateMenuItem(2, { price: 11 });
+  deleteMenuItem(1);
+  const onReordered = jest.fn();
+  render(<OrderHistory user={alice} onBack={() => {}} onReordered={onReordered} />);
+
+  const row = (await screen.findByText(`Pasta Palace · #${order.id}`)).closest('li');
+  expect(within(row).getByText(/no longer available/)).toBeInTheDocument();
+
+  fireEvent.click(within(row).getByRole('button', { name: 'Reorder' }));
+  expect(await screen.findByText(/1 item is no longer available/)).toBeInTheDocument();
+  expect(getCart()).toEqual([
+    // New base price plus the current Large price delta
+    expect.objectContaining({ menuItemId: 2, quantity: 3, unitPrice: 13.5, size: 'Large', options: { size: ['large'] } })
+  ]);
+  expect(onReordered).toHaveBeenCalledWith(expect.objectContaining({ id: order.id }));
+});
+
+test('a reorder that fails part-way puts the previous cart back', async () => {
+  const order = createOrder({
+    userId: 1,
+    restaurantId: 1,
+    items: [{ menuItemId: 1, quantity: 1 }, { menuItemId: 2, quantity: 1 }]
+  });
+  const previous = addToCart({ restaurantId: 2, menuItemId: 4, name: 'California Roll', unitPrice: 7.5, quantity: 1 });
+  const addToCartOnce = repository.addToCart;
+  const spy = jest
+    .spyOn(repository, 'addToCart')
+    .mockImplementationOnce(addToCartOnce)
+    .mockRejectedValueOnce(new Error('Network down'));
+  const logged = jest.spyOn(console, 'error').mockImplementation(() => {});
+  render(<OrderHistory user={alice} onBack={() => {}} />);
+
+  const row = (await screen.findByText(`Pasta Palace · #${order.id}`)).closest('li');
+  fireEvent.click(within(row).getByRole('button', { name: 'Reorder' }));
+  expect(await screen.findByText(`Could not reorder order #${order.id}. Please try again.`)).toBeInTheDocument();
+  expect(getCart()).toEqual(previous);
+  expect(logged).toHaveBeenCalled();
+  spy.mockRestore();
+  logged.mockRestore();
+});
+
+test('reordering from a restaurant that is gone leaves the cart alone', async () => {
+  const previous = addToCart({ restaurantId: 2, menuItemId: 4, name: 'California Roll', unitPrice: 7.5, quantity: 1 });
+  deleteRestaurant(1);
+  render(<OrderHistory user={alice} onBack={() => {}} />);
+
+  const row = (await screen.findByText('Restaurant unavailable · #1')).closest('li');
+  fireEvent.click(within(row).getByRole('button', { name: 'Reorder' }));
+  expect(await screen.findByText('The restaurant of order #1 is no longer on the app.')).toBeInTheDocument();
+  expect(getCart()).toEqual(previous);
+});
+
+test('rates a delivered order once', async () => {
+  const order = createOrder({ userId: 1, restaurantId: 2, items: [{ menuItemId: 4, quantity: 1 }] });
+  ['preparing', 'delivering', 'completed'].forEach((status) => updateOrderStatus(order.id, status));
+  render(<OrderHistory user={alice} onBack={() => {}} />);
+
+  const row = (await screen.findByText(`Sushi Central · #${order.id}`)).closest('li');
+  // Orders still on their way cannot be rated
+  expect(within(screen.getByText(/Pasta Palace · #1/).closest('li')).queryByRole('button', { name: 'Rate order' }))
+    .not.toBeInTheDocument();
+
+  fireEvent.click(within(row).getByRole('button', { name: 'Rate order' }));
+  const form = within(row).getByRole('form', { name: `Review order #${order.id} from Sushi Central` });
+  fireEvent.click(within(form).getByRole('button', { name: 'Post review' }));
+  expect(within(form).getByText('Pick 1 to 5 stars.')).toBeInTheDocument();
+
+  fireEvent.click(within(form).getByLabelText('4 stars'));
+  fireEvent.change(within(form).getByLabelText('Your review (optional)'), { target: { value: 'Crisp rolls.' } });
+  fireEvent.change(within(form).getByLabelText('Stars for California Roll'), { target: { value: '5' } });
+  fireEvent.click(within(form).getByRole('button', { name: 'Post review' }));
+
+  expect(await screen.findByText(`Thanks for reviewing order #${order.id}.`)).toBeInTheDocument();
+  expect(within(row).getByLabelText('You rated this order 4 out of 5')).toHaveTextContent('★★★★☆');
+  expect(within(row).queryByRole('button', { name: 'Rate order' })).not.toBeInTheDocument();
+  expect(getReviewsByUser(1)).toEqual([
+    expect.objectContaining({ orderId: order.id, rating: 4, text: 'Crisp rolls.', items: [{ menuItemId: 4, rating: 5 }] })
+  ]);
+  expect(getRestaurantById(2)).toEqual(expect.objectContaining({ reviewCount: 6 }));
+});
@@ -0,0 +1,174 @@
+import React, { useEffect, useState } from 'react';
+import '../styles/home.css';
+import '../styles/tracking.css';
+import repository from '../storage/repository';
+import { useNow, useOrder } from '../storage/hooks';
+import { formatArrivalWindow } from '../storage/deliveryEstimates';
+import PriceBreakdown from './PriceBreakdown';
+import { getOrderSimulator } from '../simulation/orderSimulator';
+import {
+  ORDER_PROGRESS,
+  ORDER_STATUS_LABELS,
+  canTransitionOrder
+} from '../storage/orderLifecycle';
+
+function formatTime(iso) {
+  if (!iso) return '';
+  const d = new Date(iso);
+  return Number.isNaN(d.getTime()) ? '' : d.toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' });
+}
+
+/**
+ * OrderTracking
+ * Tracking view for a single order (#/orders/<id>): a progress timeline over
+ * placed → preparing → delivering → completed with the time each step was reached,
+ * a cancelled banner, and a cancel action while the order can still be cancelled.
+ * While the order is open the banner shows its estimated arrival (order.eta), which the store
+ * works out again at every status change.
+ * Follows live status changes from the order simulator, the kitchen dashboard and other tabs.
+ */
+// PUBLIC_INTERFACE
+export default function OrderTracking({ orderId, onBack }) {
+  /**
+   * Renders the tracking view.
+   * Props:
+   * - orderId: number|string, the order to track
+   * - onBack: function to call when the user leaves the view
+   */
+  const { order, restaurant, loading, error: loadError, reload } = useOrder(orderId);
+  const now = useNow();
+  const [actionError, setActionError] = useState('');
+  const error = actionError || (loadError ? 'We could not load this order.' : '');
+
+  // The store reports local writes itself; this also covers a simulator writing to a REST backend
+  useEffect(() => {
+    const simulator = getOrderSimulator();
+    if (!simulator) return undefined;
+    return simulator.subscribe((event) => {
+      if (event.type === 'status' && Number(event.orderId) === Number(orderId)) reload();
+    });
+  }, [orderId, reload]);
+
+  const onCancel = async () => {
+    if (!window.confirm('Cancel this order?')) return;
+    try {
+      setActionError('');
+      await repository.updateOrderStatus(order.id, 'cancelled');
+    } catch (e) {
+      setActionError(e.message || 'This order can no longer be cancelled.');
+    }
+    // Also picks up the order's current state after a rejected cancel
+    reload();
+  };
+
+  if (loading) {
+    return (
+      <main className="tracking-page" aria-busy="true">
+        <div className="tracking-card" role="status">Loading order…</div>
+      </main>
+    );
+  }
+
+  if (!order) {
+    return (
+      <main className="tracking-page">
+        <div className="tracking-card">
+          <button type="button" className="btn-outline-ocean" onClick={onBack}>← Back</button>
+          <p className="tracking-error" role="alert">{error || 'Order not found.'}</p>
+        </div>
+      </main>
+    );
+  }
+
+  const history = Array.isArray(order.statusHistory) ? order.statusHistory : [];
+  const reachedAt = (status) => {
+    const entry = history.find((h) => h.status === status);
+    return entry ? entry.at : null;
+  };
+  const cancelled = order.status === 'cancelled';
+  const currentIdx = ORDER_PROGRESS.indexOf(order.status);
+  // Orders placed before delivery estimates have no eta
+  const arrival = formatArrivalWindow(order.eta, restaurant, now);
+
+  return (
+    <main className="tracking-page" aria-label={`Tracking order ${order.id}`}>
+      <section className="tracking-card">
+        <header className="tracking-head">
+          <div>
+            <h1 className="tracking-title">Order #{order.id}</h1>
+            <p className="tracking-subtle">
+              {restaurant ? restaurant.name : 'Restaurant unavailable'} · placed {formatTime(order.createdAt)}
+              {order.scheduledFor ? ` · scheduled for ${formatTime(order.scheduledFor)}` : ''}
+            </p>
+          </div>
+          <button type="button" className="btn-outline-ocean" onClick={onBack}>← Back</button>
+        </header>
+
+        {cancelled ? (
+          <div className="tracking-banner is-cancelled" role="status">
+            This order was cancelled {formatTime(reachedAt('cancelled'))}.
+          </div>
+        ) : (
+          <div className="tracking-banner" role="status" aria-live="polite">
+            {ORDER_STATUS_LABELS[order.status] || order.status}
+            {arrival ? ` · arriving ${arrival}` : ''}
+          </div>
+        )}
+
+        <ol className="tracking-timeline" aria-label="Order progress">
+          {ORDER_PROGRESS.map((status, i) => {
+            const at = reachedAt(status);
+            const state = cancelled
+              ? (at ? 'is-done' : 'is-skipped')
+              : i < currentIdx ? 'is-done' : i === currentIdx ? 'is-current' : '';
+            return (
+              <li
+                key={status}
+                className={`tracking-step ${state}`}
+                aria-current={!cancelled && i === currentIdx ? 'step' : undefined}
+              >
+                <span className="tracking-dot" aria-hidden />
+                <div>
+                  <div className="tracking-step-label">{ORDER_STATUS_LABELS[status]}</div>
+                  <div className="tracking-step-time">{at ? formatTime(at) : '—'}</div>
+                </div>
+              </li>
+            );
+          })}
+        </ol>
+
+        <ul className="tracking-items" aria-label="Items">
+          {order.items.map((it, i) => (
+            <li key={`${it.menuItemId}-${i}`}>
+              <span>
+                {it.quantity} × {it.name || `Item #${it.menuItemId}`}
+                {it.size ? ` (${it.size})` : ''}
+              </span>
+              <span>${(it.quantity * it.unitPrice).toFixed(2)}</span>
+            </li>
+          ))}
+          {order.pricing ? null : (
+            <li className="tracking-total">
+              <span>Total</span>
+              <strong>${Number(order.total).toFixed(2)}</strong>
+            </li>
+          )}
+        </ul>
+        {/* Orders placed before pricing breakdowns only stored the total */}
+        {order.pricing ? (
+          <PriceBreakdown pricing={order.pricing} promoCode={order.promotion ? order.promotion.code : ''} />
+        ) : null}
+
+        {error ? <p className="tracking-error" role="alert">{error}</p> : null}
+
+        {canTransitionOrder(order.status, 'cancelled') ? (
+          <div className="tracking-actions">
+            <button type="button" className="btn-outline-ocean" onClick={onCancel}>
+              Cancel order
+            </button>
+          </div>
+        ) : null}
+      </section>
+    </main>
+  );
+}
@@ -0,0 +1,51 @@
+import React from 'react';
+import '../styles/cart.css';
+
+const money = (n) => `$${(Number(n) || 0).toFixed(2)}`;
+
+/**
+ * PriceBreakdown
+ * The rows of a price breakdown from storage/pricing (subtotal, fees, tax, tip, discount,
+ * total). Shared by the cart, checkout and order tracking so they show the same numbers.
+ */
+// PUBLIC_INTERFACE
+export default function PriceBreakdown({ pricing, promoCode = '', subtotalLabel = 'Subtotal', showTip = false, estimate = false }) {
+  /**
+   * Renders the breakdown as a description list.
+   * Props:
+   * - pricing: { subtotal, deliveryFee, serviceFee, tax, tip, discount, total }
+   * - promoCode: code shown next to the discount
+   * - subtotalLabel: label of the first row (e.g. "Subtotal (3 items)")
+   * - showTip: show the tip row even when the tip is 0
+   * - estimate: label the total as an estimate (before checkout choices such as the tip)
+   */
+  const rows = [
+    { label: subtotalLabel, value: money(pricing.subtotal) },
+    { label: 'Delivery fee', value: pricing.deliveryFee ? money(pricing.deliveryFee) : 'Free' },
+    { label: 'Service fee', value: money(pricing.serviceFee) },
+    { label: 'Tax', value: money(pricing.tax) }
+  ];
+  if (showTip || pricing.tip) rows.push({ label: 'Tip', value: money(pricing.tip) });
+  if (pricing.discount) {
+    rows.push({
+      label: promoCode ? `Promo ${promoCode}` : 'Discount',
+      value: `−${money(pricing.discount)}`,
+      className: 'is-discount'
+    });
+  }
+
+  return (
+    <dl className="price-breakdown">
+      {rows.map((row) => (
+        <div key={row.label} className={`price-row ${row.className || ''}`}>
+          <dt>{row.label}</dt>
+          <dd>{row.value}</dd>
+        </div>
+      ))}
+      <div className="price-row is-total">
+        <dt>{estimate ? 'Estimated total' : 'Total'}</dt>
+        <dd>{money(pricing.total)}</dd>
+      </div>
+    </dl>
+  );
+}
@@ -1,6 +1,56 @@
 import React, { useEffect, useMemo, useRef, useState } from 'react';
 import '../styles/home.css';
-import { getRestaurantById, getMenusByRestaurant, addToCart } from '../storage/localStore';
+import '../styles/cart.css';
+import '../styles/menu.css';
+import repository from '../storage/repository';
+import { useFavorites, useKitchenQueues, useNow, useRestaurant, useReviews, useStoreQuery } from '../storage/hooks';
+import { getDefaultSelection, priceSelection, validateSelection } from '../storage/menuOptions';
+import { DIETARY_LABELS, DIETARY_TAGS, filterMenu, groupMenuByCategory } from '../storage/menuCatalog';
+import { WEEKDAY_LABELS, WEEK_DISPLAY_ORDER, formatDayHours, getOpenState, normalizeOpeningHours } from '../storage/openingHours';
+import { getDeliveryZone } from '../storage/deliveryZones';
+import { estimateDelivery } from '../storage/deliveryEstimates';
+import { summarizeItemRatings } from '../storage/reviews';
+import { buildPath, getLocation, navigate } from '../router/router';
+import RestaurantReviews from './RestaurantReviews';
+import FavoriteButton from './FavoriteButton';
+
+// Menu filters live in the route query so a filtered view can be shared:
+// #/restaurant/<id>?q=<search>&diet=vegan,spicy&cat=<category>
+// The directory adds &deliverTo=<saved address id> when an address is picked there; it is kept
+// so the delivery estimate uses that address.
+function readMenuFilters(params) {
+  return {
+    query: params.get('q') || '',
+    dietary: (params.get('diet') || '').split(',').filter((tag) => DIETARY_TAGS.includes(tag)),
+    category: params.get('cat') || ''
+  };
+}
+
+function writeMenuFilters(restaurantId, { query, dietary, category }, deliverTo = '') {
+  const next = buildPath('/restaurant/:id', { id: restaurantId }, {
+    q: query,
+    diet: dietary.join(','),
+    cat: category,
+    deliverTo
+  });
+  // replace: typing in the search box should not add a history entry per keystroke
+  navigate(next, { replace: true });
+}
+
+function categoryAnchor(category) {
+  return `menu-cat-${category.toLowerCase().replace(/[^a-z0-9]+/g, '-')}`;
+}
+
+// Stars customers gave a dish in their reviews ({ rating, reviewCount } from summarizeItemRatings)
+function DishRating({ name, summary }) {
+  if (!summary) return null;
+  const { rating, reviewCount } = summary;
+  return (
+    <div className="menu-rating" aria-label={`${name} rated ${rating} by ${reviewCount} customer${reviewCount === 1 ? '' : 's'}`}>
+      ⭐ {rating.toFixed(1)} <span>({reviewCount})</span>
+    </div>
+  );
+}
 
 /**
  * RestaurantDetail
@@ -12,68 +62,65 @@ import { getRestaurantById, getMenusByRestaurant, addToCart } from '../storage/l
  * - Styled menu grid with structured, accessible cards
  * - Ocean-themed buttons with clear hover/disabled states and subtle feedback
  * - Optional ribbons/tags on images (e.g., Best Seller, New)
+ * - Customization panel built from the item's option groups, showing the real line price
+ * - Category sections with a sticky jump bar, text search and dietary filters kept in the route query
+ * - "Start a new cart?" prompt when adding from a different restaurant than the cart holds
+ * - Open/closed badge and weekly opening hours; adding to the cart is blocked while closed
+ * - Delivery estimate in the banner while open, to the address picked in the directory if any
+ * - Ratings worked out from customer reviews, per dish on the menu cards, and a Reviews section
+ * - Heart toggles for signed-in customers: favorite the restaurant (banner) and save dishes
  * - Accessible and responsive layout
  */
 // PUBLIC_INTERFACE
-export default function RestaurantDetail({ restaurantId, onBack }) {
+export default function RestaurantDetail({ restaurantId, user = null, onBack }) {
   /**
    * Renders the full details of a restaurant, including its menu.
    * Props:
    * - restaurantId: number|string, the restaurant's id to display
+   * - user: the signed-in user (from the session) or null; enables favorites
    * - onBack: function to call when the user wants to go back to the list
    */
-  const restaurant = useMemo(() => getRestaurantById(restaurantId), [restaurantId]);
-  const rawMenu = useMemo(() => getMenusByRestaurant(restaurantId), [restaurantId]);
-
-  // Generate options schema and optional ribbon tag for items without options/tags.
-  const enhanceItem = (it) => {
-    const base = { ...it };
-    const lowerName = (it?.name || '').toLowerCase();
-
-    // Optional ribbons/tags heuristic: Sushi items as Best Seller, Pasta as New
-    if (!base.tag) {
-      if (lowerName.includes('roll') || lowerName.includes('nigiri')) {
-        base.tag = { label: 'Best Seller', tone: 'amber' };
-      } else if (lowerName.includes('spaghetti') || lowerName.includes('penne')) {
-        base.tag = { label: 'New', tone: 'blue' };
-      }
-    }
-
-    if (it && it.options) return base;
-
-    const options = {};
-    if (
-      lowerName.includes('roll') ||
-      lowerName.includes('nigiri') ||
-      lowerName.includes('spaghetti') ||
-      lowerName.includes('penne')
-    ) {
-      options.size = {
-        type: 'select',
-        label: 'Size',
-        values: ['Regular', 'Large'],
-      };
-    }
+  // Re-renders when the restaurant or its menu changes, here or in another tab
+  const { restaurant, menu: rawMenu, loading } = useRestaurant(restaurantId);
+  const { reviews, loading: reviewsLoading } = useReviews(restaurantId);
+  const itemRatings = useMemo(() => summarizeItemRatings(reviews), [reviews]);
+  const { favorites } = useFavorites(user ? user.id : null);
+  const now = useNow();
+  const openState = getOpenState(restaurant, now);
+  const hours = normalizeOpeningHours(restaurant && restaurant.openingHours);
+  const [deliverToId] = useState(() => getLocation().query.get('deliverTo') || '');
+  const { data: deliverTo } = useStoreQuery(
+    () => (deliverToId ? repository.getAddressById(deliverToId) : Promise.resolve(null)),
+    ['addresses'],
+    deliverToId
+  );
+  const queues = useKitchenQueues();
+  const zone = restaurant && deliverTo ? getDeliveryZone(restaurant, deliverTo) : null;
+  const eta = restaurant && openState.open && !(zone && zone.status === 'outside')
+    ? estimateDelivery(restaurant, { queueLength: queues[restaurant.id] || 0, distanceKm: zone ? zone.distanceKm : null })
+    : null;
+
+  const menu = useMemo(
+    () => (rawMenu || []).map((it) => ({ ...it, options: Array.isArray(it.options) ? it.options : [] })),
+    [rawMenu]
+  );
 
-    if (lowerName.includes('spaghetti') || lowerName.includes('penne')) {
-      options.addons = {
-        type: 'multi',
-        label: 'Add-ons',
-        values: ['Extra Cheese', 'Garlic Bread'],
-      };
-    }
-    if (lowerName.includes('roll')) {
-      options.addons = {
-        type: 'multi',
-        label: 'Add-ons',
-        values: ['Extra Wasabi', 'Ginger'],
-      };
-    }
+  const [filters, setFilters] = useState(() => readMenuFilters(getLocation().query));
+  const sections = useMemo(() => groupMenuByCategory(filterMenu(menu, filters)), [menu, filters]);
+  const visibleKey = sections.map((sec) => sec.items.map((it) => it.id).join(',')).join('|');
 
-    return { ...base, options: Object.keys(options).length ? options : undefined };
-  };
+  useEffect(() => {
+    writeMenuFilters(restaurantId, filters, deliverToId);
+  }, [restaurantId, filters, deliverToId]);
 
-  const menu = useMemo(() => (rawMenu || []).map(enhanceItem), [rawMenu]);
+  // Jump to the shared category once the menu is on screen
+  const jumpedRef = useRef(false);
+  useEffect(() => {
+    if (loading || jumpedRef.current || !filters.category) return;
+    jumpedRef.current = true;
+    const el = document.getElementById(categoryAnchor(filters.category));
+    if (el && el.scrollIntoView) el.scrollIntoView({ block: 'start' });
+  }, [loading, filters.category]);
 
   // Stats helpers
   const dishesCount = menu.length;
@@ -86,13 +133,17 @@ export default function RestaurantDetail({ restaurantId, onBack }) {
   }, [menu]);
 
   // Local UI state maps
-  // selections: { [menuItemId]: { quantity, size, addons:Set } }
+  // selections: { [menuItemId]: { quantity, choices: { [groupId]: choiceId[] } } }
   const [selections, setSelections] = useState({});
+  // selection problems shown in the options panel: { [menuItemId]: { [groupId]: message } }
+  const [optionErrors, setOptionErrors] = useState({});
   // customization panel open state
   const [openCustom, setOpenCustom] = useState({}); // { [menuItemId]: boolean }
   // add-to-cart transient feedback state
   const [adding, setAdding] = useState({}); // { [menuItemId]: boolean }
   const [announce, setAnnounce] = useState(''); // aria-live message
+  // cart conflict awaiting a decision: { payload, cartRestaurant }
+  const [pendingConflict, setPendingConflict] = useState(null);
 
   // Reveal-on-scroll within this component
   const rootRef = useRef(null);
@@ -124,7 +175,7 @@ export default function RestaurantDetail({ restaurantId, onBack }) {
     );
     items.forEach((el) => io.observe(el));
     return () => io.disconnect();
-  }, [restaurantId]);
+  }, [restaurantId, loading, visibleKey]);
 
   // Inline styles for page sections (kept minimal; card/button/menu handled via CSS classes)
   const styles = {
@@ -199,6 +250,11 @@ export default function RestaurantDetail({ restaurantId, onBack }) {
       justifyContent: 'space-between',
       gap: 12,
     },
+    bannerTitleRow: {
+      display: 'flex',
+      alignItems: 'center',
+      gap: 10
+    },
     bannerTitle: {
       margin: 0,
       color: '#ffffff',
@@ -283,6 +339,18 @@ export default function RestaurantDetail({ restaurantId, onBack }) {
     }
   };
 
+  if (loading) {
+    return (
+      <main style={styles.page} aria-busy="true">
+        <div style={styles.container}>
+          <div style={styles.empty} role="status" aria-live="polite">
+            Loading restaurant…
+          </div>
+        </div>
+      </main>
+    );
+  }
+
   if (!restaurant) {
     return (
       <main style={styles.page}>
@@ -308,84 +376,138 @@ export default function RestaurantDetail({ restaurantId, onBack }) {
     'https://images.unsplash.com/photo-1498656307815-132743b76b03?q=80&w=1200&auto=format&fit=crop';
 
   // Handlers
+  const setQuery = (query) => setFilters((prev) => ({ ...prev, query }));
+
+  const toggleDietary = (tag) => {
+    setFilters((prev) => ({
+      ...prev,
+      dietary: prev.dietary.includes(tag) ? prev.dietary.filter((t) => t !== tag) : [...prev.dietary, tag],
+    }));
+  };
+
+  const clearFilters = () => setFilters({ query: '', dietary: [], category: '' });
+
+  const jumpToCategory = (category) => {
+    setFilters((prev) => ({ ...prev, category }));
+    const el = document.getElementById(categoryAnchor(category));
+    if (el && el.scrollIntoView) el.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  };
+
   const toggleCustomize = (id) => {
     setOpenCustom((prev) => ({ ...prev, [id]: !prev[id] }));
   };
 
+  const getChoices = (item) => selections[item.id]?.choices || getDefaultSelection(item);
+
   const setQty = (item, v) => {
     const coerced = Math.max(1, Number(v) || 1);
     setSelections((prev) => ({
       ...prev,
-      [item.id]: {
-        ...(prev[item.id] || {}),
-        quantity: coerced,
-        addons: prev[item.id]?.addons || new Set(),
-        size: prev[item.id]?.size || (item.options?.size?.values?.[0]),
-      },
-    }));
-  };
-
-  const setSize = (item, size) => {
-    setSelections((prev) => ({
-      ...prev,
-      [item.id]: {
-        ...(prev[item.id] || {}),
-        size,
-        quantity: Math.max(1, Number(prev[item.id]?.quantity) || 1),
-        addons: prev[item.id]?.addons || new Set(),
-      },
+      [item.id]: { choices: getDefaultSelection(item), ...(prev[item.id] || {}), quantity: coerced },
     }));
   };
 
-  const toggleAddon = (item, ad, checked) => {
+  // Single-choice groups replace the pick; multi-choice groups toggle it (up to max)
+  const pickChoice = (item, group, choiceId, checked) => {
     setSelections((prev) => {
       const existing = prev[item.id] || {};
-      const nextSet = new Set(existing.addons || []);
-      if (checked) nextSet.add(ad);
-      else nextSet.delete(ad);
+      const choices = { ...(existing.choices || getDefaultSelection(item)) };
+      const current = choices[group.id] || [];
+      if (group.max === 1) {
+        choices[group.id] = checked ? [choiceId] : [];
+      } else if (checked) {
+        choices[group.id] = current.includes(choiceId) ? current : [...current, choiceId];
+      } else {
+        choices[group.id] = current.filter((id) => id !== choiceId);
+      }
       return {
         ...prev,
-        [item.id]: {
-          ...existing,
-          addons: nextSet,
-          quantity: Math.max(1, Number(existing.quantity) || 1),
-          size: existing.size || (item.options?.size?.values?.[0]),
-        },
+        [item.id]: { ...existing, choices, quantity: Math.max(1, Number(existing.quantity) || 1) },
       };
     });
+    setOptionErrors((prev) => ({ ...prev, [item.id]: {} }));
+  };
+
+  const announceAdded = (payload) => {
+    setAnnounce(`Added ${payload.quantity} × ${payload.name}${payload.size ? ` (${payload.size})` : ''} to cart.`);
   };
 
-  const onAddToCart = (e, item) => {
+  const onAddToCart = async (e, item) => {
     const sel = selections[item.id] || {};
     const qty = Math.max(1, Number(sel.quantity) || 1);
-    const size = sel.size || (item.options?.size?.values?.[0]);
-    const addonsArray = sel.addons ? Array.from(sel.addons) : [];
+    const choices = getChoices(item);
 
     if (qty < 1 || Number.isNaN(qty)) {
       window.alert('Please enter a valid quantity.');
       return;
     }
 
+    const problems = validateSelection(item, choices);
+    if (Object.keys(problems).length) {
+      setOptionErrors((prev) => ({ ...prev, [item.id]: problems }));
+      setOpenCustom((prev) => ({ ...prev, [item.id]: true }));
+      setAnnounce(Object.values(problems).join(' '));
+      return;
+    }
+
     // Subtle button feedback and disabled state
+    const button = e.currentTarget;
     setAdding((prev) => ({ ...prev, [item.id]: true }));
-    e.currentTarget.classList.add('pulse-once');
+    button.classList.add('pulse-once');
 
-    addToCart({
+    const payload = {
       restaurantId: restaurant.id,
       menuItemId: item.id,
       name: item.name,
-      unitPrice: Number(item.price) || 0,
       quantity: qty,
-      ...(size ? { size } : {}),
-      ...(addonsArray.length ? { addons: addonsArray } : {}),
-    });
-
-    setAnnounce(`Added ${qty} × ${item.name}${size ? ` (${size})` : ''} to cart.`);
+      ...priceSelection(item, choices),
+    };
     // Brief reset for feedback
-    setTimeout(() => {
+    const resetFeedback = () => setTimeout(() => {
       setAdding((prev) => ({ ...prev, [item.id]: false }));
-      e.currentTarget.classList.remove('pulse-once');
+      button.classList.remove('pulse-once');
     }, 900);
+
+    try {
+      const result = await repository.addToCart(payload);
+      if (result && result.conflict) {
+        // Cart belongs to another restaurant: ask before touching it
+        const cartRestaurant = await repository.getRestaurantById(result.conflict.cartRestaurantId);
+        setPendingConflict({ payload, cartRestaurant });
+      } else {
+        announceAdded(payload);
+      }
+    } catch (err) {
+      if (err.name === 'RestaurantClosedError') {
+        setAnnounce(err.message);
+      } else {
+        console.error('Failed to add to cart.', err);
+        setAnnounce(`Could not add ${item.name} to cart.`);
+      }
+    } finally {
+      resetFeedback();
+    }
+  };
+
+  const startNewCart = async () => {
+    if (!pendingConflict) return;
+    try {
+      await repository.addToCart(pendingConflict.payload, { replaceCart: true });
+      announceAdded(pendingConflict.payload);
+    } catch (err) {
+      if (err.name === 'RestaurantClosedError') {
+        setAnnounce(err.message);
+      } else {
+        console.error('Failed to add to cart.', err);
+        setAnnounce(`Could not add ${pendingConflict.payload.name} to cart.`);
+      }
+    }
+    setPendingConflict(null);
+  };
+
+  const keepCurrentCart = () => {
+    setPendingConflict(null);
+    setAnnounce('Kept your current cart. Nothing was added.');
   };
 
   return (
@@ -439,14 +561,42 @@ export default function RestaurantDetail({ restaurantId, onBack }) {
             <div style={styles.overlay} />
             <div style={styles.pillRow}>
               <div>
-                <h1 style={styles.bannerTitle}>{restaurant.name}</h1>
+                <div style={styles.bannerTitleRow}>
+                  <h1 style={styles.bannerTitle}>{restaurant.name}</h1>
+                  {user ? (
+                    <FavoriteButton
+                      userId={user.id}
+                      favorites={favorites}
+                      type="restaurant"
+                      targetId={restaurant.id}
+                      name={restaurant.name}
+                    />
+                  ) : null}
+                </div>
                 <div style={styles.bannerMetaRow}>
                   <span style={{ ...styles.chip, ...styles.chipInverted }} aria-label={`Cuisine ${restaurant.cuisine}`}>
                     🍽️ {restaurant.cuisine}
                   </span>
-                  <span style={{ ...styles.chip, ...styles.chipInverted }} aria-label={`Rating ${restaurant.rating}`}>
-                    ⭐ {Number(restaurant.rating).toFixed(1)}
+                  {restaurant.rating != null ? (
+                    <span
+                      style={{ ...styles.chip, ...styles.chipInverted }}
+                      aria-label={`Rating ${restaurant.rating} from ${restaurant.reviewCount} review${restaurant.reviewCount === 1 ? '' : 's'}`}
+                    >
+                      ⭐ {Number(restaurant.rating).toFixed(1)} ({restaurant.reviewCount})
+                    </span>
+                  ) : (
+                    <span style={{ ...styles.chip, ...styles.chipInverted }} aria-label="Not rated yet">
+                      ⭐ New
+                    </span>
+                  )}
+                  <span style={{ ...styles.chip, ...styles.chipInverted }}>
+                    {openState.open ? '🟢' : '🕒'} {openState.label}
                   </span>
+                  {eta ? (
+                    <span style={{ ...styles.chip, ...styles.chipInverted }} aria-label={`Delivery in ${eta.label}`}>
+                      ⏱️ {eta.label}
+                    </span>
+                  ) : null}
                   {typeof dishesCount === 'number' && dishesCount > 0 && (
                     <span style={{ ...styles.chip, ...styles.chipInverted }} aria-label={`${dishesCount} dishes available`}>
                       🧾 {dishesCount} dishes
@@ -479,6 +629,33 @@ export default function RestaurantDetail({ restaurantId, onBack }) {
           </section>
         ) : null}
 
+        {/* Opening hours */}
+        {hours ? (
+          <section
+            style={styles.sectionCard}
+            className="reveal-on-scroll"
+            data-animate="fade-up"
+            data-animate-delay="90ms"
+            aria-label="Opening hours"
+          >
+            <div style={styles.sectionHeaderRow}>
+              <h2 style={styles.sectionTitle}>Opening hours</h2>
+              <p style={styles.sectionSubtle}>{openState.label}</p>
+            </div>
+            <dl className="menu-hours">
+              {WEEK_DISPLAY_ORDER.map((day) => (
+                <React.Fragment key={day}>
+                  <dt>{WEEKDAY_LABELS[day]}</dt>
+                  <dd>{formatDayHours(hours.weekly[day]) || 'Closed'}</dd>
+                </React.Fragment>
+              ))}
+            </dl>
+            {hours.closures.length ? (
+              <p style={styles.sectionSubtle}>Closed on {hours.closures.join(', ')}.</p>
+            ) : null}
+          </section>
+        ) : null}
+
         {/* Menu Section */}
         <section
           style={styles.sectionCard}
@@ -500,149 +677,274 @@ export default function RestaurantDetail({ restaurantId, onBack }) {
             </div>
           ) : (
             <>
+              {!openState.open ? (
+                <p className="menu-closed" role="status">
+                  {restaurant.name} is closed right now.{openState.opensAt ? ` ${openState.label}.` : ''} You can add
+                  dishes to your cart once it opens.
+                </p>
+              ) : null}
+
               {/* aria-live region for add-to-cart feedback (screen-reader only) */}
               <div className="sr-only" aria-live="polite" aria-atomic="true">
                 {announce}
               </div>
 
-              <ul className="menu-grid" aria-label="Menu item list">
-                {menu.map((item, idx) => (
-                  <li key={item.id} style={{ listStyle: 'none' }}>
-                    <article
-                      className="menu-card reveal-on-scroll"
-                      data-animate="fade-up"
-                      data-animate-delay={`${idx * 40}ms`}
-                      aria-label={`${item.name}, priced at $${Number(item.price || 0).toFixed(2)}`}
+              <div className="menu-toolbar">
+                <input
+                  type="search"
+                  className="field-input menu-search"
+                  placeholder="Search dishes"
+                  aria-label="Search the menu"
+                  value={filters.query}
+                  onChange={(e) => setQuery(e.target.value)}
+                />
+                <div className="menu-diet-filters" role="group" aria-label="Dietary filters">
+                  {DIETARY_TAGS.map((tag) => (
+                    <button
+                      key={tag}
+                      type="button"
+                      className={`filter-chip ${filters.dietary.includes(tag) ? 'is-active' : ''}`}
+                      aria-pressed={filters.dietary.includes(tag)}
+                      onClick={() => toggleDietary(tag)}
                     >
-                      <div className="menu-media" aria-hidden>
-                        <img
-                          className="menu-image"
-                          src={item.image || 'https://images.unsplash.com/photo-1544025162-d76694265947?q=80&w=1200&auto=format&fit=crop'}
-                          alt=""
-                          loading="lazy"
-                        />
-                        {item.tag?.label ? (
-                          <div
-                            className={`menu-ribbon ${item.tag.tone === 'amber' ? 'is-amber' : 'is-blue'}`}
-                            aria-hidden="true"
-                          >
-                            {item.tag.label}
-                          </div>
-                        ) : null}
-                      </div>
-
-                      <div className="menu-body">
-                        <header className="menu-head">
-                          <h3 className="menu-title">{item.name}</h3>
-                          <span className="price-chip">${Number(item.price || 0).toFixed(2)}</span>
-                        </header>
-
-                        {item.description ? <p className="menu-desc">{item.description}</p> : null}
-
-                        <div className="menu-actions">
-                          {item.options ? (
-                            <button
-                              type="button"
-                              className="btn-outline-ocean"
-                              aria-expanded={!!openCustom[item.id]}
-                              aria-controls={`options-${item.id}`}
-                              onClick={() => toggleCustomize(item.id)}
-                            >
-                              {openCustom[item.id] ? 'Hide options' : 'Customize'}
-                            </button>
-                          ) : (
-                            <span className="menu-meta-hint" aria-hidden>
-                              No customization
-                            </span>
-                          )}
-
-                          <div className="qty-wrap" role="group" aria-label={`Quantity for ${item.name}`}>
-                            <label className="field-label" htmlFor={`qty-${item.id}`}>Qty</label>
-                            <input
-                              id={`qty-${item.id}`}
-                              type="number"
-                              min={1}
-                              step={1}
-                              className="field-input qty"
-                              value={Math.max(1, Number(selections[item.id]?.quantity) || 1)}
-                              onChange={(e) => setQty(item, e.target.value)}
+                      {DIETARY_LABELS[tag]}
+                    </button>
+                  ))}
+                </div>
+              </div>
+
+              {sections.length > 1 ? (
+                <nav className="menu-jumpbar" aria-label="Menu categories">
+                  {sections.map((section) => (
+                    <button
+                      key={section.category}
+                      type="button"
+                      className={`menu-jump ${filters.category === section.category ? 'is-active' : ''}`}
+                      aria-current={filters.category === section.category ? 'true' : undefined}
+                      onClick={() => jumpToCategory(section.category)}
+                    >
+                      {section.category}
+                      <span className="menu-jump-count">{section.items.length}</span>
+                    </button>
+                  ))}
+                </nav>
+              ) : null}
+
+              {sections.length === 0 ? (
+                <div style={styles.empty} role="status" aria-live="polite">
+                  No dishes match your search or filters.{' '}
+                  <button type="button" className="cta-link menu-clear" onClick={clearFilters}>
+                    Clear filters
+                  </button>
+                </div>
+              ) : null}
+
+              {sections.map((section) => (
+                <section
+                  key={section.category}
+                  id={categoryAnchor(section.category)}
+                  className="menu-section"
+                  aria-labelledby={`${categoryAnchor(section.category)}-title`}
+                >
+                  <h3 id={`${categoryAnchor(section.category)}-title`} className="menu-section-title">
+                    {section.category}
+                  </h3>
+                  <ul className="menu-grid" aria-label={`${section.category} dishes`}>
+                    {section.items.map((item, idx) => (
+                      <li key={item.id} style={{ listStyle: 'none' }}>
+                        <article
+                          className="menu-card reveal-on-scroll"
+                          data-animate="fade-up"
+                          data-animate-delay={`${idx * 40}ms`}
+                          aria-label={`${item.name}, priced at $${Number(item.price || 0).toFixed(2)}`}
+                        >
+                          <div className="menu-media" aria-hidden>
+                            <img
+                              className="menu-image"
+                              src={item.image || 'https://images.unsplash.com/photo-1544025162-d76694265947?q=80&w=1200&auto=format&fit=crop'}
+                              alt=""
+                              loading="lazy"
                             />
+                            {item.tag?.label ? (
+                              <div
+                                className={`menu-ribbon ${item.tag.tone === 'amber' ? 'is-amber' : 'is-blue'}`}
+                                aria-hidden="true"
+                              >
+                                {item.tag.label}
+                              </div>
+                            ) : null}
                           </div>
 
-                          <button
-                            type="button"
-                            className="btn-ocean"
-                            disabled={!!adding[item.id]}
-                            aria-busy={!!adding[item.id]}
-                            onClick={(e) => onAddToCart(e, item)}
-                            aria-label={`Add ${item.name} to cart`}
-                          >
-                            {adding[item.id] ? 'Adding…' : 'Add to Cart'}
-                          </button>
-                        </div>
-
-                        {item.options ? (
-                          <div
-                            id={`options-${item.id}`}
-                            className={`options-panel ${openCustom[item.id] ? 'is-open' : ''}`}
-                            aria-hidden={!openCustom[item.id]}
-                          >
-                            {/* Size select if provided */}
-                            {item.options.size?.values?.length ? (
-                              <div className="option-row">
-                                <label className="field-label" htmlFor={`size-${item.id}`}>
-                                  {item.options.size.label || 'Size'}
-                                </label>
-                                <select
-                                  id={`size-${item.id}`}
-                                  className="field-input"
-                                  value={(selections[item.id]?.size) || item.options.size.values[0]}
-                                  onChange={(e) => setSize(item, e.target.value)}
-                                  aria-label={`${item.name} size`}
+                          <div className="menu-body">
+                            <header className="menu-head">
+                              <h4 className="menu-title">{item.name}</h4>
+                              <span className="price-chip">${Number(item.price || 0).toFixed(2)}</span>
+                              {user ? (
+                                <FavoriteButton userId={user.id} favorites={favorites} type="menuItem" targetId={item.id} name={item.name} />
+                              ) : null}
+                            </header>
+
+                            <DishRating name={item.name} summary={itemRatings.get(Number(item.id))} />
+
+                            {item.dietary && item.dietary.length ? (
+                              <ul className="diet-badges" aria-label="Dietary">
+                                {item.dietary.map((tag) => (
+                                  <li key={tag} className={`diet-badge is-${tag}`}>{DIETARY_LABELS[tag] || tag}</li>
+                                ))}
+                              </ul>
+                            ) : null}
+
+                            {item.description ? <p className="menu-desc">{item.description}</p> : null}
+
+                            <div className="menu-actions">
+                              {item.options.length ? (
+                                <button
+                                  type="button"
+                                  className="btn-outline-ocean"
+                                  aria-expanded={!!openCustom[item.id]}
+                                  aria-controls={`options-${item.id}`}
+                                  onClick={() => toggleCustomize(item.id)}
                                 >
-                                  {item.options.size.values.map((opt) => (
-                                    <option key={opt} value={opt}>{opt}</option>
-                                  ))}
-                                </select>
+                                  {openCustom[item.id] ? 'Hide options' : 'Customize'}
+                                </button>
+                              ) : (
+                                <span className="menu-meta-hint" aria-hidden>
+                                  No customization
+                                </span>
+                              )}
+
+                              <div className="qty-wrap" role="group" aria-label={`Quantity for ${item.name}`}>
+                                <label className="field-label" htmlFor={`qty-${item.id}`}>Qty</label>
+                                <input
+                                  id={`qty-${item.id}`}
+                                  type="number"
+                                  min={1}
+                                  step={1}
+                                  className="field-input qty"
+                                  value={Math.max(1, Number(selections[item.id]?.quantity) || 1)}
+                                  onChange={(e) => setQty(item, e.target.value)}
+                                />
                               </div>
-                            ) : null}
 
-                            {/* Add-ons checkboxes if provided */}
-                            {item.options.addons?.values?.length ? (
-                              <fieldset className="option-row">
-                                <legend className="field-label">
-                                  {item.options.addons.label || 'Add-ons'}
-                                </legend>
-                                <div className="checkbox-group">
-                                  {item.options.addons.values.map((ad) => {
-                                    const selectedSet = selections[item.id]?.addons || new Set();
-                                    const checked = selectedSet.has(ad);
-                                    return (
-                                      <label key={ad} className="checkbox-label">
-                                        <input
-                                          type="checkbox"
-                                          checked={checked}
-                                          onChange={(e) => toggleAddon(item, ad, e.target.checked)}
-                                          aria-label={`${ad} add-on`}
-                                        />
-                                        <span>{ad}</span>
-                                      </label>
-                                    );
-                                  })}
+                              <button
+                                type="button"
+                                className="btn-ocean"
+                                disabled={!!adding[item.id] || !openState.open}
+                                aria-busy={!!adding[item.id]}
+                                onClick={(e) => onAddToCart(e, item)}
+                                aria-label={`Add ${item.name} to cart`}
+                              >
+                                {adding[item.id] ? 'Adding…' : openState.open ? 'Add to Cart' : 'Closed'}
+                              </button>
+                            </div>
+
+                            {item.options.length ? (
+                              <div
+                                id={`options-${item.id}`}
+                                className={`options-panel ${openCustom[item.id] ? 'is-open' : ''}`}
+                                aria-hidden={!openCustom[item.id]}
+                              >
+                                {item.options.map((group) => {
+                                  const picked = getChoices(item)[group.id] || [];
+                                  const single = group.max === 1;
+                                  const error = optionErrors[item.id]?.[group.id];
+                                  return (
+                                    <fieldset key={group.id} className="option-row">
+                                      <legend className="field-label">
+                                        {group.label}
+                                        <span className="option-rule">
+                                          {group.required
+                                            ? (single ? ' · Required' : ` · Choose ${group.min}–${group.max}`)
+                                            : ` · Optional${single ? '' : `, up to ${group.max}`}`}
+                                        </span>
+                                      </legend>
+                                      <div className="checkbox-group">
+                                        {group.choices.map((choice) => {
+                                          const checked = picked.includes(choice.id);
+                                          const full = !single && !checked && picked.length >= group.max;
+                                          return (
+                                            <label key={choice.id} className="checkbox-label">
+                                              <input
+                                                type={single && group.required ? 'radio' : 'checkbox'}
+                                                name={`${item.id}-${group.id}`}
+                                                checked={checked}
+                                                disabled={full}
+                                                onChange={(e) => pickChoice(item, group, choice.id, e.target.checked)}
+                                                aria-label={`${item.name} ${group.label}: ${choice.label}`}
+                                              />
+                                              <span>{choice.label}</span>
+                                              {Number(choice.priceDelta) ? (
+                                                <span className="option-delta">
+                                                  {choice.priceDelta > 0 ? '+' : '−'}${Math.abs(choice.priceDelta).toFixed(2)}
+                                                </span>
+                                              ) : null}
+                                            </label>
+                                          );
+                                        })}
+                                      </div>
+                                      {error ? <p className="option-error" role="alert">{error}</p> : null}
+                                    </fieldset>
+                                  );
+                                })}
+                                <div className="option-total" aria-live="polite">
+                                  <span>Line price</span>
+                                  <strong>
+                                    ${(priceSelection(item, getChoices(item)).unitPrice
+                                      * Math.max(1, Number(selections[item.id]?.quantity) || 1)).toFixed(2)}
+                                  </strong>
                                 </div>
-                              </fieldset>
+                              </div>
                             ) : null}
                           </div>
-                        ) : null}
-                      </div>
-                    </article>
-                  </li>
-                ))}
-              </ul>
+                        </article>
+                      </li>
+                    ))}
+                  </ul>
+                </section>
+              ))}
             </>
           )}
         </section>
+
+        {/* Reviews */}
+        <section
+          style={styles.sectionCard}
+          className="reveal-on-scroll"
+          data-animate="fade-up"
+          data-animate-delay="150ms"
+          aria-label="Reviews"
+        >
+          <RestaurantReviews restaurant={restaurant} reviews={reviews} loading={reviewsLoading} />
+        </section>
       </div>
+
+      {pendingConflict ? (
+        <div className="cart-overlay is-centered">
+          <div
+            className="confirm-dialog"
+            role="alertdialog"
+            aria-modal="true"
+            aria-labelledby="cart-conflict-title"
+            aria-describedby="cart-conflict-desc"
+          >
+            <h2 id="cart-conflict-title" className="cart-title">Start a new cart?</h2>
+            <p id="cart-conflict-desc" className="confirm-text">
+              Your cart has items from{' '}
+              <strong>{pendingConflict.cartRestaurant ? pendingConflict.cartRestaurant.name : 'another restaurant'}</strong>.
+              Orders can only include one restaurant. Replace those items with{' '}
+              <strong>{pendingConflict.payload.name}</strong> from <strong>{restaurant.name}</strong>?
+            </p>
+            <div className="cart-foot-actions">
+              <button type="button" className="btn-outline-ocean" onClick={keepCurrentCart}>
+                Keep current cart
+              </button>
+              <button type="button" className="btn-ocean" onClick={startNewCart}>
+                Start new cart
+              </button>
+            </div>
+          </div>
+        </div>
+      ) : null}
     </main>
   );
 }
@@ -0,0 +1,116 @@
+import { render, screen, fireEvent, waitFor, within } from '@testing-library/react';
+import RestaurantDetail from './RestaurantDetail';
+import { addToCart, createOrder, createReview, getCart, initializeStore, updateOrderStatus } from '../storage/localStore';
+
+beforeEach(() => {
+  window.localStorage.clear();
+  window.history.replaceState(null, '', '#/');
+  initializeStore();
+});
+
+test('customization panel prices the line from the picked options', async () => {
+  render(<RestaurantDetail restaurantId={1} onBack={() => {}} />);
+  await screen.findByText('Penne Arrabbiata');
+
+  fireEvent.click(screen.getAllByRole('button', { name: 'Customize' })[1]);
+  fireEvent.click(screen.getByLabelText('Penne Arrabbiata Size: Large'));
+  fireEvent.click(screen.getByLabelText('Penne Arrabbiata Add-ons: Extra Cheese'));
+  fireEvent.change(screen.getByLabelText('Qty', { selector: '#qty-2' }), { target: { value: '2' } });
+  // (10.50 + 2.50 + 1.50) × 2
+  expect(screen.getByText('$29.00')).toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole('button', { name: 'Add Penne Arrabbiata to cart' }));
+  await waitFor(() => expect(getCart()).toHaveLength(1));
+  expect(getCart()[0]).toMatchObject({
+    unitPrice: 14.5,
+    quantity: 2,
+    size: 'Large',
+    addons: ['Extra Cheese'],
+    options: { size: ['large'], addons: ['extra-cheese'] }
+  });
+});
+
+test('menu filters come from and are written back to the route', async () => {
+  window.history.replaceState(null, '', '#/restaurant/2?diet=vegan');
+  render(<RestaurantDetail restaurantId={2} onBack={() => {}} />);
+
+  expect(await screen.findByText('Edamame')).toBeInTheDocument();
+  expect(screen.queryByText('California Roll')).not.toBeInTheDocument();
+  expect(screen.getByRole('button', { name: 'Vegan' })).toHaveAttribute('aria-pressed', 'true');
+
+  fireEvent.click(screen.getByRole('button', { name: 'Vegan' }));
+  fireEvent.change(screen.getByLabelText('Search the menu'), { target: { value: 'roll' } });
+  expect(screen.getByRole('heading', { name: 'Rolls' })).toBeInTheDocument();
+  expect(screen.queryByText('Edamame')).not.toBeInTheDocument();
+  expect(window.location.hash).toBe('#/restaurant/2?q=roll');
+
+  fireEvent.change(screen.getByLabelText('Search the menu'), { target: { value: 'pizza' } });
+  expect(screen.getByText(/No dishes match/)).toBeInTheDocument();
+});
+
+test('a closed restaurant shows when it opens and takes no cart items', async () => {
+  // Monday: Sushi Central is closed all day
+  Date.now.mockReturnValue(Date.parse('2026-03-02T12:00:00-08:00'));
+  render(<RestaurantDetail restaurantId={2} onBack={() => {}} />);
+  await screen.findByText('Edamame');
+
+  expect(screen.getAllByText(/Opens tomorrow at 11:30/).length).toBeGreaterThan(0);
+  expect(screen.getByText(/Sushi Central is closed right now/)).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: 'Add Edamame to cart' })).toBeDisabled();
+  expect(screen.getByRole('button', { name: 'Add Edamame to cart' })).toHaveTextContent('Closed');
+  // Weekly hours, Monday first
+  const hours = screen.getByRole('region', { name: 'Opening hours' });
+  expect(hours).toHaveTextContent('MondayClosed');
+  expect(hours).toHaveTextContent('Tuesday11:30–14:30, 17:00–22:00');
+  expect(hours).toHaveTextContent('Closed on 2026-12-25, 2027-01-01.');
+});
+
+test('starting a new cart at a restaurant that has just closed says so without logging an error', async () => {
+  const pasta = addToCart({ restaurantId: 1, menuItemId: 1, name: 'Spaghetti Carbonara', unitPrice: 12.99, quantity: 1 });
+  const logged = jest.spyOn(console, 'error');
+  render(<RestaurantDetail restaurantId={2} onBack={() => {}} />);
+  fireEvent.click(await screen.findByRole('button', { name: 'Add Edamame to cart' }));
+  expect(await screen.findByRole('heading', { name: 'Start a new cart?' })).toBeInTheDocument();
+
+  // Sushi Central closes after lunch while the prompt is open
+  Date.now.mockReturnValue(Date.parse('2026-03-04T15:00:00-08:00'));
+  fireEvent.click(screen.getByRole('button', { name: 'Start new cart' }));
+  expect(await screen.findByText('Sushi Central is closed right now. Opens at 17:00.')).toBeInTheDocument();
+  expect(getCart()).toEqual(pasta);
+  expect(logged).not.toHaveBeenCalled();
+  logged.mockRestore();
+});
+
+test('the banner estimates delivery to the address picked in the directory', async () => {
+  window.history.replaceState(null, '', '#/restaurant/1?deliverTo=2');
+  render(<RestaurantDetail restaurantId={1} onBack={() => {}} />);
+  // 7.2 km to Bob's address, behind one seeded order
+  expect(await screen.findByLabelText('Delivery in 45–55 min')).toHaveTextContent('⏱️ 45–55 min');
+  expect(window.location.hash).toBe('#/restaurant/1?deliverTo=2');
+});
+
+test('ratings come from reviews, which can be sorted and paged', async () => {
+  const order = createOrder({ userId: 1, restaurantId: 1, items: [{ menuItemId: 2, quantity: 1 }] });
+  ['preparing', 'delivering', 'completed'].forEach((status) => updateOrderStatus(order.id, status));
+  createReview({ orderId: order.id, userId: 1, rating: 3, text: 'Too salty today.', items: [{ menuItemId: 2, rating: 2 }] });
+  render(<RestaurantDetail restaurantId={1} onBack={() => {}} />);
+
+  // Five seeded reviews plus this one
+  expect(await screen.findByLabelText('Rating 4.3 from 6 reviews')).toHaveTextContent('⭐ 4.3 (6)');
+  expect(await screen.findByLabelText('Penne Arrabbiata rated 3 by 2 customers')).toBeInTheDocument();
+
+  const list = screen.getByRole('list', { name: 'Customer reviews' });
+  expect(within(list).getAllByRole('listitem')).toHaveLength(5);
+  expect(within(list).getAllByRole('listitem')[0]).toHaveTextContent('Alice J.');
+  expect(within(list).getAllByRole('listitem')[0]).toHaveTextContent('Too salty today.');
+  expect(screen.getByText('Page 1 of 2')).toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole('button', { name: 'Next' }));
+  expect(screen.getByText('Page 2 of 2')).toBeInTheDocument();
+  expect(within(list).getByText(/Penne had a real kick/)).toBeInTheDocument();
+
+  fireEvent.change(screen.getByLabelText('Sort reviews'), { target: { value: 'lowest' } });
+  expect(screen.getByText('Page 1 of 2')).toBeInTheDocument();
+  expect(within(list).getAllByRole('listitem')[0]).toHaveTextContent('Too salty today.');
+  expect(within(list).getAllByRole('listitem')[1]).toHaveTextContent('Good pasta');
+});
@@ -0,0 +1,282 @@
+import React, { useState } from 'react';
+import '../styles/home.css';
+import '../styles/admin.css';
+import { PRICE_LEVELS, formatPriceLevel } from '../storage/restaurantCatalog';
+import { validateRestaurantFields } from '../storage/catalogAdmin';
+import { DEFAULT_DELIVERY_RADIUS_KM } from '../storage/deliveryZones';
+import { ESTIMATES } from '../storage/deliveryEstimates';
+import {
+  DEFAULT_TIMEZONE,
+  WEEKDAY_LABELS,
+  WEEK_DISPLAY_ORDER,
+  formatDayHours,
+  normalizeOpeningHours,
+  parseClosures,
+  parseDayHours
+} from '../storage/openingHours';
+
+function toFormValues(restaurant) {
+  const hours = normalizeOpeningHours(restaurant && restaurant.openingHours);
+  return {
+    name: restaurant ? restaurant.name || '' : '',
+    cuisine: restaurant ? restaurant.cuisine || '' : '',
+    priceLevel: String(restaurant && restaurant.priceLevel ? restaurant.priceLevel : 2),
+    deliveryFee: restaurant && restaurant.deliveryFee != null ? String(restaurant.deliveryFee) : '',
+    postalCode: restaurant ? restaurant.postalCode || '' : '',
+    deliveryRadiusKm: restaurant && restaurant.deliveryRadiusKm != null ? String(restaurant.deliveryRadiusKm) : '',
+    prepMinutes: restaurant && restaurant.prepMinutes != null ? String(restaurant.prepMinutes) : '',
+    image: restaurant ? restaurant.image || '' : '',
+    // One text field per day, e.g. '11:30–14:30, 17:00–22:00'; blank is closed
+    ...Object.fromEntries(
+      WEEK_DISPLAY_ORDER.map((day) => [`hours-${day}`, hours ? formatDayHours(hours.weekly[day]) : ''])
+    ),
+    timezone: hours ? hours.timezone : '',
+    closures: hours ? hours.closures.join(', ') : ''
+  };
+}
+
+// Opening hours from the form values; null (always open) when no day has hours and no closures
+function toOpeningHours(values) {
+  const weekly = {};
+  WEEK_DISPLAY_ORDER.forEach((day) => {
+    const intervals = parseDayHours(values[`hours-${day}`]);
+    if (intervals.length) weekly[day] = intervals;
+  });
+  const closures = parseClosures(values.closures);
+  if (!Object.keys(weekly).length && !closures.length) return null;
+  return { timezone: values.timezone.trim() || DEFAULT_TIMEZONE, weekly, closures };
+}
+
+/**
+ * RestaurantForm
+ * Create/edit form for a restaurant used by the admin console. Validates on submit
+ * (name required, delivery fee 0 or more, known postal code, radius above 0, image
+ * must be an http(s) URL) and shows errors per field. A blank delivery fee means the standard
+ * fee from storage/pricing applies; the postal code and radius set the delivery zone. The prep
+ * time feeds delivery estimates (blank uses the default). There is no rating field: ratings come
+ * from customer reviews.
+ * Opening hours are typed per day ('11:30-14:30, 17:00-22:00'); leaving every day blank keeps
+ * the restaurant always open.
+ */
+// PUBLIC_INTERFACE
+export default function RestaurantForm({ restaurant = null, onSubmit, onCancel }) {
+  /**
+   * Renders the restaurant form.
+   * Props:
+   * - restaurant: the restaurant to edit, or null to create one
+   * - onSubmit: async function({ name, cuisine, priceLevel, deliveryFee, postalCode,
+   *   deliveryRadiusKm, prepMinutes, openingHours, image }) that saves the values (deliveryFee,
+   *   deliveryRadiusKm, prepMinutes and openingHours are null when left blank)
+   * - onCancel: function to close the form without saving
+   */
+  const [values, setValues] = useState(() => toFormValues(restaurant));
+  const [errors, setErrors] = useState({});
+  const [submitError, setSubmitError] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const setField = (name) => (e) => setValues((prev) => ({ ...prev, [name]: e.target.value }));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const found = validateRestaurantFields(values);
+    setErrors(found);
+    setSubmitError('');
+    if (Object.keys(found).length) return;
+    setSubmitting(true);
+    try {
+      await onSubmit({
+        name: values.name.trim(),
+        cuisine: values.cuisine.trim(),
+        priceLevel: Number(values.priceLevel),
+        deliveryFee: values.deliveryFee.trim() ? Number(values.deliveryFee) : null,
+        postalCode: values.postalCode.trim(),
+        deliveryRadiusKm: values.deliveryRadiusKm.trim() ? Number(values.deliveryRadiusKm) : null,
+        prepMinutes: values.prepMinutes.trim() ? Number(values.prepMinutes) : null,
+        openingHours: toOpeningHours(values),
+        image: values.image.trim()
+      });
+    } catch (err) {
+      if (err.name === 'WriteConflictError') {
+        setSubmitError('This restaurant was changed elsewhere since you opened it. Cancel and reopen it to see the latest version.');
+      } else {
+        console.error('Failed to save restaurant.', err);
+        setSubmitError('Saving the restaurant failed. Please try again.');
+      }
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const fieldId = (name) => `restaurant-${name}`;
+  const errorFor = (name) =>
+    errors[name] ? (
+      <span id={`${fieldId(name)}-error`} className="admin-field-error">{errors[name]}</span>
+    ) : null;
+  const describe = (name) => ({
+    'aria-invalid': errors[name] ? 'true' : undefined,
+    'aria-describedby': errors[name] ? `${fieldId(name)}-error` : undefined
+  });
+
+  return (
+    <form
+      className="admin-form"
+      onSubmit={handleSubmit}
+      noValidate
+      aria-label={restaurant ? `Edit ${restaurant.name}` : 'New restaurant'}
+    >
+      <div className="admin-form-grid">
+        <div className="admin-field">
+          <label className="field-label" htmlFor={fieldId('name')}>Name</label>
+          <input
+            id={fieldId('name')}
+            className="field-input"
+            value={values.name}
+            onChange={setField('name')}
+            {...describe('name')}
+          />
+          {errorFor('name')}
+        </div>
+        <div className="admin-field">
+          <label className="field-label" htmlFor={fieldId('cuisine')}>Cuisine</label>
+          <input id={fieldId('cuisine')} className="field-input" value={values.cuisine} onChange={setField('cuisine')} />
+        </div>
+        <div className="admin-field">
+          <label className="field-label" htmlFor={fieldId('priceLevel')}>Price level</label>
+          <select
+            id={fieldId('priceLevel')}
+            className="field-input"
+            value={values.priceLevel}
+            onChange={setField('priceLevel')}
+          >
+            {PRICE_LEVELS.map((level) => (
+              <option key={level} value={String(level)}>{formatPriceLevel(level)}</option>
+            ))}
+          </select>
+        </div>
+        <div className="admin-field">
+          <label className="field-label" htmlFor={fieldId('deliveryFee')}>Delivery fee ($)</label>
+          <input
+            id={fieldId('deliveryFee')}
+            className="field-input"
+            type="number"
+            min={0}
+            step={0.01}
+            placeholder="Standard"
+            value={values.deliveryFee}
+            onChange={setField('deliveryFee')}
+            {...describe('deliveryFee')}
+          />
+          {errorFor('deliveryFee')}
+        </div>
+        <div className="admin-field">
+          <label className="field-label" htmlFor={fieldId('postalCode')}>Postal code</label>
+          <input
+            id={fieldId('postalCode')}
+            className="field-input"
+            value={values.postalCode}
+            onChange={setField('postalCode')}
+            {...describe('postalCode')}
+          />
+          {errorFor('postalCode')}
+        </div>
+        <div className="admin-field">
+          <label className="field-label" htmlFor={fieldId('deliveryRadiusKm')}>Delivery radius (km)</label>
+          <input
+            id={fieldId('deliveryRadiusKm')}
+            className="field-input"
+            type="number"
+            min={0}
+            step={0.5}
+            placeholder={String(DEFAULT_DELIVERY_RADIUS_KM)}
+            value={values.deliveryRadiusKm}
+            onChange={setField('deliveryRadiusKm')}
+            {...describe('deliveryRadiusKm')}
+          />
+          {errorFor('deliveryRadiusKm')}
+        </div>
+        <div className="admin-field">
+          <label className="field-label" htmlFor={fieldId('prepMinutes')}>Prep time (min)</label>
+          <input
+            id={fieldId('prepMinutes')}
+            className="field-input"
+            type="number"
+            min={1}
+            step={1}
+            placeholder={String(ESTIMATES.prepMinutes)}
+            value={values.prepMinutes}
+            onChange={setField('prepMinutes')}
+            {...describe('prepMinutes')}
+          />
+          {errorFor('prepMinutes')}
+        </div>
+        <div className="admin-field is-wide">
+          <label className="field-label" htmlFor={fieldId('image')}>Image URL</label>
+          <input
+            id={fieldId('image')}
+            className="field-input"
+            type="url"
+            placeholder="https://…"
+            value={values.image}
+            onChange={setField('image')}
+            {...describe('image')}
+          />
+          {errorFor('image')}
+        </div>
+
+        <fieldset className="admin-field is-wide admin-hours">
+          <legend className="field-label">Opening hours</legend>
+          <p className="admin-hint">Times like 11:30-14:30, 17:00-22:00. Leave a day blank when closed.</p>
+          <div className="admin-form-grid">
+            {WEEK_DISPLAY_ORDER.map((day) => (
+              <div key={day} className="admin-field">
+                <label className="field-label" htmlFor={fieldId(`hours-${day}`)}>{WEEKDAY_LABELS[day]}</label>
+                <input
+                  id={fieldId(`hours-${day}`)}
+                  className="field-input"
+                  placeholder="Closed"
+                  value={values[`hours-${day}`]}
+                  onChange={setField(`hours-${day}`)}
+                  {...describe(`hours-${day}`)}
+                />
+                {errorFor(`hours-${day}`)}
+              </div>
+            ))}
+            <div className="admin-field">
+              <label className="field-label" htmlFor={fieldId('timezone')}>Timezone</label>
+              <input
+                id={fieldId('timezone')}
+                className="field-input"
+                placeholder={DEFAULT_TIMEZONE}
+                value={values.timezone}
+                onChange={setField('timezone')}
+                {...describe('timezone')}
+              />
+              {errorFor('timezone')}
+            </div>
+            <div className="admin-field">
+              <label className="field-label" htmlFor={fieldId('closures')}>Holiday closures</label>
+              <input
+                id={fieldId('closures')}
+                className="field-input"
+                placeholder="2026-12-25, 2027-01-01"
+                value={values.closures}
+                onChange={setField('closures')}
+                {...describe('closures')}
+              />
+              {errorFor('closures')}
+            </div>
+          </div>
+        </fieldset>
+      </div>
+
+      {submitError ? <p className="admin-field-error" role="alert">{submitError}</p> : null}
+
+      <div className="admin-form-actions">
+        <button type="button" className="btn-outline-ocean" onClick={onCancel}>Cancel</button>
+        <button type="submit" className="btn-ocean" disabled={submitting}>
+          {restaurant ? 'Save restaurant' : 'Add restaurant'}
+        </button>
+      </div>
+    </form>
+  );
+}
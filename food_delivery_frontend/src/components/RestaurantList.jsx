@@ -1,54 +1,142 @@
-import React, { useEffect, useState } from 'react';
-import { getRestaurants, resetToSeed } from '../storage/localStore';
-import RestaurantDetail from './RestaurantDetail';
+import React, { useDeferredValue, useEffect, useMemo, useState } from 'react';
+import '../styles/home.css';
+import '../styles/directory.css';
+import { useAddresses, useFavorites, useKitchenQueues, useNow, useRestaurants } from '../storage/hooks';
+import { getDeliveryZone } from '../storage/deliveryZones';
+import { estimateDelivery } from '../storage/deliveryEstimates';
+import { getFavoriteIds } from '../storage/favorites';
+import { getOpenState } from '../storage/openingHours';
+import {
+  RESTAURANT_SORTS,
+  buildRestaurantIndex,
+  formatPriceLevel,
+  getCuisineFacets,
+  searchRestaurants
+} from '../storage/restaurantCatalog';
+import { buildPath, getLocation, navigate, subscribe } from '../router/router';
+import FavoriteButton from './FavoriteButton';
+
+// Cards rendered per "Show more" step; keeps first paint quick with hundreds of restaurants
+const PAGE_SIZE = 48;
+
+const EMPTY_QUERY = { q: '', cuisines: [], sort: 'featured', deliverTo: '', onlyDeliverable: false, onlyFavorites: false };
+
+// Directory query state lives in the route query so it survives reloads and can be shared:
+// #/restaurants?q=<text>&cuisine=<cuisine>&cuisine=<cuisine>&sort=<RESTAURANT_SORTS id>
+//   &deliverTo=<saved address id>&deliverable=1&favorites=1
+function readDirectoryQuery(params) {
+  const sort = params.get('sort');
+  return {
+    q: params.get('q') || '',
+    cuisines: params.getAll('cuisine'),
+    sort: RESTAURANT_SORTS.some((opt) => opt.id === sort) ? sort : 'featured',
+    deliverTo: params.get('deliverTo') || '',
+    onlyDeliverable: params.get('deliverable') === '1',
+    onlyFavorites: params.get('favorites') === '1'
+  };
+}
+
+function directoryPath({ q, cuisines, sort, deliverTo, onlyDeliverable, onlyFavorites }) {
+  return buildPath('/restaurants', {}, {
+    q,
+    cuisine: cuisines,
+    sort: sort === 'featured' ? '' : sort,
+    deliverTo,
+    deliverable: deliverTo && onlyDeliverable ? '1' : '',
+    favorites: onlyFavorites ? '1' : ''
+  });
+}
 
 /**
  * RestaurantList
  * A simple, accessible list of restaurants using Ocean Professional theme cues.
- * Now supports selecting a restaurant to view its details and menu.
+ * Selecting a restaurant navigates to its /restaurant/:id page.
+ * A toolbar searches by name or cuisine, filters by cuisine chips and sorts the directory;
+ * the query is kept in the /restaurants route query.
+ * Signed-in customers can pick one of their saved addresses to deliver to: restaurants that
+ * do not deliver there are flagged, or hidden with "Only restaurants that deliver here".
+ * Each card says whether the restaurant is open now or when it opens, and while it is open how
+ * long delivery takes (to the picked address, when there is one).
+ * Signed-in customers can also mark favorites with the heart on each card and show only those.
  */
 // PUBLIC_INTERFACE
-export default function RestaurantList() {
-  /** Displays a list of restaurants with name, cuisine, and rating. */
-  const [restaurants, setRestaurants] = useState([]);
-  const [selectedId, setSelectedId] = useState(null);
+export default function RestaurantList({ user = null }) {
+  /**
+   * Displays a list of restaurants with name, cuisine, rating and price level.
+   * Props:
+   * - user: the signed-in user (from the session) or null; enables the "Deliver to" picker and favorites
+   */
+  // Kept current: restaurants added, edited or removed (here or in another tab) show up live
+  const { restaurants, loading, error } = useRestaurants();
+  const loadError = error ? 'We could not load restaurants. Please try again later.' : '';
+  const [query, setQuery] = useState(() => readDirectoryQuery(getLocation().query));
+  const [visibleCount, setVisibleCount] = useState(PAGE_SIZE);
 
+  // Typing stays responsive; the list catches up with the deferred text
+  const deferredText = useDeferredValue(query.q);
+  const index = useMemo(() => buildRestaurantIndex(restaurants), [restaurants]);
+  const facets = useMemo(() => getCuisineFacets(index, { query: deferredText }), [index, deferredText]);
+  const results = useMemo(
+    () => searchRestaurants(index, { query: deferredText, cuisines: query.cuisines, sort: query.sort }),
+    [index, deferredText, query.cuisines, query.sort]
+  );
+  const { addresses } = useAddresses(user ? user.id : null);
+  const { favorites } = useFavorites(user ? user.id : null);
+  const favoriteIds = useMemo(() => getFavoriteIds(favorites, 'restaurant'), [favorites]);
+  // Signed out, the favorites filter in a shared link is ignored
+  const onlyFavorites = !!user && query.onlyFavorites;
+  const now = useNow();
+  const queues = useKitchenQueues();
+  const deliverTo = addresses.find((a) => String(a.id) === query.deliverTo) || null;
+  // Delivery zone per restaurant id for the picked address (empty when none is picked)
+  const zones = useMemo(
+    () => new Map(deliverTo ? restaurants.map((r) => [r.id, getDeliveryZone(r, deliverTo)]) : []),
+    [restaurants, deliverTo]
+  );
+  const shown = useMemo(
+    () =>
+      results.filter(
+        (r) =>
+          (!query.onlyDeliverable || !deliverTo || (zones.get(r.id) || {}).status !== 'outside') &&
+          (!onlyFavorites || favoriteIds.has(Number(r.id)))
+      ),
+    [results, zones, deliverTo, query.onlyDeliverable, onlyFavorites, favoriteIds]
+  );
+  const isFiltered = !!(query.q.trim() || query.cuisines.length || (deliverTo && query.onlyDeliverable) || onlyFavorites);
+
+  // Mirror the query into the route; replace so typing does not add history entries
   useEffect(() => {
-    // Ensure seed exists at least once so the list renders on first app run.
-    resetToSeed();
-    setRestaurants(getRestaurants());
-
-    // Support basic hash routing: #/restaurant/<id>
-    const applyHash = () => {
-      const m = window.location.hash.match(/#\/restaurant\/(\d+)/);
-      if (m && m[1]) {
-        setSelectedId(Number(m[1]));
-      }
-    };
-    applyHash();
-    window.addEventListener('hashchange', applyHash);
-    return () => window.removeEventListener('hashchange', applyHash);
-  }, []);
-
-  const goToDetail = (id) => {
-    setSelectedId(id);
-    // Update hash to preserve selection on refresh/back-forward
-    window.location.hash = `#/restaurant/${id}`;
-  };
+    navigate(directoryPath(query), { replace: true });
+  }, [query]);
 
-  const goBackToList = () => {
-    setSelectedId(null);
-    // Clear hash
-    if (window.location.hash.startsWith('#/restaurant/')) {
-      window.location.hash = '#/';
-    } else {
-      window.location.hash = '';
+  // Back/forward or a link to another directory query: take the query from the new entry
+  useEffect(() => subscribe((location) => {
+    if (location.action !== 'replace' && location.path === '/restaurants') {
+      setQuery(readDirectoryQuery(location.query));
     }
+  }), []);
+
+  useEffect(() => {
+    setVisibleCount(PAGE_SIZE);
+  }, [deferredText, query.cuisines, query.sort, query.deliverTo, query.onlyDeliverable, query.onlyFavorites]);
+
+  const updateQuery = (patch) => setQuery((prev) => ({ ...prev, ...patch }));
+
+  const toggleCuisine = (cuisine) => {
+    setQuery((prev) => ({
+      ...prev,
+      cuisines: prev.cuisines.includes(cuisine)
+        ? prev.cuisines.filter((c) => c !== cuisine)
+        : [...prev.cuisines, cuisine],
+    }));
   };
 
-  if (selectedId != null) {
-    return <RestaurantDetail restaurantId={selectedId} onBack={goBackToList} />;
-  }
+  // Sort order and delivery address are preferences rather than filters, so they stay
+  const clearQuery = () => setQuery((prev) => ({ ...EMPTY_QUERY, sort: prev.sort, deliverTo: prev.deliverTo }));
+
+  // A new history entry, so Back returns to this query and scroll position. The picked address
+  // goes along for the delivery estimate on the restaurant page.
+  const goToDetail = (id) => navigate(buildPath('/restaurant/:id', { id }, { deliverTo: deliverTo ? query.deliverTo : '' }));
 
   const styles = {
     container: {
@@ -139,6 +227,16 @@ export default function RestaurantList() {
       borderColor: 'rgba(245,158,11,0.35)',
       color: '#7c2d12',
     },
+    openChip: {
+      background: 'rgba(16,185,129,0.10)',
+      borderColor: 'rgba(16,185,129,0.30)',
+      color: '#065f46',
+    },
+    outsideChip: {
+      background: 'rgba(185,28,28,0.08)',
+      borderColor: 'rgba(185,28,28,0.25)',
+      color: '#991b1b',
+    },
     empty: {
       background: '#ffffff',
       border: '1px dashed rgba(17,24,39,0.15)',
@@ -171,51 +269,208 @@ export default function RestaurantList() {
           Browse our curated selection. Click a restaurant to view its menu.
         </p>
 
-        {(!restaurants || restaurants.length === 0) ? (
+        {loading ? (
+          <div role="status" aria-live="polite" style={styles.empty}>
+            Loading restaurants…
+          </div>
+        ) : loadError ? (
+          <div role="alert" style={styles.empty}>
+            {loadError}
+          </div>
+        ) : (!restaurants || restaurants.length === 0) ? (
           <div role="status" aria-live="polite" style={styles.empty}>
             No restaurants found. Please refresh to seed demo data or add restaurants.
           </div>
         ) : (
-          <section>
-            <ul style={styles.list} aria-label="Restaurant list">
-              {restaurants.map((r) => (
-                <li key={r.id} style={{ listStyle: 'none' }}>
-                  <article
-                    tabIndex={0}
-                    role="button"
-                    aria-label={`${r.name}, ${r.cuisine}, rated ${r.rating}. Press Enter to view menu.`}
-                    onKeyDown={(e) => handleKeyCard(e, r.id)}
-                    style={styles.card}
-                    onClick={() => goToDetail(r.id)}
-                    onMouseEnter={(e) => Object.assign(e.currentTarget.style, styles.cardHover)}
-                    onMouseLeave={(e) => {
-                      Object.assign(e.currentTarget.style, styles.card);
-                      e.currentTarget.style.cursor = 'pointer';
-                    }}
+          <section aria-label="Restaurants">
+            <div className="directory-toolbar">
+              <input
+                type="search"
+                className="field-input directory-search"
+                placeholder="Search by name or cuisine"
+                aria-label="Search restaurants"
+                value={query.q}
+                onChange={(e) => updateQuery({ q: e.target.value })}
+              />
+              <label className="directory-sort">
+                <span className="field-label">Sort by</span>
+                <select
+                  className="field-input"
+                  value={query.sort}
+                  onChange={(e) => updateQuery({ sort: e.target.value })}
+                >
+                  {RESTAURANT_SORTS.map((opt) => (
+                    <option key={opt.id} value={opt.id}>{opt.label}</option>
+                  ))}
+                </select>
+              </label>
+              {user ? (
+                <label className="directory-sort">
+                  <span className="field-label">Deliver to</span>
+                  <select
+                    className="field-input"
+                    value={deliverTo ? query.deliverTo : ''}
+                    onChange={(e) => updateQuery({ deliverTo: e.target.value })}
                   >
-                    <div style={styles.imageWrap} aria-hidden>
-                      <img
-                        src={r.image || 'https://images.unsplash.com/photo-1498656307815-132743b76b03?q=80&w=1200&auto=format&fit=crop'}
-                        alt=""
-                        style={styles.image}
-                        loading="lazy"
+                    <option value="">Any address</option>
+                    {addresses.map((a) => (
+                      <option key={a.id} value={String(a.id)}>{a.label} — {a.street}</option>
+                    ))}
+                  </select>
+                </label>
+              ) : null}
+              {deliverTo ? (
+                <label className="directory-deliverable">
+                  <input
+                    type="checkbox"
+                    checked={query.onlyDeliverable}
+                    onChange={(e) => updateQuery({ onlyDeliverable: e.target.checked })}
+                  />
+                  Only restaurants that deliver here
+                </label>
+              ) : null}
+              {user ? (
+                <button
+                  type="button"
+                  className={`filter-chip ${onlyFavorites ? 'is-active' : ''}`}
+                  aria-pressed={onlyFavorites}
+                  onClick={() => updateQuery({ onlyFavorites: !onlyFavorites })}
+                >
+                  ♥ Favorites <span className="facet-count">{favoriteIds.size}</span>
+                </button>
+              ) : null}
+            </div>
+
+            {facets.length > 1 || query.cuisines.length ? (
+              <div className="directory-facets" role="group" aria-label="Filter by cuisine">
+                {facets.map(({ cuisine, count }) => (
+                  <button
+                    key={cuisine}
+                    type="button"
+                    className={`filter-chip ${query.cuisines.includes(cuisine) ? 'is-active' : ''}`}
+                    aria-pressed={query.cuisines.includes(cuisine)}
+                    onClick={() => toggleCuisine(cuisine)}
+                  >
+                    {cuisine} <span className="facet-count">{count}</span>
+                  </button>
+                ))}
+              </div>
+            ) : null}
+
+            <p className="directory-count" role="status" aria-live="polite">
+              {shown.length === restaurants.length
+                ? `${shown.length} restaurant${shown.length === 1 ? '' : 's'}`
+                : `${shown.length} of ${restaurants.length} restaurants`}
+            </p>
+
+            {shown.length === 0 && onlyFavorites && !favoriteIds.size ? (
+              <div style={styles.empty}>
+                No favorites yet. Tap ♡ on a restaurant to add it here.
+              </div>
+            ) : shown.length === 0 ? (
+              <div style={styles.empty}>
+                No restaurants match {query.q.trim() ? <>“{query.q.trim()}”</> : 'these filters'}.{' '}
+                {isFiltered ? (
+                  <button type="button" className="cta-link directory-clear" onClick={clearQuery}>
+                    Clear search and filters
+                  </button>
+                ) : null}
+              </div>
+            ) : null}
+
+            <ul style={styles.list} aria-label="Restaurant list">
+              {shown.slice(0, visibleCount).map((r) => {
+                const zone = zones.get(r.id);
+                const outside = !!zone && zone.status === 'outside';
+                const hours = getOpenState(r, now);
+                const eta = hours.open && !outside
+                  ? estimateDelivery(r, { queueLength: queues[r.id] || 0, distanceKm: zone ? zone.distanceKm : null })
+                  : null;
+                return (
+                  <li key={r.id} style={{ listStyle: 'none', position: 'relative' }}>
+                    <article
+                      tabIndex={0}
+                      role="button"
+                      aria-label={`${r.name}, ${r.cuisine}, ${r.rating != null ? `rated ${r.rating}` : 'not rated yet'}, ${hours.open ? 'open now' : hours.opensAt ? `closed, ${hours.label}` : 'closed'}${eta ? `, delivers in ${eta.label}` : ''}${outside ? `, does not deliver to ${deliverTo.label}` : ''}. Press Enter to view menu.`}
+                      onKeyDown={(e) => handleKeyCard(e, r.id)}
+                      style={styles.card}
+                      onClick={() => goToDetail(r.id)}
+                      onMouseEnter={(e) => Object.assign(e.currentTarget.style, styles.cardHover)}
+                      onMouseLeave={(e) => {
+                        Object.assign(e.currentTarget.style, styles.card);
+                        e.currentTarget.style.cursor = 'pointer';
+                      }}
+                    >
+                      <div style={styles.imageWrap} aria-hidden>
+                        <img
+                          src={r.image || 'https://images.unsplash.com/photo-1498656307815-132743b76b03?q=80&w=1200&auto=format&fit=crop'}
+                          alt=""
+                          style={styles.image}
+                          loading="lazy"
+                        />
+                      </div>
+                      <header>
+                        <h2 style={styles.name}>{r.name}</h2>
+                      </header>
+                      <div style={styles.metaRow}>
+                        <span style={{ ...styles.chip, ...styles.cuisineChip }} aria-label={`Cuisine ${r.cuisine}`}>
+                          🍽️ {r.cuisine}
+                        </span>
+                        {r.rating != null ? (
+                          <span
+                            style={{ ...styles.chip, ...styles.ratingChip }}
+                            aria-label={`Rating ${r.rating} from ${r.reviewCount} review${r.reviewCount === 1 ? '' : 's'}`}
+                          >
+                            ⭐ {Number(r.rating).toFixed(1)} ({r.reviewCount})
+                          </span>
+                        ) : (
+                          <span style={{ ...styles.chip, ...styles.ratingChip }} aria-label="Not rated yet">⭐ New</span>
+                        )}
+                        <span style={styles.chip} aria-label={`Price level ${formatPriceLevel(r.priceLevel)}`}>
+                          {formatPriceLevel(r.priceLevel)}
+                        </span>
+                        <span style={hours.open ? { ...styles.chip, ...styles.openChip } : styles.chip}>
+                          {hours.open ? '🟢 ' : '🕒 '}{hours.label}
+                        </span>
+                        {eta ? (
+                          <span style={styles.chip} aria-label={`Delivery in ${eta.label}`}>⏱️ {eta.label}</span>
+                        ) : null}
+                        {outside ? (
+                          <span style={{ ...styles.chip, ...styles.outsideChip }}>
+                            Doesn't deliver here ({zone.distanceKm} km)
+                          </span>
+                        ) : zone && zone.status === 'inside' ? (
+                          <span style={styles.chip}>📍 {zone.distanceKm} km</span>
+                        ) : null}
+                      </div>
+                    </article>
+                    {/* Outside the card: a button inside role="button" would be hidden from assistive tech */}
+                    {user ? (
+                      <FavoriteButton
+                        userId={user.id}
+                        favorites={favorites}
+                        type="restaurant"
+                        targetId={r.id}
+                        name={r.name}
+                        className="is-over-card"
                       />
-                    </div>
-                    <header>
-                      <h2 style={styles.name}>{r.name}</h2>
-                    </header>
-                    <div style={styles.metaRow}>
-                      <span style={{ ...styles.chip, ...styles.cuisineChip }} aria-label={`Cuisine ${r.cuisine}`}>
-                        🍽️ {r.cuisine}
-                      </span>
-                      <span style={{ ...styles.chip, ...styles.ratingChip }} aria-label={`Rating ${r.rating}`}>
-                        ⭐ {Number(r.rating).toFixed(1)}
-                      </span>
-                    </div>
-                  </article>
-                </li>
-              ))}
+                    ) : null}
+                  </li>
+                );
+              })}
             </ul>
+
+            {shown.length > visibleCount ? (
+              <div className="directory-more">
+                <button
+                  type="button"
+                  className="btn-outline-ocean"
+                  onClick={() => setVisibleCount((n) => n + PAGE_SIZE)}
+                >
+                  Show more ({shown.length - visibleCount} left)
+                </button>
+              </div>
+            ) : null}
           </section>
         )}
       </div>
@@ -0,0 +1,115 @@
+import { render, screen, fireEvent, within } from '@testing-library/react';
+import RestaurantList from './RestaurantList';
+import { createRestaurant, createOrder, getOrderById, getRestaurants } from '../storage/localStore';
+
+beforeEach(() => {
+  window.localStorage.clear();
+  window.history.replaceState(null, '', '#/');
+});
+
+test('seeds demo data on first mount', async () => {
+  render(<RestaurantList />);
+  expect(await screen.findByText('Pasta Palace')).toBeInTheDocument();
+});
+
+test('user-created data survives a remount', async () => {
+  const first = render(<RestaurantList />);
+  await screen.findByText('Pasta Palace');
+  const created = createRestaurant({ name: 'Taco Town', cuisine: 'Mexican' });
+  const order = createOrder({ userId: 1, restaurantId: created.id, items: [] });
+  first.unmount();
+
+  render(<RestaurantList />);
+  expect(await screen.findByText('Taco Town')).toBeInTheDocument();
+  // Ratings come from reviews, so a new restaurant starts unrated
+  expect(screen.getByRole('button', { name: /^Taco Town, Mexican, not rated yet/ })).toHaveTextContent('⭐ New');
+  expect(getRestaurants()).toHaveLength(3);
+  expect(getOrderById(order.id)).toBeDefined();
+});
+
+test('searches, filters by cuisine and keeps the query in the route', async () => {
+  render(<RestaurantList />);
+  await screen.findByText('Pasta Palace');
+
+  const facets = screen.getByRole('group', { name: 'Filter by cuisine' });
+  fireEvent.click(within(facets).getByRole('button', { name: /Japanese/ }));
+  expect(screen.queryByText('Pasta Palace')).not.toBeInTheDocument();
+  expect(screen.getByText('Sushi Central')).toBeInTheDocument();
+  expect(window.location.hash).toBe('#/restaurants?cuisine=Japanese');
+
+  fireEvent.change(screen.getByLabelText('Search restaurants'), { target: { value: 'burger' } });
+  expect(await screen.findByText(/No restaurants match/)).toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole('button', { name: 'Clear search and filters' }));
+  expect(await screen.findByText('Pasta Palace')).toBeInTheDocument();
+  expect(screen.getByText('Sushi Central')).toBeInTheDocument();
+});
+
+test('restores the query from a shared link', async () => {
+  window.history.replaceState(null, '', '#/restaurants?q=sushi&sort=rating');
+  render(<RestaurantList />);
+  expect(await screen.findByText('Sushi Central')).toBeInTheDocument();
+  expect(screen.queryByText('Pasta Palace')).not.toBeInTheDocument();
+  expect(screen.getByLabelText('Search restaurants')).toHaveValue('sushi');
+  expect(screen.getByLabelText('Sort by')).toHaveValue('rating');
+});
+
+test('flags or hides restaurants that do not deliver to the picked address', async () => {
+  render(<RestaurantList user={{ id: 2, name: 'Bob Smith', email: 'bob@example.com' }} />);
+  await screen.findByText('Pasta Palace');
+
+  fireEvent.change(await screen.findByLabelText('Deliver to'), { target: { value: '2' } });
+  expect(screen.getByText("Doesn't deliver here (10.1 km)")).toBeInTheDocument();
+  expect(screen.getByText('📍 7.2 km')).toBeInTheDocument();
+
+  fireEvent.click(screen.getByLabelText('Only restaurants that deliver here'));
+  expect(await screen.findByText('1 of 2 restaurants')).toBeInTheDocument();
+  expect(screen.queryByText('Sushi Central')).not.toBeInTheDocument();
+  expect(window.location.hash).toBe('#/restaurants?deliverTo=2&deliverable=1');
+});
+
+test('cards say whether each restaurant is open', async () => {
+  // Wednesday 15:00: between Sushi Central's lunch and dinner
+  Date.now.mockReturnValue(Date.parse('2026-03-04T15:00:00-08:00'));
+  render(<RestaurantList />);
+  const pasta = await screen.findByRole('button', { name: /^Pasta Palace/ });
+  expect(pasta).toHaveTextContent('Open now');
+  const sushi = screen.getByRole('button', { name: /^Sushi Central, Japanese, rated 4.8, closed, Opens at 17:00/ });
+  expect(sushi).toHaveTextContent('Opens at 17:00');
+});
+
+test('cards estimate the delivery time, to the picked address when there is one', async () => {
+  render(<RestaurantList user={{ id: 2, name: 'Bob Smith', email: 'bob@example.com' }} />);
+  const pasta = await screen.findByRole('button', { name: /^Pasta Palace/ });
+  // One seeded order ahead in the kitchen, 15 minutes to cook and 3 km when the address is unknown
+  expect(await within(pasta).findByText('⏱️ 30–40 min')).toBeInTheDocument();
+  expect(pasta).toHaveAccessibleName(/open now, delivers in 30–40 min/);
+
+  fireEvent.change(await screen.findByLabelText('Deliver to'), { target: { value: '2' } });
+  expect(within(pasta).getByText('⏱️ 45–55 min')).toBeInTheDocument();
+  // Sushi Central does not deliver there
+  expect(screen.getByRole('button', { name: /^Sushi Central/ })).not.toHaveTextContent('⏱️');
+
+  fireEvent.click(pasta);
+  expect(window.location.hash).toBe('#/restaurant/1?deliverTo=2');
+});
+
+test('hearts mark favorites, which the Favorites filter shows on their own', async () => {
+  render(<RestaurantList user={{ id: 2, name: 'Bob Smith', email: 'bob@example.com' }} />);
+  await screen.findByRole('button', { name: 'Favorite Sushi Central' });
+  const filter = screen.getByRole('button', { name: /Favorites/ });
+
+  fireEvent.click(filter);
+  expect(await screen.findByText(/No favorites yet/)).toBeInTheDocument();
+  expect(window.location.hash).toBe('#/restaurants?favorites=1');
+  fireEvent.click(filter);
+
+  // The heart saves the favorite without opening the restaurant
+  fireEvent.click(screen.getByRole('button', { name: 'Favorite Sushi Central' }));
+  expect(await screen.findByRole('button', { name: 'Favorite Sushi Central', pressed: true })).toBeInTheDocument();
+  expect(window.location.hash).toBe('#/restaurants');
+
+  fireEvent.click(filter);
+  expect(await screen.findByText('1 of 2 restaurants')).toBeInTheDocument();
+  expect(screen.queryByText('Pasta Palace')).not.toBeInTheDocument();
+});
@@ -0,0 +1,106 @@
+import React, { useState } from 'react';
+import '../styles/home.css';
+import '../styles/reviews.css';
+import { REVIEW_SORTS, formatStars, getReviewPage } from '../storage/reviews';
+
+function formatDate(iso) {
+  const d = new Date(iso);
+  return Number.isNaN(d.getTime()) ? '' : d.toLocaleDateString([], { dateStyle: 'medium' });
+}
+
+/**
+ * RestaurantReviews
+ * Reviews block of the restaurant page: the average rating and number of reviews, a sort
+ * select (newest, highest or lowest rated) and the reviews a page at a time.
+ */
+// PUBLIC_INTERFACE
+export default function RestaurantReviews({ restaurant, reviews = [], loading = false }) {
+  /**
+   * Renders the reviews of a restaurant.
+   * Props:
+   * - restaurant: the restaurant, with its derived rating and reviewCount
+   * - reviews: its reviews (with authorName), as returned by useReviews
+   * - loading: true while the reviews load
+   */
+  const [sort, setSort] = useState('newest');
+  const [page, setPage] = useState(1);
+  const current = getReviewPage(reviews, { sort, page });
+
+  const changeSort = (next) => {
+    setSort(next);
+    setPage(1);
+  };
+
+  return (
+    <div className="reviews-section">
+      <div className="reviews-head">
+        <div>
+          <h2 className="reviews-title">Reviews</h2>
+          <div className="reviews-summary">
+            {restaurant.rating != null ? (
+              <>
+                <strong>{Number(restaurant.rating).toFixed(1)}</strong>{' '}
+                <span aria-hidden>{formatStars(restaurant.rating)}</span>{' '}
+                · {restaurant.reviewCount} review{restaurant.reviewCount === 1 ? '' : 's'}
+              </>
+            ) : 'Not rated yet'}
+          </div>
+        </div>
+        {reviews.length > 1 ? (
+          <div className="reviews-sort">
+            <label className="field-label" htmlFor="reviews-sort">Sort reviews</label>
+            <select id="reviews-sort" className="field-input" value={sort} onChange={(e) => changeSort(e.target.value)}>
+              {REVIEW_SORTS.map((s) => (
+                <option key={s.id} value={s.id}>{s.label}</option>
+              ))}
+            </select>
+          </div>
+        ) : null}
+      </div>
+
+      {loading && !reviews.length ? (
+        <div className="reviews-empty" role="status">Loading reviews…</div>
+      ) : !reviews.length ? (
+        <div className="reviews-empty">No reviews yet. Customers can rate their order once it has been delivered.</div>
+      ) : (
+        <>
+          <ul className="reviews-list" aria-label="Customer reviews">
+            {current.reviews.map((review) => (
+              <li key={review.id} className="review-card">
+                <div className="review-card-head">
+                  <span className="review-card-author">{review.authorName}</span>
+                  <span className="review-card-date">{formatDate(review.createdAt)}</span>
+                </div>
+                <div className="review-card-stars" aria-label={`Rated ${review.rating} out of 5`}>
+                  {formatStars(review.rating)}
+                </div>
+                {review.text ? <p className="review-card-text">{review.text}</p> : null}
+              </li>
+            ))}
+          </ul>
+          {current.pageCount > 1 ? (
+            <nav className="reviews-pager" aria-label="Review pages">
+              <button
+                type="button"
+                className="btn-outline-ocean"
+                disabled={current.page <= 1}
+                onClick={() => setPage(current.page - 1)}
+              >
+                Previous
+              </button>
+              <span>Page {current.page} of {current.pageCount}</span>
+              <button
+                type="button"
+                className="btn-outline-ocean"
+                disabled={current.page >= current.pageCount}
+                onClick={() => setPage(current.page + 1)}
+              >
+                Next
+              </button>
+            </nav>
+          ) : null}
+        </>
+      )}
+    </div>
+  );
+}
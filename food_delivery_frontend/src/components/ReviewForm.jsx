@@ -0,0 +1,150 @@
+import React, { useState } from 'react';
+import '../styles/home.css';
+import '../styles/reviews.css';
+import { REVIEW_RATING, REVIEW_TEXT_MAX_LENGTH, validateReview } from '../storage/reviews';
+
+const STARS = Array.from({ length: REVIEW_RATING.max - REVIEW_RATING.min + 1 }, (_, i) => REVIEW_RATING.min + i);
+
+// Dishes of the order, once each (an order can hold the same dish with different options)
+function orderedDishes(order) {
+  const seen = new Map();
+  (order.items || []).forEach((it) => {
+    const id = Number(it.menuItemId);
+    if (!seen.has(id)) seen.set(id, it.name || `Item #${id}`);
+  });
+  return Array.from(seen, ([menuItemId, name]) => ({ menuItemId, name }));
+}
+
+/**
+ * ReviewForm
+ * Review form for a delivered order: 1–5 stars for the restaurant (required), an optional text
+ * and optional stars per dish in the order. Validates on submit with storage/reviews and shows
+ * errors per field.
+ */
+// PUBLIC_INTERFACE
+export default function ReviewForm({ order, restaurantName = '', onSubmit, onCancel }) {
+  /**
+   * Renders the review form.
+   * Props:
+   * - order: the completed order being reviewed
+   * - restaurantName: shown in the form's label
+   * - onSubmit: async function({ rating, text, items: [{ menuItemId, rating }] }) that saves the review
+   * - onCancel: function to close the form without saving
+   */
+  const [rating, setRating] = useState(0);
+  const [text, setText] = useState('');
+  const [itemRatings, setItemRatings] = useState({});
+  const [errors, setErrors] = useState({});
+  const [submitError, setSubmitError] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const dishes = orderedDishes(order);
+  const fieldId = (name) => `review-${order.id}-${name}`;
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const values = {
+      rating,
+      text: text.trim(),
+      items: dishes
+        .filter((d) => itemRatings[d.menuItemId])
+        .map((d) => ({ menuItemId: d.menuItemId, rating: Number(itemRatings[d.menuItemId]) }))
+    };
+    const found = validateReview(values, order);
+    setErrors(found);
+    setSubmitError('');
+    if (Object.keys(found).length) return;
+    setSubmitting(true);
+    try {
+      await onSubmit(values);
+    } catch (err) {
+      if (err.name === 'ReviewValidationError') {
+        setErrors(err.errors);
+      } else if (err.name === 'ReviewError') {
+        setSubmitError(err.message);
+      } else {
+        console.error('Failed to save review.', err);
+        setSubmitError('Saving the review failed. Please try again.');
+      }
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <form
+      className="review-form"
+      onSubmit={handleSubmit}
+      noValidate
+      aria-label={`Review order #${order.id}${restaurantName ? ` from ${restaurantName}` : ''}`}
+    >
+      <fieldset
+        className="review-stars"
+        aria-invalid={errors.rating ? 'true' : undefined}
+        aria-describedby={errors.rating ? fieldId('rating-error') : undefined}
+      >
+        <legend className="field-label">Your rating</legend>
+        {STARS.map((n) => (
+          <label key={n} className={`review-star ${n <= rating ? 'is-on' : ''}`}>
+            <input
+              type="radio"
+              className="sr-only"
+              name={fieldId('rating')}
+              value={n}
+              checked={rating === n}
+              onChange={() => setRating(n)}
+              aria-label={`${n} star${n > 1 ? 's' : ''}`}
+            />
+            <span aria-hidden>★</span>
+          </label>
+        ))}
+        {errors.rating ? <span id={fieldId('rating-error')} className="review-field-error">{errors.rating}</span> : null}
+      </fieldset>
+
+      <div className="review-field">
+        <label className="field-label" htmlFor={fieldId('text')}>Your review (optional)</label>
+        <textarea
+          id={fieldId('text')}
+          className="field-input"
+          rows={3}
+          maxLength={REVIEW_TEXT_MAX_LENGTH}
+          placeholder="What did you like? What could be better?"
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          aria-invalid={errors.text ? 'true' : undefined}
+        />
+        {errors.text ? <span className="review-field-error">{errors.text}</span> : null}
+      </div>
+
+      {dishes.length ? (
+        <div className="review-dishes">
+          <span className="field-label">Rate the dishes (optional)</span>
+          {dishes.map((d) => (
+            <label key={d.menuItemId} className="review-dish">
+              <span>{d.name}</span>
+              <select
+                className="field-input"
+                aria-label={`Stars for ${d.name}`}
+                value={itemRatings[d.menuItemId] || ''}
+                onChange={(e) => setItemRatings((prev) => ({ ...prev, [d.menuItemId]: e.target.value }))}
+              >
+                <option value="">No rating</option>
+                {STARS.map((n) => (
+                  <option key={n} value={String(n)}>{'★'.repeat(n)}</option>
+                ))}
+              </select>
+            </label>
+          ))}
+          {errors.items ? <span className="review-field-error">{errors.items}</span> : null}
+        </div>
+      ) : null}
+
+      {submitError ? <p className="review-field-error" role="alert">{submitError}</p> : null}
+
+      <div className="review-form-actions">
+        <button type="button" className="btn-outline-ocean" onClick={onCancel}>Cancel</button>
+        <button type="submit" className="btn-ocean" disabled={submitting}>Post review</button>
+      </div>
+    </form>
+  );
+}
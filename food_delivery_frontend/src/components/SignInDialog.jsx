@@ -0,0 +1,127 @@
+import React, { useEffect, useState } from 'react';
+import '../styles/home.css';
+import '../styles/cart.css';
+import '../styles/session.css';
+import { signIn, signUp } from '../storage/session';
+
+/**
+ * SignInDialog
+ * Modal with "Sign in" and "Create account" modes backed by the session module.
+ * Sign-in only needs the email of an existing user; sign-up adds a user with name and email.
+ */
+// PUBLIC_INTERFACE
+export default function SignInDialog({ open, initialMode = 'signin', onClose, onSignedIn }) {
+  /**
+   * Renders the dialog while open.
+   * Props:
+   * - open: boolean
+   * - initialMode: 'signin' | 'signup'
+   * - onClose: function to close without signing in
+   * - onSignedIn: function(user) called after a successful sign-in or sign-up
+   */
+  const [mode, setMode] = useState(initialMode);
+  const [name, setName] = useState('');
+  const [email, setEmail] = useState('');
+  const [error, setError] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    if (!open) return;
+    setMode(initialMode);
+    setError('');
+  }, [open, initialMode]);
+
+  useEffect(() => {
+    if (!open) return undefined;
+    const onKey = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', onKey);
+    return () => window.removeEventListener('keydown', onKey);
+  }, [open, onClose]);
+
+  if (!open) return null;
+
+  const isSignUp = mode === 'signup';
+
+  const onSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError('');
+    try {
+      const user = isSignUp ? await signUp({ name, email }) : await signIn(email);
+      setName('');
+      setEmail('');
+      onSignedIn(user);
+    } catch (err) {
+      if (err.name !== 'SessionError') console.error('Sign-in failed.', err);
+      setError(err.name === 'SessionError' ? err.message : 'Something went wrong. Please try again.');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const switchMode = () => {
+    setMode(isSignUp ? 'signin' : 'signup');
+    setError('');
+  };
+
+  return (
+    <div className="cart-overlay is-centered" onClick={onClose}>
+      <div
+        className="confirm-dialog session-dialog"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="session-dialog-title"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <h2 id="session-dialog-title" className="cart-title">
+          {isSignUp ? 'Create account' : 'Sign in'}
+        </h2>
+        <p className="confirm-text">
+          {isSignUp
+            ? 'Save your details so orders and history follow you.'
+            : 'Enter the email you signed up with.'}
+        </p>
+
+        <form className="session-form" onSubmit={onSubmit} noValidate>
+          {isSignUp ? (
+            <label className="session-field">
+              <span className="field-label">Name</span>
+              <input
+                className="field-input"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                autoComplete="name"
+              />
+            </label>
+          ) : null}
+          <label className="session-field">
+            <span className="field-label">Email</span>
+            <input
+              className="field-input"
+              type="email"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              autoComplete="email"
+              aria-invalid={error ? 'true' : undefined}
+            />
+          </label>
+
+          {error ? <p className="session-error" role="alert">{error}</p> : null}
+
+          <div className="cart-foot-actions">
+            <button type="button" className="btn-outline-ocean" onClick={onClose}>Cancel</button>
+            <button type="submit" className="btn-ocean" disabled={submitting}>
+              {isSignUp ? 'Create account' : 'Sign in'}
+            </button>
+          </div>
+        </form>
+
+        <button type="button" className="cta-link session-switch" onClick={switchMode}>
+          {isSignUp ? 'Already have an account? Sign in' : 'New here? Create an account'}
+        </button>
+      </div>
+    </div>
+  );
+}
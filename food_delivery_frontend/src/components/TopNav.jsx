@@ -1,24 +1,37 @@
 import React from 'react';
+import '../styles/home.css';
+import { NavLink } from '../router/Link';
+
+const DEFAULT_ITEMS = [
+  { label: 'Home', to: '/' },
+  { label: 'Restaurants', to: '/restaurants', match: ['/restaurant/:id'] },
+  { label: 'My orders', to: '/orders', match: ['/orders/:id'] },
+  { label: 'Cart', to: '/cart', match: ['/checkout'] }
+];
 
 /**
  * TopNav
- * Right-aligned navigation inside the white card.
- * Uses red brand color for links per design notes.
+ * Primary navigation in the app header.
+ * Uses red brand color for links per design notes; the link for the current route is
+ * highlighted and marked aria-current="page".
  */
 // PUBLIC_INTERFACE
-export default function TopNav({ items = ['Home', 'Blog', 'Services', 'Location'] }) {
-  /** Renders a simple top navigation list of links. */
+export default function TopNav({ items = DEFAULT_ITEMS, className = '' }) {
+  /**
+   * Renders the primary navigation links.
+   * Props:
+   * - items: [{ label, to, match? }] where match lists extra route patterns that highlight the item
+   * - className: extra classes for placement
+   */
   return (
-    <header className="topnav" role="navigation" aria-label="Primary">
-      <nav>
-        <ul>
-          {items.map((label) => (
-            <li key={label}>
-              <a href="#/" onClick={(e) => e.preventDefault()}>{label}</a>
-            </li>
-          ))}
-        </ul>
-      </nav>
-    </header>
+    <nav className={`topnav ${className}`.trim()} aria-label="Primary">
+      <ul>
+        {items.map((item) => (
+          <li key={item.to}>
+            <NavLink to={item.to} match={item.match}>{item.label}</NavLink>
+          </li>
+        ))}
+      </ul>
+    </nav>
   );
 }
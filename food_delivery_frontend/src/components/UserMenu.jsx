@@ -0,0 +1,90 @@
+import React, { useEffect, useRef, useState } from 'react';
+import '../styles/home.css';
+import '../styles/session.css';
+import { Link } from '../router/Link';
+
+/**
+ * UserMenu
+ * Header control for the session: a "Sign in" button when signed out, otherwise the
+ * user's name opening a small menu with "My orders", "My addresses", "My favorites" and
+ * "Sign out".
+ */
+// PUBLIC_INTERFACE
+export default function UserMenu({ user, onSignIn, onSignOut }) {
+  /**
+   * Renders the header user menu.
+   * Props:
+   * - user: the signed-in user or null
+   * - onSignIn: function to open the sign-in dialog
+   * - onSignOut: function to end the session
+   */
+  const [open, setOpen] = useState(false);
+  const rootRef = useRef(null);
+
+  // Close when clicking elsewhere or pressing Escape
+  useEffect(() => {
+    if (!open) return undefined;
+    const onPointer = (e) => {
+      if (rootRef.current && !rootRef.current.contains(e.target)) setOpen(false);
+    };
+    const onKey = (e) => {
+      if (e.key === 'Escape') setOpen(false);
+    };
+    document.addEventListener('mousedown', onPointer);
+    window.addEventListener('keydown', onKey);
+    return () => {
+      document.removeEventListener('mousedown', onPointer);
+      window.removeEventListener('keydown', onKey);
+    };
+  }, [open]);
+
+  if (!user) {
+    return (
+      <button type="button" className="btn-outline-ocean" onClick={onSignIn}>
+        Sign in
+      </button>
+    );
+  }
+
+  const initial = String(user.name || user.email || '?').trim().charAt(0).toUpperCase();
+
+  return (
+    <div className="user-menu" ref={rootRef}>
+      <button
+        type="button"
+        className="user-menu-trigger"
+        aria-haspopup="menu"
+        aria-expanded={open}
+        onClick={() => setOpen((v) => !v)}
+      >
+        <span className="user-avatar" aria-hidden>{initial}</span>
+        {user.name || user.email}
+      </button>
+      {open ? (
+        <div className="user-menu-list" role="menu">
+          <div className="user-menu-email">{user.email}</div>
+          <Link role="menuitem" className="user-menu-item" to="/orders" onClick={() => setOpen(false)}>
+            My orders
+          </Link>
+          <Link role="menuitem" className="user-menu-item" to="/addresses" onClick={() => setOpen(false)}>
+            My addresses
+          </Link>
+          <Link role="menuitem" className="user-menu-item" to="/favorites" onClick={() => setOpen(false)}>
+            My favorites
+          </Link>
+          <button
+            type="button"
+            role="menuitem"
+            className="user-menu-item"
+            onClick={() => {
+              setOpen(false);
+              onSignOut();
+            }}
+          >
+            Sign out
+          </button>
+        </div>
+      ) : null}
+    </div>
+  );
+}
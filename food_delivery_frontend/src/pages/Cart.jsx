@@ -0,0 +1,29 @@
+import React from 'react';
+import '../styles/cart.css';
+import { CartContents } from '../components/CartDrawer';
+import { Link } from '../router/Link';
+
+/**
+ * Cart
+ * Full-page cart at /cart: the same lines and controls as the drawer, for sharing a
+ * link to the cart or reviewing it on small screens.
+ */
+// PUBLIC_INTERFACE
+export default function Cart({ cart = [], user = null, onCheckout }) {
+  /**
+   * Renders the cart page.
+   * Props:
+   * - cart: array of cart lines (from getCart / subscribeCart)
+   * - user: the signed-in user or null
+   * - onCheckout: function to start checkout with the current cart
+   */
+  return (
+    <main className="cart-page" aria-label="Cart">
+      <div className="cart-page-head">
+        <h1 className="cart-title">Your cart</h1>
+        <Link to="/restaurants" className="cta-link">Keep browsing</Link>
+      </div>
+      <CartContents cart={cart} user={user} onCheckout={onCheckout} />
+    </main>
+  );
+}
@@ -1,17 +1,20 @@
 import React, { useEffect } from 'react';
 import '../styles/home.css';
-import TopNav from '../components/TopNav';
 import Hero from '../components/Hero';
+import { Link } from '../router/Link';
+import { useTopReviews } from '../storage/hooks';
+import { formatStars } from '../storage/reviews';
 
 /**
  * Home
  * Implements the extracted homepage layout: red canvas, white rounded card,
- * right-aligned navigation, hero split, and a call-to-action bridge section.
+ * hero split, and a call-to-action bridge section linking to the /restaurants directory.
+ * Primary navigation lives in the app header (TopNav).
  *
  * Adds Ocean Professional content blocks with subtle animations:
  * - Features/services grid
  * - Promo banner
- * - Testimonials
+ * - Testimonials: the best customer reviews with text, from the store
  * - About snippet
  */
 // PUBLIC_INTERFACE
@@ -21,12 +24,11 @@ export default function Home({ onExplore }) {
    * Props:
    * - onExplore: optional callback when the user chooses to scroll/explore restaurants
    */
+  const { reviews: testimonials } = useTopReviews(3);
 
   const handleContact = () => {
-    // Smoothly scroll to explore or list anchors
-    const target =
-      document.getElementById('explore-restaurants') ||
-      document.getElementById('restaurant-list');
+    // Smoothly scroll to the explore call-to-action
+    const target = document.getElementById('explore-restaurants');
     if (target) {
       target.scrollIntoView({ behavior: 'smooth', block: 'start' });
     }
@@ -69,7 +71,6 @@ export default function Home({ onExplore }) {
   return (
     <main role="main" className="page-canvas">
       <div className="card">
-        <TopNav items={['Home', 'Blog', 'Services', 'Location']} />
 
         {/* Hero with subtle animation/tilt */}
         <Hero
@@ -92,20 +93,11 @@ export default function Home({ onExplore }) {
               ✨
             </span>
             <span>
-              Ready to order? <strong>Explore restaurants</strong> below.
+              Ready to order? <strong>Explore restaurants</strong> near you.
             </span>
-            <a
-              href="#restaurant-list"
-              className="cta-link"
-              onClick={(e) => {
-                e.preventDefault();
-                const el = document.getElementById('restaurant-list');
-                if (el) el.scrollIntoView({ behavior: 'smooth', block: 'start' });
-                if (onExplore) onExplore();
-              }}
-            >
-              Browse ↓
-            </a>
+            <Link to="/restaurants" className="cta-link" onClick={() => onExplore && onExplore()}>
+              Browse →
+            </Link>
           </div>
         </section>
 
@@ -179,18 +171,9 @@ export default function Home({ onExplore }) {
             <p>
               Free delivery on your first order — use code <strong>WELCOME</strong>
             </p>
-            <a
-              className="promo-cta"
-              href="#restaurant-list"
-              onClick={(e) => {
-                e.preventDefault();
-                const el = document.getElementById('restaurant-list');
-                if (el) el.scrollIntoView({ behavior: 'smooth', block: 'start' });
-                if (onExplore) onExplore();
-              }}
-            >
+            <Link to="/restaurants" className="promo-cta" onClick={() => onExplore && onExplore()}>
               Order now →
-            </a>
+            </Link>
           </div>
         </section>
 
@@ -204,35 +187,21 @@ export default function Home({ onExplore }) {
             <h2>Loved by diners</h2>
             <p>Hear what our customers are saying.</p>
           </header>
-          <ul className="quotes">
-            <li
-              className="quote-card reveal-on-scroll"
-              data-animate="fade-up"
-              data-animate-delay="0ms"
-            >
-              <blockquote>
-                “Delivery was quick and the tracking made it stress-free. Definitely my go-to app!”
-              </blockquote>
-              <cite>— Priya S.</cite>
-            </li>
-            <li
-              className="quote-card reveal-on-scroll"
-              data-animate="fade-up"
-              data-animate-delay="120ms"
-            >
-              <blockquote>
-                “Great selection and the UI feels modern and clean. Highly recommended.”
-              </blockquote>
-              <cite>— Lucas M.</cite>
-            </li>
-            <li
-              className="quote-card reveal-on-scroll"
-              data-animate="fade-up"
-              data-animate-delay="200ms"
-            >
-              <blockquote>“Secure checkout and fast delivery times. Five stars!”</blockquote>
-              <cite>— Aisha K.</cite>
-            </li>
+          {/* Quotes load from the store after the first render, so the list (not each card) is revealed */}
+          <ul
+            className="quotes reveal-on-scroll"
+            data-animate="fade-up"
+            data-animate-delay="0ms"
+          >
+            {testimonials.map((review) => (
+              <li key={review.id} className="quote-card">
+                <div className="quote-stars" aria-label={`Rated ${review.rating} out of 5`}>
+                  {formatStars(review.rating)}
+                </div>
+                <blockquote>“{review.text}”</blockquote>
+                <cite>— {review.authorName}{review.restaurantName ? `, ${review.restaurantName}` : ''}</cite>
+              </li>
+            ))}
           </ul>
         </section>
 
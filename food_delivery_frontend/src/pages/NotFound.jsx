@@ -0,0 +1,29 @@
+import React from 'react';
+import '../styles/home.css';
+import { Link } from '../router/Link';
+
+/**
+ * NotFound
+ * Shown for any location that matches no declared route.
+ */
+// PUBLIC_INTERFACE
+export default function NotFound({ path }) {
+  /**
+   * Renders the not-found page.
+   * Props:
+   * - path: the unmatched router path, echoed back to the user
+   */
+  return (
+    <main className="not-found" aria-labelledby="not-found-title">
+      <p className="not-found-code">404</p>
+      <h1 id="not-found-title">Page not found</h1>
+      <p>
+        There is nothing at <code>{path}</code>. The link may be out of date.
+      </p>
+      <div className="not-found-actions">
+        <Link to="/" className="btn-outline-ocean">Home</Link>
+        <Link to="/restaurants" className="btn-ocean">Browse restaurants</Link>
+      </div>
+    </main>
+  );
+}
@@ -0,0 +1,62 @@
+import React from 'react';
+import { href, matchPath, navigate, useLocation } from './router';
+
+function isPlainClick(e) {
+  return e.button === 0 && !e.metaKey && !e.ctrlKey && !e.shiftKey && !e.altKey;
+}
+
+/**
+ * Link
+ * Anchor for a router path. A plain click navigates in place (new history entry, page starts
+ * at the top); modified clicks keep the browser's behavior, e.g. open in a new tab.
+ */
+// PUBLIC_INTERFACE
+export function Link({ to, replace = false, onClick, children, ...rest }) {
+  /**
+   * Renders an <a> for a router path.
+   * Props:
+   * - to: router path such as '/orders/3' or '/restaurants?q=sushi'
+   * - replace: replace the current history entry instead of adding one
+   * - onClick: optional handler, runs before navigating (call preventDefault to cancel)
+   */
+  const handleClick = (e) => {
+    if (onClick) onClick(e);
+    if (e.defaultPrevented || !isPlainClick(e) || rest.target) return;
+    e.preventDefault();
+    navigate(to, { replace });
+  };
+  return (
+    <a href={href(to)} onClick={handleClick} {...rest}>
+      {children}
+    </a>
+  );
+}
+
+/**
+ * NavLink
+ * Link that marks itself active (class `is-active`, aria-current="page") while the current
+ * path matches `to` or one of the extra `match` patterns.
+ */
+// PUBLIC_INTERFACE
+export function NavLink({ to, match = [], className = '', ...rest }) {
+  /**
+   * Renders a navigation link with active-state highlighting.
+   * Props:
+   * - to: router path
+   * - match: extra route patterns that count as active, e.g. ['/restaurant/:id']
+   * - className: classes added next to `is-active`
+   */
+  const { path } = useLocation();
+  const target = to.split('?')[0];
+  const active = [target, ...match].some((pattern) => matchPath(pattern, path));
+  return (
+    <Link
+      to={to}
+      className={`${className} ${active ? 'is-active' : ''}`.trim()}
+      aria-current={active ? 'page' : undefined}
+      {...rest}
+    />
+  );
+}
+
+export default Link;
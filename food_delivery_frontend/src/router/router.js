@@ -0,0 +1,244 @@
+/**
+ * Small hash-based client-side router.
+ *
+ * Locations live in the URL hash (`#/restaurant/2?q=roll`) so the app works from any static
+ * host without server rewrites. Every history entry the router creates carries a key and an
+ * index in history.state; the key identifies the entry for scroll restoration and the index
+ * tells goBack whether the previous entry belongs to the app.
+ *
+ * - navigate(to, { replace }) pushes or replaces an entry and notifies subscribers.
+ * - Back/forward (popstate) and plain `<a href="#/...">` clicks (hashchange) are picked up too.
+ * - Scroll positions are saved per entry when leaving it; on back/forward the saved position is
+ *   restored, on a new navigation the page starts at the top.
+ */
+
+import { useEffect, useSyncExternalStore } from 'react';
+
+const listeners = new Set();
+// entry key -> window.scrollY when the entry was left
+const scrollPositions = new Map();
+let keySeq = 0;
+let snapshot = null;
+let started = false;
+
+function newKey() {
+  keySeq += 1;
+  return `${Date.now().toString(36)}-${keySeq}`;
+}
+
+function currentScroll() {
+  return window.scrollY || window.pageYOffset || 0;
+}
+
+// INTERNAL: splits a router path ("/restaurant/2?q=roll") into { path, search }
+function splitPath(to) {
+  const raw = String(to || '/');
+  const qIndex = raw.indexOf('?');
+  const path = qIndex === -1 ? raw : raw.slice(0, qIndex);
+  return {
+    path: path.startsWith('/') ? path : `/${path}`,
+    search: qIndex === -1 ? '' : raw.slice(qIndex + 1)
+  };
+}
+
+function readLocation(action) {
+  const { path, search } = splitPath(window.location.hash.replace(/^#/, '') || '/');
+  const state = window.history.state || {};
+  return {
+    path,
+    search,
+    query: new window.URLSearchParams(search),
+    key: state.fdKey || 'initial',
+    index: Number(state.fdIndex) || 0,
+    action
+  };
+}
+
+function emit() {
+  listeners.forEach((listener) => {
+    try {
+      listener(snapshot);
+    } catch (e) {
+      console.error('Route listener failed.', e);
+    }
+  });
+}
+
+// Back/forward, or the hash was changed outside navigate() (typed URL, plain link)
+function onExternalChange() {
+  const state = window.history.state || {};
+  if (snapshot && state.fdKey === snapshot.key && window.location.hash === snapshot.hash) return;
+  if (snapshot) scrollPositions.set(snapshot.key, currentScroll());
+  if (!state.fdKey) {
+    // A plain hash link creates an entry without our state; adopt it as a new entry
+    const index = snapshot ? snapshot.index + 1 : 0;
+    window.history.replaceState({ fdKey: newKey(), fdIndex: index }, '', window.location.hash || '#/');
+    snapshot = { ...readLocation('push'), hash: window.location.hash };
+  } else {
+    snapshot = { ...readLocation('pop'), hash: window.location.hash };
+  }
+  emit();
+}
+
+function start() {
+  if (started) return;
+  started = true;
+  if ('scrollRestoration' in window.history) window.history.scrollRestoration = 'manual';
+  const state = window.history.state || {};
+  if (!state.fdKey) {
+    window.history.replaceState({ ...state, fdKey: newKey(), fdIndex: 0 }, '', window.location.hash || '#/');
+  }
+  snapshot = { ...readLocation('initial'), hash: window.location.hash };
+  window.addEventListener('popstate', onExternalChange);
+  window.addEventListener('hashchange', onExternalChange);
+}
+
+// PUBLIC_INTERFACE
+export function getLocation() {
+  /**
+   * Returns the current location snapshot:
+   * { path, search, query: URLSearchParams, key, index, action: 'initial'|'push'|'replace'|'pop', hash }.
+   * The same object is returned until the location changes.
+   */
+  start();
+  // history.replaceState calls made outside the router fire no event; pick them up here
+  if (snapshot.hash !== window.location.hash) {
+    snapshot = { ...readLocation('replace'), hash: window.location.hash };
+  }
+  return snapshot;
+}
+
+// PUBLIC_INTERFACE
+export function subscribe(listener) {
+  /** Calls listener(location) after every location change; returns an unsubscribe function. */
+  start();
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+// PUBLIC_INTERFACE
+export function href(to) {
+  /** Returns the href for a router path, e.g. '/orders/3' → '#/orders/3'. */
+  const { path, search } = splitPath(to);
+  return `#${path}${search ? `?${search}` : ''}`;
+}
+
+// PUBLIC_INTERFACE
+export function navigate(to, { replace = false } = {}) {
+  /**
+   * Goes to a router path such as '/restaurant/2?q=roll'.
+   * replace: true swaps the current entry (e.g. while typing in a search box) instead of
+   * adding one, and keeps the current scroll position.
+   */
+  const current = getLocation();
+  const target = href(to);
+  if (replace) {
+    if (target === window.location.hash) return;
+    window.history.replaceState({ fdKey: current.key, fdIndex: current.index }, '', target);
+    snapshot = { ...readLocation('replace'), hash: window.location.hash };
+  } else {
+    scrollPositions.set(current.key, currentScroll());
+    window.history.pushState({ fdKey: newKey(), fdIndex: current.index + 1 }, '', target);
+    snapshot = { ...readLocation('push'), hash: window.location.hash };
+  }
+  emit();
+}
+
+// PUBLIC_INTERFACE
+export function goBack(fallback = '/') {
+  /**
+   * Returns to the previous entry when it belongs to the app (so its query and scroll
+   * position come back); otherwise navigates to `fallback`.
+   */
+  if (getLocation().index > 0) window.history.back();
+  else navigate(fallback);
+}
+
+// PUBLIC_INTERFACE
+export function buildPath(pattern, params = {}, query = {}) {
+  /**
+   * Fills a route pattern and appends a query string, skipping empty values.
+   * buildPath('/restaurant/:id', { id: 2 }, { q: 'roll' }) → '/restaurant/2?q=roll'.
+   * Array query values become repeated parameters.
+   */
+  const path = pattern.replace(/:([A-Za-z_]+)/g, (_, name) => encodeURIComponent(String(params[name])));
+  const qs = new window.URLSearchParams();
+  Object.keys(query).forEach((name) => {
+    const value = query[name];
+    if (Array.isArray(value)) value.forEach((v) => qs.append(name, v));
+    else if (value !== undefined && value !== null && value !== '') qs.set(name, String(value));
+  });
+  const search = qs.toString();
+  return `${path}${search ? `?${search}` : ''}`;
+}
+
+// PUBLIC_INTERFACE
+export function matchPath(pattern, path) {
+  /**
+   * Matches a path against a pattern with :params ('/orders/:id').
+   * Returns the decoded params object, or null when it does not match. A trailing slash is ignored.
+   */
+  const patternParts = pattern.split('/').filter(Boolean);
+  const pathParts = path.split('/').filter(Boolean);
+  if (patternParts.length !== pathParts.length) return null;
+  const params = {};
+  for (let i = 0; i < patternParts.length; i += 1) {
+    const part = patternParts[i];
+    if (part.startsWith(':')) {
+      try {
+        params[part.slice(1)] = decodeURIComponent(pathParts[i]);
+      } catch (e) {
+        return null;
+      }
+    } else if (part !== pathParts[i]) {
+      return null;
+    }
+  }
+  return params;
+}
+
+// PUBLIC_INTERFACE
+export function resolveRoute(routes, path) {
+  /**
+   * Returns { route, params } for the first declared route matching the path,
+   * or { route: null, params: {} } when nothing matches (render the not-found page).
+   */
+  for (const route of routes) {
+    const params = matchPath(route.path, path);
+    if (params) return { route, params };
+  }
+  return { route: null, params: {} };
+}
+
+// PUBLIC_INTERFACE
+export function useLocation() {
+  /** React hook: the current location snapshot (see getLocation), re-rendering on change. */
+  return useSyncExternalStore(subscribe, getLocation);
+}
+
+// PUBLIC_INTERFACE
+export function useScrollRestoration() {
+  /**
+   * React hook for the app root: scrolls to the top after a new navigation and back to the
+   * saved position after back/forward. Pages load their data asynchronously, so restoring
+   * retries briefly until the page is tall enough to reach the saved position.
+   */
+  const location = useLocation();
+  useEffect(() => {
+    if (location.action === 'push') {
+      window.scrollTo(0, 0);
+      return undefined;
+    }
+    if (location.action !== 'pop') return undefined;
+    const target = scrollPositions.get(location.key) || 0;
+    let tries = 0;
+    let timer;
+    const attempt = () => {
+      window.scrollTo(0, target);
+      tries += 1;
+      if (Math.abs(currentScroll() - target) > 1 && tries < 20) timer = window.setTimeout(attempt, 50);
+    };
+    attempt();
+    return () => window.clearTimeout(timer);
+  }, [location]);
+}
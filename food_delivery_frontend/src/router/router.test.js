@@ -0,0 +1,44 @@
+import { buildPath, getLocation, goBack, matchPath, navigate, resolveRoute, subscribe } from './router';
+import { ROUTES } from './routes';
+
+beforeEach(() => {
+  window.history.replaceState(null, '', '#/');
+});
+
+test('matches declared routes and extracts params', () => {
+  expect(resolveRoute(ROUTES, '/')).toMatchObject({ route: { name: 'home' }, params: {} });
+  expect(resolveRoute(ROUTES, '/restaurant/12')).toMatchObject({ route: { name: 'restaurant' }, params: { id: '12' } });
+  expect(resolveRoute(ROUTES, '/orders/')).toMatchObject({ route: { name: 'orders' } });
+  expect(resolveRoute(ROUTES, '/orders/7')).toMatchObject({ route: { name: 'order' }, params: { id: '7' } });
+  expect(resolveRoute(ROUTES, '/restaurant/12/menu').route).toBeNull();
+  expect(matchPath('/restaurant/:id', '/restaurant/caf%C3%A9')).toEqual({ id: 'café' });
+});
+
+test('builds paths with params and query, skipping empty values', () => {
+  expect(buildPath('/restaurant/:id', { id: 2 }, { q: 'roll', cat: '' })).toBe('/restaurant/2?q=roll');
+  expect(buildPath('/restaurants', {}, { cuisine: ['Thai', 'Indian'], sort: undefined }))
+    .toBe('/restaurants?cuisine=Thai&cuisine=Indian');
+});
+
+test('push adds an entry, replace swaps it, and listeners see both', () => {
+  const listener = jest.fn();
+  const unsubscribe = subscribe(listener);
+  const start = getLocation().index;
+
+  navigate('/restaurants?q=sushi');
+  expect(getLocation()).toMatchObject({ path: '/restaurants', action: 'push', index: start + 1 });
+  expect(getLocation().query.get('q')).toBe('sushi');
+
+  navigate('/restaurants?q=pasta', { replace: true });
+  expect(window.location.hash).toBe('#/restaurants?q=pasta');
+  expect(getLocation()).toMatchObject({ action: 'replace', index: start + 1 });
+
+  expect(listener).toHaveBeenCalledTimes(2);
+  unsubscribe();
+});
+
+test('goBack falls back to a path when there is no app history', () => {
+  window.history.replaceState(null, '', '#/orders/3');
+  goBack('/orders');
+  expect(getLocation()).toMatchObject({ path: '/orders', action: 'push' });
+});
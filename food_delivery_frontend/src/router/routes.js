@@ -0,0 +1,20 @@
+/**
+ * Declared routes, matched in order by resolveRoute. App renders a view per route name;
+ * anything else gets the not-found page.
+ */
+
+// PUBLIC_INTERFACE
+export const ROUTES = [
+  { name: 'home', path: '/' },
+  { name: 'restaurants', path: '/restaurants' },
+  { name: 'restaurant', path: '/restaurant/:id' },
+  { name: 'cart', path: '/cart' },
+  { name: 'checkout', path: '/checkout' },
+  { name: 'orders', path: '/orders' },
+  { name: 'order', path: '/orders/:id' },
+  { name: 'addresses', path: '/addresses' },
+  { name: 'favorites', path: '/favorites' },
+  { name: 'admin', path: '/admin' },
+  { name: 'kitchen', path: '/kitchen' },
+  { name: 'kitchenBoard', path: '/kitchen/:restaurantId' }
+];
@@ -3,3 +3,14 @@
 // expect(element).toHaveTextContent(/react/i)
 // learn more: https://github.com/testing-library/jest-dom
 import '@testing-library/jest-dom';
+
+// jsdom does not implement scrolling; the router scrolls on every navigation.
+// (Some storage suites run in the node environment, without a window.)
+if (typeof window !== 'undefined') window.scrollTo = () => {};
+
+// The seed restaurants keep opening hours (storage/openingHours). Pin the clock to a Wednesday
+// lunchtime in Bayview, when both are open, so suites do not depend on when they run; a test
+// can still mock Date.now with another time.
+beforeEach(() => {
+  jest.spyOn(Date, 'now').mockReturnValue(Date.parse('2026-03-04T12:00:00-08:00'));
+});
@@ -0,0 +1,53 @@
+/**
+ * Clocks for the order simulator.
+ *
+ * A clock is { now(): ms, setTimeout(fn, ms): handle, clearTimeout(handle) }.
+ * realClock uses the browser timers; createManualClock only moves when told to,
+ * so tests can drive time-based code without real waiting.
+ */
+
+// PUBLIC_INTERFACE
+export const realClock = {
+  now: () => Date.now(),
+  setTimeout: (fn, ms) => window.setTimeout(fn, ms),
+  clearTimeout: (handle) => window.clearTimeout(handle)
+};
+
+// PUBLIC_INTERFACE
+export function createManualClock(start = 0) {
+  /**
+   * Returns a deterministic clock starting at `start` (ms).
+   * advance(ms) moves time forward, running due timers in time order (ties in scheduling
+   * order) and awaiting any Promise a timer returns before running the next one.
+   */
+  let current = start;
+  let seq = 0;
+  let timers = [];
+
+  const clock = {
+    now: () => current,
+    setTimeout: (fn, ms) => {
+      seq += 1;
+      timers.push({ id: seq, due: current + Math.max(0, Number(ms) || 0), fn });
+      return seq;
+    },
+    clearTimeout: (handle) => {
+      timers = timers.filter((t) => t.id !== handle);
+    },
+    pending: () => timers.length,
+    advance: async (ms) => {
+      const target = current + Math.max(0, Number(ms) || 0);
+      for (;;) {
+        const due = timers
+          .filter((t) => t.due <= target)
+          .sort((a, b) => a.due - b.due || a.id - b.id)[0];
+        if (!due) break;
+        timers = timers.filter((t) => t !== due);
+        current = due.due;
+        await due.fn();
+      }
+      current = target;
+    }
+  };
+  return clock;
+}
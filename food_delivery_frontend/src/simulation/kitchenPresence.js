@@ -0,0 +1,68 @@
+/**
+ * Which restaurants have a kitchen dashboard open.
+ *
+ * While a kitchen dashboard shows a restaurant's queue, the kitchen accepts its orders and
+ * hands them off itself, so the order simulator must not move them on behind its back. An open
+ * dashboard keeps an entry under KITCHEN_PRESENCE_KEY ({ [restaurantId]: expiresAt }) in
+ * localStorage, shared by every tab, and renews it until it closes. An entry from a tab that
+ * was closed without cleaning up lapses after KITCHEN_PRESENCE_TTL.
+ */
+
+import { realClock } from './clock';
+
+// PUBLIC_INTERFACE
+export const KITCHEN_PRESENCE_KEY = 'fd_open_kitchens_v1';
+
+// PUBLIC_INTERFACE
+export const KITCHEN_PRESENCE_TTL = 30 * 1000;
+
+// PUBLIC_INTERFACE
+export const KITCHEN_STATUSES = ['placed', 'preparing'];
+
+function defaultStorage() {
+  return typeof window !== 'undefined' ? window.localStorage : null;
+}
+
+function readEntries(storage) {
+  try {
+    const parsed = JSON.parse(storage.getItem(KITCHEN_PRESENCE_KEY));
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch (e) {
+    return {};
+  }
+}
+
+function writeEntries(storage, entries) {
+  if (Object.keys(entries).length) storage.setItem(KITCHEN_PRESENCE_KEY, JSON.stringify(entries));
+  else storage.removeItem(KITCHEN_PRESENCE_KEY);
+}
+
+// PUBLIC_INTERFACE
+export function isKitchenOpen(restaurantId, { storage = defaultStorage(), clock = realClock } = {}) {
+  /** True while a kitchen dashboard for the restaurant is open (in this tab or another). */
+  if (!storage) return false;
+  const expiresAt = readEntries(storage)[String(Number(restaurantId))];
+  return Number.isFinite(expiresAt) && expiresAt > clock.now();
+}
+
+// PUBLIC_INTERFACE
+export function keepKitchenOpen(restaurantId, { storage = defaultStorage(), clock = realClock } = {}) {
+  /**
+   * Marks the restaurant's kitchen as open and renews the mark until the returned function
+   * is called, which removes it.
+   */
+  if (!storage) return () => {};
+  const id = String(Number(restaurantId));
+  let handle = null;
+  const renew = () => {
+    writeEntries(storage, { ...readEntries(storage), [id]: clock.now() + KITCHEN_PRESENCE_TTL });
+    handle = clock.setTimeout(renew, KITCHEN_PRESENCE_TTL / 3);
+  };
+  renew();
+  return () => {
+    clock.clearTimeout(handle);
+    const entries = readEntries(storage);
+    delete entries[id];
+    writeEntries(storage, entries);
+  };
+}
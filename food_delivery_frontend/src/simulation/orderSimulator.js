@@ -0,0 +1,237 @@
+/**
+ * Local order progression engine.
+ *
+ * Advances open orders through placed → preparing → delivering → completed on
+ * configurable timers so the "live tracking" experience works without a backend.
+ * The engine only ever moves orders forward through updateOrderStatus, so the
+ * lifecycle rules in storage/orderLifecycle still apply (a cancelled order stops).
+ *
+ * Time comes from an injectable clock (see ./clock). With createManualClock the engine
+ * is fully deterministic: tests call clock.advance(ms) instead of waiting.
+ *
+ * Every open tab runs the app, but only one of them should advance orders. The app-wide
+ * simulator therefore holds a lease in localStorage (SIMULATOR_LEASE_KEY): the tab holding it
+ * renews it on every scan, the others stand by and take over once it is released on stop or
+ * lapses (e.g. the tab was closed).
+ *
+ * Orders of a restaurant whose kitchen dashboard is open (see ./kitchenPresence) wait for the
+ * kitchen to accept them and hand them off; the simulator only delivers them.
+ */
+
+import repository from '../storage/repository';
+import { getNextOrderStatus, getStatusEnteredAt, isOrderOpen } from '../storage/orderLifecycle';
+import { realClock } from './clock';
+import { KITCHEN_STATUSES, isKitchenOpen } from './kitchenPresence';
+
+// PUBLIC_INTERFACE
+export const SIMULATION_PRESETS = {
+  // Milliseconds spent in each status before moving to the next one
+  demo: { placed: 20 * 1000, preparing: 40 * 1000, delivering: 60 * 1000 },
+  realistic: { placed: 2 * 60 * 1000, preparing: 12 * 60 * 1000, delivering: 20 * 60 * 1000 },
+  // The kitchen dashboard accepts orders and hands them off; only the delivery is simulated
+  kitchen: { delivering: 60 * 1000 }
+};
+
+// PUBLIC_INTERFACE
+export const SIMULATOR_LEASE_KEY = 'fd_order_simulator_lease_v1';
+
+// PUBLIC_INTERFACE
+export function createOrderSimulator({
+  store = repository,
+  clock = realClock,
+  durations = SIMULATION_PRESETS.demo,
+  scanInterval = 5000,
+  lease = null,
+  leaveToKitchen = null
+} = {}) {
+  /**
+   * Creates a simulator instance.
+   * - store: { getOrders, getOrderById, updateOrderStatus } (sync or async); defaults to the repository
+   * - clock: { now, setTimeout, clearTimeout }; defaults to the real clock
+   * - durations: { placed, preparing, delivering } in ms
+   * - scanInterval: ms between scans for new or externally changed orders
+   * - lease: optional { storage, key, ttl } shared by several simulators (e.g. localStorage
+   *   across tabs): only the one holding the lease advances orders. It lasts ttl ms (three scans
+   *   by default) and is renewed on every scan. Without a lease the simulator always runs.
+   * - leaveToKitchen: optional function(order) → true to leave the order where it is for
+   *   someone else (the kitchen dashboard) to move on; checked again on every scan
+   *
+   * An order resumes from its last statusHistory entry, so time already spent in a
+   * status counts (history timestamps ahead of the clock count as zero elapsed).
+   * A scheduled order (scheduledFor) stays placed until preparing and delivering it would
+   * finish at the scheduled time.
+   *
+   * Events passed to subscribe listeners:
+   * - { type: 'status', orderId, from, to, order, at }
+   * - { type: 'error', orderId, error }
+   */
+  const listeners = new Set();
+  const scheduled = new Map(); // orderId -> { handle, status }
+  let scanHandle = null;
+  let running = false;
+  const owner = `simulator-${Math.random().toString(36).slice(2)}`;
+  const leaseTtl = (lease && lease.ttl) || scanInterval * 3;
+
+  const readLease = () => {
+    try {
+      return JSON.parse(lease.storage.getItem(lease.key)) || null;
+    } catch (e) {
+      return null;
+    }
+  };
+
+  // Claims or renews the lease; false while another simulator holds an unexpired one
+  const claimLease = () => {
+    if (!lease) return true;
+    const held = readLease();
+    if (held && held.owner !== owner && held.expiresAt > clock.now()) return false;
+    lease.storage.setItem(lease.key, JSON.stringify({ owner, expiresAt: clock.now() + leaseTtl }));
+    return true;
+  };
+
+  const releaseLease = () => {
+    const held = lease ? readLease() : null;
+    if (held && held.owner === owner) lease.storage.removeItem(lease.key);
+  };
+
+  const emit = (event) => {
+    listeners.forEach((listener) => {
+      try {
+        listener(event);
+      } catch (e) {
+        console.error('Order simulator listener failed.', e);
+      }
+    });
+  };
+
+  const unschedule = (orderId) => {
+    const entry = scheduled.get(orderId);
+    if (entry) clock.clearTimeout(entry.handle);
+    scheduled.delete(orderId);
+  };
+
+  const schedule = (order) => {
+    const existing = scheduled.get(order.id);
+    if (existing && existing.status === order.status) return;
+    unschedule(order.id);
+
+    const next = getNextOrderStatus(order.status);
+    const duration = durations[order.status];
+    if (!next || !isOrderOpen(order.status) || typeof duration !== 'number') return;
+    if (leaveToKitchen && leaveToKitchen(order)) return;
+
+    const since = getStatusEnteredAt(order);
+    const elapsed = Number.isFinite(since) ? Math.min(Math.max(clock.now() - since, 0), duration) : 0;
+    let wait = duration - elapsed;
+    if (order.status === 'placed' && order.scheduledFor) {
+      const startAt = Date.parse(order.scheduledFor) - (durations.preparing || 0) - (durations.delivering || 0);
+      if (Number.isFinite(startAt)) wait = Math.max(wait, startAt - clock.now());
+    }
+    const handle = clock.setTimeout(() => advance(order, next), wait);
+    scheduled.set(order.id, { handle, status: order.status });
+  };
+
+  // Another simulator holds the lease: leave its orders to it
+  const standBy = () => Array.from(scheduled.keys()).forEach(unschedule);
+
+  const advance = async (order, to) => {
+    const { id: orderId, status: from } = order;
+    scheduled.delete(orderId);
+    if (!running) return;
+    if (!claimLease()) {
+      standBy();
+      return;
+    }
+    // The kitchen opened its dashboard since this order was scheduled
+    if (leaveToKitchen && leaveToKitchen(order)) return;
+    try {
+      const at = clock.now();
+      const updated = await store.updateOrderStatus(orderId, to, { at: new Date(at).toISOString() });
+      if (!updated) return; // deleted in the meantime
+      emit({ type: 'status', orderId, from, to, order: updated, at });
+      schedule(updated);
+    } catch (error) {
+      // Usually the order changed elsewhere (e.g. cancelled); continue from its current state.
+      emit({ type: 'error', orderId, error });
+      const current = await store.getOrderById(orderId);
+      if (current && running) schedule(current);
+    }
+  };
+
+  const sync = async () => {
+    const orders = await store.getOrders();
+    const seen = new Set();
+    orders.forEach((order) => {
+      seen.add(order.id);
+      if (isOrderOpen(order.status)) schedule(order);
+      else unschedule(order.id);
+    });
+    Array.from(scheduled.keys()).forEach((orderId) => {
+      if (!seen.has(orderId)) unschedule(orderId);
+    });
+  };
+
+  const loop = async () => {
+    scanHandle = null;
+    if (!running) return;
+    if (!claimLease()) {
+      standBy();
+    } else {
+      try {
+        await sync();
+      } catch (e) {
+        console.error('Order simulator scan failed.', e);
+      }
+    }
+    if (running) scanHandle = clock.setTimeout(loop, scanInterval);
+  };
+
+  return {
+    /** Starts scanning and advancing orders. Resolves after the first scan. */
+    start() {
+      if (running) return Promise.resolve();
+      running = true;
+      return loop();
+    },
+    /** Stops the engine, clears every pending timer and releases the lease. */
+    stop() {
+      running = false;
+      if (scanHandle != null) clock.clearTimeout(scanHandle);
+      scanHandle = null;
+      standBy();
+      releaseLease();
+    },
+    /** Rescans orders now (e.g. right after placing one) instead of waiting for the next scan. */
+    sync: () => (running && claimLease() ? sync() : Promise.resolve()),
+    isRunning: () => running,
+    /** True while this simulator advances orders: it runs and, with a lease, holds it. */
+    isActive: () => running && (!lease || (readLease() || {}).owner === owner),
+    /** Registers an event listener; returns an unsubscribe function. */
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    }
+  };
+}
+
+let shared = null;
+
+// PUBLIC_INTERFACE
+export function getOrderSimulator(env = process.env) {
+  /**
+   * Returns the app-wide simulator, or null when REACT_APP_ORDER_SIMULATION is 'off'.
+   * REACT_APP_ORDER_SIMULATION selects a SIMULATION_PRESETS entry ('demo' by default).
+   * It shares a lease in localStorage with the simulators of the other tabs, so only one tab
+   * advances orders, and leaves placed and preparing orders to an open kitchen dashboard.
+   */
+  const mode = String(env.REACT_APP_ORDER_SIMULATION || 'demo').trim().toLowerCase();
+  if (mode === 'off') return null;
+  if (!shared) {
+    shared = createOrderSimulator({
+      durations: SIMULATION_PRESETS[mode] || SIMULATION_PRESETS.demo,
+      lease: { storage: window.localStorage, key: SIMULATOR_LEASE_KEY },
+      leaveToKitchen: (order) => KITCHEN_STATUSES.includes(order.status) && isKitchenOpen(order.restaurantId)
+    });
+  }
+  return shared;
+}
@@ -0,0 +1,146 @@
+import { SIMULATOR_LEASE_KEY, createOrderSimulator } from './orderSimulator';
+import { createManualClock } from './clock';
+import { KITCHEN_STATUSES, isKitchenOpen, keepKitchenOpen } from './kitchenPresence';
+import { createOrder, getOrderById, getOrders, updateOrderStatus } from '../storage/localStore';
+
+const store = { getOrders, getOrderById, updateOrderStatus };
+const durations = { placed: 1000, preparing: 2000, delivering: 3000 };
+
+let clock;
+let simulator;
+
+beforeEach(() => {
+  window.localStorage.clear();
+  clock = createManualClock(0);
+  simulator = createOrderSimulator({ store, clock, durations, scanInterval: 500 });
+});
+
+afterEach(() => simulator.stop());
+
+test('advances placed orders through the lifecycle on the injected clock', async () => {
+  const order = createOrder({ userId: 1, restaurantId: 1, items: [{ menuItemId: 1, quantity: 1 }] });
+  const events = [];
+  simulator.subscribe((e) => events.push([e.orderId, e.to, e.at]));
+  await simulator.start();
+
+  await clock.advance(999);
+  expect(getOrderById(order.id).status).toBe('placed');
+  await clock.advance(1);
+  expect(getOrderById(order.id).status).toBe('preparing');
+  await clock.advance(2000 + 3000);
+
+  const done = getOrderById(order.id);
+  expect(done.status).toBe('completed');
+  expect(done.statusHistory.slice(1).map((h) => [h.status, Date.parse(h.at)])).toEqual([
+    ['preparing', 1000], ['delivering', 3000], ['completed', 6000]
+  ]);
+  expect(events.filter((e) => e[0] === order.id)).toEqual([
+    [order.id, 'preparing', 1000], [order.id, 'delivering', 3000], [order.id, 'completed', 6000]
+  ]);
+});
+
+test('picks up new orders on the next scan and leaves cancelled ones alone', async () => {
+  await simulator.start();
+  const order = createOrder({ userId: 1, restaurantId: 1, items: [{ menuItemId: 1, quantity: 1 }] });
+  await clock.advance(500); // next scan schedules it
+  updateOrderStatus(order.id, 'cancelled');
+  await clock.advance(10000);
+  expect(getOrderById(order.id).status).toBe('cancelled');
+});
+
+test('stop clears pending timers', async () => {
+  createOrder({ userId: 1, restaurantId: 1, items: [{ menuItemId: 1, quantity: 1 }] });
+  await simulator.start();
+  expect(clock.pending()).toBeGreaterThan(0);
+  simulator.stop();
+  expect(clock.pending()).toBe(0);
+});
+
+test('holds scheduled orders until the kitchen has to start', async () => {
+  simulator.stop();
+  clock = createManualClock(Date.now());
+  simulator = createOrderSimulator({ store, clock, durations, scanInterval: 500 });
+  const scheduledFor = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+  const order = createOrder({ userId: 1, restaurantId: 1, items: [{ menuItemId: 1, quantity: 1 }], scheduledFor });
+  await simulator.start();
+
+  // Preparing and delivering take 5 s, so preparing starts 5 s before the scheduled time
+  await clock.advance(60 * 60 * 1000 - 5001);
+  expect(getOrderById(order.id).status).toBe('placed');
+  await clock.advance(1);
+  expect(getOrderById(order.id).status).toBe('preparing');
+  await clock.advance(5000);
+  expect(getOrderById(order.id).statusHistory.pop()).toEqual({ status: 'completed', at: scheduledFor });
+});
+
+test('two simulators sharing a lease advance each order once, and the other takes over on stop', async () => {
+  const lease = { storage: window.localStorage, key: SIMULATOR_LEASE_KEY };
+  const first = createOrderSimulator({ store, clock, durations, scanInterval: 500, lease });
+  const second = createOrderSimulator({ store, clock, durations, scanInterval: 500, lease });
+  const events = [];
+  first.subscribe((e) => events.push(['first', e.orderId, e.type, e.to]));
+  second.subscribe((e) => events.push(['second', e.orderId, e.type, e.to]));
+  const order = createOrder({ userId: 1, restaurantId: 1, items: [{ menuItemId: 1, quantity: 1 }] });
+  await first.start();
+  await second.start();
+  expect(first.isActive()).toBe(true);
+  expect(second.isActive()).toBe(false);
+
+  await clock.advance(6000);
+  expect(getOrderById(order.id).statusHistory.map((h) => h.status)).toEqual([
+    'placed', 'preparing', 'delivering', 'completed'
+  ]);
+  expect(events.filter((e) => e[0] === 'second')).toEqual([]);
+  expect(events.filter((e) => e[1] === order.id)).toEqual([
+    ['first', order.id, 'status', 'preparing'],
+    ['first', order.id, 'status', 'delivering'],
+    ['first', order.id, 'status', 'completed']
+  ]);
+
+  first.stop();
+  const next = createOrder({ userId: 1, restaurantId: 1, items: [{ menuItemId: 1, quantity: 1 }] });
+  await clock.advance(500 + 1000);
+  expect(second.isActive()).toBe(true);
+  expect(getOrderById(next.id).status).toBe('preparing');
+  second.stop();
+  expect(window.localStorage.getItem(SIMULATOR_LEASE_KEY)).toBeNull();
+});
+
+test('a lapsed lease is taken over by a standing-by simulator', async () => {
+  const lease = { storage: window.localStorage, key: SIMULATOR_LEASE_KEY };
+  window.localStorage.setItem(SIMULATOR_LEASE_KEY, JSON.stringify({ owner: 'closed-tab', expiresAt: 1000 }));
+  const order = createOrder({ userId: 1, restaurantId: 1, items: [{ menuItemId: 1, quantity: 1 }] });
+  const standing = createOrderSimulator({ store, clock, durations, scanInterval: 500, lease });
+  await standing.start();
+  expect(standing.isActive()).toBe(false);
+
+  await clock.advance(1000); // the scan at 1000 finds the lease expired
+  expect(standing.isActive()).toBe(true);
+  await clock.advance(1000);
+  expect(getOrderById(order.id).status).toBe('preparing');
+  standing.stop();
+});
+
+test('leaves placed and preparing orders to an open kitchen dashboard', async () => {
+  simulator.stop();
+  const leaveToKitchen = (order) => KITCHEN_STATUSES.includes(order.status) && isKitchenOpen(order.restaurantId, { clock });
+  simulator = createOrderSimulator({ store, clock, durations, scanInterval: 500, leaveToKitchen });
+  const closeKitchen = keepKitchenOpen(1, { clock });
+  const order = createOrder({ userId: 1, restaurantId: 1, items: [{ menuItemId: 1, quantity: 1 }] });
+  await simulator.start();
+
+  await clock.advance(60 * 1000);
+  expect(getOrderById(order.id).status).toBe('placed');
+  updateOrderStatus(order.id, 'preparing'); // Accept
+  await clock.advance(60 * 1000);
+  expect(getOrderById(order.id).status).toBe('preparing');
+  updateOrderStatus(order.id, 'delivering'); // Ready for pickup: the simulator delivers it
+  await clock.advance(500 + 3000);
+  expect(getOrderById(order.id).status).toBe('completed');
+
+  // Once the dashboard closes, orders move on by themselves again
+  closeKitchen();
+  const next = createOrder({ userId: 1, restaurantId: 1, items: [{ menuItemId: 1, quantity: 1 }] });
+  await clock.advance(500 + 1000);
+  expect(getOrderById(next.id).status).toBe('preparing');
+});
@@ -0,0 +1,76 @@
+/**
+ * Saved delivery addresses (the address book).
+ *
+ * An address is stored in the `addresses` collection:
+ *
+ *   {
+ *     id, userId,
+ *     label: 'Home',                 // shown in pickers; defaults to 'Address'
+ *     street, city, postalCode,
+ *     lat, lng,                      // from ./geocoding; null when the postal code is unknown
+ *     notes?: 'Ring twice'           // delivery notes for the courier
+ *   }
+ *
+ * Helpers here are pure; localStore validates and geocodes on create/update.
+ */
+
+// PUBLIC_INTERFACE
+export const DEFAULT_ADDRESS_LABEL = 'Address';
+
+// Longest label accepted, so pickers and cards stay on one line
+const MAX_LABEL_LENGTH = 30;
+
+const isBlank = (value) => value == null || String(value).trim() === '';
+
+// PUBLIC_INTERFACE
+export class AddressValidationError extends Error {
+  /**
+   * Raised when an address cannot be saved. `errors` maps each invalid field to a
+   * message (see validateAddress).
+   */
+  constructor(errors) {
+    super(`Invalid address: ${Object.values(errors).join(' ')}`);
+    this.name = 'AddressValidationError';
+    this.errors = errors;
+  }
+}
+
+// PUBLIC_INTERFACE
+export function validateAddress(fields) {
+  /**
+   * Checks address values (form strings or a stored record).
+   * Returns { [field]: message } for label, street, city, postalCode, lat and lng; empty when
+   * the address can be saved.
+   */
+  const errors = {};
+  if (!isBlank(fields.label) && String(fields.label).trim().length > MAX_LABEL_LENGTH) {
+    errors.label = `Keep the label under ${MAX_LABEL_LENGTH + 1} characters.`;
+  }
+  if (isBlank(fields.street)) errors.street = 'Street address is required.';
+  if (isBlank(fields.city)) errors.city = 'City is required.';
+  if (isBlank(fields.postalCode)) errors.postalCode = 'Postal code is required.';
+  if (fields.lat != null && !(Number.isFinite(fields.lat) && Math.abs(fields.lat) <= 90)) {
+    errors.lat = 'Latitude must be a number between -90 and 90.';
+  }
+  if (fields.lng != null && !(Number.isFinite(fields.lng) && Math.abs(fields.lng) <= 180)) {
+    errors.lng = 'Longitude must be a number between -180 and 180.';
+  }
+  return errors;
+}
+
+// PUBLIC_INTERFACE
+export function getDefaultAddress(addresses = []) {
+  /**
+   * Returns the address checkout starts from and the cart prices delivery to: the first saved
+   * address, or null when there is none.
+   */
+  return addresses[0] || null;
+}
+
+// PUBLIC_INTERFACE
+export function formatAddress(address) {
+  /** Returns the address on one line, e.g. '12 Market Street, Bayview 94000'. */
+  if (!address) return '';
+  const place = [address.city, address.postalCode].map((v) => String(v || '').trim()).filter(Boolean).join(' ');
+  return [String(address.street || '').trim(), place].filter(Boolean).join(', ');
+}
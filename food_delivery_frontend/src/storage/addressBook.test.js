@@ -0,0 +1,63 @@
+import { AddressValidationError, formatAddress, validateAddress } from './addressBook';
+import {
+  createAddress,
+  deleteAddress,
+  deleteUser,
+  getAddressById,
+  getAddressesByUser,
+  updateAddress
+} from './localStore';
+import { WriteConflictError } from './revisions';
+
+beforeEach(() => {
+  window.localStorage.clear();
+});
+
+test('validates and formats addresses', () => {
+  expect(validateAddress({ street: '1 Harbor Way', city: 'Bayview', postalCode: '94001' })).toEqual({});
+  expect(validateAddress({ label: 'x'.repeat(31), street: ' ', city: '', postalCode: '', lat: 95 })).toEqual({
+    label: 'Keep the label under 31 characters.',
+    street: 'Street address is required.',
+    city: 'City is required.',
+    postalCode: 'Postal code is required.',
+    lat: 'Latitude must be a number between -90 and 90.'
+  });
+  expect(formatAddress({ street: '1 Harbor Way', city: 'Bayview', postalCode: '94001' })).toBe('1 Harbor Way, Bayview 94001');
+});
+
+test('creates addresses with coordinates from the geocoding table', () => {
+  const work = createAddress({ userId: 1, label: ' Work ', street: '1 Harbor Way', city: 'Bayview', postalCode: '94001' });
+  expect(work).toMatchObject({ userId: 1, label: 'Work', lat: 37.7956, lng: -122.3937, revision: 1 });
+
+  // Unknown postal codes are saved, just without a location
+  const cabin = createAddress({ userId: 1, street: '3 Pine Road', city: 'Elsewhere', postalCode: '10001' });
+  expect(cabin).toMatchObject({ label: 'Address', lat: null, lng: null });
+
+  expect(getAddressesByUser(1).map((a) => a.label)).toEqual(['Home', 'Work', 'Address']);
+  expect(() => createAddress({ userId: 1, street: '', city: 'Bayview', postalCode: '94001' })).toThrow(AddressValidationError);
+  expect(() => createAddress({ street: '1 Harbor Way', city: 'Bayview', postalCode: '94001' })).toThrow(AddressValidationError);
+  expect(getAddressesByUser(1)).toHaveLength(3);
+});
+
+test('updates re-geocode a changed postal code and check revisions', () => {
+  const home = getAddressesByUser(2)[0];
+  const moved = updateAddress(home.id, { postalCode: '94003', notes: '' }, { expectedRevision: home.revision });
+  expect(moved).toMatchObject({ postalCode: '94003', lat: 37.7599, lng: -122.4148, revision: 2 });
+  expect(moved.notes).toBeUndefined();
+
+  expect(() => updateAddress(home.id, { label: 'Old' }, { expectedRevision: 1 })).toThrow(WriteConflictError);
+  expect(() => updateAddress(home.id, { city: ' ' })).toThrow(AddressValidationError);
+  expect(getAddressById(home.id)).toEqual(moved);
+  expect(updateAddress(999, { label: 'Nope' })).toBeNull();
+});
+
+test('deleting an address or its user removes it', () => {
+  const [home] = getAddressesByUser(1);
+  const work = createAddress({ userId: 2, street: '1 Harbor Way', city: 'Bayview', postalCode: '94001' });
+  expect(deleteAddress(home.id)).toBe(true);
+  expect(deleteAddress(home.id)).toBe(false);
+
+  deleteUser(2);
+  expect(getAddressById(work.id)).toBeUndefined();
+  expect(getAddressesByUser(2)).toEqual([]);
+});
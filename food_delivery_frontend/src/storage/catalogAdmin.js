@@ -0,0 +1,114 @@
+/**
+ * Admin console helpers: form validation for restaurants and menu items, and a preview of
+ * what a delete will also change.
+ *
+ * Pure functions over plain records; the admin forms call them before writing through the
+ * repository, and the delete dialogs show the impact before asking for confirmation.
+ */
+
+import { canTransitionOrder } from './orderLifecycle';
+import { geocodeAddress } from './geocoding';
+import { WEEKDAYS, isValidTimezone, parseClosures, parseDayHours } from './openingHours';
+
+// PUBLIC_INTERFACE
+export function isValidImageUrl(value) {
+  /** True for an absolute http(s) URL. Empty values are handled by the callers (images are optional). */
+  try {
+    const url = new window.URL(String(value).trim());
+    return (url.protocol === 'http:' || url.protocol === 'https:') && !!url.hostname;
+  } catch (e) {
+    return false;
+  }
+}
+
+const isBlank = (value) => String(value == null ? '' : value).trim() === '';
+
+// PUBLIC_INTERFACE
+export function validateRestaurantFields(fields) {
+  /**
+   * Checks restaurant form values (strings or numbers).
+   * Returns { [field]: message } for name, deliveryFee, postalCode, deliveryRadiusKm,
+   * prepMinutes, image and the opening hours fields (hours-mon … hours-sun, timezone, closures); empty when the
+   * values can be saved. deliveryFee is optional (blank means the standard fee applies); a postal
+   * code must be one the geocoder knows, so the restaurant gets a location.
+   */
+  const errors = {};
+  if (isBlank(fields.name)) errors.name = 'Enter a name.';
+  if (!isBlank(fields.deliveryFee)) {
+    const fee = Number(fields.deliveryFee);
+    if (!Number.isFinite(fee) || fee < 0) errors.deliveryFee = 'Delivery fee must be 0 or more.';
+  }
+  if (!isBlank(fields.postalCode) && !geocodeAddress({ postalCode: String(fields.postalCode) })) {
+    errors.postalCode = 'We cannot locate this postal code.';
+  }
+  if (!isBlank(fields.deliveryRadiusKm)) {
+    const radius = Number(fields.deliveryRadiusKm);
+    if (!Number.isFinite(radius) || radius <= 0) errors.deliveryRadiusKm = 'Delivery radius must be greater than 0.';
+  }
+  if (!isBlank(fields.prepMinutes)) {
+    const minutes = Number(fields.prepMinutes);
+    if (!Number.isInteger(minutes) || minutes <= 0) errors.prepMinutes = 'Prep time must be a whole number of minutes above 0.';
+  }
+  if (!isBlank(fields.image) && !isValidImageUrl(fields.image)) {
+    errors.image = 'Image must be a full http(s) URL.';
+  }
+  WEEKDAYS.forEach((day) => {
+    if (parseDayHours(fields[`hours-${day}`]) === null) {
+      errors[`hours-${day}`] = 'Use times like 11:30-14:30, 17:00-22:00.';
+    }
+  });
+  if (!isBlank(fields.timezone) && !isValidTimezone(String(fields.timezone).trim())) {
+    errors.timezone = 'Enter a timezone such as America/Los_Angeles.';
+  }
+  if (parseClosures(fields.closures) === null) {
+    errors.closures = 'Use dates like 2026-12-25, separated by commas.';
+  }
+  return errors;
+}
+
+// PUBLIC_INTERFACE
+export function validateMenuItemFields(fields) {
+  /**
+   * Checks menu item form values (strings or numbers).
+   * Returns { [field]: message } for name, price and image; empty when the values can be saved.
+   */
+  const errors = {};
+  if (isBlank(fields.name)) errors.name = 'Enter a name.';
+  const price = Number(fields.price);
+  if (isBlank(fields.price) || !Number.isFinite(price) || price <= 0) {
+    errors.price = 'Price must be greater than 0.';
+  }
+  if (!isBlank(fields.image) && !isValidImageUrl(fields.image)) {
+    errors.image = 'Image must be a full http(s) URL.';
+  }
+  return errors;
+}
+
+// PUBLIC_INTERFACE
+export function getRestaurantDeleteImpact(restaurantId, { menus = [], orders = [] } = {}) {
+  /**
+   * Describes what deleteRestaurant does besides removing the restaurant:
+   * { menuItems, cancelledOrders, unaffectedOrders } where cancelledOrders are the open
+   * orders it cancels and unaffectedOrders the ones already out for delivery or finished.
+   */
+  const id = Number(restaurantId);
+  const related = orders.filter((o) => Number(o.restaurantId) === id);
+  const cancelledOrders = related.filter((o) => canTransitionOrder(o.status, 'cancelled'));
+  return {
+    menuItems: menus.filter((m) => Number(m.restaurantId) === id),
+    cancelledOrders,
+    unaffectedOrders: related.filter((o) => !cancelledOrders.includes(o))
+  };
+}
+
+// PUBLIC_INTERFACE
+export function getMenuItemDeleteImpact(menuItemId, { orders = [] } = {}) {
+  /**
+   * Describes what deleting a menu item touches: { orders } that contain it. Those orders are
+   * kept as they are; reordering them skips the deleted item.
+   */
+  const id = Number(menuItemId);
+  return {
+    orders: orders.filter((o) => (o.items || []).some((it) => Number(it.menuItemId) === id))
+  };
+}
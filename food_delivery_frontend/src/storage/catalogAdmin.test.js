@@ -0,0 +1,58 @@
+import {
+  getMenuItemDeleteImpact,
+  getRestaurantDeleteImpact,
+  isValidImageUrl,
+  validateMenuItemFields,
+  validateRestaurantFields
+} from './catalogAdmin';
+
+test('validates restaurant fields', () => {
+  expect(validateRestaurantFields({ name: 'Taco Town', image: '' })).toEqual({});
+  expect(validateRestaurantFields({ name: ' ', image: 'ftp://x.test/a.jpg' })).toEqual({
+    name: 'Enter a name.',
+    image: 'Image must be a full http(s) URL.'
+  });
+  expect(validateRestaurantFields({ name: 'A', deliveryFee: '0' })).toEqual({});
+  expect(validateRestaurantFields({ name: 'A', deliveryFee: '-1' })).toEqual({
+    deliveryFee: 'Delivery fee must be 0 or more.'
+  });
+  expect(validateRestaurantFields({ name: 'A', postalCode: '94001', deliveryRadiusKm: '4.5' })).toEqual({});
+  expect(validateRestaurantFields({ name: 'A', postalCode: '10001', deliveryRadiusKm: '0' })).toEqual({
+    postalCode: 'We cannot locate this postal code.',
+    deliveryRadiusKm: 'Delivery radius must be greater than 0.'
+  });
+  expect(validateRestaurantFields({ name: 'A', prepMinutes: '20' })).toEqual({});
+  expect(validateRestaurantFields({ name: 'A', prepMinutes: '7.5' })).toEqual({
+    prepMinutes: 'Prep time must be a whole number of minutes above 0.'
+  });
+  expect(validateRestaurantFields({ name: 'A', 'hours-mon': '11:30-14:30, 17:00-22:00', closures: '2026-12-25' })).toEqual({});
+  expect(
+    validateRestaurantFields({ name: 'A', 'hours-tue': 'lunch', timezone: 'Bayview/Harbor', closures: 'Christmas' })
+  ).toEqual({
+    'hours-tue': 'Use times like 11:30-14:30, 17:00-22:00.',
+    timezone: 'Enter a timezone such as America/Los_Angeles.',
+    closures: 'Use dates like 2026-12-25, separated by commas.'
+  });
+});
+
+test('validates menu item fields', () => {
+  expect(validateMenuItemFields({ name: 'Taco', price: '3.5', image: 'https://img.test/t.jpg' })).toEqual({});
+  expect(Object.keys(validateMenuItemFields({ name: 'Taco', price: '0' }))).toEqual(['price']);
+  expect(Object.keys(validateMenuItemFields({ name: '', price: 'abc' }))).toEqual(['name', 'price']);
+  expect(isValidImageUrl('not a url')).toBe(false);
+  expect(isValidImageUrl('http://img.test/a.png')).toBe(true);
+});
+
+test('previews what deleting a restaurant or menu item changes', () => {
+  const menus = [{ id: 1, restaurantId: 1 }, { id: 2, restaurantId: 1 }, { id: 3, restaurantId: 2 }];
+  const orders = [
+    { id: 10, restaurantId: 1, status: 'placed', items: [{ menuItemId: 1 }] },
+    { id: 11, restaurantId: 1, status: 'delivering', items: [{ menuItemId: 2 }] },
+    { id: 12, restaurantId: 2, status: 'placed', items: [{ menuItemId: 3 }] }
+  ];
+  const impact = getRestaurantDeleteImpact(1, { menus, orders });
+  expect(impact.menuItems.map((m) => m.id)).toEqual([1, 2]);
+  expect(impact.cancelledOrders.map((o) => o.id)).toEqual([10]);
+  expect(impact.unaffectedOrders.map((o) => o.id)).toEqual([11]);
+  expect(getMenuItemDeleteImpact(3, { orders }).orders.map((o) => o.id)).toEqual([12]);
+});
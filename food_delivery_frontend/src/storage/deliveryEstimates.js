@@ -0,0 +1,120 @@
+/**
+ * Delivery time estimates (ETAs): how long until an order reaches the customer.
+ *
+ * An estimate adds up three parts:
+ * - the kitchen queue: ESTIMATES.queueMinutesPerOrder for every order the restaurant is working
+ *   through (placed or preparing; scheduled orders still waiting for their time do not count)
+ * - preparation: the restaurant's own `prepMinutes`, or ESTIMATES.prepMinutes
+ * - the ride: ESTIMATES.handoffMinutes plus ESTIMATES.minutesPerKm for the distance to the
+ *   address (ESTIMATES.distanceKm when the distance is unknown)
+ * and shows it as a range of ESTIMATES.rangeMinutes starting at the sum rounded down to
+ * 5 minutes ("25–35 min").
+ *
+ * Orders keep their estimate as order.eta ({ earliestAt, latestAt }); localStore works it out
+ * again each time the order's status changes, leaving out the parts already behind it.
+ */
+
+import { getDistanceKm } from './geocoding';
+import { isOrderOpen } from './orderLifecycle';
+import { formatLocalTime } from './openingHours';
+
+// PUBLIC_INTERFACE
+export const ESTIMATES = {
+  prepMinutes: 15,
+  queueMinutesPerOrder: 4,
+  handoffMinutes: 5,
+  minutesPerKm: 3,
+  distanceKm: 3,
+  rangeMinutes: 10
+};
+
+const MINUTE_MS = 60 * 1000;
+
+// PUBLIC_INTERFACE
+export function getPrepMinutes(restaurant, config = ESTIMATES) {
+  /** Returns the restaurant's preparation time in minutes (the default when unset or invalid). */
+  const minutes = Number(restaurant && restaurant.prepMinutes);
+  return restaurant && restaurant.prepMinutes != null && Number.isFinite(minutes) && minutes > 0
+    ? minutes
+    : config.prepMinutes;
+}
+
+// PUBLIC_INTERFACE
+export function isInKitchenQueue(order) {
+  /** True for orders the kitchen is working through: preparing, or placed and not scheduled. */
+  return !!order && (order.status === 'preparing' || (order.status === 'placed' && !order.scheduledFor));
+}
+
+// PUBLIC_INTERFACE
+export function countKitchenQueues(orders = []) {
+  /** Returns { [restaurantId]: number of orders in its kitchen queue } (see isInKitchenQueue). */
+  const queues = {};
+  orders.filter(isInKitchenQueue).forEach((o) => {
+    queues[o.restaurantId] = (queues[o.restaurantId] || 0) + 1;
+  });
+  return queues;
+}
+
+// PUBLIC_INTERFACE
+export function estimateDelivery(restaurant, { queueLength = 0, distanceKm = null, status = 'placed' } = {}, config = ESTIMATES) {
+  /**
+   * Estimates the minutes until delivery for an order from this restaurant.
+   * - queueLength: orders ahead of it in the kitchen (only counted while placed)
+   * - distanceKm: restaurant to address, or null when unknown
+   * - status: 'placed' counts queue, preparation and ride; 'preparing' preparation and ride;
+   *   'delivering' the ride only
+   * Returns { minMinutes, maxMinutes, label } with label like '25–35 min'.
+   */
+  const km = Number(distanceKm);
+  const ride = config.handoffMinutes + config.minutesPerKm * (distanceKm != null && Number.isFinite(km) && km >= 0 ? km : config.distanceKm);
+  const prep = status === 'delivering' ? 0 : getPrepMinutes(restaurant, config);
+  const queue = status === 'placed' ? Math.max(0, Number(queueLength) || 0) * config.queueMinutesPerOrder : 0;
+  const minMinutes = Math.max(5, Math.floor((queue + prep + ride) / 5) * 5);
+  const maxMinutes = minMinutes + config.rangeMinutes;
+  return { minMinutes, maxMinutes, label: formatEtaRange({ minMinutes, maxMinutes }) };
+}
+
+// PUBLIC_INTERFACE
+export function formatEtaRange({ minMinutes, maxMinutes }) {
+  /** Formats a range of minutes: '25–35 min'. */
+  return `${minMinutes}–${maxMinutes} min`;
+}
+
+// PUBLIC_INTERFACE
+export function estimateOrderArrival(order, { restaurant = null, queueLength = 0, distanceKm, at = Date.now() } = {}, config = ESTIMATES) {
+  /**
+   * Works out order.eta for the order's current status: { earliestAt, latestAt } (ISO times),
+   * counted from `at` (ms or ISO; the time of the status change). distanceKm defaults to the
+   * distance from the restaurant to the delivery address.
+   * A scheduled order that is still placed arrives in the range starting at its scheduledFor.
+   * Returns null once the order is completed or cancelled.
+   */
+  if (!order || !isOrderOpen(order.status)) return null;
+  const from = typeof at === 'number' ? at : Date.parse(at);
+  const scheduled = order.status === 'placed' && order.scheduledFor ? Date.parse(order.scheduledFor) : NaN;
+  if (Number.isFinite(scheduled) && scheduled > from) {
+    return {
+      earliestAt: new Date(scheduled).toISOString(),
+      latestAt: new Date(scheduled + config.rangeMinutes * MINUTE_MS).toISOString()
+    };
+  }
+  const km = distanceKm !== undefined ? distanceKm : getDistanceKm(restaurant && restaurant.location, order.deliveryAddress);
+  const { minMinutes, maxMinutes } = estimateDelivery(restaurant, { queueLength, distanceKm: km, status: order.status }, config);
+  return {
+    earliestAt: new Date(from + minMinutes * MINUTE_MS).toISOString(),
+    latestAt: new Date(from + maxMinutes * MINUTE_MS).toISOString()
+  };
+}
+
+// PUBLIC_INTERFACE
+export function formatArrivalWindow(eta, restaurant, now = Date.now()) {
+  /**
+   * Formats order.eta on the restaurant's clock: 'Today 12:25–12:35' (the day is repeated only
+   * when the range crosses midnight). Returns '' without an eta.
+   */
+  if (!eta || !eta.earliestAt || !eta.latestAt) return '';
+  const earliest = formatLocalTime(restaurant, eta.earliestAt, now);
+  const latest = formatLocalTime(restaurant, eta.latestAt, now);
+  const [day] = earliest.split(' ');
+  return `${earliest}–${latest.startsWith(`${day} `) ? latest.slice(day.length + 1) : latest}`;
+}
@@ -0,0 +1,58 @@
+import {
+  countKitchenQueues,
+  estimateDelivery,
+  estimateOrderArrival,
+  formatArrivalWindow,
+  getPrepMinutes
+} from './deliveryEstimates';
+
+const sushi = {
+  id: 2,
+  name: 'Sushi Central',
+  prepMinutes: 20,
+  location: { lat: 37.7956, lng: -122.3937 },
+  openingHours: { timezone: 'America/Los_Angeles', weekly: {}, closures: [] }
+};
+
+test('adds up the kitchen queue, preparation and the ride', () => {
+  // 2 × 4 + 20 + 5 + 3 × 2 = 39 minutes
+  expect(estimateDelivery(sushi, { queueLength: 2, distanceKm: 2 })).toEqual({ minMinutes: 35, maxMinutes: 45, label: '35–45 min' });
+  // Unknown distance counts as 3 km; the default prep time is 15 minutes
+  expect(estimateDelivery({ name: 'Taco Town' }).label).toBe('25–35 min');
+  expect(estimateDelivery(sushi, { queueLength: 2, distanceKm: 2, status: 'preparing' }).label).toBe('30–40 min');
+  expect(estimateDelivery(sushi, { distanceKm: 0, status: 'delivering' }).label).toBe('5–15 min');
+  expect(getPrepMinutes({ prepMinutes: 0 })).toBe(15);
+});
+
+test('counts the orders each kitchen is working through', () => {
+  const orders = [
+    { restaurantId: 1, status: 'placed' },
+    { restaurantId: 1, status: 'preparing' },
+    { restaurantId: 1, status: 'placed', scheduledFor: '2026-03-05T02:00:00.000Z' },
+    { restaurantId: 2, status: 'delivering' },
+    { restaurantId: 2, status: 'placed' },
+    { restaurantId: 3, status: 'completed' }
+  ];
+  expect(countKitchenQueues(orders)).toEqual({ 1: 2, 2: 1 });
+});
+
+test('estimates arrival for an order from its status and delivery address', () => {
+  const at = Date.parse('2026-03-04T12:00:00-08:00');
+  // About 2.2 km from 94000 to Sushi Central: 20 + 5 + 6.6 = 31.6 minutes
+  const order = { restaurantId: 2, status: 'preparing', deliveryAddress: { lat: 37.7793, lng: -122.4193 } };
+  const eta = estimateOrderArrival(order, { restaurant: sushi, at });
+  expect(eta).toEqual({
+    earliestAt: new Date(at + 30 * 60000).toISOString(),
+    latestAt: new Date(at + 40 * 60000).toISOString()
+  });
+  expect(formatArrivalWindow(eta, sushi, at)).toBe('Today 12:30–12:40');
+
+  // Scheduled orders arrive from their scheduled time
+  const scheduledFor = '2026-03-05T07:55:00.000Z';
+  const scheduled = estimateOrderArrival({ ...order, status: 'placed', scheduledFor }, { restaurant: sushi, at });
+  expect(scheduled.earliestAt).toBe(scheduledFor);
+  expect(formatArrivalWindow(scheduled, sushi, at)).toBe('Today 23:55–Tomorrow 00:05');
+
+  expect(estimateOrderArrival({ ...order, status: 'completed' }, { restaurant: sushi, at })).toBeNull();
+  expect(formatArrivalWindow(null, sushi, at)).toBe('');
+});
@@ -0,0 +1,64 @@
+/**
+ * Delivery zones: whether a restaurant delivers to a location.
+ *
+ * A restaurant with a `location` ({ lat, lng }) delivers within `deliveryRadiusKm` of it
+ * (DEFAULT_DELIVERY_RADIUS_KM when unset), measured in a straight line. Restaurants without a
+ * location, and addresses the geocoder could not place, cannot be checked; they are treated as
+ * deliverable so missing data never hides a restaurant.
+ */
+
+import { getDistanceKm, hasCoordinates } from './geocoding';
+
+// PUBLIC_INTERFACE
+export const DEFAULT_DELIVERY_RADIUS_KM = 5;
+
+// PUBLIC_INTERFACE
+export class DeliveryZoneError extends Error {
+  /**
+   * Raised when an order is placed for an address outside the restaurant's delivery zone.
+   * Carries restaurantId, distanceKm and radiusKm; the message is customer-facing.
+   */
+  constructor(restaurant, { distanceKm, radiusKm }) {
+    const name = (restaurant && restaurant.name) || 'This restaurant';
+    super(`${name} does not deliver to this address (${distanceKm} km away; it delivers within ${radiusKm} km).`);
+    this.name = 'DeliveryZoneError';
+    this.restaurantId = restaurant ? restaurant.id : null;
+    this.distanceKm = distanceKm;
+    this.radiusKm = radiusKm;
+  }
+}
+
+// PUBLIC_INTERFACE
+export function getDeliveryRadiusKm(restaurant) {
+  /** Returns the restaurant's delivery radius in km (the default when unset or invalid). */
+  const radius = Number(restaurant && restaurant.deliveryRadiusKm);
+  return restaurant && restaurant.deliveryRadiusKm != null && Number.isFinite(radius) && radius > 0
+    ? radius
+    : DEFAULT_DELIVERY_RADIUS_KM;
+}
+
+// PUBLIC_INTERFACE
+export function getDeliveryZone(restaurant, location) {
+  /**
+   * Checks a { lat, lng } location against a restaurant's delivery zone.
+   * Returns { status, distanceKm, radiusKm } where status is 'inside', 'outside' or 'unknown'
+   * (no restaurant location or no coordinates for the address; distanceKm is then null).
+   */
+  const radiusKm = getDeliveryRadiusKm(restaurant);
+  if (!restaurant || !hasCoordinates(restaurant.location) || !hasCoordinates(location)) {
+    return { status: 'unknown', distanceKm: null, radiusKm };
+  }
+  const distanceKm = getDistanceKm(restaurant.location, location);
+  return { status: distanceKm <= radiusKm ? 'inside' : 'outside', distanceKm, radiusKm };
+}
+
+// PUBLIC_INTERFACE
+export function assertDeliversTo(restaurant, location) {
+  /**
+   * Throws DeliveryZoneError when the location is outside the restaurant's zone.
+   * Returns the zone (see getDeliveryZone) otherwise.
+   */
+  const zone = getDeliveryZone(restaurant, location);
+  if (zone.status === 'outside') throw new DeliveryZoneError(restaurant, zone);
+  return zone;
+}
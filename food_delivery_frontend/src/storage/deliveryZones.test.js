@@ -0,0 +1,58 @@
+import { DeliveryZoneError, getDeliveryZone } from './deliveryZones';
+import { geocodeAddress, getDistanceKm } from './geocoding';
+import { createOrder, createRestaurant, getOrders, getRestaurantById, updateRestaurant } from './localStore';
+
+beforeEach(() => {
+  window.localStorage.clear();
+});
+
+const HARBOR = { lat: 37.7956, lng: -122.3937 };
+const SUNSET_HILLS = { lat: 37.7535, lng: -122.495 };
+
+test('geocodes postal codes from the lookup table and measures distances', () => {
+  expect(geocodeAddress({ postalCode: ' 94001 ' })).toEqual({ ...HARBOR, area: 'Harbor', city: 'Bayview' });
+  expect(geocodeAddress({ postalCode: '10001' })).toBeNull();
+  expect(getDistanceKm(HARBOR, SUNSET_HILLS)).toBe(10.1);
+  expect(getDistanceKm(HARBOR, { lat: null, lng: null })).toBeNull();
+});
+
+test('checks a location against the restaurant delivery radius', () => {
+  const restaurant = { name: 'Dock Diner', location: HARBOR, deliveryRadiusKm: 6 };
+  expect(getDeliveryZone(restaurant, HARBOR)).toEqual({ status: 'inside', distanceKm: 0, radiusKm: 6 });
+  expect(getDeliveryZone(restaurant, SUNSET_HILLS)).toEqual({ status: 'outside', distanceKm: 10.1, radiusKm: 6 });
+  // Without a radius the default applies; without locations the zone cannot be checked
+  expect(getDeliveryZone({ location: HARBOR }, SUNSET_HILLS)).toMatchObject({ status: 'outside', radiusKm: 5 });
+  expect(getDeliveryZone({ name: 'Nowhere' }, HARBOR).status).toBe('unknown');
+  expect(getDeliveryZone(restaurant, null).status).toBe('unknown');
+});
+
+test('restaurants get a location from their postal code', () => {
+  const created = createRestaurant({ name: 'Dock Diner', cuisine: 'Diner', rating: 4, postalCode: '94001', deliveryRadiusKm: 3 });
+  expect(created).toMatchObject({ postalCode: '94001', location: HARBOR, deliveryRadiusKm: 3 });
+  expect(createRestaurant({ name: 'Pop-up', cuisine: 'Street food', rating: 4 }).location).toBeUndefined();
+
+  const moved = updateRestaurant(created.id, { postalCode: '94004' });
+  expect(moved.location).toEqual(SUNSET_HILLS);
+  expect(updateRestaurant(created.id, { postalCode: '' }).location).toBeNull();
+});
+
+test('createOrder refuses addresses outside the zone and prices delivery by distance', () => {
+  const items = [{ menuItemId: 3, quantity: 2, unitPrice: 6 }];
+  const sunset = { street: '48 Sunset Boulevard', city: 'Bayview', postalCode: '94004' };
+  const count = getOrders().length;
+  let error = null;
+  try {
+    createOrder({ userId: 2, restaurantId: 2, items, deliveryAddress: sunset });
+  } catch (e) {
+    error = e;
+  }
+  expect(error).toBeInstanceOf(DeliveryZoneError);
+  expect(error.message).toBe('Sushi Central does not deliver to this address (10.1 km away; it delivers within 6 km).');
+  expect(getOrders()).toHaveLength(count);
+
+  // Pasta Palace delivers 7.2 km away: base fee plus five started kilometres past the first 3
+  const order = createOrder({ userId: 2, restaurantId: 1, items: [{ menuItemId: 1, quantity: 1 }], deliveryAddress: sunset });
+  expect(order.deliveryAddress).toMatchObject({ ...sunset, lat: SUNSET_HILLS.lat, lng: SUNSET_HILLS.lng });
+  expect(order.pricing.deliveryFee).toBe(4.99);
+  expect(getRestaurantById(1).deliveryRadiusKm).toBe(8);
+});
@@ -0,0 +1,58 @@
+/**
+ * Favorite restaurants and saved dishes.
+ *
+ * Each signed-in customer keeps their own favorites in the `favorites` collection:
+ *
+ *   {
+ *     id, userId,
+ *     type: 'restaurant',    // or 'menuItem' for a saved dish
+ *     targetId: 1,           // the restaurant or menu item id
+ *     createdAt
+ *   }
+ *
+ * A user has at most one favorite per target. localStore removes favorites together with the
+ * restaurant, menu item or user they point to. Helpers here are pure.
+ */
+
+// PUBLIC_INTERFACE
+export const FAVORITE_TYPES = ['restaurant', 'menuItem'];
+
+const REASON_MESSAGES = {
+  invalid_type: 'Only restaurants and dishes can be saved.',
+  user_not_found: 'Sign in to save favorites.',
+  target_not_found: 'This is no longer available.'
+};
+
+// PUBLIC_INTERFACE
+export class FavoriteError extends Error {
+  /**
+   * Raised when a favorite cannot be saved. `reason` is one of: invalid_type, user_not_found,
+   * target_not_found; the message is customer-facing.
+   */
+  constructor(reason, { type, targetId } = {}) {
+    super(REASON_MESSAGES[reason] || REASON_MESSAGES.target_not_found);
+    this.name = 'FavoriteError';
+    this.reason = reason;
+    this.type = type;
+    this.targetId = targetId;
+  }
+}
+
+// PUBLIC_INTERFACE
+export function findFavorite(favorites = [], type, targetId) {
+  /** Returns the favorite for this type and target among the favorites, or undefined. */
+  return favorites.find((f) => f.type === type && Number(f.targetId) === Number(targetId));
+}
+
+// PUBLIC_INTERFACE
+export function getFavoriteIds(favorites = [], type) {
+  /** Returns a Set of the target ids of the favorites of one type. */
+  return new Set(favorites.filter((f) => f.type === type).map((f) => Number(f.targetId)));
+}
+
+// PUBLIC_INTERFACE
+export function withoutFavoritesOf(favorites = [], type, targetIds) {
+  /** Returns the favorites minus those of this type pointing at any of targetIds. */
+  const gone = new Set(Array.from(targetIds, Number));
+  return favorites.filter((f) => f.type !== type || !gone.has(Number(f.targetId)));
+}
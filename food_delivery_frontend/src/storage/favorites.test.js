@@ -0,0 +1,19 @@
+import { findFavorite, getFavoriteIds, withoutFavoritesOf } from './favorites';
+
+const favorites = [
+  { id: 1, userId: 1, type: 'restaurant', targetId: 1 },
+  { id: 2, userId: 1, type: 'menuItem', targetId: 4 },
+  { id: 3, userId: 1, type: 'menuItem', targetId: 1 }
+];
+
+test('finds favorites by type and target', () => {
+  expect(findFavorite(favorites, 'menuItem', '1')).toMatchObject({ id: 3 });
+  expect(findFavorite(favorites, 'restaurant', 4)).toBeUndefined();
+  expect(getFavoriteIds(favorites, 'menuItem')).toEqual(new Set([4, 1]));
+  expect(getFavoriteIds([], 'restaurant').size).toBe(0);
+});
+
+test('drops only the favorites of the given type and targets', () => {
+  expect(withoutFavoritesOf(favorites, 'menuItem', [1, 9]).map((f) => f.id)).toEqual([1, 2]);
+  expect(withoutFavoritesOf(favorites, 'restaurant', new Set(['1'])).map((f) => f.id)).toEqual([2, 3]);
+});
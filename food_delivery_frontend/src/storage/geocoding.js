@@ -0,0 +1,71 @@
+/**
+ * Local geocoding stand-in.
+ *
+ * There is no geocoding service behind the demo, so postal codes are looked up in a fixed
+ * table of neighbourhood centre points in the demo city. A real service can replace
+ * geocodeAddress later: callers only rely on it returning { lat, lng } or null.
+ */
+
+// PUBLIC_INTERFACE
+export const GEOCODE_TABLE = [
+  { postalCode: '94000', city: 'Bayview', area: 'Downtown', lat: 37.7793, lng: -122.4193 },
+  { postalCode: '94001', city: 'Bayview', area: 'Harbor', lat: 37.7956, lng: -122.3937 },
+  { postalCode: '94002', city: 'Bayview', area: 'Northshore', lat: 37.803, lng: -122.436 },
+  { postalCode: '94003', city: 'Bayview', area: 'Mission Flats', lat: 37.7599, lng: -122.4148 },
+  { postalCode: '94004', city: 'Bayview', area: 'Sunset Hills', lat: 37.7535, lng: -122.495 },
+  { postalCode: '94005', city: 'Bayview', area: 'Eastport', lat: 37.731, lng: -122.383 },
+  { postalCode: '94006', city: 'Bayview', area: 'Lakeside', lat: 37.724, lng: -122.475 }
+];
+
+const EARTH_RADIUS_KM = 6371;
+
+// PUBLIC_INTERFACE
+export function normalizePostalCode(postalCode) {
+  /** Returns the postal code without spaces, upper-cased ('' for anything else). */
+  return typeof postalCode === 'string' || typeof postalCode === 'number'
+    ? String(postalCode).replace(/\s+/g, '').toUpperCase()
+    : '';
+}
+
+// PUBLIC_INTERFACE
+export function geocodeAddress(address) {
+  /**
+   * Looks up an address ({ postalCode, ... }) by its postal code.
+   * Returns { lat, lng, area, city } for a known postal code, otherwise null.
+   */
+  const wanted = normalizePostalCode(address && address.postalCode);
+  const entry = wanted ? GEOCODE_TABLE.find((e) => e.postalCode === wanted) : undefined;
+  return entry ? { lat: entry.lat, lng: entry.lng, area: entry.area, city: entry.city } : null;
+}
+
+// PUBLIC_INTERFACE
+export function hasCoordinates(point) {
+  /** True when point has finite lat and lng numbers. */
+  return !!point && Number.isFinite(point.lat) && Number.isFinite(point.lng);
+}
+
+// PUBLIC_INTERFACE
+export function getDeliveryPoint(address) {
+  /**
+   * Returns the { lat, lng } to deliver an address to: its stored coordinates (saved addresses
+   * are geocoded when saved), else its postal code's point; null when neither is known.
+   */
+  const point = hasCoordinates(address) ? address : geocodeAddress(address);
+  return point ? { lat: point.lat, lng: point.lng } : null;
+}
+
+// PUBLIC_INTERFACE
+export function getDistanceKm(from, to) {
+  /**
+   * Straight-line (great-circle) distance between two { lat, lng } points in km, rounded to
+   * 0.1 km. Returns null when either point has no coordinates.
+   */
+  if (!hasCoordinates(from) || !hasCoordinates(to)) return null;
+  const rad = (deg) => (deg * Math.PI) / 180;
+  const dLat = rad(to.lat - from.lat);
+  const dLng = rad(to.lng - from.lng);
+  const a =
+    Math.sin(dLat / 2) ** 2 + Math.cos(rad(from.lat)) * Math.cos(rad(to.lat)) * Math.sin(dLng / 2) ** 2;
+  const km = 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+  return Math.round(km * 10) / 10;
+}
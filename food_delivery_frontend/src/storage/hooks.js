@@ -0,0 +1,203 @@
+/**
+ * React hooks over the repository that stay current with the store.
+ *
+ * Each hook loads through the repository and loads again whenever subscribeStore reports a
+ * write to a collection it reads, whether the write happened in this tab or another one.
+ * Components re-render with fresh data instead of keeping the copy they read on mount.
+ * Reloads keep showing the previous data; `loading` is only true until the first result for
+ * the current arguments arrives.
+ */
+
+import { useCallback, useEffect, useRef, useState } from 'react';
+import repository, { subscribeCart, subscribeStore } from './repository';
+import { getCart } from './localStore';
+
+// PUBLIC_INTERFACE
+export function useStoreQuery(load, collections, key = '') {
+  /**
+   * Runs load() (returning a Promise) now, whenever `key` changes (e.g. the id being shown),
+   * and after every store write touching one of `collections` ('users', 'restaurants', 'menus',
+   * 'orders', 'promotions', 'addresses', 'reviews', 'favorites'). load is read at call time, so
+   * it can be an inline function.
+   * Returns { data, loading, error, reload }. Results of superseded loads are ignored, so a slow
+   * earlier load never overwrites a newer one.
+   */
+  const [result, setResult] = useState({ data: undefined, loading: true, error: null });
+  const loadRef = useRef(load);
+  loadRef.current = load;
+  const refreshRef = useRef(() => {});
+  const watched = collections.join(',');
+
+  useEffect(() => {
+    let cancelled = false;
+    let latest = 0;
+    const refresh = () => {
+      const request = ++latest;
+      return loadRef.current()
+        .then((data) => {
+          if (!cancelled && request === latest) setResult({ data, loading: false, error: null });
+        })
+        .catch((error) => {
+          console.error('Failed to load from the store.', error);
+          if (!cancelled && request === latest) setResult((prev) => ({ ...prev, loading: false, error }));
+        });
+    };
+    refreshRef.current = refresh;
+    setResult({ data: undefined, loading: true, error: null });
+    refresh();
+    const names = watched.split(',');
+    const unsubscribe = subscribeStore((event) => {
+      if (event.collections.some((name) => names.includes(name))) refresh();
+    });
+    return () => {
+      cancelled = true;
+      unsubscribe();
+    };
+  }, [watched, key]);
+
+  const reload = useCallback(() => refreshRef.current(), []);
+  return { ...result, reload };
+}
+
+// PUBLIC_INTERFACE
+export function useRestaurants() {
+  /**
+   * Returns { restaurants, loading, error, reload } with every restaurant, kept current
+   * (including ratings, which change with reviews).
+   * Seeds demo data on first run only; records created since are never discarded.
+   */
+  const { data, ...rest } = useStoreQuery(
+    () => repository.initializeStore().then(() => repository.getRestaurants()),
+    ['restaurants', 'reviews']
+  );
+  return { restaurants: data || [], ...rest };
+}
+
+// PUBLIC_INTERFACE
+export function useRestaurant(restaurantId) {
+  /**
+   * Returns { restaurant, menu, loading, error, reload } for one restaurant and its menu items,
+   * kept current. restaurant is undefined when it does not exist (for example after a delete).
+   */
+  const { data, ...rest } = useStoreQuery(
+    () =>
+      Promise.all([
+        repository.getRestaurantById(restaurantId),
+        repository.getMenusByRestaurant(restaurantId)
+      ]).then(([restaurant, menu]) => ({ restaurant, menu: menu || [] })),
+    ['restaurants', 'menus', 'reviews'],
+    String(restaurantId)
+  );
+  return { restaurant: data ? data.restaurant : undefined, menu: data ? data.menu : [], ...rest };
+}
+
+// PUBLIC_INTERFACE
+export function useOrder(orderId) {
+  /**
+   * Returns { order, restaurant, loading, error, reload } for one order and the restaurant it
+   * was placed with, kept current (status changes from the simulator, the kitchen dashboard or
+   * another tab). order is undefined when it does not exist.
+   */
+  const { data, ...rest } = useStoreQuery(
+    async () => {
+      const order = await repository.getOrderById(orderId);
+      const restaurant = order ? await repository.getRestaurantById(order.restaurantId) : undefined;
+      return { order, restaurant };
+    },
+    ['orders', 'restaurants'],
+    String(orderId)
+  );
+  return { order: data ? data.order : undefined, restaurant: data ? data.restaurant : undefined, ...rest };
+}
+
+// PUBLIC_INTERFACE
+export function useAddresses(userId) {
+  /**
+   * Returns { addresses, loading, error, reload } with the saved delivery addresses of a user,
+   * kept current. A null userId (signed out) gives an empty list.
+   */
+  const { data, ...rest } = useStoreQuery(
+    () => (userId == null ? Promise.resolve([]) : repository.getAddressesByUser(userId)),
+    ['addresses'],
+    String(userId)
+  );
+  return { addresses: data || [], ...rest };
+}
+
+// PUBLIC_INTERFACE
+export function useFavorites(userId) {
+  /**
+   * Returns { favorites, loading, error, reload } with a user's favorite restaurants and saved
+   * dishes, kept current. A null userId (signed out) gives an empty list.
+   */
+  const { data, ...rest } = useStoreQuery(
+    () => (userId == null ? Promise.resolve([]) : repository.getFavoritesByUser(userId)),
+    ['favorites', 'restaurants', 'menus'],
+    String(userId)
+  );
+  return { favorites: data || [], ...rest };
+}
+
+// PUBLIC_INTERFACE
+export function useReviews(restaurantId) {
+  /**
+   * Returns { reviews, loading, error, reload } with a restaurant's reviews (newest first),
+   * kept current.
+   */
+  const { data, ...rest } = useStoreQuery(
+    () => repository.getReviewsByRestaurant(restaurantId),
+    ['reviews', 'users'],
+    String(restaurantId)
+  );
+  return { reviews: data || [], ...rest };
+}
+
+// PUBLIC_INTERFACE
+export function useTopReviews(limit = 3) {
+  /** Returns { reviews, loading, error, reload } with the reviews to quote on the home page. */
+  const { data, ...rest } = useStoreQuery(
+    () => repository.initializeStore().then(() => repository.getTopReviews({ limit })),
+    ['reviews', 'users', 'restaurants'],
+    String(limit)
+  );
+  return { reviews: data || [], ...rest };
+}
+
+// PUBLIC_INTERFACE
+export function useKitchenQueues() {
+  /**
+   * Returns { [restaurantId]: count } of the orders each kitchen is working through, kept
+   * current as orders are placed and advance; empty while loading. Used for delivery estimates.
+   */
+  const { data } = useStoreQuery(() => repository.getKitchenQueues(), ['orders']);
+  return data || {};
+}
+
+// PUBLIC_INTERFACE
+export function useCart() {
+  /**
+   * Returns the cart array, re-rendering after every cart write in this tab or another one.
+   * The cart always lives in localStorage, so it is read synchronously.
+   */
+  const [cart, setCart] = useState(() => getCart());
+  useEffect(() => {
+    // Catch a write made between the first render and subscribing
+    setCart(getCart());
+    return subscribeCart(setCart);
+  }, []);
+  return cart;
+}
+
+// PUBLIC_INTERFACE
+export function useNow(intervalMs = 60 * 1000) {
+  /**
+   * Returns Date.now(), refreshed every intervalMs, for views that depend on the time of day
+   * (e.g. whether a restaurant is open; see ./openingHours).
+   */
+  const [now, setNow] = useState(() => Date.now());
+  useEffect(() => {
+    const handle = window.setInterval(() => setNow(Date.now()), intervalMs);
+    return () => window.clearInterval(handle);
+  }, [intervalMs]);
+  return now;
+}
@@ -0,0 +1,59 @@
+import { act, renderHook, waitFor } from '@testing-library/react';
+import { useCart, useOrder, useRestaurant, useRestaurants } from './hooks';
+import { addToCart, createOrder, createRestaurant, initializeStore, updateOrderStatus, updateRestaurant } from './localStore';
+
+beforeEach(() => {
+  window.localStorage.clear();
+  initializeStore();
+});
+
+test('useRestaurants and useRestaurant follow restaurant writes', async () => {
+  const list = renderHook(() => useRestaurants());
+  const detail = renderHook(() => useRestaurant(1));
+  await waitFor(() => expect(detail.result.current.loading).toBe(false));
+  const count = list.result.current.restaurants.length;
+  expect(count).toBeGreaterThan(0);
+
+  act(() => {
+    createRestaurant({ name: 'Late Night Tacos', cuisine: 'Mexican', rating: 4.1 });
+    updateRestaurant(1, { name: 'Renamed' });
+  });
+  await waitFor(() => expect(list.result.current.restaurants).toHaveLength(count + 1));
+  await waitFor(() => expect(detail.result.current.restaurant.name).toBe('Renamed'));
+  expect(detail.result.current.menu.length).toBeGreaterThan(0);
+});
+
+test('useOrder follows status changes and writes from another tab', async () => {
+  const order = createOrder({ userId: 1, restaurantId: 1, items: [{ menuItemId: 1, quantity: 1 }] });
+  const { result } = renderHook(() => useOrder(order.id));
+  await waitFor(() => expect(result.current.order.status).toBe('placed'));
+  expect(result.current.restaurant.id).toBe(1);
+
+  act(() => {
+    updateOrderStatus(order.id, 'preparing');
+  });
+  await waitFor(() => expect(result.current.order.status).toBe('preparing'));
+
+  // Another tab cancels it: the write only reaches this tab as a storage event
+  const before = window.localStorage.getItem('fd_app_state_v1');
+  const state = JSON.parse(before);
+  state.orders = state.orders.map((o) => (o.id === order.id ? { ...o, status: 'cancelled' } : o));
+  const after = JSON.stringify(state);
+  window.localStorage.setItem('fd_app_state_v1', after);
+  act(() => {
+    window.dispatchEvent(
+      new window.StorageEvent('storage', { key: 'fd_app_state_v1', oldValue: before, newValue: after })
+    );
+  });
+  await waitFor(() => expect(result.current.order.status).toBe('cancelled'));
+});
+
+test('useCart follows cart writes', () => {
+  const { result } = renderHook(() => useCart());
+  expect(result.current).toEqual([]);
+  act(() => {
+    addToCart({ restaurantId: 1, menuItemId: 1, quantity: 2, unitPrice: 5 });
+  });
+  expect(result.current).toHaveLength(1);
+  expect(result.current[0].quantity).toBe(2);
+});
@@ -1,7 +1,8 @@
  /**
   * Simple modular localStorage-backed data layer for a food delivery app.
-  * Provides CRUD helpers for Users, Restaurants, Menus, and Orders.
+  * Provides CRUD helpers for Users, Addresses, Restaurants, Menus, Orders, Reviews and Favorites.
   * Includes initial seed data on first run (idempotent).
+  * Stored state carries a schemaVersion and is upgraded through ./migrations on load.
   *
   * Design goals:
   * - Keep it framework-agnostic and easily swappable for a real API later.
@@ -9,11 +10,38 @@
   * - Public helpers expose simple CRUD with predictable return values.
   * - All public functions documented with PUBLIC_INTERFACE markers.
   *
-  * Note: localStorage is synchronous; for future API replacement,
-  * a Promise-based wrapper could be added while keeping this API surface.
+  * Note: localStorage is synchronous; components reach this store through the Promise-based
+  * ./repository, which wraps these functions and can swap in the REST adapter instead.
   */
 
+ import { SCHEMA_VERSION, migrateState } from './migrations';
+ import { ORDER_STATUSES, InvalidOrderTransitionError, canTransitionOrder } from './orderLifecycle';
+ import { MenuValidationError, normalizeMenuOptions, validateMenuOptions } from './menuOptions';
+ import { normalizeMenuCategory, validateDietaryTags } from './menuCatalog';
+ import { normalizePriceLevel } from './restaurantCatalog';
+ import { checkRevision, getRevision } from './revisions';
+ import { evaluatePromotion, findPromotion, normalizePromoCode } from './promotions';
+ import { getDeliveryFee, priceOrder } from './pricing';
+ import { geocodeAddress, hasCoordinates, normalizePostalCode } from './geocoding';
+ import { AddressValidationError, DEFAULT_ADDRESS_LABEL, validateAddress } from './addressBook';
+ import { assertDeliversTo } from './deliveryZones';
+ import { RestaurantClosedError, assertOpenFor, getOpenState, normalizeOpeningHours } from './openingHours';
+ import { countKitchenQueues, estimateOrderArrival } from './deliveryEstimates';
+ import {
+   ReviewError,
+   ReviewValidationError,
+   formatReviewerName,
+   getReviewBlocker,
+   selectTopReviews,
+   summarizeRatings,
+   validateReview
+ } from './reviews';
+ import { FAVORITE_TYPES, FavoriteError, findFavorite, withoutFavoritesOf } from './favorites';
+
+ // Key name predates schema versioning; the version now lives in state.schemaVersion.
  const STORAGE_KEY = 'fd_app_state_v1';
+ // Prefix for copies of stored state that could not be parsed or migrated
+ const BACKUP_KEY_PREFIX = 'fd_app_state_backup_';
  // Local cart storage key (separate from app state for simplicity and to avoid schema churn)
  const CART_KEY = 'fd_cart_v1';
 
@@ -41,20 +69,62 @@
 
  // Entity collections within the single state object:
  // {
+ //   schemaVersion: number,
+ //   idCounters: { [collection]: last id issued },
+ //   recentWrites: [writeId],   // the last writes the state went through (see setState)
  //   users: [],
  //   restaurants: [],
  //   menus: [],
- //   orders: []
+ //   orders: [],
+ //   promotions: [],
+ //   addresses: [],
+ //   reviews: [],
+ //   favorites: []
  // }
 
- // Utility: Safe JSON parse/stringify with fallbacks
+ // INTERNAL: keep a copy of unusable stored state so it is never silently discarded
+ function backupState(raw, reason) {
+   const failedAt = new Date().toISOString();
+   try {
+     window.localStorage.setItem(
+       `${BACKUP_KEY_PREFIX}${failedAt}`,
+       JSON.stringify({ failedAt, reason: String(reason), raw })
+     );
+   } catch (e) {
+     console.error('Failed to back up local state.', e);
+   }
+ }
+
+ function hasCollections(state) {
+   return !!(state && state.users && state.restaurants && state.menus && state.orders);
+ }
+
+ // Utility: Safe JSON parse with migration to the current schema.
+ // Returns null (after backing up the raw value) when the stored state is unusable.
  function loadState() {
+   const raw = window.localStorage.getItem(STORAGE_KEY);
+   if (!raw) return null;
+
+   let parsed;
    try {
-     const raw = window.localStorage.getItem(STORAGE_KEY);
-     if (!raw) return null;
-     return JSON.parse(raw);
+     parsed = JSON.parse(raw);
    } catch (e) {
-     console.warn('Failed to parse local state; resetting.', e);
+     console.warn('Failed to parse local state; backing it up and resetting.', e);
+     backupState(raw, `Unparseable JSON: ${e.message}`);
+     return null;
+   }
+
+   try {
+     const { state, migrated } = migrateState(parsed);
+     if (!hasCollections(state)) {
+       backupState(raw, 'State is missing entity collections.');
+       return null;
+     }
+     if (migrated) saveState(state);
+     return state;
+   } catch (e) {
+     console.error('Failed to migrate local state; backing it up and resetting.', e);
+     backupState(raw, e.message);
      return null;
    }
  }
@@ -67,30 +137,63 @@
    }
  }
 
- // ID generator: monotonically increasing ID per entity type
- function nextId(items) {
-   if (!Array.isArray(items) || items.length === 0) return 1;
-   return Math.max(...items.map((i) => Number(i.id) || 0)) + 1;
+ // INTERNAL: highest id in a collection (0 when empty)
+ function highestId(items) {
+   return (Array.isArray(items) ? items : []).reduce((max, i) => Math.max(max, Number(i.id) || 0), 0);
+ }
+
+ // ID generator: state.idCounters keeps the last id issued per collection, so ids are never
+ // reused, not even the id of the newest record after it was deleted.
+ // Returns { id, idCounters } to store alongside the new record.
+ function claimId(state, collection) {
+   const counters = state.idCounters || {};
+   const id = Math.max(Number(counters[collection]) || 0, highestId(state[collection])) + 1;
+   return { id, idCounters: { ...counters, [collection]: id } };
  }
 
  // Initialize with seed data if not present
  function ensureInitialized() {
    let state = loadState();
-   if (state && state.users && state.restaurants && state.menus && state.orders) {
+   if (state) {
      return state;
    }
 
    const seedUsers = [
      { id: 1, name: 'Alice Johnson', email: 'alice@example.com' },
-     { id: 2, name: 'Bob Smith', email: 'bob@example.com' }
+     { id: 2, name: 'Bob Smith', email: 'bob@example.com' },
+     // Reviewers of the delivered seed orders
+     { id: 3, name: 'Priya Shah', email: 'priya@example.com' },
+     { id: 4, name: 'Lucas Martin', email: 'lucas@example.com' },
+     { id: 5, name: 'Aisha Khan', email: 'aisha@example.com' }
    ];
 
+   // Weekly opening hours (see ./openingHours), in Bayview local time
+   const lunchAndDinner = [{ open: '11:30', close: '14:30' }, { open: '17:00', close: '22:00' }];
    const seedRestaurants = [
      {
        id: 1,
        name: 'Pasta Palace',
        cuisine: 'Italian',
-       rating: 4.6,
+       priceLevel: 2,
+       // Delivery zone (see ./deliveryZones); location is the postal code's point in ./geocoding
+       postalCode: '94000',
+       location: { lat: 37.7793, lng: -122.4193 },
+       deliveryRadiusKm: 8,
+       // Minutes to cook an order, used for delivery estimates (see ./deliveryEstimates)
+       prepMinutes: 15,
+       openingHours: {
+         timezone: 'America/Los_Angeles',
+         weekly: {
+           sun: [{ open: '11:00', close: '22:00' }],
+           mon: [{ open: '11:00', close: '22:00' }],
+           tue: [{ open: '11:00', close: '22:00' }],
+           wed: [{ open: '11:00', close: '22:00' }],
+           thu: [{ open: '11:00', close: '22:00' }],
+           fri: [{ open: '11:00', close: '23:30' }],
+           sat: [{ open: '11:00', close: '23:30' }]
+         },
+         closures: ['2026-12-25']
+       },
        // Ocean Professional style: calm blue-toned food imagery
        image: 'https://images.unsplash.com/photo-1523986371872-9d3ba2e2f642?q=80&w=1200&auto=format&fit=crop'
      },
@@ -98,11 +201,52 @@
        id: 2,
        name: 'Sushi Central',
        cuisine: 'Japanese',
-       rating: 4.8,
+       priceLevel: 3,
+       postalCode: '94001',
+       location: { lat: 37.7956, lng: -122.3937 },
+       deliveryRadiusKm: 6,
+       prepMinutes: 20,
+       // Closed on Mondays
+       openingHours: {
+         timezone: 'America/Los_Angeles',
+         weekly: {
+           tue: lunchAndDinner,
+           wed: lunchAndDinner,
+           thu: lunchAndDinner,
+           fri: lunchAndDinner,
+           sat: lunchAndDinner,
+           sun: lunchAndDinner
+         },
+         closures: ['2026-12-25', '2027-01-01']
+       },
        image: 'https://images.unsplash.com/photo-1553621042-f6e147245754?q=80&w=1200&auto=format&fit=crop'
      }
    ];
 
+   // Option groups (see ./menuOptions): priceDelta is added to the item price per picked choice
+   const sizeGroup = (largeDelta) => ({
+     id: 'size',
+     label: 'Size',
+     required: true,
+     min: 1,
+     max: 1,
+     choices: [
+       { id: 'regular', label: 'Regular', priceDelta: 0 },
+       { id: 'large', label: 'Large', priceDelta: largeDelta }
+     ]
+   });
+   const pastaAddons = {
+     id: 'addons',
+     label: 'Add-ons',
+     required: false,
+     min: 0,
+     max: 2,
+     choices: [
+       { id: 'extra-cheese', label: 'Extra Cheese', priceDelta: 1.5 },
+       { id: 'garlic-bread', label: 'Garlic Bread', priceDelta: 2.5 }
+     ]
+   };
+
    const seedMenus = [
      // Each menu item references a restaurantId
      {
@@ -111,7 +255,11 @@
        name: 'Spaghetti Carbonara',
        price: 12.99,
        description: 'Creamy sauce, pancetta, pecorino.',
-       image: 'https://images.unsplash.com/photo-1529042410759-befb1204b468?q=80&w=1200&auto=format&fit=crop'
+       image: 'https://images.unsplash.com/photo-1529042410759-befb1204b468?q=80&w=1200&auto=format&fit=crop',
+       tag: { label: 'New', tone: 'blue' },
+       category: 'Pasta',
+       dietary: [],
+       options: [sizeGroup(3), pastaAddons]
      },
      {
        id: 2,
@@ -119,7 +267,11 @@
        name: 'Penne Arrabbiata',
        price: 10.5,
        description: 'Spicy tomato sauce with garlic and chili.',
-       image: 'https://images.unsplash.com/photo-1523986371872-9d3ba2e2f642?q=80&w=1200&auto=format&fit=crop'
+       image: 'https://images.unsplash.com/photo-1523986371872-9d3ba2e2f642?q=80&w=1200&auto=format&fit=crop',
+       tag: { label: 'New', tone: 'blue' },
+       category: 'Pasta',
+       dietary: ['vegetarian', 'vegan', 'spicy'],
+       options: [sizeGroup(2.5), pastaAddons]
      },
      {
        id: 3,
@@ -127,7 +279,11 @@
        name: 'Salmon Nigiri (2 pcs)',
        price: 6.0,
        description: 'Fresh salmon over seasoned rice.',
-       image: 'https://images.unsplash.com/photo-1553621042-f6e147245754?q=80&w=1200&auto=format&fit=crop'
+       image: 'https://images.unsplash.com/photo-1553621042-f6e147245754?q=80&w=1200&auto=format&fit=crop',
+       tag: { label: 'Best Seller', tone: 'amber' },
+       category: 'Nigiri',
+       dietary: ['gluten-free'],
+       options: []
      },
      {
        id: 4,
@@ -135,10 +291,58 @@
        name: 'California Roll',
        price: 7.5,
        description: 'Crab, avocado, cucumber.',
-       image: 'https://images.unsplash.com/photo-1617191518000-08fc1e7233db?q=80&w=1200&auto=format&fit=crop'
+       image: 'https://images.unsplash.com/photo-1617191518000-08fc1e7233db?q=80&w=1200&auto=format&fit=crop',
+       tag: { label: 'Best Seller', tone: 'amber' },
+       category: 'Rolls',
+       dietary: [],
+       options: [
+         sizeGroup(3),
+         {
+           id: 'extras',
+           label: 'Extras',
+           required: false,
+           min: 0,
+           max: 2,
+           choices: [
+             { id: 'extra-wasabi', label: 'Extra Wasabi', priceDelta: 0.5 },
+             { id: 'ginger', label: 'Ginger', priceDelta: 0.5 }
+           ]
+         }
+       ]
+     },
+     {
+       id: 5,
+       restaurantId: 1,
+       name: 'Tomato Bruschetta',
+       price: 6.5,
+       description: 'Grilled bread, ripe tomatoes, basil, olive oil.',
+       category: 'Starters',
+       dietary: ['vegetarian', 'vegan'],
+       options: []
+     },
+     {
+       id: 6,
+       restaurantId: 2,
+       name: 'Edamame',
+       price: 4.5,
+       description: 'Steamed soybeans with sea salt.',
+       category: 'Starters',
+       dietary: ['vegetarian', 'vegan', 'gluten-free'],
+       options: []
+     },
+     {
+       id: 7,
+       restaurantId: 2,
+       name: 'Spicy Tuna Roll',
+       price: 8.5,
+       description: 'Tuna, chili mayo, cucumber.',
+       category: 'Rolls',
+       dietary: ['spicy'],
+       options: [sizeGroup(3)]
      }
    ];
 
+   const seedCreatedAt = new Date().toISOString();
    const seedOrders = [
      // Minimal sample order referencing a user and restaurant
      {
@@ -148,19 +352,121 @@
        items: [
          { menuItemId: 1, quantity: 1, unitPrice: 12.99 }
        ],
-       status: 'placed', // placed | preparing | delivering | completed | cancelled
+       status: 'placed', // see ORDER_TRANSITIONS in ./orderLifecycle
+       statusHistory: [{ status: 'placed', at: seedCreatedAt }],
        total: 12.99,
-       createdAt: new Date().toISOString()
+       createdAt: seedCreatedAt
      }
    ];
 
+   // Delivered orders from the past weeks, each reviewed once (see ./reviews); the restaurant
+   // ratings are worked out from these reviews
+   const DAY_MS = 24 * 60 * 60 * 1000;
+   const seedReviews = [];
+   const delivered = (userId, restaurantId, lines, daysAgo, review) => {
+     const placedAt = Date.parse(seedCreatedAt) - daysAgo * DAY_MS;
+     const at = (minutes) => new Date(placedAt + minutes * 60 * 1000).toISOString();
+     const items = lines.map(([menuItemId, quantity]) => {
+       const menu = seedMenus.find((m) => m.id === menuItemId);
+       return { menuItemId, quantity, unitPrice: menu.price, name: menu.name };
+     });
+     const order = {
+       id: seedOrders.length + 1,
+       userId,
+       restaurantId,
+       items,
+       status: 'completed',
+       statusHistory: [
+         { status: 'placed', at: at(0) },
+         { status: 'preparing', at: at(2) },
+         { status: 'delivering', at: at(20) },
+         { status: 'completed', at: at(34) }
+       ],
+       total: Math.round(items.reduce((acc, it) => acc + it.quantity * it.unitPrice * 100, 0)) / 100,
+       createdAt: at(0)
+     };
+     seedOrders.push(order);
+     seedReviews.push({
+       id: seedReviews.length + 1,
+       orderId: order.id,
+       userId,
+       restaurantId,
+       rating: review.rating,
+       text: review.text || '',
+       items: (review.items || []).map(([menuItemId, rating]) => ({ menuItemId, rating })),
+       createdAt: at(90)
+     });
+   };
+   delivered(4, 1, [[2, 2]], 25, { rating: 4, text: 'Penne had a real kick. The portion could be bigger.', items: [[2, 4]] });
+   delivered(5, 2, [[6, 1], [4, 1]], 21, { rating: 4, text: 'Edamame arrived a bit cold, but the rolls were great.', items: [[6, 3], [4, 5]] });
+   delivered(3, 1, [[1, 1]], 18, { rating: 5 });
+   delivered(5, 1, [[5, 2]], 15, { rating: 5, text: 'The bruschetta was still crisp when it arrived.', items: [[5, 5]] });
+   delivered(3, 2, [[4, 1]], 12, { rating: 5, text: 'The California roll was packed with care.', items: [[4, 4]] });
+   delivered(4, 2, [[7, 1]], 9, { rating: 5 });
+   delivered(4, 1, [[1, 1]], 6, { rating: 4, text: 'Good pasta, and the garlic bread add-on is a must.' });
+   delivered(4, 2, [[3, 2]], 4, { rating: 5, text: 'Great selection and the UI feels modern and clean. Highly recommended.', items: [[3, 5]] });
+   delivered(3, 1, [[1, 1]], 3, { rating: 5, text: 'Delivery was quick and the tracking made it stress-free. Definitely my go-to app!', items: [[1, 5]] });
+   delivered(5, 2, [[7, 1], [6, 1]], 2, { rating: 5, text: 'Secure checkout and fast delivery times. Five stars!' });
+
+   // Advertised on the home page
+   const seedPromotions = [
+     {
+       id: 1,
+       code: 'WELCOME',
+       description: 'Free delivery on your first order',
+       type: 'free_delivery',
+       firstOrderOnly: true,
+       maxUsesPerUser: 1
+     }
+   ];
+
+   // Saved delivery addresses (see ./addressBook); Bob's is outside Sushi Central's zone
+   const seedAddresses = [
+     {
+       id: 1,
+       userId: 1,
+       label: 'Home',
+       street: '12 Market Street',
+       city: 'Bayview',
+       postalCode: '94000',
+       lat: 37.7793,
+       lng: -122.4193
+     },
+     {
+       id: 2,
+       userId: 2,
+       label: 'Home',
+       street: '48 Sunset Boulevard',
+       city: 'Bayview',
+       postalCode: '94004',
+       lat: 37.7535,
+       lng: -122.495,
+       notes: 'Ring twice'
+     }
+   ];
+
+   // Alice's favorite restaurant and a saved dish (see ./favorites)
+   const seedFavorites = [
+     { id: 1, userId: 1, type: 'restaurant', targetId: 1, createdAt: '2026-02-20T18:00:00.000Z' },
+     { id: 2, userId: 1, type: 'menuItem', targetId: 4, createdAt: '2026-02-22T19:30:00.000Z' }
+   ];
+
+   const firstRevision = (records) => records.map((r) => ({ ...r, revision: 1 }));
    state = {
-     users: seedUsers,
-     restaurants: seedRestaurants,
-     menus: seedMenus,
-     orders: seedOrders
+     schemaVersion: SCHEMA_VERSION,
+     users: firstRevision(seedUsers),
+     restaurants: firstRevision(seedRestaurants),
+     menus: firstRevision(seedMenus),
+     orders: firstRevision(seedOrders),
+     promotions: firstRevision(seedPromotions),
+     addresses: firstRevision(seedAddresses),
+     reviews: firstRevision(seedReviews),
+     favorites: firstRevision(seedFavorites)
    };
+   state.idCounters = Object.fromEntries(COLLECTIONS.map((name) => [name, highestId(state[name])]));
 
+   // Writes made before the state was cleared are not to be applied again
+   unconfirmedWrites = [];
    saveState(state);
    return state;
  }
@@ -170,22 +476,200 @@
    return ensureInitialized();
  }
 
+ // Entity collections compared to tell subscribers what a write changed
+ const COLLECTIONS = ['users', 'restaurants', 'menus', 'orders', 'promotions', 'addresses', 'reviews', 'favorites'];
+
+ // INTERNAL: collections whose records differ between two states (records compared by reference)
+ function changedCollections(before, after) {
+   return COLLECTIONS.filter((name) => {
+     const a = (before && before[name]) || [];
+     const b = (after && after[name]) || [];
+     return a.length !== b.length || a.some((record, i) => record !== b[i]);
+   });
+ }
+
+ // Set while a mutator runs; a write started from inside another one would be overwritten by it
+ let writing = false;
+
+ // Tabs share one stored state but localStorage has no cross-tab lock: two tabs writing at the
+ // same moment each start from the state before the other's write, and the later write drops
+ // the earlier one (records and the ids claimed for them). Every write therefore records its id
+ // in state.recentWrites, and this tab keeps its own recent writes, with their mutators, until
+ // another tab's write is seen to build on them. A write missing from the stored state when
+ // another tab's write arrives was overwritten; it is applied again on top of that state, which
+ // claims fresh ids for the records it creates (see reconcileLostWrites).
+ const RECENT_WRITES_KEPT = 100;
+ const UNCONFIRMED_WRITE_MS = 10 * 1000;
+ let unconfirmedWrites = []; // [{ writeId, mutator, at }]
+
+ function newWriteId() {
+   return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+ }
+
+ // INTERNAL: apply again this tab's writes that another tab's stale write dropped
+ function reconcileLostWrites() {
+   const now = Date.now();
+   unconfirmedWrites = unconfirmedWrites.filter((w) => now - w.at < UNCONFIRMED_WRITE_MS);
+   const stored = loadState();
+   // A writer that does not record its writes cannot tell us what it kept
+   if (!unconfirmedWrites.length || !stored || !Array.isArray(stored.recentWrites)) return;
+   const seen = new Set(stored.recentWrites);
+   const lost = unconfirmedWrites.filter((w) => !seen.has(w.writeId));
+   // Writes the other tab built on are safe now
+   unconfirmedWrites = [];
+   lost.forEach((w) => {
+     try {
+       setState(w.mutator);
+     } catch (e) {
+       // e.g. a revision check that no longer passes on the other tab's state
+       console.warn('Dropped a write that another tab overwrote.', e);
+     }
+   });
+   syncStorageListener();
+ }
+
+ // Every write is a read-modify-write of the freshly stored state, finished in one synchronous
+ // step, so it cannot start from another write's stale copy. Writes that change nothing are skipped.
  function setState(mutator) {
+   if (writing) {
+     throw new Error('Nested local store write: a store write cannot start inside another one.');
+   }
    const state = getState();
-   const newState = mutator({ ...state });
-   saveState(newState);
+   let newState;
+   writing = true;
+   try {
+     newState = mutator({ ...state });
+   } finally {
+     writing = false;
+   }
+   const collections = changedCollections(state, newState);
+   if (collections.length) {
+     const writeId = newWriteId();
+     newState = { ...newState, recentWrites: [...(state.recentWrites || []), writeId].slice(-RECENT_WRITES_KEPT) };
+     saveState(newState);
+     unconfirmedWrites = [...unconfirmedWrites, { writeId, mutator, at: Date.now() }].slice(-RECENT_WRITES_KEPT);
+     syncStorageListener();
+     notifyStore('local', collections);
+   }
    return newState;
  }
 
+ // Listeners notified whenever the app state is written, here or in another tab (see subscribeStore).
+ const storeListeners = new Set();
+
+ function notifyStore(source, collections = COLLECTIONS) {
+   storeListeners.forEach((listener) => {
+     try {
+       listener({ source, collections: collections.slice() });
+     } catch (e) {
+       console.error('Store listener failed.', e);
+     }
+   });
+ }
+
+ // INTERNAL: parse a stored state value from a storage event (null when absent or unreadable)
+ function parseStoredState(raw) {
+   try {
+     return raw ? JSON.parse(raw) : null;
+   } catch (e) {
+     return null;
+   }
+ }
+
+ // INTERNAL: other tabs' writes arrive as `storage` events (never fired for this tab's own writes)
+ function onStorageEvent(e) {
+   if (e.key === null) {
+     // localStorage.clear() in another tab
+     unconfirmedWrites = [];
+     notifyStore('remote');
+     notifyCart(loadCart());
+   } else if (e.key === STORAGE_KEY) {
+     reconcileLostWrites();
+     const before = parseStoredState(e.oldValue);
+     const after = parseStoredState(e.newValue);
+     if (!before || !after) {
+       notifyStore('remote');
+       return;
+     }
+     // Records are fresh objects after parsing, so compare them by content
+     const collections = COLLECTIONS.filter(
+       (name) => JSON.stringify(before[name]) !== JSON.stringify(after[name])
+     );
+     if (collections.length) notifyStore('remote', collections);
+   } else if (e.key === CART_KEY) {
+     notifyCart(loadCart());
+   }
+ }
+
+ // INTERNAL: listen for other tabs' writes only while someone is subscribed or this tab's own
+ // writes may still need reconciling
+ function syncStorageListener() {
+   if (storeListeners.size + cartListeners.size + unconfirmedWrites.length > 0) {
+     window.addEventListener('storage', onStorageEvent);
+   } else {
+     window.removeEventListener('storage', onStorageEvent);
+   }
+ }
+
+ // PUBLIC_INTERFACE
+ export function subscribeStore(listener) {
+   /**
+    * Registers a listener called after every app state write that changed something, with
+    * { source: 'local' | 'remote', collections }: 'local' for writes made in this tab, 'remote'
+    * for writes from another tab; collections lists the changed entity collections
+    * ('users', 'restaurants', 'menus', 'orders', 'promotions', 'addresses', 'reviews',
+    * 'favorites').
+    * Listeners re-read what they need. Returns an unsubscribe function.
+    */
+   storeListeners.add(listener);
+   syncStorageListener();
+   return () => {
+     storeListeners.delete(listener);
+     syncStorageListener();
+   };
+ }
+
+ // PUBLIC_INTERFACE
+ export function initializeStore() {
+   /**
+    * Bootstraps the data layer: seeds demo data only when no state is stored yet.
+    * Existing restaurants, menus, users and orders are left untouched.
+    * Returns the current state object.
+    */
+   return ensureInitialized();
+ }
+
+ // PUBLIC_INTERFACE
+ export function getStateBackups() {
+   /**
+    * Lists copies of stored state that were set aside because they could not be parsed or migrated.
+    * Returns [{ key, failedAt, reason, raw }], newest first.
+    */
+   const backups = [];
+   for (let i = 0; i < window.localStorage.length; i++) {
+     const key = window.localStorage.key(i);
+     if (!key || !key.startsWith(BACKUP_KEY_PREFIX)) continue;
+     try {
+       backups.push({ key, ...JSON.parse(window.localStorage.getItem(key)) });
+     } catch (e) {
+       backups.push({ key, failedAt: key.slice(BACKUP_KEY_PREFIX.length), reason: 'Unreadable backup', raw: null });
+     }
+   }
+   return backups.sort((a, b) => String(b.failedAt).localeCompare(String(a.failedAt)));
+ }
+
  // PUBLIC_INTERFACE
  export function resetToSeed() {
    /**
-    * Resets the local storage to the initial seed data.
+    * Resets the local storage to the initial seed data, discarding all user-created records.
+    * Intended for the developer panel's explicit "Reset demo data" action, not for app startup.
     * Returns the seeded state object.
     */
    // Clear first to avoid stale leftovers if schema changes.
    window.localStorage.removeItem(STORAGE_KEY);
-   return ensureInitialized();
+   const state = ensureInitialized();
+   notifyStore('local');
+   return state;
  }
 
  // -------- Users CRUD --------
@@ -207,28 +691,36 @@
    /**
     * Creates a new user.
     * user: { name, email }
-    * Returns the created user with id.
+    * Returns the created user with id and revision 1.
     */
    let created = null;
    setState((state) => {
-     const id = nextId(state.users);
-     created = { id, name: user.name, email: user.email };
-     return { ...state, users: [...state.users, created] };
+     const { id, idCounters } = claimId(state, 'users');
+     created = { id, name: user.name, email: user.email, revision: 1 };
+     return { ...state, idCounters, users: [...state.users, created] };
    });
    return created;
  }
 
  // PUBLIC_INTERFACE
- export function updateUser(id, patch) {
+ export function updateUser(id, patch, options = {}) {
    /**
     * Updates an existing user by id with fields in patch.
+    * options: { expectedRevision? } — the revision the caller read; if the stored record has
+    * moved on since, throws WriteConflictError (nothing written). The revision goes up by one.
     * Returns the updated user or null if not found.
     */
    let updated = null;
    setState((state) => {
      const idx = state.users.findIndex((u) => Number(u.id) === Number(id));
      if (idx === -1) return state;
-     const merged = { ...state.users[idx], ...patch, id: state.users[idx].id };
+     checkRevision('user', state.users[idx], options.expectedRevision);
+     const merged = {
+       ...state.users[idx],
+       ...patch,
+       id: state.users[idx].id,
+       revision: getRevision(state.users[idx]) + 1
+     };
      updated = merged;
      const users = state.users.slice();
      users[idx] = merged;
@@ -240,7 +732,7 @@
  // PUBLIC_INTERFACE
  export function deleteUser(id) {
    /**
-    * Deletes a user by id.
+    * Deletes a user by id, together with their saved addresses, reviews and favorites.
     * Returns true if deleted, false if not found.
     */
    let deleted = false;
@@ -248,59 +740,257 @@
      const before = state.users.length;
      const users = state.users.filter((u) => Number(u.id) !== Number(id));
      deleted = users.length < before;
-     return { ...state, users };
+     if (!deleted) return state;
+     const addresses = state.addresses.filter((a) => Number(a.userId) !== Number(id));
+     const reviews = state.reviews.filter((r) => Number(r.userId) !== Number(id));
+     const favorites = state.favorites.filter((f) => Number(f.userId) !== Number(id));
+     return { ...state, users, addresses, reviews, favorites };
+   });
+   return deleted;
+ }
+
+ // -------- Addresses CRUD --------
+
+ // INTERNAL: trimmed address fields with lat/lng, geocoded from the postal code unless given.
+ // Throws AddressValidationError for missing or invalid fields.
+ function checkedAddress(fields) {
+   const text = (value) => (value == null ? '' : String(value).trim());
+   const address = {
+     label: text(fields.label) || DEFAULT_ADDRESS_LABEL,
+     street: text(fields.street),
+     city: text(fields.city),
+     postalCode: text(fields.postalCode)
+   };
+   const given = fields.lat != null || fields.lng != null;
+   const found = given ? null : geocodeAddress(address);
+   address.lat = given ? fields.lat : found ? found.lat : null;
+   address.lng = given ? fields.lng : found ? found.lng : null;
+   const errors = validateAddress(address);
+   if (Object.keys(errors).length) throw new AddressValidationError(errors);
+   if (text(fields.notes)) address.notes = text(fields.notes);
+   return address;
+ }
+
+ // PUBLIC_INTERFACE
+ export function getAddressesByUser(userId) {
+   /** Returns the saved delivery addresses of a user (see ./addressBook for their shape). */
+   return getState().addresses.filter((a) => Number(a.userId) === Number(userId));
+ }
+
+ // PUBLIC_INTERFACE
+ export function getAddressById(id) {
+   /** Returns a saved address by id or undefined. */
+   return getState().addresses.find((a) => Number(a.id) === Number(id));
+ }
+
+ // PUBLIC_INTERFACE
+ export function createAddress(address) {
+   /**
+    * Saves a delivery address for a user.
+    * address: { userId, label?, street, city, postalCode, notes?, lat?, lng? }
+    * lat/lng are looked up from the postal code (./geocoding) when not given, and stay null
+    * when the postal code is unknown.
+    * Returns the created address with id and revision 1.
+    * Throws AddressValidationError (nothing written) for missing or invalid fields.
+    */
+   if (!address || address.userId == null) {
+     throw new AddressValidationError({ userId: 'An address needs the user it belongs to.' });
+   }
+   const fields = checkedAddress(address);
+   let created = null;
+   setState((state) => {
+     const { id, idCounters } = claimId(state, 'addresses');
+     created = { id, userId: Number(address.userId), ...fields, revision: 1 };
+     return { ...state, idCounters, addresses: [...state.addresses, created] };
+   });
+   return created;
+ }
+
+ // PUBLIC_INTERFACE
+ export function updateAddress(id, patch, options = {}) {
+   /**
+    * Updates a saved address by id with fields in patch. A changed postal code is geocoded
+    * again unless the patch carries lat/lng; an empty notes value removes the notes.
+    * options: { expectedRevision? } — the revision the caller read; if the stored record has
+    * moved on since, throws WriteConflictError (nothing written). The revision goes up by one.
+    * Returns the updated address or null if not found.
+    * Throws AddressValidationError (nothing written) for missing or invalid fields.
+    */
+   let updated = null;
+   setState((state) => {
+     const idx = state.addresses.findIndex((a) => Number(a.id) === Number(id));
+     if (idx === -1) return state;
+     const stored = state.addresses[idx];
+     checkRevision('address', stored, options.expectedRevision);
+     const next = { ...stored, ...patch };
+     const moved = normalizePostalCode(next.postalCode) !== normalizePostalCode(stored.postalCode);
+     if (moved && !('lat' in (patch || {})) && !('lng' in (patch || {}))) {
+       next.lat = null;
+       next.lng = null;
+     }
+     const merged = {
+       id: stored.id,
+       userId: stored.userId,
+       ...checkedAddress(next),
+       revision: getRevision(stored) + 1
+     };
+     updated = merged;
+     const addresses = state.addresses.slice();
+     addresses[idx] = merged;
+     return { ...state, addresses };
+   });
+   return updated;
+ }
+
+ // PUBLIC_INTERFACE
+ export function deleteAddress(id) {
+   /**
+    * Deletes a saved address by id. Orders keep their own copy of the address they went to.
+    * Returns true if deleted, false if not found.
+    */
+   let deleted = false;
+   setState((state) => {
+     const before = state.addresses.length;
+     const addresses = state.addresses.filter((a) => Number(a.id) !== Number(id));
+     deleted = addresses.length < before;
+     return { ...state, addresses };
    });
    return deleted;
  }
 
  // -------- Restaurants CRUD --------
 
+ // INTERNAL: the restaurant with rating and reviewCount worked out from its reviews (./reviews);
+ // neither is stored
+ function withRatings(restaurant, reviews) {
+   if (!restaurant) return restaurant;
+   const own = reviews.filter((r) => Number(r.restaurantId) === Number(restaurant.id));
+   return { ...restaurant, ...summarizeRatings(own) };
+ }
+
+ // INTERNAL: patch fields that are never stored on a restaurant
+ function withoutDerivedFields(fields) {
+   const stored = { ...fields };
+   delete stored.rating;
+   delete stored.reviewCount;
+   return stored;
+ }
+
  // PUBLIC_INTERFACE
  export function getRestaurants() {
-   /** Returns an array of all restaurants. */
-   return getState().restaurants.slice();
+   /**
+    * Returns an array of all restaurants, each with rating (average review stars, null without
+    * reviews) and reviewCount worked out from its reviews.
+    */
+   const state = getState();
+   return state.restaurants.map((r) => withRatings(r, state.reviews));
  }
 
  // PUBLIC_INTERFACE
  export function getRestaurantById(id) {
-   /** Returns a restaurant by id or undefined. */
-   return getState().restaurants.find((r) => Number(r.id) === Number(id));
+   /** Returns a restaurant by id (with rating and reviewCount, see getRestaurants) or undefined. */
+   const state = getState();
+   return withRatings(state.restaurants.find((r) => Number(r.id) === Number(id)), state.reviews);
+ }
+
+ // INTERNAL: delivery zone fields present in a restaurant (or patch). The location is looked up
+ // from the postal code (./geocoding) unless given; null means "clear it".
+ function restaurantZoneFields(fields) {
+   const zone = {};
+   if ('postalCode' in fields) {
+     zone.postalCode = fields.postalCode == null ? '' : String(fields.postalCode).trim();
+     if (!('location' in fields)) {
+       const found = geocodeAddress(zone);
+       zone.location = found ? { lat: found.lat, lng: found.lng } : null;
+     }
+   }
+   if ('location' in fields) {
+     zone.location = hasCoordinates(fields.location) ? { lat: fields.location.lat, lng: fields.location.lng } : null;
+   }
+   if ('deliveryRadiusKm' in fields) {
+     const radius = Number(fields.deliveryRadiusKm);
+     zone.deliveryRadiusKm = fields.deliveryRadiusKm != null && Number.isFinite(radius) && radius > 0 ? radius : null;
+   }
+   return zone;
+ }
+
+ // INTERNAL: preparation time in whole minutes, or null when missing or not above 0
+ function normalizePrepMinutes(value) {
+   const minutes = Math.round(Number(value));
+   return value != null && value !== '' && Number.isFinite(minutes) && minutes > 0 ? minutes : null;
  }
 
  // PUBLIC_INTERFACE
  export function createRestaurant(restaurant) {
    /**
     * Creates a new restaurant.
-    * restaurant: { name, cuisine, rating, image? }
-    * Returns the created restaurant with id.
+    * restaurant: { name, cuisine, priceLevel?, deliveryFee?, postalCode?, location?, deliveryRadiusKm?, prepMinutes?, openingHours?, image? }
+    * priceLevel is 1 ($) to 4 ($$$$); anything else becomes 2. deliveryFee (dollars) replaces
+    * the standard fee from ./pricing; leave it out (or null) to use the standard one.
+    * location ({ lat, lng }) is geocoded from postalCode when not given; with deliveryRadiusKm
+    * it sets where the restaurant delivers (see ./deliveryZones). openingHours (see ./openingHours)
+    * is normalized; without it the restaurant is always open. prepMinutes (minutes to cook an
+    * order) feeds delivery estimates (see ./deliveryEstimates); without it the default applies.
+    * A rating is not stored: it comes from reviews (see getRestaurants).
+    * Returns the created restaurant with id and revision 1 (rating null, reviewCount 0).
     */
    let created = null;
    setState((state) => {
-     const id = nextId(state.restaurants);
+     const { id, idCounters } = claimId(state, 'restaurants');
      created = {
        id,
        name: restaurant.name,
        cuisine: restaurant.cuisine || '',
-       rating: typeof restaurant.rating === 'number' ? restaurant.rating : 0,
-       ...(restaurant.image ? { image: String(restaurant.image) } : {})
+       priceLevel: normalizePriceLevel(restaurant.priceLevel),
+       ...(restaurant.deliveryFee != null ? { deliveryFee: Number(restaurant.deliveryFee) } : {}),
+       ...Object.fromEntries(
+         Object.entries(restaurantZoneFields(restaurant)).filter(([, value]) => value != null && value !== '')
+       ),
+       ...(restaurant.openingHours ? { openingHours: normalizeOpeningHours(restaurant.openingHours) } : {}),
+       ...(normalizePrepMinutes(restaurant.prepMinutes) ? { prepMinutes: normalizePrepMinutes(restaurant.prepMinutes) } : {}),
+       ...(restaurant.image ? { image: String(restaurant.image) } : {}),
+       revision: 1
      };
-     return { ...state, restaurants: [...state.restaurants, created] };
+     return { ...state, idCounters, restaurants: [...state.restaurants, created] };
    });
-   return created;
+   return withRatings(created, []);
  }
 
  // PUBLIC_INTERFACE
- export function updateRestaurant(id, patch) {
+ export function updateRestaurant(id, patch, options = {}) {
    /**
-    * Updates a restaurant by id with fields in patch.
-    * Returns the updated restaurant or null if not found.
+    * Updates a restaurant by id with fields in patch. A changed postalCode moves the location
+    * too, unless the patch carries its own location. openingHours is normalized; null removes the
+    * hours (always open), and so does a null prepMinutes (default preparation time). rating and
+    * reviewCount in the patch are ignored; they come from reviews.
+    * options: { expectedRevision? } — the revision the caller read; if the stored record has
+    * moved on since, throws WriteConflictError (nothing written). The revision goes up by one.
+    * Returns the updated restaurant (with rating and reviewCount) or null if not found.
     */
    let updated = null;
    setState((state) => {
      const idx = state.restaurants.findIndex((r) => Number(r.id) === Number(id));
      if (idx === -1) return state;
-     const merged = { ...state.restaurants[idx], ...patch, id: state.restaurants[idx].id };
-     updated = merged;
+     checkRevision('restaurant', state.restaurants[idx], options.expectedRevision);
+     const merged = {
+       ...state.restaurants[idx],
+       ...withoutDerivedFields(patch || {}),
+       ...restaurantZoneFields(patch || {}),
+       id: state.restaurants[idx].id,
+       revision: getRevision(state.restaurants[idx]) + 1
+     };
+     if (patch && 'priceLevel' in patch) merged.priceLevel = normalizePriceLevel(patch.priceLevel);
+     if (patch && 'openingHours' in patch) {
+       const openingHours = normalizeOpeningHours(patch.openingHours);
+       if (openingHours) merged.openingHours = openingHours;
+       else delete merged.openingHours;
+     }
+     if (patch && 'prepMinutes' in patch) {
+       const prepMinutes = normalizePrepMinutes(patch.prepMinutes);
+       if (prepMinutes) merged.prepMinutes = prepMinutes;
+       else delete merged.prepMinutes;
+     }
+     updated = withRatings(merged, state.reviews);
      const restaurants = state.restaurants.slice();
      restaurants[idx] = merged;
      return { ...state, restaurants };
@@ -312,7 +1002,9 @@
  export function deleteRestaurant(id) {
    /**
     * Deletes a restaurant by id.
-    * Also deletes related menus and soft-cancels related orders.
+    * Also deletes related menus, reviews and favorites (of the restaurant and of its dishes),
+    * and cancels related orders that can still be
+    * cancelled (placed/preparing); orders already out for delivery are left to finish.
     * Returns true if deleted, false if not found.
     */
    let deleted = false;
@@ -322,11 +1014,14 @@
      deleted = restaurants.length < before;
      const menus = state.menus.filter((m) => Number(m.restaurantId) !== Number(id));
      const orders = state.orders.map((o) =>
-       Number(o.restaurantId) === Number(id) && o.status !== 'completed'
-         ? { ...o, status: 'cancelled' }
+       Number(o.restaurantId) === Number(id) && canTransitionOrder(o.status, 'cancelled')
+         ? withEta(withStatus(o, 'cancelled'), state)
          : o
      );
-     return { ...state, restaurants, menus, orders };
+     const reviews = state.reviews.filter((r) => Number(r.restaurantId) !== Number(id));
+     const dishIds = state.menus.filter((m) => Number(m.restaurantId) === Number(id)).map((m) => m.id);
+     const favorites = withoutFavoritesOf(withoutFavoritesOf(state.favorites, 'restaurant', [id]), 'menuItem', dishIds);
+     return { ...state, restaurants, menus, orders, reviews, favorites };
    });
    return deleted;
  }
@@ -351,40 +1046,82 @@
    return getState().menus.find((m) => Number(m.id) === Number(id));
  }
 
+ // INTERNAL: defaults + schema check for the structured fields of a menu item (or patch).
+ // Only fields present in `fields` are checked and returned.
+ function checkedMenuFields(fields) {
+   const checked = {};
+   const errors = [];
+   if ('options' in fields) {
+     checked.options = normalizeMenuOptions(fields.options);
+     errors.push(...validateMenuOptions(checked.options));
+   }
+   if ('dietary' in fields) {
+     checked.dietary = fields.dietary == null ? [] : fields.dietary;
+     errors.push(...validateDietaryTags(checked.dietary));
+   }
+   if ('category' in fields) checked.category = normalizeMenuCategory(fields.category);
+   if (errors.length) throw new MenuValidationError(errors);
+   return checked;
+ }
+
  // PUBLIC_INTERFACE
  export function createMenuItem(menuItem) {
    /**
     * Creates a new menu item.
-    * menuItem: { restaurantId, name, price, description, image? }
-    * Returns the created item with id.
+    * menuItem: { restaurantId, name, price, description, image?, tag?, category?, dietary?, options? }
+    * - options: option groups as described in ./menuOptions (defaults are filled in)
+    * - category: defaults to DEFAULT_MENU_CATEGORY; dietary: DIETARY_TAGS (see ./menuCatalog)
+    * Returns the created item with id and revision 1.
+    * Throws MenuValidationError (nothing written) if options or dietary tags are invalid.
     */
+   const { options, dietary, category } = checkedMenuFields({
+     options: menuItem.options,
+     dietary: menuItem.dietary,
+     category: menuItem.category
+   });
    let created = null;
    setState((state) => {
-     const id = nextId(state.menus);
+     const { id, idCounters } = claimId(state, 'menus');
      created = {
        id,
        restaurantId: Number(menuItem.restaurantId),
        name: menuItem.name,
        price: Number(menuItem.price),
        description: menuItem.description || '',
-       ...(menuItem.image ? { image: String(menuItem.image) } : {})
+       ...(menuItem.image ? { image: String(menuItem.image) } : {}),
+       ...(menuItem.tag ? { tag: menuItem.tag } : {}),
+       category,
+       dietary,
+       options,
+       revision: 1
      };
-     return { ...state, menus: [...state.menus, created] };
+     return { ...state, idCounters, menus: [...state.menus, created] };
    });
    return created;
  }
 
  // PUBLIC_INTERFACE
- export function updateMenuItem(id, patch) {
+ export function updateMenuItem(id, patch, options = {}) {
    /**
     * Updates a menu item by id with fields in patch.
+    * options: { expectedRevision? } — the revision the caller read; if the stored record has
+    * moved on since, throws WriteConflictError (nothing written). The revision goes up by one.
     * Returns the updated item or null if not found.
+    * Throws MenuValidationError (nothing written) if patch.options or patch.dietary is invalid.
     */
+   const checked = checkedMenuFields(patch || {});
    let updated = null;
    setState((state) => {
      const idx = state.menus.findIndex((m) => Number(m.id) === Number(id));
      if (idx === -1) return state;
-     const merged = { ...state.menus[idx], ...patch, id: state.menus[idx].id };
+     checkRevision('menuItem', state.menus[idx], options.expectedRevision);
+     const merged = {
+       ...state.menus[idx],
+       ...patch,
+       ...checked,
+       id: state.menus[idx].id,
+       revision: getRevision(state.menus[idx]) + 1
+     };
      updated = merged;
      const menus = state.menus.slice();
      menus[idx] = merged;
@@ -396,7 +1133,7 @@
  // PUBLIC_INTERFACE
  export function deleteMenuItem(id) {
    /**
-    * Deletes a menu item by id.
+    * Deletes a menu item by id, and removes it from the customers' saved dishes.
     * Returns true if deleted, false if not found.
     */
    let deleted = false;
@@ -404,11 +1141,57 @@
      const before = state.menus.length;
      const menus = state.menus.filter((m) => Number(m.id) !== Number(id));
      deleted = menus.length < before;
-     return { ...state, menus };
+     if (!deleted) return state;
+     return { ...state, menus, favorites: withoutFavoritesOf(state.favorites, 'menuItem', [id]) };
    });
    return deleted;
  }
 
+ // -------- Promotions --------
+
+ // PUBLIC_INTERFACE
+ export function getPromotions() {
+   /** Returns all promotions (see ./promotions for their shape). */
+   return getState().promotions.slice();
+ }
+
+ // PUBLIC_INTERFACE
+ export function createPromotion(promotion) {
+   /**
+    * Creates a promotion. The code is stored upper-cased.
+    * Returns the created promotion with id and revision 1.
+    * Throws if the code is empty or already taken (nothing written).
+    */
+   const code = normalizePromoCode(promotion && promotion.code);
+   if (!code) throw new Error('A promotion needs a code.');
+   let created = null;
+   setState((state) => {
+     if (findPromotion(state.promotions, code)) throw new Error(`Promo code ${code} already exists.`);
+     const { id, idCounters } = claimId(state, 'promotions');
+     created = { ...promotion, id, code, revision: 1 };
+     return { ...state, idCounters, promotions: [...state.promotions, created] };
+   });
+   return created;
+ }
+
+ // PUBLIC_INTERFACE
+ export function checkPromoCode(code, { userId = null, subtotal = 0, deliveryFee = 0 } = {}) {
+   /**
+    * Checks whether a code can be used on an order with this subtotal by this customer,
+    * applying the same rules as createOrder.
+    * Returns { code, type, description, discount, freeDelivery }; throws PromoCodeError with a
+    * `reason` and a customer-facing message otherwise.
+    */
+   const state = getState();
+   return evaluatePromotion(findPromotion(state.promotions, code), {
+     code,
+     subtotal,
+     deliveryFee,
+     userId,
+     orders: state.orders
+   });
+ }
+
  // -------- Orders CRUD --------
 
  // PUBLIC_INTERFACE
@@ -433,62 +1216,175 @@
  export function createOrder(order) {
    /**
     * Creates a new order.
-    * order: { userId, restaurantId, items: [{menuItemId, quantity, unitPrice?}] }
+    * order: {
+    *   userId, restaurantId,
+    *   items: [{menuItemId, quantity, unitPrice?, name?, size?, addons?, options?}],
+    *   deliveryAddress?: { street, city, postalCode, notes?, addressId?, lat?, lng? },
+    *   paymentMethod?: string,
+    *   promoCode?: string,
+    *   tip?: number,          // dollars
+    *   distanceKm?: number,   // overrides the distance measured from the restaurant to the address
+    *   scheduledFor?: string  // ISO time to deliver at; leave out for "as soon as possible"
+    * }
     * - If item.unitPrice is missing, it will be looked up from menu.
-    * Returns the created order with id, total, status ('placed'), createdAt.
+    * - size/addons/name and the options selection are kept on each item so cart
+    *   customizations survive checkout.
+    * - promoCode is checked against the promotions (see ./promotions) and the customer's orders;
+    *   the applied promotion is stored as order.promotion.
+    * - The delivery address is geocoded (./geocoding) when it has no lat/lng. An address outside
+    *   the restaurant's delivery zone is refused; otherwise its distance prices the delivery.
+    * - The restaurant must be open now, or at scheduledFor for a scheduled order (see ./openingHours).
+    * - The price breakdown from ./pricing (subtotal, delivery fee, service fee, tax, tip,
+    *   discount, total) is stored as order.pricing; order.total is its total.
+    * - The delivery estimate from ./deliveryEstimates (kitchen queue, preparation time and
+    *   distance) is stored as order.eta ({ earliestAt, latestAt }).
+    * Returns the created order with id, total, pricing, eta, status ('placed'), statusHistory, createdAt, revision.
+    * Throws PromoCodeError when promoCode cannot be used, DeliveryZoneError when the
+    * restaurant does not deliver to the address, RestaurantClosedError when it is closed at the
+    * delivery time and ScheduledTimeError when scheduledFor is not in the future (nothing
+    * written in any case).
     */
    let created = null;
    setState((state) => {
-     const id = nextId(state.orders);
+     const { id, idCounters } = claimId(state, 'orders');
      const itemsWithPricing = (order.items || []).map((it) => {
        const menu = state.menus.find((m) => Number(m.id) === Number(it.menuItemId));
        const price = typeof it.unitPrice === 'number' ? it.unitPrice : (menu ? Number(menu.price) : 0);
        const qty = Math.max(1, Number(it.quantity) || 1);
-       return { menuItemId: Number(it.menuItemId), quantity: qty, unitPrice: price };
+       const addons = Array.isArray(it.addons) ? it.addons.map(String) : [];
+       return {
+         menuItemId: Number(it.menuItemId),
+         quantity: qty,
+         unitPrice: price,
+         ...(it.name || menu ? { name: String(it.name || menu.name) } : {}),
+         ...(it.size ? { size: String(it.size) } : {}),
+         ...(addons.length ? { addons } : {}),
+         ...(it.options && Object.keys(it.options).length ? { options: it.options } : {})
+       };
      });
-     const total = itemsWithPricing.reduce((acc, it) => acc + it.quantity * it.unitPrice, 0);
+     const restaurant = state.restaurants.find((r) => Number(r.id) === Number(order.restaurantId)) || null;
+     const scheduledFor = assertOpenFor(restaurant, { scheduledFor: order.scheduledFor });
+     const deliveryAddress = order.deliveryAddress ? locatedAddress(order.deliveryAddress) : null;
+     const zone = assertDeliversTo(restaurant, deliveryAddress);
+     const distanceKm = order.distanceKm != null ? Number(order.distanceKm) : zone.distanceKm;
+     const { subtotal } = priceOrder({ lines: itemsWithPricing });
+     // Checked against the orders stored right now, so usage limits hold across tabs
+     let promotion = null;
+     if (normalizePromoCode(order.promoCode)) {
+       promotion = evaluatePromotion(findPromotion(state.promotions, order.promoCode), {
+         code: order.promoCode,
+         subtotal,
+         deliveryFee: getDeliveryFee(restaurant, { distanceKm }),
+         userId: order.userId,
+         orders: state.orders
+       });
+     }
+     const pricing = priceOrder({ lines: itemsWithPricing, restaurant, distanceKm, promotion, tip: order.tip });
+     const createdAt = new Date().toISOString();
      created = {
        id,
        userId: Number(order.userId),
        restaurantId: Number(order.restaurantId),
        items: itemsWithPricing,
        status: 'placed',
-       total: Number(total.toFixed(2)),
-       createdAt: new Date().toISOString()
+       statusHistory: [{ status: 'placed', at: createdAt }],
+       total: pricing.total,
+       pricing,
+       createdAt,
+       ...(deliveryAddress ? { deliveryAddress } : {}),
+       ...(order.paymentMethod ? { paymentMethod: String(order.paymentMethod) } : {}),
+       ...(promotion ? { promotion } : {}),
+       ...(scheduledFor ? { scheduledFor } : {}),
+       revision: 1
      };
-     return { ...state, orders: [...state.orders, created] };
+     created = withEta(created, state, createdAt, distanceKm);
+     return { ...state, idCounters, orders: [...state.orders, created] };
    });
    return created;
  }
 
+ // INTERNAL: copy of a delivery address with lat/lng looked up from its postal code when missing
+ function locatedAddress(address) {
+   if (hasCoordinates(address)) return { ...address };
+   const found = geocodeAddress(address);
+   return found ? { ...address, lat: found.lat, lng: found.lng } : { ...address };
+ }
+
+ // INTERNAL: move an order to a new status and append it to the status history
+ function withStatus(order, status, at = new Date().toISOString()) {
+   const history = Array.isArray(order.statusHistory) ? order.statusHistory : [];
+   return {
+     ...order,
+     status,
+     statusHistory: [...history, { status, at }],
+     revision: getRevision(order) + 1
+   };
+ }
+
+ // INTERNAL: the order with order.eta worked out again for its current status, counted from `at`
+ // (./deliveryEstimates); open orders ahead of it in the restaurant's kitchen make up the queue.
+ // Completed and cancelled orders lose their eta.
+ function withEta(order, state, at = new Date().toISOString(), distanceKm = undefined) {
+   const restaurant = state.restaurants.find((r) => Number(r.id) === Number(order.restaurantId)) || null;
+   const queues = countKitchenQueues(state.orders.filter((o) => Number(o.id) !== Number(order.id)));
+   const eta = estimateOrderArrival(order, { restaurant, queueLength: queues[order.restaurantId] || 0, distanceKm, at });
+   const next = { ...order, eta };
+   if (!eta) delete next.eta;
+   return next;
+ }
+
  // PUBLIC_INTERFACE
- export function updateOrderStatus(id, status) {
+ export function updateOrderStatus(id, status, options = {}) {
    /**
-    * Updates only the status of an order.
-    * Allowed: placed | preparing | delivering | completed | cancelled
+    * Moves an order to a new status, following ORDER_TRANSITIONS in ./orderLifecycle:
+    * placed → preparing → delivering → completed, cancellation only from placed/preparing.
+    * Appends { status, at } to the order's statusHistory and works out order.eta again for the
+    * new status (removed once the order is completed or cancelled).
+    * options: { at?: ISO string, expectedRevision? } — transition time (defaults to now; used by
+    * simulated clocks) and the revision the caller read.
     * Returns the updated order or null if not found.
+    * Throws InvalidOrderTransitionError for an unknown status or a disallowed transition, and
+    * WriteConflictError when expectedRevision is stale (nothing is written in either case).
     */
-   const allowed = new Set(['placed', 'preparing', 'delivering', 'completed', 'cancelled']);
-   if (!allowed.has(status)) {
-     console.warn('Invalid order status:', status);
+   if (!ORDER_STATUSES.includes(status)) {
+     throw new InvalidOrderTransitionError(undefined, status);
    }
    let updated = null;
+   let rejected = null;
    setState((state) => {
      const idx = state.orders.findIndex((o) => Number(o.id) === Number(id));
      if (idx === -1) return state;
-     const merged = { ...state.orders[idx], status };
+     const current = state.orders[idx];
+     checkRevision('order', current, options.expectedRevision);
+     if (!canTransitionOrder(current.status, status)) {
+       rejected = new InvalidOrderTransitionError(current.status, status);
+       return state;
+     }
+     const at = options.at || new Date().toISOString();
+     const merged = withEta(withStatus(current, status, at), state, at);
      updated = merged;
      const orders = state.orders.slice();
      orders[idx] = merged;
      return { ...state, orders };
    });
+   if (rejected) throw rejected;
    return updated;
  }
 
+ // PUBLIC_INTERFACE
+ export function getKitchenQueues() {
+   /**
+    * Returns { [restaurantId]: count } of the orders each kitchen is working through (preparing,
+    * or placed and not scheduled for later); restaurants with an empty queue are left out.
+    * Used for delivery estimates (see ./deliveryEstimates).
+    */
+   return countKitchenQueues(getState().orders);
+ }
+
  // PUBLIC_INTERFACE
  export function deleteOrder(id) {
    /**
-    * Deletes an order by id.
+    * Deletes an order by id, together with its review.
     * Returns true if deleted, false if not found.
     */
    let deleted = false;
@@ -496,7 +1392,191 @@
      const before = state.orders.length;
      const orders = state.orders.filter((o) => Number(o.id) !== Number(id));
      deleted = orders.length < before;
-     return { ...state, orders };
+     const reviews = state.reviews.filter((r) => Number(r.orderId) !== Number(id));
+     return { ...state, orders, reviews };
+   });
+   return deleted;
+ }
+
+ // -------- Reviews --------
+
+ // INTERNAL: a review as returned to callers, with the reviewer's display name (not stored)
+ function withAuthor(review, users) {
+   return { ...review, authorName: formatReviewerName(users.find((u) => Number(u.id) === Number(review.userId))) };
+ }
+
+ // PUBLIC_INTERFACE
+ export function getReviewsByRestaurant(restaurantId) {
+   /**
+    * Returns the reviews of a restaurant, newest first, each with authorName ('Priya S.').
+    */
+   const state = getState();
+   return state.reviews
+     .filter((r) => Number(r.restaurantId) === Number(restaurantId))
+     .sort((a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt) || b.id - a.id)
+     .map((r) => withAuthor(r, state.users));
+ }
+
+ // PUBLIC_INTERFACE
+ export function getReviewsByUser(userId) {
+   /** Returns the reviews a user wrote, each with authorName. */
+   const state = getState();
+   return state.reviews.filter((r) => Number(r.userId) === Number(userId)).map((r) => withAuthor(r, state.users));
+ }
+
+ // PUBLIC_INTERFACE
+ export function getTopReviews({ limit = 3 } = {}) {
+   /**
+    * Returns reviews to quote on the home page (see selectTopReviews in ./reviews), each with
+    * authorName and restaurantName.
+    */
+   const state = getState();
+   return selectTopReviews(state.reviews, { limit }).map((r) => {
+     const restaurant = state.restaurants.find((x) => Number(x.id) === Number(r.restaurantId));
+     return { ...withAuthor(r, state.users), restaurantName: restaurant ? restaurant.name : '' };
+   });
+ }
+
+ // PUBLIC_INTERFACE
+ export function createReview(review) {
+   /**
+    * Reviews a completed order.
+    * review: { orderId, userId, rating, text?, items?: [{ menuItemId, rating }] } — rating is
+    * 1–5 stars for the restaurant; items rate dishes from the order.
+    * Returns the created review with id, restaurantId, createdAt, revision and authorName. The
+    * restaurant's rating and reviewCount change with it.
+    * Throws ReviewError when the order is not the user's, not completed or already reviewed, and
+    * ReviewValidationError for invalid values (nothing written in either case).
+    */
+   let created = null;
+   setState((state) => {
+     const order = state.orders.find((o) => Number(o.id) === Number(review.orderId));
+     const blocker = getReviewBlocker(order, { userId: review.userId, reviews: state.reviews });
+     if (blocker) throw new ReviewError(blocker, review.orderId);
+     const errors = validateReview(review, order);
+     if (Object.keys(errors).length) throw new ReviewValidationError(errors);
+     const { id, idCounters } = claimId(state, 'reviews');
+     created = {
+       id,
+       orderId: order.id,
+       userId: order.userId,
+       restaurantId: order.restaurantId,
+       rating: Number(review.rating),
+       text: String(review.text || '').trim(),
+       items: (Array.isArray(review.items) ? review.items : []).map((it) => ({
+         menuItemId: Number(it.menuItemId),
+         rating: Number(it.rating)
+       })),
+       createdAt: new Date().toISOString(),
+       revision: 1
+     };
+     return { ...state, idCounters, reviews: [...state.reviews, created] };
+   });
+   return withAuthor(created, getState().users);
+ }
+
+ // PUBLIC_INTERFACE
+ export function deleteReview(id) {
+   /**
+    * Deletes a review by id; the restaurant's rating no longer counts it.
+    * Returns true if deleted, false if not found.
+    */
+   let deleted = false;
+   setState((state) => {
+     const before = state.reviews.length;
+     const reviews = state.reviews.filter((r) => Number(r.id) !== Number(id));
+     deleted = reviews.length < before;
+     return { ...state, reviews };
+   });
+   return deleted;
+ }
+
+ // -------- Favorites --------
+
+ // INTERNAL: a favorite as returned to callers, with what it points at (not stored): name, plus
+ // restaurantId and restaurantName (the dish's restaurant for saved dishes)
+ function withTarget(favorite, state) {
+   const findRestaurant = (id) => state.restaurants.find((r) => Number(r.id) === Number(id));
+   if (favorite.type === 'menuItem') {
+     const item = state.menus.find((m) => Number(m.id) === Number(favorite.targetId));
+     const restaurant = item ? findRestaurant(item.restaurantId) : null;
+     return {
+       ...favorite,
+       name: item ? item.name : '',
+       price: item ? item.price : null,
+       restaurantId: item ? item.restaurantId : null,
+       restaurantName: restaurant ? restaurant.name : ''
+     };
+   }
+   const restaurant = findRestaurant(favorite.targetId);
+   const name = restaurant ? restaurant.name : '';
+   return { ...favorite, name, restaurantId: Number(favorite.targetId), restaurantName: name };
+ }
+
+ // PUBLIC_INTERFACE
+ export function getFavoritesByUser(userId) {
+   /**
+    * Returns a user's favorite restaurants and saved dishes (see ./favorites), newest first,
+    * each with name, restaurantId and restaurantName (saved dishes also carry their price).
+    */
+   const state = getState();
+   return state.favorites
+     .filter((f) => Number(f.userId) === Number(userId))
+     .sort((a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt) || b.id - a.id)
+     .map((f) => withTarget(f, state));
+ }
+
+ // PUBLIC_INTERFACE
+ export function createFavorite(favorite) {
+   /**
+    * Saves a restaurant or dish as a user's favorite.
+    * favorite: { userId, type: 'restaurant' | 'menuItem', targetId }
+    * Returns the favorite (with name, restaurantId and restaurantName). Saving a target that is
+    * already a favorite returns the existing one without writing.
+    * Throws FavoriteError (nothing written) for an unknown type, user or target.
+    */
+   const { userId, type, targetId } = favorite || {};
+   let saved = null;
+   setState((state) => {
+     if (!FAVORITE_TYPES.includes(type)) throw new FavoriteError('invalid_type', { type, targetId });
+     if (!state.users.some((u) => Number(u.id) === Number(userId))) {
+       throw new FavoriteError('user_not_found', { type, targetId });
+     }
+     const targets = type === 'restaurant' ? state.restaurants : state.menus;
+     if (!targets.some((t) => Number(t.id) === Number(targetId))) {
+       throw new FavoriteError('target_not_found', { type, targetId });
+     }
+     const existing = findFavorite(state.favorites.filter((f) => Number(f.userId) === Number(userId)), type, targetId);
+     if (existing) {
+       saved = existing;
+       return state;
+     }
+     const { id, idCounters } = claimId(state, 'favorites');
+     saved = {
+       id,
+       userId: Number(userId),
+       type,
+       targetId: Number(targetId),
+       createdAt: new Date().toISOString(),
+       revision: 1
+     };
+     return { ...state, idCounters, favorites: [...state.favorites, saved] };
+   });
+   return withTarget(saved, getState());
+ }
+
+ // PUBLIC_INTERFACE
+ export function deleteFavorite(id) {
+   /**
+    * Removes a favorite by id.
+    * Returns true if deleted, false if not found.
+    */
+   let deleted = false;
+   setState((state) => {
+     const before = state.favorites.length;
+     const favorites = state.favorites.filter((f) => Number(f.id) !== Number(id));
+     deleted = favorites.length < before;
+     return { ...state, favorites };
    });
    return deleted;
  }
@@ -509,21 +1589,144 @@
 
  // ---------------- Cart helpers ----------------
 
+ // Listeners notified whenever the cart is written (see subscribeCart).
+ const cartListeners = new Set();
+
+ function notifyCart(items) {
+   cartListeners.forEach((listener) => {
+     try {
+       listener(items.slice());
+     } catch (e) {
+       console.error('Cart listener failed.', e);
+     }
+   });
+ }
+
+ // INTERNAL: write the cart and notify subscribers
+ function commitCart(items) {
+   saveCart(items);
+   notifyCart(items);
+   return items;
+ }
+
+ // INTERNAL: sorted string copy of a line's addons, used for merge comparisons
+ function normalizeAddons(addons) {
+   return Array.isArray(addons) ? [...addons].map(String).sort() : [];
+ }
+
+ // PUBLIC_INTERFACE
+ export function getCartLineKey(line) {
+   /**
+    * Returns the merge identity of a cart line as a string.
+    * Two lines with the same key are the same cart line: restaurantId, menuItemId,
+    * size, the (order-independent) set of addons and the options selection all match.
+    */
+   const { restaurantId, menuItemId, size, addons, options } = line || {};
+   const parts = [
+     Number(restaurantId),
+     Number(menuItemId),
+     size || '',
+     normalizeAddons(addons).join('|')
+   ];
+   if (options && Object.keys(options).length) {
+     parts.push(
+       Object.keys(options)
+         .sort()
+         .map((groupId) => `${groupId}=${normalizeAddons(options[groupId]).join(',')}`)
+         .join(';')
+     );
+   }
+   return parts.join(':');
+ }
+
  // PUBLIC_INTERFACE
  export function getCart() {
    /** Returns the current cart array from localStorage. */
    return loadCart().slice();
  }
 
+ // PUBLIC_INTERFACE
+ export function getCartSubtotal(cart = loadCart()) {
+   /**
+    * Returns the sum of quantity × unitPrice over the cart lines, rounded to cents.
+    * Defaults to the stored cart when no array is given.
+    */
+   const sum = (Array.isArray(cart) ? cart : []).reduce(
+     (acc, it) => acc + (Math.max(1, Number(it.quantity) || 1) * (Number(it.unitPrice) || 0)),
+     0
+   );
+   return Number(sum.toFixed(2));
+ }
+
  // PUBLIC_INTERFACE
  export function clearCart() {
    /** Clears all items in the cart and returns an empty array. */
-   saveCart([]);
-   return [];
+   return commitCart([]);
  }
 
  // PUBLIC_INTERFACE
- export function addToCart(payload) {
+ export function restoreCart(lines) {
+   /**
+    * Writes lines back as the whole cart, e.g. a cart read with getCart before a change that
+    * failed part-way. Returns the cart array.
+    */
+   return commitCart(Array.isArray(lines) ? lines.slice() : []);
+ }
+
+ // PUBLIC_INTERFACE
+ export function subscribeCart(listener) {
+   /**
+    * Registers a listener called with the new cart array after every cart write,
+    * including writes made in another tab. Returns an unsubscribe function.
+    */
+   cartListeners.add(listener);
+   syncStorageListener();
+   return () => {
+     cartListeners.delete(listener);
+     syncStorageListener();
+   };
+ }
+
+ // PUBLIC_INTERFACE
+ export function getCartConflict(restaurantId, cart = loadCart()) {
+   /**
+    * Checks whether adding an item from restaurantId would mix restaurants in the cart.
+    * Returns null when the add is fine, otherwise a conflict object:
+    * { type: 'restaurant_mismatch', cartRestaurantId, restaurantId }
+    */
+   const other = (Array.isArray(cart) ? cart : []).find(
+     (it) => Number(it.restaurantId) !== Number(restaurantId)
+   );
+   if (!other) return null;
+   return {
+     type: 'restaurant_mismatch',
+     cartRestaurantId: Number(other.restaurantId),
+     restaurantId: Number(restaurantId)
+   };
+ }
+
+ // PUBLIC_INTERFACE
+ export function splitCartByRestaurant(cart = loadCart()) {
+   /**
+    * Groups cart lines by restaurant, preserving first-seen order.
+    * Returns [{ restaurantId, lines: [...] }]; a single-restaurant cart yields one group.
+    * Used to check out carts that were mixed before single-restaurant carts were enforced.
+    */
+   const groups = [];
+   (Array.isArray(cart) ? cart : []).forEach((line) => {
+     const rid = Number(line.restaurantId);
+     let group = groups.find((g) => g.restaurantId === rid);
+     if (!group) {
+       group = { restaurantId: rid, lines: [] };
+       groups.push(group);
+     }
+     group.lines.push(line);
+   });
+   return groups;
+ }
+
+ // PUBLIC_INTERFACE
+ export function addToCart(payload, options = {}) {
    /**
     * Adds an item to the cart with simple merging logic.
     * payload: {
@@ -533,13 +1736,26 @@
     *   unitPrice: number,
     *   quantity: number,
     *   size?: string,                  // optional size variant
-    *   addons?: string[]               // optional add-on identifiers/names
+    *   addons?: string[],              // optional add-on identifiers/names
+    *   options?: { [groupId]: choiceId[] } // structured selection (see ./menuOptions priceSelection)
     * }
+    * unitPrice is the price of one unit including option price deltas.
+    * options: { replaceCart?: boolean } — discard lines from other restaurants before adding.
+    *          { restaurant?: object } — the restaurant to check opening hours against, as read
+    *          from the selected backend (./repository passes it); defaults to this store's record.
     * Returns the updated cart array.
     *
+    * Throws RestaurantClosedError (nothing written) when the restaurant is closed right now
+    * (see ./openingHours); scheduling for later happens at checkout.
+    *
+    * Single-restaurant rule:
+    * - A cart only holds lines from one restaurant. If the cart already has lines from another
+    *   restaurant and replaceCart is not set, nothing is written and a conflict result is
+    *   returned instead: { conflict: <see getCartConflict>, cart: <unchanged cart> }.
+    *
     * Merge rule:
-    * - Items are considered the same if restaurantId, menuItemId, size, and addons (set-equal)
-    *   all match. If so, quantity is incremented; otherwise, a new line is appended.
+    * - Items are considered the same if they share a getCartLineKey (restaurantId, menuItemId,
+    *   size, and addons set-equal). If so, quantity is incremented; otherwise, a new line is appended.
     */
    const {
      restaurantId,
@@ -548,29 +1764,32 @@
      unitPrice,
      quantity,
      size = undefined,
-     addons = []
+     addons = [],
+     options: selection = undefined
    } = payload || {};
 
    const qty = Math.max(1, Number(quantity) || 1);
    const price = Number(unitPrice) || 0;
 
-   const cart = loadCart();
+   const restaurant =
+     'restaurant' in options
+       ? options.restaurant
+       : getState().restaurants.find((r) => Number(r.id) === Number(restaurantId));
+   const openState = getOpenState(restaurant);
+   if (!openState.open) throw new RestaurantClosedError(restaurant, openState);
 
-   // Normalize addons for comparison (sorted string values)
-   const normAddons = Array.isArray(addons) ? [...addons].map(String).sort() : [];
+   let cart = loadCart();
+   const conflict = getCartConflict(restaurantId, cart);
+   if (conflict) {
+     if (!options.replaceCart) return { conflict, cart };
+     cart = [];
+   }
 
-   const sameItemIndex = cart.findIndex((it) => {
-     if (Number(it.restaurantId) !== Number(restaurantId)) return false;
-     if (Number(it.menuItemId) !== Number(menuItemId)) return false;
-     if ((it.size || undefined) !== (size || undefined)) return false;
+   const normAddons = normalizeAddons(addons);
+   const hasSelection = !!(selection && Object.keys(selection).length);
+   const key = getCartLineKey({ restaurantId, menuItemId, size, addons: normAddons, options: selection });
 
-     const a1 = Array.isArray(it.addons) ? [...it.addons].map(String).sort() : [];
-     if (a1.length !== normAddons.length) return false;
-     for (let i = 0; i < a1.length; i++) {
-       if (a1[i] !== normAddons[i]) return false;
-     }
-     return true;
-   });
+   const sameItemIndex = cart.findIndex((it) => getCartLineKey(it) === key);
 
    if (sameItemIndex !== -1) {
      const updated = cart.slice();
@@ -578,8 +1797,7 @@
      line.quantity = Math.max(1, Number(line.quantity) || 1) + qty;
      // unitPrice remains same; total calculated by consumers
      updated[sameItemIndex] = line;
-     saveCart(updated);
-     return updated;
+     return commitCart(updated);
    }
 
    const newLine = {
@@ -589,12 +1807,43 @@
      unitPrice: Number(price),
      quantity: qty,
      ...(size ? { size } : {}),
-     ...(normAddons.length ? { addons: normAddons } : {})
+     ...(normAddons.length ? { addons: normAddons } : {}),
+     ...(hasSelection ? { options: selection } : {})
    };
 
-   const updated = [...cart, newLine];
-   saveCart(updated);
-   return updated;
+   return commitCart([...cart, newLine]);
+ }
+
+ // PUBLIC_INTERFACE
+ export function updateCartLine(lineKey, patch) {
+   /**
+    * Updates the quantity of the cart line identified by lineKey (see getCartLineKey).
+    * patch: { quantity: number } — a quantity below 1 removes the line.
+    * Returns the updated cart array (unchanged if the line is not found).
+    */
+   const cart = loadCart();
+   const idx = cart.findIndex((it) => getCartLineKey(it) === lineKey);
+   if (idx === -1) return cart;
+
+   const qty = Math.floor(Number(patch && patch.quantity));
+   if (Number.isNaN(qty)) return cart;
+   if (qty < 1) return removeCartLine(lineKey);
+
+   const updated = cart.slice();
+   updated[idx] = { ...updated[idx], quantity: qty };
+   return commitCart(updated);
+ }
+
+ // PUBLIC_INTERFACE
+ export function removeCartLine(lineKey) {
+   /**
+    * Removes the cart line identified by lineKey (see getCartLineKey).
+    * Returns the updated cart array (unchanged if the line is not found).
+    */
+   const cart = loadCart();
+   const updated = cart.filter((it) => getCartLineKey(it) !== lineKey);
+   if (updated.length === cart.length) return cart;
+   return commitCart(updated);
  }
 
  // Example usage notes:
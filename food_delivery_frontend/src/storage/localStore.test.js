@@ -0,0 +1,317 @@
+import {
+  addToCart,
+  getCart,
+  getCartLineKey,
+  getCartSubtotal,
+  updateCartLine,
+  removeCartLine,
+  clearCart,
+  subscribeCart,
+  splitCartByRestaurant,
+  createOrder,
+  updateOrderStatus,
+  subscribeStore,
+  updateRestaurant,
+  getOrders,
+  deleteOrder,
+  getRestaurantById,
+  getKitchenQueues,
+  createReview,
+  getReviewsByRestaurant,
+  getTopReviews,
+  deleteReview,
+  getFavoritesByUser,
+  createFavorite,
+  deleteFavorite,
+  deleteMenuItem,
+  deleteRestaurant,
+  createRestaurant,
+  getRestaurants
+} from './localStore';
+import { InvalidOrderTransitionError } from './orderLifecycle';
+import { WriteConflictError } from './revisions';
+import { RestaurantClosedError } from './openingHours';
+import { ReviewError, ReviewValidationError } from './reviews';
+import { FavoriteError } from './favorites';
+
+beforeEach(() => {
+  window.localStorage.clear();
+});
+
+test('cart lines merge on restaurant, item, size and addon set', () => {
+  addToCart({ restaurantId: 1, menuItemId: 1, name: 'Carbonara', unitPrice: 12.99, quantity: 1, addons: ['b', 'a'] });
+  addToCart({ restaurantId: 1, menuItemId: 1, name: 'Carbonara', unitPrice: 12.99, quantity: 2, addons: ['a', 'b'] });
+  addToCart({ restaurantId: 1, menuItemId: 1, name: 'Carbonara', unitPrice: 12.99, quantity: 1, size: 'Large' });
+
+  const cart = getCart();
+  expect(cart).toHaveLength(2);
+  expect(cart[0].quantity).toBe(3);
+  expect(getCartLineKey(cart[0])).toBe(getCartLineKey({ restaurantId: 1, menuItemId: 1, addons: ['a', 'b'] }));
+  expect(getCartSubtotal()).toBe(51.96);
+});
+
+test('updateCartLine and removeCartLine address lines by merge key', () => {
+  const listener = jest.fn();
+  const unsubscribe = subscribeCart(listener);
+
+  addToCart({ restaurantId: 2, menuItemId: 3, name: 'Nigiri', unitPrice: 6, quantity: 1 });
+  addToCart({ restaurantId: 2, menuItemId: 4, name: 'Roll', unitPrice: 7.5, quantity: 1 });
+  const [nigiri, roll] = getCart();
+
+  updateCartLine(getCartLineKey(nigiri), { quantity: 4 });
+  expect(getCart()[0].quantity).toBe(4);
+
+  removeCartLine(getCartLineKey(roll));
+  expect(getCart()).toHaveLength(1);
+
+  // Dropping below one removes the line entirely
+  updateCartLine(getCartLineKey(nigiri), { quantity: 0 });
+  expect(getCart()).toEqual([]);
+
+  clearCart();
+  unsubscribe();
+  expect(listener).toHaveBeenCalledTimes(6);
+});
+
+test('adding from another restaurant returns a conflict unless replaceCart is set', () => {
+  addToCart({ restaurantId: 1, menuItemId: 1, name: 'Carbonara', unitPrice: 12.99, quantity: 1 });
+
+  const result = addToCart({ restaurantId: 2, menuItemId: 3, name: 'Nigiri', unitPrice: 6, quantity: 1 });
+  expect(result.conflict).toEqual({ type: 'restaurant_mismatch', cartRestaurantId: 1, restaurantId: 2 });
+  expect(getCart()).toHaveLength(1);
+
+  const replaced = addToCart({ restaurantId: 2, menuItemId: 3, name: 'Nigiri', unitPrice: 6, quantity: 1 }, { replaceCart: true });
+  expect(replaced.map((l) => l.restaurantId)).toEqual([2]);
+});
+
+test('splitCartByRestaurant groups legacy mixed carts', () => {
+  const groups = splitCartByRestaurant([
+    { restaurantId: 1, menuItemId: 1, quantity: 1 },
+    { restaurantId: 2, menuItemId: 3, quantity: 1 },
+    { restaurantId: 1, menuItemId: 2, quantity: 1 }
+  ]);
+  expect(groups.map((g) => [g.restaurantId, g.lines.length])).toEqual([[1, 2], [2, 1]]);
+});
+
+test('order status follows the lifecycle and records history', () => {
+  const order = createOrder({ userId: 1, restaurantId: 1, items: [{ menuItemId: 1, quantity: 1 }] });
+  expect(order.statusHistory.map((h) => h.status)).toEqual(['placed']);
+
+  updateOrderStatus(order.id, 'preparing');
+  const delivering = updateOrderStatus(order.id, 'delivering');
+  expect(delivering.statusHistory.map((h) => h.status)).toEqual(['placed', 'preparing', 'delivering']);
+
+  // No cancelling once out for delivery, and no way back from a final state
+  expect(() => updateOrderStatus(order.id, 'cancelled')).toThrow(InvalidOrderTransitionError);
+  updateOrderStatus(order.id, 'completed');
+  expect(() => updateOrderStatus(order.id, 'placed')).toThrow(InvalidOrderTransitionError);
+  expect(() => updateOrderStatus(order.id, 'teleported')).toThrow(/Invalid order status/);
+});
+
+test('store subscribers hear which collections local writes and other tabs\' writes changed', () => {
+  const listener = jest.fn();
+  const unsubscribe = subscribeStore(listener);
+  const order = createOrder({ userId: 1, restaurantId: 1, items: [] });
+  expect(listener).toHaveBeenLastCalledWith({ source: 'local', collections: ['orders'] });
+
+  // A rejected transition writes nothing, so nobody is told
+  expect(() => updateOrderStatus(order.id, 'completed')).toThrow(InvalidOrderTransitionError);
+  expect(listener).toHaveBeenCalledTimes(1);
+  expect(updateRestaurant(999, { name: 'Nobody' })).toBeNull();
+  expect(listener).toHaveBeenCalledTimes(1);
+
+  // Another tab renames a restaurant
+  const before = window.localStorage.getItem('fd_app_state_v1');
+  const state = JSON.parse(before);
+  state.restaurants[0] = { ...state.restaurants[0], name: 'Renamed elsewhere' };
+  const after = JSON.stringify(state);
+  window.localStorage.setItem('fd_app_state_v1', after);
+  window.dispatchEvent(
+    new window.StorageEvent('storage', { key: 'fd_app_state_v1', oldValue: before, newValue: after })
+  );
+  expect(listener).toHaveBeenLastCalledWith({ source: 'remote', collections: ['restaurants'] });
+  window.dispatchEvent(new window.StorageEvent('storage', { key: 'unrelated' }));
+  expect(listener).toHaveBeenCalledTimes(2);
+
+  unsubscribe();
+  createOrder({ userId: 1, restaurantId: 1, items: [] });
+  expect(listener).toHaveBeenCalledTimes(2);
+});
+
+test('two tabs creating a restaurant at the same moment keep both, with distinct ids', () => {
+  getRestaurants();
+  const before = window.localStorage.getItem('fd_app_state_v1');
+
+  // This tab creates one...
+  const mine = createRestaurant({ name: 'Tab A Tacos', cuisine: 'Mexican' });
+
+  // ...while another tab, still working from the state before that write, creates one too
+  // with the same id and saves over it
+  const theirs = JSON.parse(before);
+  theirs.restaurants.push({ id: mine.id, name: 'Tab B Bagels', cuisine: 'Bakery', revision: 1 });
+  theirs.idCounters = { ...theirs.idCounters, restaurants: mine.id };
+  theirs.recentWrites = [...(theirs.recentWrites || []), 'tab-b-write'];
+  const oldValue = window.localStorage.getItem('fd_app_state_v1');
+  const newValue = JSON.stringify(theirs);
+  window.localStorage.setItem('fd_app_state_v1', newValue);
+  window.dispatchEvent(new window.StorageEvent('storage', { key: 'fd_app_state_v1', oldValue, newValue }));
+
+  const names = ['Tab A Tacos', 'Tab B Bagels'];
+  const created = getRestaurants().filter((r) => names.includes(r.name));
+  expect(created.map((r) => r.name).sort()).toEqual(names);
+  expect(new Set(created.map((r) => r.id)).size).toBe(2);
+  expect(created.find((r) => r.name === 'Tab B Bagels').id).toBe(mine.id);
+  expect(created.find((r) => r.name === 'Tab A Tacos').id).toBe(mine.id + 1);
+
+  // The other tab's next write builds on this one, so nothing is applied twice
+  const settled = window.localStorage.getItem('fd_app_state_v1');
+  const next = JSON.parse(settled);
+  next.recentWrites = [...next.recentWrites, 'tab-b-next'];
+  const nextValue = JSON.stringify(next);
+  window.localStorage.setItem('fd_app_state_v1', nextValue);
+  window.dispatchEvent(
+    new window.StorageEvent('storage', { key: 'fd_app_state_v1', oldValue: settled, newValue: nextValue })
+  );
+  expect(getRestaurants().filter((r) => names.includes(r.name))).toHaveLength(2);
+});
+
+test('cart subscribers hear cart writes made in another tab', () => {
+  const listener = jest.fn();
+  const unsubscribe = subscribeCart(listener);
+  const line = { restaurantId: 1, menuItemId: 1, quantity: 2, unitPrice: 5 };
+  window.localStorage.setItem('fd_cart_v1', JSON.stringify([line]));
+  window.dispatchEvent(new window.StorageEvent('storage', { key: 'fd_cart_v1' }));
+  expect(listener).toHaveBeenLastCalledWith([line]);
+  unsubscribe();
+});
+
+test('a listener writing to the store does not clobber the write it heard about', () => {
+  const before = getOrders().length;
+  const listener = jest.fn(() => {
+    unsubscribe();
+    createOrder({ userId: 1, restaurantId: 1, items: [] });
+  });
+  const unsubscribe = subscribeStore(listener);
+  createOrder({ userId: 1, restaurantId: 1, items: [] });
+  expect(listener).toHaveBeenCalledTimes(1);
+  expect(getOrders()).toHaveLength(before + 2);
+});
+
+test('ids are never reused, even after deleting the newest record', () => {
+  const first = createOrder({ userId: 1, restaurantId: 1, items: [] });
+  expect(deleteOrder(first.id)).toBe(true);
+  const second = createOrder({ userId: 1, restaurantId: 1, items: [] });
+  expect(second.id).toBe(first.id + 1);
+});
+
+test('updates carry revisions and reject stale writes', () => {
+  const { revision } = getRestaurantById(1);
+  expect(revision).toBe(1);
+  expect(updateRestaurant(1, { cuisine: 'Trattoria' }, { expectedRevision: revision }).revision).toBe(2);
+
+  // A second editor still holds revision 1
+  expect(() => updateRestaurant(1, { cuisine: 'Pizza' }, { expectedRevision: revision })).toThrow(WriteConflictError);
+  expect(getRestaurantById(1)).toMatchObject({ cuisine: 'Trattoria', revision: 2 });
+  // Without an expected revision the last write wins, and a patched revision is ignored
+  expect(updateRestaurant(1, { cuisine: 'Italian', revision: 99 }).revision).toBe(3);
+
+  const order = createOrder({ userId: 1, restaurantId: 1, items: [] });
+  const preparing = updateOrderStatus(order.id, 'preparing', { expectedRevision: order.revision });
+  expect(preparing.revision).toBe(order.revision + 1);
+  expect(() => updateOrderStatus(order.id, 'cancelled', { expectedRevision: order.revision })).toThrow(
+    expect.objectContaining({ name: 'WriteConflictError', entity: 'order', actualRevision: preparing.revision })
+  );
+});
+
+test('closed restaurants take no cart items and only scheduled orders', () => {
+  // Monday 2 March: Sushi Central is closed all day
+  Date.now.mockReturnValue(Date.parse('2026-03-02T12:00:00-08:00'));
+  const roll = { restaurantId: 2, menuItemId: 4, name: 'California Roll', unitPrice: 7.5, quantity: 1 };
+  expect(() => addToCart(roll)).toThrow(RestaurantClosedError);
+  expect(() => addToCart(roll)).toThrow('Sushi Central is closed right now. Opens tomorrow at 11:30.');
+  expect(getCart()).toEqual([]);
+
+  const before = getOrders().length;
+  const items = [{ menuItemId: 4, quantity: 1 }];
+  expect(() => createOrder({ userId: 1, restaurantId: 2, items })).toThrow(RestaurantClosedError);
+  expect(getOrders()).toHaveLength(before);
+
+  const scheduledFor = new Date(Date.parse('2026-03-03T18:00:00-08:00')).toISOString();
+  expect(createOrder({ userId: 1, restaurantId: 2, items, scheduledFor })).toMatchObject({ scheduledFor, status: 'placed' });
+  // Pasta Palace is open
+  expect(createOrder({ userId: 1, restaurantId: 1, items: [] }).scheduledFor).toBeUndefined();
+});
+
+test('orders keep a delivery estimate that is worked out again as their status changes', () => {
+  // Delivered next door to Pasta Palace (0 km), behind the seeded order in its kitchen
+  const deliveryAddress = { street: '12 Market Street', city: 'Bayview', postalCode: '94000' };
+  const order = createOrder({ userId: 1, restaurantId: 1, items: [{ menuItemId: 1, quantity: 1 }], deliveryAddress });
+  const minutesAfter = (at, { earliestAt, latestAt }) => [earliestAt, latestAt].map((t) => (Date.parse(t) - Date.parse(at)) / 60000);
+  // Queue 4 + prep 15 + handoff 5 = 24 minutes → 20–30
+  expect(minutesAfter(order.createdAt, order.eta)).toEqual([20, 30]);
+  expect(getKitchenQueues()).toEqual({ 1: 2 });
+
+  updateRestaurant(1, { prepMinutes: 30 });
+  const at = '2026-03-04T20:10:00.000Z';
+  expect(minutesAfter(at, updateOrderStatus(order.id, 'preparing', { at }).eta)).toEqual([35, 45]);
+  expect(minutesAfter(at, updateOrderStatus(order.id, 'delivering', { at }).eta)).toEqual([5, 15]);
+  expect(updateOrderStatus(order.id, 'completed').eta).toBeUndefined();
+  expect(getKitchenQueues()).toEqual({ 1: 1 });
+});
+
+test('ratings are worked out from reviews of completed orders', () => {
+  // Seeded reviews: five for each restaurant
+  expect(getRestaurantById(1)).toMatchObject({ rating: 4.6, reviewCount: 5 });
+  expect(getRestaurantById(2)).toMatchObject({ rating: 4.8, reviewCount: 5 });
+  expect(updateRestaurant(2, { rating: 1 })).toMatchObject({ rating: 4.8 });
+  expect(getTopReviews().map((r) => r.authorName)).toEqual(['Aisha K.', 'Priya S.', 'Lucas M.']);
+
+  const order = createOrder({ userId: 1, restaurantId: 2, items: [{ menuItemId: 4, quantity: 1 }] });
+  expect(() => createReview({ orderId: order.id, userId: 1, rating: 5 })).toThrow('You can review this order once it has been delivered.');
+  ['preparing', 'delivering', 'completed'].forEach((status) => updateOrderStatus(order.id, status));
+  expect(() => createReview({ orderId: order.id, userId: 2, rating: 5 })).toThrow(ReviewError);
+  expect(() => createReview({ orderId: order.id, userId: 1, rating: 6 })).toThrow(ReviewValidationError);
+  expect(() => createReview({ orderId: order.id, userId: 1, rating: 2, items: [{ menuItemId: 1, rating: 2 }] })).toThrow(
+    expect.objectContaining({ errors: { items: 'Rate dishes from this order with 1 to 5 stars.' } })
+  );
+
+  const review = createReview({ orderId: order.id, userId: 1, rating: 1, text: ' Soggy rice. ', items: [{ menuItemId: 4, rating: 1 }] });
+  expect(review).toMatchObject({ restaurantId: 2, rating: 1, text: 'Soggy rice.', authorName: 'Alice J.' });
+  // (24 + 1) / 6
+  expect(getRestaurantById(2)).toMatchObject({ rating: 4.2, reviewCount: 6 });
+  expect(getReviewsByRestaurant(2)[0].id).toBe(review.id);
+  expect(() => createReview({ orderId: order.id, userId: 1, rating: 5 })).toThrow(
+    expect.objectContaining({ reason: 'already_reviewed' })
+  );
+
+  expect(deleteReview(review.id)).toBe(true);
+  expect(getRestaurantById(2)).toMatchObject({ rating: 4.8, reviewCount: 5 });
+});
+
+test('favorites are saved once per user and go away with what they point at', () => {
+  // Seeded: Alice saved California Roll after favoriting Pasta Palace
+  expect(getFavoritesByUser(1)).toEqual([
+    expect.objectContaining({ id: 2, type: 'menuItem', targetId: 4, name: 'California Roll', restaurantId: 2, restaurantName: 'Sushi Central' }),
+    expect.objectContaining({ id: 1, type: 'restaurant', targetId: 1, name: 'Pasta Palace', restaurantId: 1 })
+  ]);
+  expect(createFavorite({ userId: 1, type: 'restaurant', targetId: 1 })).toMatchObject({ id: 1 });
+  expect(getFavoritesByUser(1)).toHaveLength(2);
+
+  const dish = createFavorite({ userId: 2, type: 'menuItem', targetId: 2 });
+  expect(dish).toMatchObject({ id: 3, userId: 2, name: 'Penne Arrabbiata', restaurantName: 'Pasta Palace' });
+  expect(() => createFavorite({ userId: 2, type: 'order', targetId: 1 })).toThrow(FavoriteError);
+  expect(() => createFavorite({ userId: 2, type: 'restaurant', targetId: 99 })).toThrow(
+    expect.objectContaining({ reason: 'target_not_found' })
+  );
+
+  deleteMenuItem(4);
+  expect(getFavoritesByUser(1).map((f) => f.id)).toEqual([1]);
+  // Pasta Palace goes, with the favorites of its dishes
+  deleteRestaurant(1);
+  expect(getFavoritesByUser(1)).toEqual([]);
+  expect(getFavoritesByUser(2)).toEqual([]);
+
+  const sushi = createFavorite({ userId: 2, type: 'restaurant', targetId: 2 });
+  expect(deleteFavorite(sushi.id)).toBe(true);
+  expect(deleteFavorite(sushi.id)).toBe(false);
+});
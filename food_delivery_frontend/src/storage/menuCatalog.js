@@ -0,0 +1,73 @@
+/**
+ * Menu categories and dietary tags.
+ *
+ * Every menu item has a `category` (free text, e.g. 'Starters'; DEFAULT_MENU_CATEGORY when
+ * not given) and `dietary`, a list of DIETARY_TAGS. The helpers here group and filter
+ * menu items for the restaurant page; they never touch storage.
+ */
+
+// PUBLIC_INTERFACE
+export const DIETARY_TAGS = ['vegetarian', 'vegan', 'gluten-free', 'spicy'];
+
+// PUBLIC_INTERFACE
+export const DIETARY_LABELS = {
+  vegetarian: 'Vegetarian',
+  vegan: 'Vegan',
+  'gluten-free': 'Gluten-free',
+  spicy: 'Spicy'
+};
+
+// PUBLIC_INTERFACE
+export const DEFAULT_MENU_CATEGORY = 'Other';
+
+// PUBLIC_INTERFACE
+export function normalizeMenuCategory(category) {
+  /** Returns the trimmed category, or DEFAULT_MENU_CATEGORY when blank. */
+  const trimmed = String(category == null ? '' : category).trim();
+  return trimmed || DEFAULT_MENU_CATEGORY;
+}
+
+// PUBLIC_INTERFACE
+export function validateDietaryTags(dietary) {
+  /** Returns a list of problems with a dietary tag list; empty when valid. */
+  if (!Array.isArray(dietary)) return ['Dietary tags must be a list.'];
+  const unknown = dietary.filter((tag) => !DIETARY_TAGS.includes(tag));
+  return unknown.length
+    ? [`Unknown dietary tag${unknown.length > 1 ? 's' : ''}: ${unknown.join(', ')}.`]
+    : [];
+}
+
+// PUBLIC_INTERFACE
+export function filterMenu(items, { query = '', dietary = [] } = {}) {
+  /**
+   * Returns the items matching a text query (name, description or category, case-insensitive)
+   * and carrying every requested dietary tag.
+   */
+  const needle = String(query || '').trim().toLowerCase();
+  return (items || []).filter((item) => {
+    const tags = Array.isArray(item.dietary) ? item.dietary : [];
+    if (!dietary.every((tag) => tags.includes(tag))) return false;
+    if (!needle) return true;
+    return [item.name, item.description, item.category]
+      .some((field) => String(field || '').toLowerCase().includes(needle));
+  });
+}
+
+// PUBLIC_INTERFACE
+export function groupMenuByCategory(items) {
+  /**
+   * Groups items into [{ category, items }] sections, in order of each category's first
+   * appearance; DEFAULT_MENU_CATEGORY always comes last.
+   */
+  const sections = new Map();
+  (items || []).forEach((item) => {
+    const category = normalizeMenuCategory(item.category);
+    if (!sections.has(category)) sections.set(category, []);
+    sections.get(category).push(item);
+  });
+  const list = Array.from(sections, ([category, sectionItems]) => ({ category, items: sectionItems }));
+  return [
+    ...list.filter((s) => s.category !== DEFAULT_MENU_CATEGORY),
+    ...list.filter((s) => s.category === DEFAULT_MENU_CATEGORY)
+  ];
+}
@@ -0,0 +1,39 @@
+import { DEFAULT_MENU_CATEGORY, filterMenu, groupMenuByCategory, validateDietaryTags } from './menuCatalog';
+import { MenuValidationError } from './menuOptions';
+import { createMenuItem, initializeStore, updateMenuItem } from './localStore';
+
+const items = [
+  { id: 1, name: 'Miso Soup', category: 'Starters', dietary: ['vegetarian'] },
+  { id: 2, name: 'Dragon Roll', description: 'Eel and avocado', category: 'Rolls', dietary: [] },
+  { id: 3, name: 'Mochi', dietary: ['vegetarian', 'gluten-free'] },
+  { id: 4, name: 'Veggie Roll', category: 'Rolls', dietary: ['vegetarian', 'vegan'] }
+];
+
+test('groups by category in first-seen order with uncategorized items last', () => {
+  expect(groupMenuByCategory(items).map((s) => [s.category, s.items.map((i) => i.id)])).toEqual([
+    ['Starters', [1]],
+    ['Rolls', [2, 4]],
+    [DEFAULT_MENU_CATEGORY, [3]]
+  ]);
+});
+
+test('filters by text and by every requested dietary tag', () => {
+  expect(filterMenu(items, { query: 'avocado' }).map((i) => i.id)).toEqual([2]);
+  expect(filterMenu(items, { query: 'rolls' }).map((i) => i.id)).toEqual([2, 4]);
+  expect(filterMenu(items, { dietary: ['vegetarian'] }).map((i) => i.id)).toEqual([1, 3, 4]);
+  expect(filterMenu(items, { query: 'roll', dietary: ['vegan'] }).map((i) => i.id)).toEqual([4]);
+});
+
+test('store defaults the category and rejects unknown dietary tags', () => {
+  window.localStorage.clear();
+  initializeStore();
+  expect(validateDietaryTags(['vegan', 'keto'])).toEqual(['Unknown dietary tag: keto.']);
+
+  const created = createMenuItem({ restaurantId: 1, name: 'Tiramisu', price: 6, category: '  ' });
+  expect(created).toMatchObject({ category: DEFAULT_MENU_CATEGORY, dietary: [] });
+  expect(() => updateMenuItem(created.id, { dietary: ['keto'] })).toThrow(MenuValidationError);
+  expect(updateMenuItem(created.id, { category: 'Desserts', dietary: ['vegetarian'] })).toMatchObject({
+    category: 'Desserts',
+    dietary: ['vegetarian']
+  });
+});
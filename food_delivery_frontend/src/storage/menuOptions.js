@@ -0,0 +1,182 @@
+/**
+ * Menu item options schema.
+ *
+ * A menu item may carry `options`: an array of option groups the customer picks from.
+ *
+ *   {
+ *     id: 'size',                 // unique within the item
+ *     label: 'Size',
+ *     required: true,             // at least `min` (>= 1) choices must be picked
+ *     min: 1, max: 1,             // selection bounds; max 1 renders as a single choice
+ *     choices: [{ id: 'regular', label: 'Regular', priceDelta: 0 }, ...]
+ *   }
+ *
+ * A selection is { [groupId]: choiceId[] }. The line's unit price is the item's base
+ * price plus the priceDelta of every picked choice. Cart lines and order items keep the
+ * selection under `options` and, for display, the picked labels as `size` (group id
+ * 'size') and `addons` (every other group).
+ */
+
+// PUBLIC_INTERFACE
+export class MenuValidationError extends Error {
+  /** Raised by createMenuItem/updateMenuItem when a menu item is invalid. `errors` lists every problem. */
+  constructor(errors) {
+    super(`Invalid menu item: ${errors.join(' ')}`);
+    this.name = 'MenuValidationError';
+    this.errors = errors;
+  }
+}
+
+const isNonEmptyString = (v) => typeof v === 'string' && v.trim().length > 0;
+
+// PUBLIC_INTERFACE
+export function normalizeMenuOptions(options) {
+  /**
+   * Fills defaults on an options array (does not validate): required defaults to min > 0,
+   * min to 1 for required groups (0 otherwise), max to the number of choices, priceDelta to 0.
+   * Returns [] for a missing value.
+   */
+  if (options == null) return [];
+  if (!Array.isArray(options)) return options;
+  return options.map((group) => {
+    if (!group || typeof group !== 'object') return group;
+    const choices = Array.isArray(group.choices)
+      ? group.choices.map((c) => (c && typeof c === 'object' ? { ...c, priceDelta: Number(c.priceDelta) || 0 } : c))
+      : group.choices;
+    const required = group.required != null ? !!group.required : Number(group.min) > 0;
+    const min = group.min != null ? Number(group.min) : (required ? 1 : 0);
+    const max = group.max != null ? Number(group.max) : (Array.isArray(choices) ? choices.length : 0);
+    return { ...group, required, min, max, choices };
+  });
+}
+
+// PUBLIC_INTERFACE
+export function validateMenuOptions(options) {
+  /** Returns a list of problems with a (normalized) options array; empty when valid. */
+  if (!Array.isArray(options)) return ['Options must be a list of option groups.'];
+  const errors = [];
+  const groupIds = new Set();
+  options.forEach((group, i) => {
+    const where = `Option group ${i + 1}`;
+    if (!group || typeof group !== 'object') {
+      errors.push(`${where} must be an object.`);
+      return;
+    }
+    if (!isNonEmptyString(group.id)) errors.push(`${where} needs an id.`);
+    else if (groupIds.has(group.id)) errors.push(`${where} reuses the id "${group.id}".`);
+    else groupIds.add(group.id);
+    if (!isNonEmptyString(group.label)) errors.push(`${where} needs a label.`);
+
+    const choices = Array.isArray(group.choices) ? group.choices : null;
+    if (!choices || !choices.length) {
+      errors.push(`${where} needs at least one choice.`);
+      return;
+    }
+    const choiceIds = new Set();
+    choices.forEach((choice, j) => {
+      const at = `${where}, choice ${j + 1}`;
+      if (!choice || typeof choice !== 'object') {
+        errors.push(`${at} must be an object.`);
+        return;
+      }
+      if (!isNonEmptyString(choice.id)) errors.push(`${at} needs an id.`);
+      else if (choiceIds.has(choice.id)) errors.push(`${at} reuses the id "${choice.id}".`);
+      else choiceIds.add(choice.id);
+      if (!isNonEmptyString(choice.label)) errors.push(`${at} needs a label.`);
+      if (!Number.isFinite(Number(choice.priceDelta))) errors.push(`${at} has an invalid price delta.`);
+    });
+
+    const { min, max, required } = group;
+    if (!Number.isInteger(min) || !Number.isInteger(max) || min < 0 || max < 1 || min > max) {
+      errors.push(`${where} needs whole-number bounds with 0 <= min <= max and max >= 1.`);
+    } else if (max > choices.length) {
+      errors.push(`${where} allows more selections (${max}) than it has choices (${choices.length}).`);
+    }
+    if (required && !(min >= 1)) errors.push(`${where} is required, so min must be at least 1.`);
+    if (!required && min > 0) errors.push(`${where} has min ${min}, so it must be marked required.`);
+  });
+  return errors;
+}
+
+// PUBLIC_INTERFACE
+export function getDefaultSelection(item) {
+  /** Returns the starting selection for an item: the first `min` choices of each group. */
+  const selection = {};
+  (item && Array.isArray(item.options) ? item.options : []).forEach((group) => {
+    selection[group.id] = group.choices.slice(0, group.min || 0).map((c) => c.id);
+  });
+  return selection;
+}
+
+// PUBLIC_INTERFACE
+export function selectionFromLabels(item, labels = []) {
+  /**
+   * Rebuilds a selection from picked choice labels, e.g. an order item's size/addons
+   * from before selections were stored. Groups without a matching label get their defaults.
+   */
+  const wanted = new Set(labels.filter(Boolean).map(String));
+  const defaults = getDefaultSelection(item);
+  const selection = {};
+  (item && Array.isArray(item.options) ? item.options : []).forEach((group) => {
+    const matched = group.choices.filter((c) => wanted.has(c.label)).map((c) => c.id);
+    selection[group.id] = matched.length ? matched : defaults[group.id];
+  });
+  return selection;
+}
+
+// PUBLIC_INTERFACE
+export function validateSelection(item, selection = {}) {
+  /**
+   * Checks a selection against the item's option groups.
+   * Returns { [groupId]: message } for every group that is out of bounds or names an
+   * unknown choice; empty when the selection can be added to the cart.
+   */
+  const errors = {};
+  (item && Array.isArray(item.options) ? item.options : []).forEach((group) => {
+    const picked = Array.isArray(selection[group.id]) ? selection[group.id] : [];
+    if (picked.some((id) => !group.choices.some((c) => c.id === id))) {
+      errors[group.id] = `${group.label}: that choice is no longer available.`;
+    } else if (picked.length < group.min) {
+      errors[group.id] = group.min === 1
+        ? `Choose a ${group.label.toLowerCase()}.`
+        : `Choose at least ${group.min} ${group.label.toLowerCase()}.`;
+    } else if (picked.length > group.max) {
+      errors[group.id] = `Choose at most ${group.max} ${group.label.toLowerCase()}.`;
+    }
+  });
+  Object.keys(selection || {}).forEach((groupId) => {
+    const known = item && Array.isArray(item.options) && item.options.some((g) => g.id === groupId);
+    if (!known && (selection[groupId] || []).length) errors[groupId] = 'That option is no longer available.';
+  });
+  return errors;
+}
+
+// PUBLIC_INTERFACE
+export function priceSelection(item, selection = {}) {
+  /**
+   * Resolves a selection into cart line fields:
+   * { unitPrice, options, size?, addons? } where unitPrice includes every price delta and
+   * options only keeps non-empty groups. Unknown choices are ignored (see validateSelection).
+   */
+  const base = Number(item && item.price) || 0;
+  let delta = 0;
+  let size;
+  const addons = [];
+  const options = {};
+  (item && Array.isArray(item.options) ? item.options : []).forEach((group) => {
+    const picked = group.choices.filter((c) => (selection[group.id] || []).includes(c.id));
+    if (!picked.length) return;
+    options[group.id] = picked.map((c) => c.id);
+    picked.forEach((c) => {
+      delta += Number(c.priceDelta) || 0;
+      if (group.id === 'size' && !size) size = c.label;
+      else addons.push(c.label);
+    });
+  });
+  return {
+    unitPrice: Math.round((base + delta) * 100) / 100,
+    ...(Object.keys(options).length ? { options } : {}),
+    ...(size ? { size } : {}),
+    ...(addons.length ? { addons } : {})
+  };
+}
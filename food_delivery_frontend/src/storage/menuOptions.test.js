@@ -0,0 +1,96 @@
+import {
+  MenuValidationError,
+  getDefaultSelection,
+  normalizeMenuOptions,
+  priceSelection,
+  validateMenuOptions,
+  validateSelection
+} from './menuOptions';
+import { createMenuItem, getMenuItemById, initializeStore, updateMenuItem } from './localStore';
+
+const item = {
+  id: 9,
+  price: 10,
+  options: normalizeMenuOptions([
+    {
+      id: 'size',
+      label: 'Size',
+      required: true,
+      max: 1,
+      choices: [{ id: 'small', label: 'Small' }, { id: 'large', label: 'Large', priceDelta: 2.5 }]
+    },
+    {
+      id: 'toppings',
+      label: 'Toppings',
+      max: 2,
+      choices: [
+        { id: 'olives', label: 'Olives', priceDelta: 0.75 },
+        { id: 'basil', label: 'Basil', priceDelta: 0.5 },
+        { id: 'chili', label: 'Chili', priceDelta: 0.25 }
+      ]
+    }
+  ])
+};
+
+beforeEach(() => {
+  window.localStorage.clear();
+  initializeStore();
+});
+
+test('normalized groups get defaults and pass validation', () => {
+  expect(item.options[0]).toMatchObject({ required: true, min: 1, max: 1 });
+  expect(item.options[1]).toMatchObject({ required: false, min: 0, max: 2 });
+  expect(validateMenuOptions(item.options)).toEqual([]);
+});
+
+test('schema problems are all reported', () => {
+  const errors = validateMenuOptions([
+    { id: 'a', label: 'A', required: true, min: 0, max: 1, choices: [{ id: 'x', label: 'X', priceDelta: 0 }] },
+    { id: 'a', label: '', required: false, min: 0, max: 3, choices: [{ id: 'y', label: 'Y', priceDelta: 'abc' }] },
+    { id: 'c', label: 'C', required: false, min: 0, max: 1, choices: [] }
+  ]);
+  expect(errors).toEqual([
+    'Option group 1 is required, so min must be at least 1.',
+    'Option group 2 reuses the id "a".',
+    'Option group 2 needs a label.',
+    'Option group 2, choice 1 has an invalid price delta.',
+    'Option group 2 allows more selections (3) than it has choices (1).',
+    'Option group 3 needs at least one choice.'
+  ]);
+});
+
+test('selections are checked against min/max and priced with deltas', () => {
+  const selection = getDefaultSelection(item);
+  expect(selection).toEqual({ size: ['small'], toppings: [] });
+  expect(priceSelection(item, selection)).toEqual({ unitPrice: 10, options: { size: ['small'] }, size: 'Small' });
+
+  const full = { size: ['large'], toppings: ['olives', 'basil'] };
+  expect(validateSelection(item, full)).toEqual({});
+  expect(priceSelection(item, full)).toEqual({
+    unitPrice: 13.75,
+    options: full,
+    size: 'Large',
+    addons: ['Olives', 'Basil']
+  });
+
+  expect(validateSelection(item, { size: [], toppings: ['olives', 'basil', 'chili'] })).toEqual({
+    size: 'Choose a size.',
+    toppings: 'Choose at most 2 toppings.'
+  });
+  expect(validateSelection(item, { size: ['huge'] })).toEqual({ size: 'Size: that choice is no longer available.' });
+});
+
+test('createMenuItem and updateMenuItem reject an invalid schema without writing', () => {
+  const bad = [{ id: 'size', label: 'Size', required: true, min: 1, max: 1, choices: [] }];
+  expect(() => createMenuItem({ restaurantId: 1, name: 'Lasagna', price: 14, options: bad })).toThrow(
+    MenuValidationError
+  );
+
+  const created = createMenuItem({ restaurantId: 1, name: 'Lasagna', price: 14 });
+  expect(created.options).toEqual([]);
+  expect(() => updateMenuItem(created.id, { options: bad })).toThrow(MenuValidationError);
+  expect(getMenuItemById(created.id).options).toEqual([]);
+
+  const updated = updateMenuItem(created.id, { options: item.options });
+  expect(updated.options).toHaveLength(2);
+});
@@ -0,0 +1,254 @@
+/**
+ * Schema migrations for the localStore state blob.
+ *
+ * The state object carries a `schemaVersion`. State written before versioning existed
+ * has no such field and is treated as version 1. Each registry entry upgrades the state
+ * by exactly one version; migrateState runs them in order until SCHEMA_VERSION is reached.
+ *
+ * Adding a schema change:
+ * 1. Bump SCHEMA_VERSION.
+ * 2. Append a { from, to, description, up } entry to MIGRATIONS where to === from + 1.
+ * 3. Update the seed data in localStore.js to the new shape.
+ * Migrations must be pure: take the previous state, return the next one, never touch storage.
+ */
+
+// PUBLIC_INTERFACE
+export const SCHEMA_VERSION = 11;
+
+// PUBLIC_INTERFACE
+export const MIGRATIONS = [
+  {
+    from: 1,
+    to: 2,
+    description: 'Introduce schemaVersion and fill in missing entity collections.',
+    up: (state) => ({
+      ...state,
+      users: Array.isArray(state.users) ? state.users : [],
+      restaurants: Array.isArray(state.restaurants) ? state.restaurants : [],
+      menus: Array.isArray(state.menus) ? state.menus : [],
+      orders: Array.isArray(state.orders) ? state.orders : []
+    })
+  },
+  {
+    from: 2,
+    to: 3,
+    description: 'Give every order a statusHistory; the original transition times are unknown, so createdAt is used.',
+    up: (state) => ({
+      ...state,
+      orders: state.orders.map((o) => {
+        if (Array.isArray(o.statusHistory)) return o;
+        const statusHistory = [{ status: 'placed', at: o.createdAt }];
+        if (o.status && o.status !== 'placed') statusHistory.push({ status: o.status, at: o.createdAt });
+        return { ...o, statusHistory };
+      })
+    })
+  },
+  {
+    from: 3,
+    to: 4,
+    description: 'Give every menu item an options array (structured option groups); anything else becomes [].',
+    up: (state) => ({
+      ...state,
+      menus: state.menus.map((m) => (Array.isArray(m.options) ? m : { ...m, options: [] }))
+    })
+  },
+  {
+    from: 4,
+    to: 5,
+    description: "Give every menu item a category ('Other' when unknown) and a dietary tag list.",
+    up: (state) => ({
+      ...state,
+      menus: state.menus.map((m) => ({
+        ...m,
+        category: typeof m.category === 'string' && m.category.trim() ? m.category : 'Other',
+        dietary: Array.isArray(m.dietary) ? m.dietary : []
+      }))
+    })
+  },
+  {
+    from: 5,
+    to: 6,
+    description: 'Give every restaurant a priceLevel (1–4), estimated from its average menu price.',
+    up: (state) => ({
+      ...state,
+      restaurants: state.restaurants.map((r) => {
+        if ([1, 2, 3, 4].includes(r.priceLevel)) return r;
+        const prices = state.menus
+          .filter((m) => Number(m.restaurantId) === Number(r.id))
+          .map((m) => Number(m.price) || 0);
+        const avg = prices.length ? prices.reduce((a, b) => a + b, 0) / prices.length : 0;
+        const priceLevel = !prices.length ? 2 : avg < 10 ? 1 : avg < 20 ? 2 : avg < 35 ? 3 : 4;
+        return { ...r, priceLevel };
+      })
+    })
+  },
+  {
+    from: 6,
+    to: 7,
+    description:
+      'Give every record a revision (1) and keep the last issued id per collection in idCounters, ' +
+      'starting from the highest stored id (ids of records deleted earlier cannot be recovered).',
+    up: (state) => {
+      const collections = ['users', 'restaurants', 'menus', 'orders'];
+      const next = { ...state };
+      const idCounters = {};
+      collections.forEach((name) => {
+        next[name] = state[name].map((r) => ({ ...r, revision: 1 }));
+        idCounters[name] = state[name].reduce((max, r) => Math.max(max, Number(r.id) || 0), 0);
+      });
+      next.idCounters = idCounters;
+      return next;
+    }
+  },
+  {
+    from: 7,
+    to: 8,
+    description: 'Add the promotions collection with the WELCOME code advertised on the home page.',
+    up: (state) => {
+      const promotions = Array.isArray(state.promotions) ? state.promotions : [];
+      const hasWelcome = promotions.some((p) => String(p.code).toUpperCase() === 'WELCOME');
+      const nextId = promotions.reduce((max, p) => Math.max(max, Number(p.id) || 0), 0) + 1;
+      const welcome = {
+        id: nextId,
+        code: 'WELCOME',
+        description: 'Free delivery on your first order',
+        type: 'free_delivery',
+        firstOrderOnly: true,
+        maxUsesPerUser: 1,
+        revision: 1
+      };
+      const next = hasWelcome ? promotions : [...promotions, welcome];
+      return {
+        ...state,
+        promotions: next,
+        idCounters: { ...state.idCounters, promotions: next.reduce((max, p) => Math.max(max, Number(p.id) || 0), 0) }
+      };
+    }
+  },
+  {
+    from: 8,
+    to: 9,
+    description:
+      'Add the addresses collection (saved delivery addresses). Restaurants keep no location until ' +
+      'one is set, so their delivery zone is not checked.',
+    up: (state) => {
+      const addresses = Array.isArray(state.addresses) ? state.addresses : [];
+      return {
+        ...state,
+        addresses,
+        idCounters: {
+          ...state.idCounters,
+          addresses: addresses.reduce((max, a) => Math.max(max, Number(a.id) || 0), 0)
+        }
+      };
+    }
+  },
+  {
+    from: 9,
+    to: 10,
+    description:
+      'Add the reviews collection. Restaurant ratings are now worked out from reviews, so the ' +
+      'hand-set rating stored on each restaurant is dropped.',
+    up: (state) => {
+      const reviews = Array.isArray(state.reviews) ? state.reviews : [];
+      return {
+        ...state,
+        restaurants: state.restaurants.map((restaurant) => {
+          const next = { ...restaurant };
+          delete next.rating;
+          return next;
+        }),
+        reviews,
+        idCounters: {
+          ...state.idCounters,
+          reviews: reviews.reduce((max, r) => Math.max(max, Number(r.id) || 0), 0)
+        }
+      };
+    }
+  },
+  {
+    from: 10,
+    to: 11,
+    description: 'Add the favorites collection (favorite restaurants and saved dishes per user).',
+    up: (state) => {
+      const favorites = Array.isArray(state.favorites) ? state.favorites : [];
+      return {
+        ...state,
+        favorites,
+        idCounters: {
+          ...state.idCounters,
+          favorites: favorites.reduce((max, f) => Math.max(max, Number(f.id) || 0), 0)
+        }
+      };
+    }
+  }
+];
+
+// PUBLIC_INTERFACE
+export class MigrationError extends Error {
+  /**
+   * Raised when stored state cannot be brought up to the current schema.
+   * fromVersion: the version the stored state had; failedStep: the migration that threw (if any).
+   */
+  constructor(message, { fromVersion, failedStep, cause } = {}) {
+    super(message);
+    this.name = 'MigrationError';
+    this.fromVersion = fromVersion;
+    this.failedStep = failedStep;
+    this.cause = cause;
+  }
+}
+
+// PUBLIC_INTERFACE
+export function getStateVersion(state) {
+  /** Returns the schema version of a stored state object (unversioned state is version 1). */
+  const v = Number(state && state.schemaVersion);
+  return Number.isInteger(v) && v > 0 ? v : 1;
+}
+
+// PUBLIC_INTERFACE
+export function migrateState(state, { migrations = MIGRATIONS, targetVersion = SCHEMA_VERSION } = {}) {
+  /**
+   * Upgrades a stored state object to targetVersion by running the registry in order.
+   * Returns { state, fromVersion, migrated } where migrated is true if any step ran.
+   * Throws MigrationError if the state is not an object, is newer than targetVersion,
+   * a step is missing from the registry, or a step throws / returns a non-object.
+   */
+  if (!state || typeof state !== 'object' || Array.isArray(state)) {
+    throw new MigrationError('Stored state is not an object.', { fromVersion: null });
+  }
+
+  const fromVersion = getStateVersion(state);
+  if (fromVersion > targetVersion) {
+    throw new MigrationError(
+      `Stored state has schema version ${fromVersion}, newer than supported version ${targetVersion}.`,
+      { fromVersion }
+    );
+  }
+
+  let current = state;
+  let version = fromVersion;
+  const byFrom = new Map(migrations.map((m) => [m.from, m]));
+  while (version < targetVersion) {
+    const step = byFrom.get(version);
+    if (!step || step.to !== version + 1) {
+      throw new MigrationError(`No migration registered from schema version ${version}.`, { fromVersion });
+    }
+    let next;
+    try {
+      next = step.up(current);
+    } catch (e) {
+      throw new MigrationError(
+        `Migration v${step.from}→v${step.to} failed: ${e && e.message ? e.message : e}`,
+        { fromVersion, failedStep: step, cause: e }
+      );
+    }
+    if (!next || typeof next !== 'object') {
+      throw new MigrationError(`Migration v${step.from}→v${step.to} returned no state.`, { fromVersion, failedStep: step });
+    }
+    current = { ...next, schemaVersion: step.to };
+    version = step.to;
+  }
+
+  return { state: current, fromVersion, migrated: version !== fromVersion };
+}
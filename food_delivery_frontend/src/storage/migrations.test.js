@@ -0,0 +1,120 @@
+import { SCHEMA_VERSION, MigrationError, migrateState } from './migrations';
+import { getAppState, getRestaurants, getStateBackups } from './localStore';
+
+const STORAGE_KEY = 'fd_app_state_v1';
+
+beforeEach(() => {
+  window.localStorage.clear();
+});
+
+test('unversioned v1 state is migrated in place without losing records', () => {
+  window.localStorage.setItem(STORAGE_KEY, JSON.stringify({
+    users: [],
+    restaurants: [{ id: 7, name: 'Kept Kitchen', cuisine: 'Fusion', rating: 4 }],
+    menus: []
+    // orders collection missing: previously this caused a full reseed
+  }));
+
+  expect(getRestaurants().map((r) => r.name)).toEqual(['Kept Kitchen']);
+  expect(getAppState().schemaVersion).toBe(SCHEMA_VERSION);
+  expect(JSON.parse(window.localStorage.getItem(STORAGE_KEY)).orders).toEqual([]);
+  expect(getStateBackups()).toEqual([]);
+});
+
+test('migrations run in registry order, one version at a time', () => {
+  const migrations = [
+    { from: 1, to: 2, up: (s) => ({ ...s, steps: ['1→2'] }) },
+    { from: 2, to: 3, up: (s) => ({ ...s, steps: [...s.steps, '2→3'] }) }
+  ];
+  const { state, fromVersion, migrated } = migrateState({ users: [] }, { migrations, targetVersion: 3 });
+  expect(fromVersion).toBe(1);
+  expect(migrated).toBe(true);
+  expect(state).toMatchObject({ schemaVersion: 3, steps: ['1→2', '2→3'] });
+});
+
+test('a failing migration raises MigrationError', () => {
+  const migrations = [{ from: 1, to: 2, up: () => { throw new Error('boom'); } }];
+  expect(() => migrateState({}, { migrations, targetVersion: 2 })).toThrow(MigrationError);
+});
+
+test('state that cannot be migrated is backed up before reseeding', () => {
+  const raw = JSON.stringify({ schemaVersion: SCHEMA_VERSION + 1, users: [], restaurants: [], menus: [], orders: [] });
+  window.localStorage.setItem(STORAGE_KEY, raw);
+  const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+  expect(getRestaurants().length).toBeGreaterThan(0);
+  errorSpy.mockRestore();
+  const backups = getStateBackups();
+  expect(backups).toHaveLength(1);
+  expect(backups[0].raw).toBe(raw);
+  expect(backups[0].reason).toMatch(/newer than supported/);
+});
+
+test('v6 state gets record revisions and id counters starting after the highest id', () => {
+  window.localStorage.setItem(STORAGE_KEY, JSON.stringify({
+    schemaVersion: 6,
+    users: [],
+    restaurants: [{ id: 3, name: 'Kept Kitchen', cuisine: 'Fusion', rating: 4, priceLevel: 2 }],
+    menus: [],
+    orders: []
+  }));
+
+  const state = getAppState();
+  expect(state.restaurants[0].revision).toBe(1);
+  expect(state.idCounters).toMatchObject({ users: 0, restaurants: 3, menus: 0, orders: 0 });
+});
+
+test('v8 state gets an empty address book and keeps restaurants unlocated', () => {
+  window.localStorage.setItem(STORAGE_KEY, JSON.stringify({
+    schemaVersion: 8,
+    users: [{ id: 1, name: 'Alice Johnson', email: 'alice@example.com', revision: 1 }],
+    restaurants: [{ id: 1, name: 'Pasta Palace', cuisine: 'Italian', rating: 4.6, priceLevel: 2, revision: 1 }],
+    menus: [],
+    orders: [],
+    promotions: [],
+    idCounters: { users: 1, restaurants: 1, menus: 0, orders: 0, promotions: 0 }
+  }));
+
+  const state = getAppState();
+  expect(state.addresses).toEqual([]);
+  expect(state.idCounters.addresses).toBe(0);
+  expect(state.restaurants[0].location).toBeUndefined();
+});
+
+test('v9 state gets an empty reviews collection and drops hand-set ratings', () => {
+  window.localStorage.setItem(STORAGE_KEY, JSON.stringify({
+    schemaVersion: 9,
+    users: [],
+    restaurants: [{ id: 1, name: 'Pasta Palace', cuisine: 'Italian', rating: 4.6, priceLevel: 2, revision: 1 }],
+    menus: [],
+    orders: [],
+    promotions: [],
+    addresses: [],
+    idCounters: { users: 0, restaurants: 1, menus: 0, orders: 0, promotions: 0, addresses: 0 }
+  }));
+
+  const state = getAppState();
+  expect(state.reviews).toEqual([]);
+  expect(state.idCounters.reviews).toBe(0);
+  expect(state.restaurants[0]).not.toHaveProperty('rating');
+  // Read through the store, the rating comes from (no) reviews
+  expect(getRestaurants()[0]).toMatchObject({ rating: null, reviewCount: 0 });
+});
+
+test('v10 state gets an empty favorites collection', () => {
+  window.localStorage.setItem(STORAGE_KEY, JSON.stringify({
+    schemaVersion: 10,
+    users: [{ id: 1, name: 'Alice Johnson', email: 'alice@example.com', revision: 1 }],
+    restaurants: [],
+    menus: [],
+    orders: [],
+    promotions: [],
+    addresses: [],
+    reviews: [],
+    idCounters: { users: 1, restaurants: 0, menus: 0, orders: 0, promotions: 0, addresses: 0, reviews: 0 }
+  }));
+
+  const state = getAppState();
+  expect(state.favorites).toEqual([]);
+  expect(state.idCounters.favorites).toBe(0);
+});
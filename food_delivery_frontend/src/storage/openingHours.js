@@ -0,0 +1,319 @@
+/**
+ * Restaurant opening hours: open/closed state and scheduled delivery slots.
+ *
+ * A restaurant may carry `openingHours`:
+ *
+ *   {
+ *     timezone: 'America/Los_Angeles',             // IANA zone the times below are in
+ *     weekly: {                                     // sun … sat; a missing or empty day is closed
+ *       mon: [{ open: '11:30', close: '14:30' }, { open: '17:00', close: '22:00' }],
+ *       fri: [{ open: '17:00', close: '01:00' }]    // a close at or before the open runs past midnight
+ *     },
+ *     closures: ['2026-12-25']                      // local dates closed all day (holidays)
+ *   }
+ *
+ * Restaurants without openingHours are always open, so records saved before hours existed
+ * keep working. All times are "HH:MM" on a 24-hour clock in the restaurant's timezone;
+ * '24:00' closes at midnight.
+ */
+
+// PUBLIC_INTERFACE
+export const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Monday first, for listing the week
+// PUBLIC_INTERFACE
+export const WEEK_DISPLAY_ORDER = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+
+// PUBLIC_INTERFACE
+export const WEEKDAY_LABELS = {
+  sun: 'Sunday',
+  mon: 'Monday',
+  tue: 'Tuesday',
+  wed: 'Wednesday',
+  thu: 'Thursday',
+  fri: 'Friday',
+  sat: 'Saturday'
+};
+
+// PUBLIC_INTERFACE
+export const DEFAULT_TIMEZONE = 'America/Los_Angeles';
+
+// PUBLIC_INTERFACE
+export const SCHEDULING = {
+  stepMinutes: 15, // slots start on the quarter hour
+  leadMinutes: 30, // the earliest slot is at least this far ahead
+  daysAhead: 2 // how far ahead orders can be scheduled
+};
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+const TIME_PATTERN = /^(\d{1,2}):([0-5]\d)$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// INTERNAL: minutes after midnight for 'HH:MM' (0 … 1440), or null
+function parseTime(value) {
+  const match = TIME_PATTERN.exec(String(value == null ? '' : value).trim());
+  if (!match) return null;
+  const minutes = Number(match[1]) * 60 + Number(match[2]);
+  return minutes <= 24 * 60 ? minutes : null;
+}
+
+const pad = (n) => String(n).padStart(2, '0');
+const formatTime = (minutes) => `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+
+// PUBLIC_INTERFACE
+export function isValidTimezone(timezone) {
+  /** True for an IANA timezone name the browser knows, e.g. 'Europe/Berlin'. */
+  if (!timezone || typeof timezone !== 'string') return false;
+  try {
+    new window.Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+// One formatter per timezone; constructing them is slow
+const formatters = new Map();
+
+// INTERNAL: the wall clock in timezone at instant ms: { localDay, weekday, minutes }
+// localDay counts days since 1970-01-01 in that timezone.
+function zonedClock(ms, timezone) {
+  let format = formatters.get(timezone);
+  if (!format) {
+    format = new window.Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric'
+    });
+    formatters.set(timezone, format);
+  }
+  const parts = {};
+  format.formatToParts(new Date(ms)).forEach((p) => {
+    parts[p.type] = Number(p.value);
+  });
+  const localDay = Date.UTC(parts.year, parts.month - 1, parts.day) / DAY_MS;
+  return {
+    localDay,
+    weekday: new Date(localDay * DAY_MS).getUTCDay(),
+    minutes: (parts.hour % 24) * 60 + parts.minute
+  };
+}
+
+// INTERNAL: the instant at which the wall clock in timezone shows `minutes` after midnight of
+// localDay (minutes may run past 1440 into the next day)
+function zonedInstant(localDay, minutes, timezone) {
+  const wall = localDay * DAY_MS + minutes * MINUTE_MS;
+  const offsetAt = (ms) => {
+    const clock = zonedClock(ms, timezone);
+    return clock.localDay * DAY_MS + clock.minutes * MINUTE_MS - Math.floor(ms / MINUTE_MS) * MINUTE_MS;
+  };
+  // Second pass settles instants next to a daylight-saving change
+  return wall - offsetAt(wall - offsetAt(wall));
+}
+
+// PUBLIC_INTERFACE
+export function normalizeOpeningHours(hours) {
+  /**
+   * Returns a clean copy of an openingHours value: a known timezone (DEFAULT_TIMEZONE
+   * otherwise), intervals with valid times sorted by opening time, and sorted unique closure
+   * dates. Returns null when hours is not an object (the restaurant is always open).
+   */
+  if (!hours || typeof hours !== 'object' || Array.isArray(hours)) return null;
+  const weekly = {};
+  WEEKDAYS.forEach((day) => {
+    const intervals = (Array.isArray(hours.weekly && hours.weekly[day]) ? hours.weekly[day] : [])
+      .map((i) => (i ? [parseTime(i.open), parseTime(i.close)] : []))
+      .filter(([open, close]) => open != null && open < 24 * 60 && close != null)
+      .sort((a, b) => a[0] - b[0])
+      .map(([open, close]) => ({ open: formatTime(open), close: formatTime(close) }));
+    if (intervals.length) weekly[day] = intervals;
+  });
+  const closures = Array.from(
+    new Set((Array.isArray(hours.closures) ? hours.closures : []).map(String).filter((d) => DATE_PATTERN.test(d)))
+  ).sort();
+  return {
+    timezone: isValidTimezone(hours.timezone) ? hours.timezone : DEFAULT_TIMEZONE,
+    weekly,
+    closures
+  };
+}
+
+// INTERNAL: merged [start, end] instants the restaurant is open between from and to
+function openIntervals(hours, from, to) {
+  const { timezone } = hours;
+  const intervals = [];
+  // Start a day early: last night's hours may run past midnight
+  for (let day = zonedClock(from, timezone).localDay - 1; day <= zonedClock(to, timezone).localDay; day += 1) {
+    const date = new Date(day * DAY_MS).toISOString().slice(0, 10);
+    if (hours.closures.includes(date)) continue;
+    (hours.weekly[WEEKDAYS[new Date(day * DAY_MS).getUTCDay()]] || []).forEach((i) => {
+      const open = parseTime(i.open);
+      let close = parseTime(i.close);
+      if (close <= open) close += 24 * 60;
+      intervals.push([zonedInstant(day, open, timezone), zonedInstant(day, close, timezone)]);
+    });
+  }
+  return intervals
+    .filter(([start, end]) => end > from && start < to)
+    .sort((a, b) => a[0] - b[0])
+    .reduce((merged, interval) => {
+      const last = merged[merged.length - 1];
+      if (last && interval[0] <= last[1]) last[1] = Math.max(last[1], interval[1]);
+      else merged.push(interval.slice());
+      return merged;
+    }, []);
+}
+
+// PUBLIC_INTERFACE
+export function formatLocalTime(restaurant, at, now = Date.now()) {
+  /**
+   * Formats an instant on the restaurant's clock relative to now: 'Today 18:15',
+   * 'Tomorrow 11:30' or 'Thu 12:00' (restaurants without hours use DEFAULT_TIMEZONE).
+   */
+  const hours = normalizeOpeningHours(restaurant && restaurant.openingHours);
+  const timezone = hours ? hours.timezone : DEFAULT_TIMEZONE;
+  const ms = typeof at === 'number' ? at : Date.parse(at);
+  const clock = zonedClock(ms, timezone);
+  const days = clock.localDay - zonedClock(now, timezone).localDay;
+  const day = days === 0 ? 'Today' : days === 1 ? 'Tomorrow' : WEEKDAY_LABELS[WEEKDAYS[clock.weekday]].slice(0, 3);
+  return `${day} ${formatTime(clock.minutes)}`;
+}
+
+// PUBLIC_INTERFACE
+export function getOpenState(restaurant, now = Date.now()) {
+  /**
+   * Whether the restaurant is open at `now` (ms).
+   * Returns { open, closesAt, opensAt, label }:
+   * - closesAt: when the current opening ends (ms), null when open around the clock
+   * - opensAt: when it next opens (ms) while closed, null when it has no upcoming hours
+   * - label: 'Open now', 'Opens at 17:00', 'Opens tomorrow at 11:30', 'Opens Thu at 11:30' or 'Closed'
+   */
+  const hours = normalizeOpeningHours(restaurant && restaurant.openingHours);
+  if (!hours) return { open: true, closesAt: null, opensAt: null, label: 'Open now' };
+
+  // Look a little over a week ahead so every weekday's hours are seen
+  const intervals = openIntervals(hours, now, now + 8 * DAY_MS);
+  const current = intervals.find(([start, end]) => start <= now && now < end);
+  if (current) {
+    const closesAt = current[1] < now + 7 * DAY_MS ? current[1] : null;
+    return { open: true, closesAt, opensAt: null, label: 'Open now' };
+  }
+  const next = intervals.find(([start]) => start > now);
+  if (!next) return { open: false, closesAt: null, opensAt: null, label: 'Closed' };
+  const [day, time] = formatLocalTime(restaurant, next[0], now).split(' ');
+  const when = day === 'Today' ? '' : day === 'Tomorrow' ? 'tomorrow ' : `${day} `;
+  return { open: false, closesAt: null, opensAt: next[0], label: `Opens ${when}at ${time}` };
+}
+
+// PUBLIC_INTERFACE
+export function isOpenAt(restaurant, at) {
+  /** True when the restaurant is open at the instant `at` (ms or ISO string). */
+  const ms = typeof at === 'number' ? at : Date.parse(at);
+  return Number.isFinite(ms) && getOpenState(restaurant, ms).open;
+}
+
+// PUBLIC_INTERFACE
+export function getScheduleSlots(restaurant, { now = Date.now(), ...options } = {}) {
+  /**
+   * Delivery times an order can be scheduled for: every SCHEDULING.stepMinutes while the
+   * restaurant is open, from SCHEDULING.leadMinutes after now until SCHEDULING.daysAhead days
+   * ahead (each overridable in options). Returns [{ at: ISO string, label: 'Today 18:15' }].
+   */
+  const { stepMinutes, leadMinutes, daysAhead } = { ...SCHEDULING, ...options };
+  const hours = normalizeOpeningHours(restaurant && restaurant.openingHours);
+  const from = now + leadMinutes * MINUTE_MS;
+  const to = now + daysAhead * DAY_MS;
+  const step = stepMinutes * MINUTE_MS;
+  const slots = [];
+  (hours ? openIntervals(hours, from, to) : [[from, to]]).forEach(([start, end]) => {
+    for (let t = Math.ceil(Math.max(start, from) / step) * step; t < Math.min(end, to); t += step) {
+      slots.push({ at: new Date(t).toISOString(), label: formatLocalTime(restaurant, t, now) });
+    }
+  });
+  return slots;
+}
+
+// PUBLIC_INTERFACE
+export function formatDayHours(intervals) {
+  /** Formats a day's intervals for display and editing, e.g. '11:30–14:30, 17:00–22:00' ('' when closed). */
+  return (Array.isArray(intervals) ? intervals : []).map((i) => `${i.open}–${i.close}`).join(', ');
+}
+
+// PUBLIC_INTERFACE
+export function parseDayHours(text) {
+  /**
+   * Parses a day's hours as typed in the admin form ('11:30-14:30, 17:00-22:00'; en dashes
+   * are fine too). Returns the intervals ([] for a blank day) or null when the text is invalid.
+   */
+  const chunks = String(text == null ? '' : text).split(',').map((c) => c.trim()).filter(Boolean);
+  const intervals = chunks.map((chunk) => {
+    const [open, close, extra] = chunk.split(/\s*[-–]\s*/).map(parseTime);
+    return extra === undefined && open != null && open < 24 * 60 && close != null
+      ? { open: formatTime(open), close: formatTime(close) }
+      : null;
+  });
+  return intervals.includes(null) ? null : intervals;
+}
+
+// PUBLIC_INTERFACE
+export function parseClosures(text) {
+  /** Parses comma-separated holiday dates ('2026-12-25, 2027-01-01'). Returns the dates or null when one is invalid. */
+  const dates = String(text == null ? '' : text).split(',').map((d) => d.trim()).filter(Boolean);
+  const valid = dates.every((d) => DATE_PATTERN.test(d) && !Number.isNaN(Date.parse(`${d}T00:00:00Z`)));
+  return valid ? dates : null;
+}
+
+// PUBLIC_INTERFACE
+export class RestaurantClosedError extends Error {
+  /**
+   * Raised when adding to the cart or ordering from a restaurant that is closed now, or
+   * scheduling an order for a time it is closed. Carries restaurantId, scheduledFor (ISO
+   * string or null) and opensAt (ms or null); the message is customer-facing.
+   */
+  constructor(restaurant, { scheduledFor = null, opensAt = null, label = '' } = {}) {
+    const name = (restaurant && restaurant.name) || 'This restaurant';
+    super(
+      scheduledFor
+        ? `${name} is closed at that time. Pick a delivery time when it is open.`
+        : `${name} is closed right now.${opensAt ? ` ${label}.` : ''}`
+    );
+    this.name = 'RestaurantClosedError';
+    this.restaurantId = restaurant ? restaurant.id : null;
+    this.scheduledFor = scheduledFor;
+    this.opensAt = opensAt;
+  }
+}
+
+// PUBLIC_INTERFACE
+export class ScheduledTimeError extends Error {
+  /** Raised when an order is scheduled for a time that is not a valid instant in the future. */
+  constructor(scheduledFor) {
+    super('That delivery time has passed. Pick a later one.');
+    this.name = 'ScheduledTimeError';
+    this.scheduledFor = scheduledFor;
+  }
+}
+
+// PUBLIC_INTERFACE
+export function assertOpenFor(restaurant, { scheduledFor = null, now = Date.now() } = {}) {
+  /**
+   * Checks that an order can be placed: the restaurant is open now (no scheduledFor) or at
+   * scheduledFor, which must lie in the future. Returns the scheduled time as an ISO string
+   * (null for "as soon as possible"). Throws RestaurantClosedError or ScheduledTimeError.
+   */
+  if (scheduledFor == null || scheduledFor === '') {
+    const state = getOpenState(restaurant, now);
+    if (!state.open) throw new RestaurantClosedError(restaurant, state);
+    return null;
+  }
+  const at = typeof scheduledFor === 'number' ? scheduledFor : Date.parse(scheduledFor);
+  if (!Number.isFinite(at) || at <= now) throw new ScheduledTimeError(scheduledFor);
+  const iso = new Date(at).toISOString();
+  if (!isOpenAt(restaurant, at)) throw new RestaurantClosedError(restaurant, { scheduledFor: iso });
+  return iso;
+}
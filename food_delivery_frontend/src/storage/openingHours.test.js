@@ -0,0 +1,108 @@
+import {
+  RestaurantClosedError,
+  ScheduledTimeError,
+  assertOpenFor,
+  getOpenState,
+  getScheduleSlots,
+  isOpenAt,
+  normalizeOpeningHours,
+  parseClosures,
+  parseDayHours
+} from './openingHours';
+
+const lunchAndDinner = [{ open: '11:30', close: '14:30' }, { open: '17:00', close: '22:00' }];
+const sushi = {
+  id: 2,
+  name: 'Sushi Central',
+  openingHours: {
+    timezone: 'America/Los_Angeles',
+    weekly: { tue: lunchAndDinner, wed: lunchAndDinner, sat: [{ open: '18:00', close: '01:00' }], sun: lunchAndDinner },
+    closures: ['2026-03-11']
+  }
+};
+
+// Bayview (Pacific) wall-clock times in early March 2026: PST (UTC-8) until Sunday 8 March
+const pst = (date, time) => Date.parse(`${date}T${time}:00-08:00`);
+const pdt = (date, time) => Date.parse(`${date}T${time}:00-07:00`);
+
+test('reports open and closed times in the restaurant timezone', () => {
+  // Wednesday 4 March
+  expect(getOpenState(sushi, pst('2026-03-04', '12:00'))).toEqual({
+    open: true,
+    closesAt: pst('2026-03-04', '14:30'),
+    opensAt: null,
+    label: 'Open now'
+  });
+  expect(getOpenState(sushi, pst('2026-03-04', '15:00'))).toMatchObject({ open: false, label: 'Opens at 17:00' });
+  expect(getOpenState(sushi, pst('2026-03-04', '22:00')).label).toBe('Opens Sat at 18:00');
+  // Monday: closed, opens on Tuesday
+  expect(getOpenState(sushi, pst('2026-03-02', '12:00')).label).toBe('Opens tomorrow at 11:30');
+  // Saturday night runs past midnight
+  expect(isOpenAt(sushi, pst('2026-03-08', '00:30'))).toBe(true);
+  expect(isOpenAt(sushi, pst('2026-03-08', '01:00'))).toBe(false);
+});
+
+test('follows daylight saving time and skips holiday closures', () => {
+  // Sunday 8 March is the first PDT day; lunch still opens at 11:30 local time
+  expect(getOpenState(sushi, pdt('2026-03-08', '11:00'))).toMatchObject({ opensAt: pdt('2026-03-08', '11:30') });
+  // Wednesday 11 March is a closure
+  expect(getOpenState(sushi, pdt('2026-03-11', '12:00'))).toMatchObject({ open: false, label: 'Opens Sat at 18:00' });
+});
+
+test('restaurants without hours are always open', () => {
+  expect(getOpenState({ name: 'Night Owl' }, pst('2026-03-02', '03:00'))).toEqual({
+    open: true,
+    closesAt: null,
+    opensAt: null,
+    label: 'Open now'
+  });
+  expect(getOpenState({ openingHours: { weekly: {} } }).label).toBe('Closed');
+});
+
+test('offers quarter-hour slots while the restaurant is open', () => {
+  const slots = getScheduleSlots(sushi, { now: pst('2026-03-04', '13:50') });
+  expect(slots.slice(0, 2)).toEqual([
+    { at: new Date(pst('2026-03-04', '17:00')).toISOString(), label: 'Today 17:00' },
+    { at: new Date(pst('2026-03-04', '17:15')).toISOString(), label: 'Today 17:15' }
+  ]);
+  // Dinner runs until 22:00; nothing else opens within the next two days
+  expect(slots).toHaveLength(20);
+  expect(slots[slots.length - 1].label).toBe('Today 21:45');
+  // Lunch slots need 30 minutes of lead time
+  expect(getScheduleSlots(sushi, { now: pst('2026-03-04', '13:40') })[0].label).toBe('Today 14:15');
+});
+
+test('checks an order time against the hours', () => {
+  const now = pst('2026-03-04', '15:00');
+  expect(() => assertOpenFor(sushi, { now })).toThrow(RestaurantClosedError);
+  expect(() => assertOpenFor(sushi, { now })).toThrow('Sushi Central is closed right now. Opens at 17:00.');
+  const dinner = new Date(pst('2026-03-04', '18:00')).toISOString();
+  expect(assertOpenFor(sushi, { now, scheduledFor: dinner })).toBe(dinner);
+  expect(() => assertOpenFor(sushi, { now, scheduledFor: new Date(pst('2026-03-04', '16:00')).toISOString() })).toThrow(
+    'Sushi Central is closed at that time.'
+  );
+  expect(() => assertOpenFor(sushi, { now, scheduledFor: new Date(now - 1000).toISOString() })).toThrow(ScheduledTimeError);
+  expect(assertOpenFor(sushi, { now: pst('2026-03-04', '12:00') })).toBeNull();
+});
+
+test('parses hours typed in the admin form and normalizes stored hours', () => {
+  expect(parseDayHours('11:30-14:30, 17:00 – 22:00')).toEqual(lunchAndDinner);
+  expect(parseDayHours('9:00-24:00')).toEqual([{ open: '09:00', close: '24:00' }]);
+  expect(parseDayHours('  ')).toEqual([]);
+  expect(parseDayHours('11:30-14:30, late')).toBeNull();
+  expect(parseDayHours('25:00-26:00')).toBeNull();
+  expect(parseClosures('2026-12-25, 2027-01-01')).toEqual(['2026-12-25', '2027-01-01']);
+  expect(parseClosures('Christmas')).toBeNull();
+  expect(
+    normalizeOpeningHours({
+      timezone: 'Mars/Olympus',
+      weekly: { mon: [{ open: '17:00', close: '22:00' }, { open: '9:00', close: '12:00' }, { open: 'noon' }] },
+      closures: ['2026-12-25', '2026-12-25', 'soon']
+    })
+  ).toEqual({
+    timezone: 'America/Los_Angeles',
+    weekly: { mon: [{ open: '09:00', close: '12:00' }, { open: '17:00', close: '22:00' }] },
+    closures: ['2026-12-25']
+  });
+  expect(normalizeOpeningHours(null)).toBeNull();
+});
@@ -0,0 +1,79 @@
+/**
+ * Order lifecycle: the statuses an order can have and the transitions allowed between them.
+ *
+ *   placed → preparing → delivering → completed
+ *      ↘          ↘
+ *       cancelled   cancelled        (cancellation only before delivering)
+ *
+ * Pure module shared by localStore (which enforces it on writes) and the UI (which uses it
+ * to decide which actions to offer).
+ */
+
+// PUBLIC_INTERFACE
+export const ORDER_STATUSES = ['placed', 'preparing', 'delivering', 'completed', 'cancelled'];
+
+// PUBLIC_INTERFACE
+export const ORDER_PROGRESS = ['placed', 'preparing', 'delivering', 'completed'];
+
+// PUBLIC_INTERFACE
+export const ORDER_TRANSITIONS = {
+  placed: ['preparing', 'cancelled'],
+  preparing: ['delivering', 'cancelled'],
+  delivering: ['completed'],
+  completed: [],
+  cancelled: []
+};
+
+// PUBLIC_INTERFACE
+export const ORDER_STATUS_LABELS = {
+  placed: 'Order placed',
+  preparing: 'Preparing',
+  delivering: 'Out for delivery',
+  completed: 'Delivered',
+  cancelled: 'Cancelled'
+};
+
+// PUBLIC_INTERFACE
+export class InvalidOrderTransitionError extends Error {
+  /** Raised when an order status change is not allowed by ORDER_TRANSITIONS. */
+  constructor(from, to) {
+    super(
+      ORDER_STATUSES.includes(to)
+        ? `Order cannot move from "${from}" to "${to}".`
+        : `Invalid order status "${to}".`
+    );
+    this.name = 'InvalidOrderTransitionError';
+    this.from = from;
+    this.to = to;
+  }
+}
+
+// PUBLIC_INTERFACE
+export function canTransitionOrder(from, to) {
+  /** Returns true if an order in status `from` may move to status `to`. */
+  return (ORDER_TRANSITIONS[from] || []).includes(to);
+}
+
+// PUBLIC_INTERFACE
+export function isOrderOpen(status) {
+  /** Returns true while an order can still change (not completed or cancelled). */
+  return (ORDER_TRANSITIONS[status] || []).length > 0;
+}
+
+// PUBLIC_INTERFACE
+export function getNextOrderStatus(status) {
+  /** Returns the next forward status in ORDER_PROGRESS, or null at the end / when cancelled. */
+  const idx = ORDER_PROGRESS.indexOf(status);
+  return idx === -1 || idx === ORDER_PROGRESS.length - 1 ? null : ORDER_PROGRESS[idx + 1];
+}
+
+// PUBLIC_INTERFACE
+export function getStatusEnteredAt(order) {
+  /**
+   * Returns when the order entered its current status, in ms since the epoch: the last
+   * statusHistory entry, or createdAt for orders without history. NaN when neither is usable.
+   */
+  const history = order && Array.isArray(order.statusHistory) ? order.statusHistory : [];
+  const last = history.length ? history[history.length - 1].at : order && order.createdAt;
+  return Date.parse(last);
+}
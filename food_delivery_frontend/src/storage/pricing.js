@@ -0,0 +1,139 @@
+/**
+ * Order pricing: subtotal, delivery fee, service fee, tax, tip, discount and total.
+ *
+ * Amounts go in and come out in dollars, but every step works in whole cents, so the parts
+ * always add up to the total. The cart drawer, checkout and createOrder all price through
+ * this module, so the numbers a customer sees are the ones stored on the order (order.pricing).
+ * The cart prices delivery to the customer's default address, the one checkout starts from.
+ *
+ * Delivery fee, in order of precedence:
+ * 1. the restaurant's own `deliveryFee` (dollars; 0 means free delivery)
+ * 2. by distance, when the distance is known (restaurant location to delivery address, see
+ *    ./geocoding): PRICING.distanceFee
+ * 3. the flat PRICING.deliveryFee
+ */
+
+import { getDistanceKm } from './geocoding';
+
+// PUBLIC_INTERFACE
+export const PRICING = {
+  deliveryFee: 2.99,
+  // baseFee covers the first baseKm, then perKm for every started kilometre, up to maxFee
+  distanceFee: { baseKm: 3, baseFee: 1.99, perKm: 0.6, maxFee: 7.99 },
+  // Share of the subtotal, kept between min and max
+  serviceFee: { rate: 0.05, min: 0.99, max: 4.99 },
+  // Applied to the subtotal after discounts; fees and tips are not taxed
+  taxRate: 0.0825
+};
+
+// PUBLIC_INTERFACE
+export const TIP_PERCENTAGES = [0, 10, 15, 20];
+
+const toCents = (dollars) => Math.round((Number(dollars) || 0) * 100);
+const toDollars = (cents) => cents / 100;
+
+// PUBLIC_INTERFACE
+export function getDeliveryFee(restaurant, { distanceKm = null } = {}, config = PRICING) {
+  /** Returns the delivery fee in dollars for an order from this restaurant (see the header). */
+  const own = restaurant && restaurant.deliveryFee;
+  if (own != null && own !== '' && Number.isFinite(Number(own)) && Number(own) >= 0) {
+    return toDollars(toCents(own));
+  }
+  const km = Number(distanceKm);
+  if (distanceKm != null && Number.isFinite(km) && km >= 0) {
+    const { baseKm, baseFee, perKm, maxFee } = config.distanceFee;
+    const extraKm = Math.max(0, Math.ceil(km - baseKm));
+    return toDollars(Math.min(toCents(baseFee) + extraKm * toCents(perKm), toCents(maxFee)));
+  }
+  return toDollars(toCents(config.deliveryFee));
+}
+
+// PUBLIC_INTERFACE
+export function getTipAmount(subtotal, percent) {
+  /** Returns a tip of `percent` % of the subtotal, in dollars rounded to cents. */
+  return toDollars(Math.round((toCents(subtotal) * Math.max(0, Number(percent) || 0)) / 100));
+}
+
+// PUBLIC_INTERFACE
+export function priceOrder({ lines = [], restaurant = null, distanceKm = null, promotion = null, tip = 0 }, config = PRICING) {
+  /**
+   * Prices one order.
+   * - lines: [{ quantity, unitPrice }] (cart lines or order items)
+   * - restaurant: the restaurant record (for its deliveryFee); distanceKm: optional
+   * - promotion: an applied promotion from ./promotions (free delivery waives the delivery fee)
+   * - tip: dollars
+   * Returns { subtotal, deliveryFee, serviceFee, tax, tip, discount, total } in dollars.
+   */
+  const subtotal = lines.reduce(
+    (acc, line) => acc + Math.max(1, Number(line.quantity) || 1) * toCents(line.unitPrice),
+    0
+  );
+  const deliveryFee = subtotal ? toCents(getDeliveryFee(restaurant, { distanceKm }, config)) : 0;
+  const { rate, min, max } = config.serviceFee;
+  const serviceFee = subtotal ? Math.min(Math.max(Math.round(subtotal * rate), toCents(min)), toCents(max)) : 0;
+
+  let discount = 0;
+  let itemDiscount = 0;
+  if (promotion && promotion.freeDelivery) {
+    discount = deliveryFee;
+  } else if (promotion) {
+    itemDiscount = Math.min(toCents(promotion.discount), subtotal);
+    discount = itemDiscount;
+  }
+
+  const tax = Math.round((subtotal - itemDiscount) * config.taxRate);
+  const tipCents = Math.max(0, toCents(tip));
+  const total = subtotal + deliveryFee + serviceFee + tax + tipCents - discount;
+
+  return {
+    subtotal: toDollars(subtotal),
+    deliveryFee: toDollars(deliveryFee),
+    serviceFee: toDollars(serviceFee),
+    tax: toDollars(tax),
+    tip: toDollars(tipCents),
+    discount: toDollars(discount),
+    total: toDollars(total)
+  };
+}
+
+// PUBLIC_INTERFACE
+export function priceCart(groups, { restaurants = [], promotion = null, tipPercent = 0, deliverTo = null } = {}, config = PRICING) {
+  /**
+   * Prices a cart the way checkout places it: one order per restaurant group, in order.
+   * - groups: the cart split by restaurant, [{ restaurantId, lines }] (see splitCartByRestaurant
+   *   in ./localStore), so orders[i] prices the same group checkout places as its i-th order
+   * The promotion applies to the first order only; tipPercent applies to each order's subtotal.
+   * deliverTo: the delivery { lat, lng }, if known, so delivery is priced by each restaurant's distance.
+   * Returns { orders: [{ restaurantId, ...priceOrder result }], ...the summed breakdown }.
+   */
+  const orders = (Array.isArray(groups) ? groups : []).map((group, i) => {
+    const restaurantId = Number(group.restaurantId);
+    const restaurant = restaurants.find((r) => Number(r.id) === restaurantId) || null;
+    const subtotal = priceOrder({ lines: group.lines }, config).subtotal;
+    return {
+      restaurantId,
+      ...priceOrder(
+        {
+          lines: group.lines,
+          restaurant,
+          distanceKm: restaurant ? getDistanceKm(restaurant.location, deliverTo) : null,
+          promotion: i === 0 ? promotion : null,
+          tip: getTipAmount(subtotal, tipPercent)
+        },
+        config
+      )
+    };
+  });
+
+  const sum = (key) => toDollars(orders.reduce((acc, o) => acc + toCents(o[key]), 0));
+  return {
+    orders,
+    subtotal: sum('subtotal'),
+    deliveryFee: sum('deliveryFee'),
+    serviceFee: sum('serviceFee'),
+    tax: sum('tax'),
+    tip: sum('tip'),
+    discount: sum('discount'),
+    total: sum('total')
+  };
+}
@@ -0,0 +1,66 @@
+import { PRICING, getDeliveryFee, getTipAmount, priceCart, priceOrder } from './pricing';
+
+test('picks the restaurant fee, then the distance fee, then the flat fee', () => {
+  expect(getDeliveryFee({ deliveryFee: 0 }, { distanceKm: 9 })).toBe(0);
+  expect(getDeliveryFee({ deliveryFee: 1.5 })).toBe(1.5);
+  expect(getDeliveryFee({}, { distanceKm: 2 })).toBe(1.99);
+  // 4.2 km: two started kilometres past the first 3
+  expect(getDeliveryFee({}, { distanceKm: 4.2 })).toBe(3.19);
+  expect(getDeliveryFee({}, { distanceKm: 40 })).toBe(PRICING.distanceFee.maxFee);
+  expect(getDeliveryFee(null)).toBe(PRICING.deliveryFee);
+});
+
+test('prices an order in cents so the parts add up to the total', () => {
+  const pricing = priceOrder({ lines: [{ quantity: 3, unitPrice: 0.1 }, { quantity: 1, unitPrice: 19.99 }] });
+  expect(pricing).toEqual({
+    subtotal: 20.29,
+    deliveryFee: 2.99,
+    serviceFee: 1.01,
+    tax: 1.67,
+    tip: 0,
+    discount: 0,
+    total: 25.96
+  });
+  // Service fee stays between its minimum and maximum
+  expect(priceOrder({ lines: [{ quantity: 1, unitPrice: 5 }] }).serviceFee).toBe(0.99);
+  expect(priceOrder({ lines: [{ quantity: 10, unitPrice: 20 }] }).serviceFee).toBe(4.99);
+  // An empty order costs nothing
+  expect(priceOrder({ lines: [] }).total).toBe(0);
+});
+
+test('taxes the discounted subtotal and waives delivery for free-delivery promotions', () => {
+  const lines = [{ quantity: 1, unitPrice: 40 }];
+  const off = priceOrder({ lines, promotion: { discount: 10, freeDelivery: false }, tip: 4 });
+  expect(off).toMatchObject({ discount: 10, tax: 2.48, tip: 4, total: 40 + 2.99 + 2 + 2.48 + 4 - 10 });
+
+  const free = priceOrder({ lines, promotion: { discount: 2.99, freeDelivery: true } });
+  expect(free).toMatchObject({ deliveryFee: 2.99, discount: 2.99, tax: 3.3 });
+  expect(free.total).toBe(40 + 2 + 3.3);
+
+  expect(priceOrder({ lines, promotion: { discount: 99 } }).discount).toBe(40);
+  expect(getTipAmount(33.33, 15)).toBe(5);
+});
+
+test('prices a cart as one order per restaurant group with the promotion on the first', () => {
+  const groups = [
+    { restaurantId: 2, lines: [{ quantity: 1, unitPrice: 10 }, { quantity: 1, unitPrice: 10 }] },
+    { restaurantId: 1, lines: [{ quantity: 2, unitPrice: 10 }] }
+  ];
+  const quote = priceCart(groups, {
+    restaurants: [{ id: 1, deliveryFee: 0 }, { id: 2 }],
+    promotion: { discount: 5 },
+    tipPercent: 10
+  });
+  expect(quote.orders.map((o) => [o.restaurantId, o.subtotal, o.deliveryFee, o.discount, o.tip])).toEqual([
+    [2, 20, 2.99, 5, 2],
+    [1, 20, 0, 0, 2]
+  ]);
+  expect(quote.subtotal).toBe(40);
+  // A known delivery point prices each restaurant by its own distance
+  const located = priceCart(groups, {
+    restaurants: [{ id: 1, location: { lat: 37.7793, lng: -122.4193 } }, { id: 2 }],
+    deliverTo: { lat: 37.7535, lng: -122.495 }
+  });
+  expect(located.orders.map((o) => o.deliveryFee)).toEqual([PRICING.deliveryFee, 4.99]);
+  expect(quote.total).toBe(Math.round((quote.orders[0].total + quote.orders[1].total) * 100) / 100);
+});
@@ -0,0 +1,115 @@
+/**
+ * Promo code rules.
+ *
+ * A promotion is stored in the `promotions` collection:
+ *
+ *   {
+ *     id, code: 'WELCOME',          // matched case-insensitively, ignoring surrounding spaces
+ *     description: 'Free delivery on your first order',
+ *     type: 'percent' | 'amount' | 'free_delivery',
+ *     value: 10,                    // percent off (percent) or dollars off (amount); unused for free_delivery
+ *     minSubtotal: 15,              // optional, dollars
+ *     firstOrderOnly: true,         // optional, only for customers without an earlier (non-cancelled) order
+ *     maxUsesPerUser: 1,            // optional, counted over the customer's non-cancelled orders
+ *     expiresAt: '2030-01-01T00:00:00.000Z'   // optional, the code stops working at this time
+ *   }
+ *
+ * evaluatePromotion checks a promotion against a cart and customer and says how much it takes
+ * off. It is pure, so the checkout preview and createOrder apply exactly the same rules.
+ */
+
+// PUBLIC_INTERFACE
+export const PROMOTION_TYPES = ['percent', 'amount', 'free_delivery'];
+
+// Customer-facing message for every reason a code can be refused
+const REASON_MESSAGES = {
+  empty: () => 'Enter a promo code.',
+  unknown: (code) => `“${code}” is not a valid promo code.`,
+  expired: (code) => `“${code}” has expired.`,
+  min_subtotal: (code, promotion) =>
+    `“${code}” needs a subtotal of at least $${Number(promotion.minSubtotal).toFixed(2)}.`,
+  sign_in_required: (code) => `Sign in to use “${code}”.`,
+  first_order_only: (code) => `“${code}” is only valid on your first order.`,
+  usage_limit: (code, promotion) =>
+    Number(promotion.maxUsesPerUser) === 1
+      ? `You have already used “${code}”.`
+      : `You have already used “${code}” ${promotion.maxUsesPerUser} times.`
+};
+
+// PUBLIC_INTERFACE
+export class PromoCodeError extends Error {
+  /**
+   * Raised when a promo code cannot be applied. `reason` is one of: empty, unknown, expired,
+   * min_subtotal, sign_in_required, first_order_only, usage_limit; the message is customer-facing.
+   */
+  constructor(reason, code, promotion = {}) {
+    super((REASON_MESSAGES[reason] || REASON_MESSAGES.unknown)(code, promotion));
+    this.name = 'PromoCodeError';
+    this.reason = reason;
+    this.code = code;
+  }
+}
+
+// PUBLIC_INTERFACE
+export function normalizePromoCode(code) {
+  /** Returns the comparable form of a code: trimmed and upper-cased ('' for anything else). */
+  return typeof code === 'string' ? code.trim().toUpperCase() : '';
+}
+
+const toCents = (dollars) => Math.round((Number(dollars) || 0) * 100);
+
+// PUBLIC_INTERFACE
+export function findPromotion(promotions, code) {
+  /** Returns the promotion whose code matches (case-insensitive), or undefined. */
+  const wanted = normalizePromoCode(code);
+  return wanted ? (promotions || []).find((p) => normalizePromoCode(p.code) === wanted) : undefined;
+}
+
+// PUBLIC_INTERFACE
+export function evaluatePromotion(promotion, { code, subtotal, deliveryFee = 0, userId = null, orders = [], now = Date.now() }) {
+  /**
+   * Checks a promotion (or undefined, for an unknown code) against an order being placed.
+   * - subtotal / deliveryFee: dollars; userId: the customer (null when signed out)
+   * - orders: existing orders, used for first-order and per-user usage checks
+   * Returns { code, type, description, discount, freeDelivery } where discount is in dollars,
+   * never more than what it applies to. Throws PromoCodeError when the code cannot be used.
+   */
+  const display = normalizePromoCode(code || (promotion && promotion.code));
+  if (!display) throw new PromoCodeError('empty', display);
+  if (!promotion || !PROMOTION_TYPES.includes(promotion.type)) throw new PromoCodeError('unknown', display);
+
+  const expiresAt = promotion.expiresAt ? Date.parse(promotion.expiresAt) : NaN;
+  if (Number.isFinite(expiresAt) && now >= expiresAt) throw new PromoCodeError('expired', display, promotion);
+
+  const subtotalCents = toCents(subtotal);
+  if (promotion.minSubtotal != null && subtotalCents < toCents(promotion.minSubtotal)) {
+    throw new PromoCodeError('min_subtotal', display, promotion);
+  }
+
+  if (promotion.firstOrderOnly || promotion.maxUsesPerUser != null) {
+    if (userId == null) throw new PromoCodeError('sign_in_required', display, promotion);
+    const own = orders.filter((o) => Number(o.userId) === Number(userId) && o.status !== 'cancelled');
+    if (promotion.firstOrderOnly && own.length) throw new PromoCodeError('first_order_only', display, promotion);
+    const uses = own.filter((o) => o.promotion && normalizePromoCode(o.promotion.code) === display).length;
+    if (promotion.maxUsesPerUser != null && uses >= Number(promotion.maxUsesPerUser)) {
+      throw new PromoCodeError('usage_limit', display, promotion);
+    }
+  }
+
+  let discountCents = 0;
+  if (promotion.type === 'percent') {
+    discountCents = Math.round((subtotalCents * Math.min(Math.max(Number(promotion.value) || 0, 0), 100)) / 100);
+  } else if (promotion.type === 'amount') {
+    discountCents = Math.min(Math.max(toCents(promotion.value), 0), subtotalCents);
+  } else {
+    discountCents = Math.max(toCents(deliveryFee), 0);
+  }
+
+  return {
+    code: display,
+    type: promotion.type,
+    description: promotion.description || '',
+    discount: discountCents / 100,
+    freeDelivery: promotion.type === 'free_delivery'
+  };
+}
@@ -0,0 +1,75 @@
+import { PromoCodeError, evaluatePromotion, findPromotion } from './promotions';
+import { checkPromoCode, createOrder, createPromotion, getOrderById, getOrders, updateOrderStatus } from './localStore';
+
+beforeEach(() => {
+  window.localStorage.clear();
+});
+
+const reasonOf = (fn) => {
+  try {
+    fn();
+  } catch (e) {
+    expect(e).toBeInstanceOf(PromoCodeError);
+    return e.reason;
+  }
+  return null;
+};
+
+test('percent and fixed amount discounts round to cents and never exceed the subtotal', () => {
+  const percent = { code: 'SAVE15', type: 'percent', value: 15 };
+  expect(evaluatePromotion(percent, { subtotal: 10.99 }).discount).toBe(1.65);
+  const amount = { code: 'FIVER', type: 'amount', value: 5 };
+  expect(evaluatePromotion(amount, { subtotal: 3.5 }).discount).toBe(3.5);
+  expect(evaluatePromotion(amount, { code: ' fiver ', subtotal: 20 })).toMatchObject({ code: 'FIVER', discount: 5 });
+  expect(evaluatePromotion({ code: 'SHIP', type: 'free_delivery' }, { subtotal: 20, deliveryFee: 2.99 })).toMatchObject({
+    discount: 2.99,
+    freeDelivery: true
+  });
+});
+
+test('codes are refused with a reason', () => {
+  const now = Date.parse('2026-03-01T12:00:00Z');
+  const orders = [{ id: 1, userId: 1, status: 'completed', promotion: { code: 'TWICE' } }];
+  const promotions = [
+    { code: 'OLD', type: 'amount', value: 5, expiresAt: '2026-02-28T00:00:00Z' },
+    { code: 'BIG', type: 'percent', value: 10, minSubtotal: 25 },
+    { code: 'FIRST', type: 'amount', value: 5, firstOrderOnly: true },
+    { code: 'TWICE', type: 'amount', value: 2, maxUsesPerUser: 1 }
+  ];
+  const check = (code, extra = {}) => () =>
+    evaluatePromotion(findPromotion(promotions, code), { code, subtotal: 20, userId: 1, orders, now, ...extra });
+
+  expect(reasonOf(check(''))).toBe('empty');
+  expect(reasonOf(check('NOPE'))).toBe('unknown');
+  expect(reasonOf(check('old'))).toBe('expired');
+  expect(reasonOf(check('BIG'))).toBe('min_subtotal');
+  expect(reasonOf(check('FIRST'))).toBe('first_order_only');
+  expect(reasonOf(check('FIRST', { userId: null }))).toBe('sign_in_required');
+  expect(reasonOf(check('TWICE'))).toBe('usage_limit');
+  expect(() => check('BIG')()).toThrow('“BIG” needs a subtotal of at least $25.00.');
+  // Cancelled orders do not count as a first order or a use
+  expect(check('FIRST', { orders: [{ ...orders[0], status: 'cancelled' }] })().discount).toBe(5);
+});
+
+test('createOrder records the applied promotion and enforces its limits', () => {
+  createPromotion({ code: 'tenoff', description: '10% off', type: 'percent', value: 10, maxUsesPerUser: 1 });
+  expect(checkPromoCode('TENOFF', { userId: 2, subtotal: 30 })).toMatchObject({ code: 'TENOFF', discount: 3 });
+
+  const items = [{ menuItemId: 1, quantity: 2, unitPrice: 15 }];
+  const order = createOrder({ userId: 2, restaurantId: 1, items, promoCode: 'tenoff' });
+  expect(getOrderById(order.id)).toMatchObject({
+    // 30 + 2.99 delivery + 1.50 service + 2.23 tax on the discounted 27 − 3 discount
+    total: 33.72,
+    pricing: { subtotal: 30, discount: 3, tax: 2.23 },
+    promotion: { code: 'TENOFF', type: 'percent', discount: 3, freeDelivery: false }
+  });
+
+  const count = getOrders().length;
+  expect(() => createOrder({ userId: 2, restaurantId: 1, items, promoCode: 'TENOFF' })).toThrow(PromoCodeError);
+  expect(getOrders()).toHaveLength(count);
+
+  // WELCOME is seeded: Bob has a first order now, Alice had one from the start
+  expect(() => checkPromoCode('welcome', { userId: 2 })).toThrow('“WELCOME” is only valid on your first order.');
+  updateOrderStatus(order.id, 'cancelled');
+  expect(checkPromoCode('welcome', { userId: 2 })).toMatchObject({ code: 'WELCOME', freeDelivery: true });
+});
@@ -0,0 +1,102 @@
+/**
+ * Promise-based data-access layer (the "repository").
+ *
+ * Components talk to this module instead of localStore directly. It exposes the same
+ * entity functions as localStore (users, addresses, restaurants, menus, orders, promotions, reviews, favorites, cart), all returning
+ * Promises, and routes them to one of two adapters selected by env config:
+ *
+ * - REACT_APP_DATA_BACKEND=local (default): the existing localStorage store
+ * - REACT_APP_DATA_BACKEND=rest: the fetch-based REST adapter, rooted at REACT_APP_API_BASE_URL
+ *
+ * The cart is per-device state and always lives in localStorage, whichever backend serves
+ * the entities; addToCart reads the restaurant from the selected backend for its opening hours. Pure/synchronous cart helpers are re-exported for render-time use, and so is
+ * subscribeStore, which reports writes to the local store (including other tabs' writes).
+ */
+
+import * as localStore from './localStore';
+import { createRestAdapter } from './restAdapter';
+
+// PUBLIC_INTERFACE
+export const REPOSITORY_METHODS = [
+  'initializeStore', 'getAppState', 'resetToSeed', 'getStateBackups',
+  'getUsers', 'getUserById', 'createUser', 'updateUser', 'deleteUser',
+  'getAddressesByUser', 'getAddressById', 'createAddress', 'updateAddress', 'deleteAddress',
+  'getRestaurants', 'getRestaurantById', 'createRestaurant', 'updateRestaurant', 'deleteRestaurant',
+  'getMenus', 'getMenusByRestaurant', 'getMenuItemById', 'createMenuItem', 'updateMenuItem', 'deleteMenuItem',
+  'getOrders', 'getOrdersByUser', 'getOrderById', 'createOrder', 'updateOrderStatus', 'deleteOrder', 'getKitchenQueues',
+  'getPromotions', 'createPromotion', 'checkPromoCode',
+  'getReviewsByRestaurant', 'getReviewsByUser', 'getTopReviews', 'createReview', 'deleteReview',
+  'getFavoritesByUser', 'createFavorite', 'deleteFavorite'
+];
+
+// PUBLIC_INTERFACE
+export const CART_METHODS = [
+  'getCart', 'getCartConflict', 'addToCart', 'updateCartLine', 'removeCartLine', 'clearCart', 'restoreCart'
+];
+
+// Defer to a microtask so synchronous throws surface as rejections, like a network call would.
+function toAsync(fn) {
+  return (...args) => Promise.resolve().then(() => fn(...args));
+}
+
+function pickAsync(source, names) {
+  const picked = {};
+  names.forEach((name) => {
+    picked[name] = toAsync(source[name]);
+  });
+  return picked;
+}
+
+// PUBLIC_INTERFACE
+export function createLocalAdapter() {
+  /** Returns the localStorage adapter: every repository method wraps its localStore namesake. */
+  return pickAsync(localStore, REPOSITORY_METHODS);
+}
+
+// PUBLIC_INTERFACE
+export function createRepository(adapter) {
+  /**
+   * Builds a repository around an entity adapter and the local cart.
+   * Throws if the adapter is missing any method listed in REPOSITORY_METHODS.
+   */
+  const missing = REPOSITORY_METHODS.filter((name) => typeof (adapter && adapter[name]) !== 'function');
+  if (missing.length) {
+    throw new Error(`Repository adapter is missing: ${missing.join(', ')}`);
+  }
+  const repo = {};
+  REPOSITORY_METHODS.forEach((name) => {
+    repo[name] = adapter[name];
+  });
+  const cart = pickAsync(localStore, CART_METHODS);
+  cart.addToCart = async (payload, options = {}) => {
+    const restaurant = await adapter.getRestaurantById(payload && payload.restaurantId);
+    return localStore.addToCart(payload, { ...options, restaurant });
+  };
+  return { ...repo, ...cart };
+}
+
+// PUBLIC_INTERFACE
+export function createRepositoryFromEnv(env = process.env, { fetchImpl } = {}) {
+  /**
+   * Selects the adapter from env config (REACT_APP_DATA_BACKEND, REACT_APP_API_BASE_URL).
+   * Throws for an unknown backend name rather than silently falling back.
+   */
+  const backend = String(env.REACT_APP_DATA_BACKEND || 'local').trim().toLowerCase();
+  if (backend === 'local') return createRepository(createLocalAdapter());
+  if (backend === 'rest') {
+    return createRepository(createRestAdapter({ baseUrl: env.REACT_APP_API_BASE_URL || '/api', fetchImpl }));
+  }
+  throw new Error(`Unknown REACT_APP_DATA_BACKEND "${backend}" (expected "local" or "rest").`);
+}
+
+const repository = createRepositoryFromEnv();
+
+export default repository;
+
+export {
+  getCartLineKey,
+  getCartSubtotal,
+  splitCartByRestaurant,
+  subscribeCart,
+  subscribeStore
+} from './localStore';
@@ -0,0 +1,44 @@
+import { createRepository } from './repository';
+import { createRestAdapter } from './restAdapter';
+import { getCart } from './localStore';
+import { RestaurantClosedError } from './openingHours';
+
+// The REST backend's restaurants differ from the local seed: Sushi Central (#2) keeps no hours
+// there, while Pasta Palace (#1) is closed on Wednesdays.
+const serverRestaurants = {
+  1: {
+    id: 1,
+    name: 'Pasta Palace',
+    openingHours: { timezone: 'America/Los_Angeles', weekly: { thu: [{ open: '11:00', close: '22:00' }] } }
+  },
+  2: { id: 2, name: 'Sushi Central' }
+};
+
+async function fetchImpl(url) {
+  const m = url.match(/\/restaurants\/(\d+)$/);
+  const restaurant = m && serverRestaurants[m[1]];
+  return {
+    ok: !!restaurant,
+    status: restaurant ? 200 : 404,
+    text: async () => JSON.stringify(restaurant || { message: 'Not found' })
+  };
+}
+
+let repository;
+
+beforeEach(() => {
+  window.localStorage.clear();
+  repository = createRepository(createRestAdapter({ baseUrl: 'http://api.test', fetchImpl }));
+});
+
+test('addToCart checks the opening hours of the restaurant the REST backend serves', async () => {
+  // Wednesday noon: the local seed has Pasta Palace open, the server has it closed
+  const pasta = { restaurantId: 1, menuItemId: 1, name: 'Spaghetti Carbonara', unitPrice: 12.99, quantity: 1 };
+  await expect(repository.addToCart(pasta)).rejects.toThrow(RestaurantClosedError);
+  expect(getCart()).toEqual([]);
+
+  // Monday noon: the local seed has Sushi Central closed, the server keeps no hours for it
+  Date.now.mockReturnValue(Date.parse('2026-03-02T12:00:00-08:00'));
+  const roll = { restaurantId: 2, menuItemId: 4, name: 'California Roll', unitPrice: 7.5, quantity: 1 };
+  expect(await repository.addToCart(roll)).toEqual([expect.objectContaining({ restaurantId: 2, menuItemId: 4 })]);
+});
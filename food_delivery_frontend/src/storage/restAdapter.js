@@ -0,0 +1,266 @@
+/**
+ * fetch-based REST adapter for the repository interface (see ./repository.js).
+ *
+ * Every method returns a Promise and mirrors the return conventions of localStore:
+ * - get*ById resolves undefined when the server answers 404
+ * - update* resolves null on 404
+ * - delete* resolves true when deleted, false on 404
+ * Any other non-2xx response rejects with an ApiError (e.g. 409 for a disallowed order status change).
+ *
+ * update* and updateOrderStatus accept { expectedRevision }, sent as `If-Match: "<revision>"`;
+ * the server answers 412 when the record has a newer revision, which rejects with WriteConflictError.
+ *
+ * getAppState and resetToSeed resolve every collection, in the local store's shape
+ * ({ users, restaurants, menus, orders, promotions, addresses, reviews, favorites }); the local
+ * store's own schemaVersion and idCounters have no REST counterpart.
+ *
+ * Endpoints (JSON bodies, relative to baseUrl):
+ *   GET    /users                      POST /users          GET|PATCH|DELETE /users/:id
+ *   GET    /addresses                  GET /users/:id/addresses
+ *                                       POST /addresses      GET|PATCH|DELETE /addresses/:id
+ *   GET    /restaurants                POST /restaurants    GET|PATCH|DELETE /restaurants/:id
+ *   GET    /restaurants/:id/menus
+ *   GET    /menus                      POST /menus          GET|PATCH|DELETE /menus/:id
+ *   GET    /orders                     POST /orders         GET|DELETE /orders/:id
+ *   GET    /users/:id/orders           PATCH /orders/:id/status  { status, at? }
+ *   GET    /orders/queues  → { [restaurantId]: count } of orders in each kitchen queue
+ *   POST   /orders → the created order, or 422 { reason } when it cannot be placed:
+ *            'outside_delivery_zone' with { restaurantName, distanceKm, radiusKm } (DeliveryZoneError),
+ *            'restaurant_closed' with { restaurantName, scheduledFor, opensAt, label } (RestaurantClosedError)
+ *            or 'scheduled_time_passed' with { scheduledFor } (ScheduledTimeError)
+ *   GET    /promotions                 POST /promotions
+ *   GET    /reviews                    GET /restaurants/:id/reviews   GET /users/:id/reviews
+ *   GET    /reviews/top?limit=
+ *   POST   /reviews → the created review, or 422 { reason } when the order cannot be reviewed
+ *                     (ReviewError) or 422 { errors } for invalid values (ReviewValidationError)
+ *   DELETE /reviews/:id
+ *   GET    /favorites                  GET /users/:id/favorites       DELETE /favorites/:id
+ *   POST   /favorites → the favorite (the existing one when already saved), or 422 { reason } when
+ *                       it cannot be saved (FavoriteError)
+ *   POST   /promotions/check  { code, userId, subtotal, deliveryFee } → the applied promotion, or
+ *                             422 { reason } when the code cannot be used (rejects with PromoCodeError)
+ *   POST   /admin/reset
+ *
+ * The server geocodes addresses and restaurant postal codes and checks delivery zones and opening
+ * hours (including scheduledFor on POST /orders) itself, and stores each order's delivery estimate
+ * (order.eta) when it is placed and when its status changes. Restaurants come back with rating and
+ * reviewCount worked out from their reviews, reviews with authorName, and favorites with the name,
+ * restaurantId and restaurantName of what they point at. Deleting a restaurant, menu item or user
+ * also removes the favorites pointing at it.
+ */
+
+import { WriteConflictError } from './revisions';
+import { PromoCodeError, normalizePromoCode } from './promotions';
+import { ReviewError, ReviewValidationError } from './reviews';
+import { FavoriteError } from './favorites';
+import { DeliveryZoneError } from './deliveryZones';
+import { RestaurantClosedError, ScheduledTimeError } from './openingHours';
+
+// PUBLIC_INTERFACE
+export class ApiError extends Error {
+  /** Raised for non-2xx responses other than 404; carries the HTTP status and parsed body. */
+  constructor(message, { status, body } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.body = body;
+  }
+}
+
+const NOT_FOUND = Symbol('not-found');
+
+// Every collection of the app state and where to list it
+const STATE_COLLECTIONS = {
+  users: '/users',
+  restaurants: '/restaurants',
+  menus: '/menus',
+  orders: '/orders',
+  promotions: '/promotions',
+  addresses: '/addresses',
+  reviews: '/reviews',
+  favorites: '/favorites'
+};
+
+async function readBody(res) {
+  const text = await res.text();
+  if (!text) return null;
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    return text;
+  }
+}
+
+// PUBLIC_INTERFACE
+export function createRestAdapter({ baseUrl = '/api', fetchImpl } = {}) {
+  /**
+   * Creates the REST adapter.
+   * - baseUrl: API root, e.g. 'http://localhost:4000' (trailing slash optional)
+   * - fetchImpl: fetch-compatible function; defaults to window.fetch
+   * Returns an object implementing the repository entity methods.
+   */
+  const root = String(baseUrl).replace(/\/+$/, '');
+  const doFetch = fetchImpl || ((...args) => window.fetch(...args));
+
+  const request = async (method, path, body, revision = null) => {
+    const headers = body !== undefined ? { 'Content-Type': 'application/json', Accept: 'application/json' } : { Accept: 'application/json' };
+    if (revision) headers['If-Match'] = `"${revision.expected}"`;
+    const res = await doFetch(`${root}${path}`, {
+      method,
+      headers,
+      ...(body !== undefined ? { body: JSON.stringify(body) } : {})
+    });
+    if (res.status === 404) return NOT_FOUND;
+    const parsed = await readBody(res);
+    if (res.status === 412 && revision) {
+      // The server answers with the stored record, whose revision moved on
+      const stored = parsed && typeof parsed === 'object' ? parsed : {};
+      throw new WriteConflictError(revision.entity, revision.id, revision.expected, stored.revision);
+    }
+    if (!res.ok) {
+      const detail = parsed && parsed.message ? `: ${parsed.message}` : '';
+      throw new ApiError(`${method} ${path} failed with ${res.status}${detail}`, { status: res.status, body: parsed });
+    }
+    return parsed;
+  };
+
+  const id = (value) => encodeURIComponent(String(value));
+
+  const list = (path) => async () => {
+    const result = await request('GET', path);
+    return result === NOT_FOUND || !Array.isArray(result) ? [] : result;
+  };
+  const getOne = async (path) => {
+    const result = await request('GET', path);
+    return result === NOT_FOUND || result == null ? undefined : result;
+  };
+  const create = async (path, body) => request('POST', path, body);
+  // options.expectedRevision turns the write into a conditional one (If-Match)
+  const update = async (entity, recordId, path, patch, options = {}) => {
+    const revision =
+      options.expectedRevision != null ? { entity, id: recordId, expected: Number(options.expectedRevision) } : null;
+    const result = await request('PATCH', path, patch, revision);
+    return result === NOT_FOUND ? null : result;
+  };
+  const remove = async (path) => (await request('DELETE', path)) !== NOT_FOUND;
+  const loadState = async () => {
+    const names = Object.keys(STATE_COLLECTIONS);
+    const lists = await Promise.all(names.map((name) => list(STATE_COLLECTIONS[name])()));
+    return Object.fromEntries(names.map((name, i) => [name, lists[i]]));
+  };
+
+  return {
+    // App state
+    initializeStore: async () => null,
+    getAppState: loadState,
+    resetToSeed: async () => {
+      await request('POST', '/admin/reset', {});
+      return loadState();
+    },
+    // Migration backups only exist for the local backend
+    getStateBackups: async () => [],
+
+    // Users
+    getUsers: list('/users'),
+    getUserById: (userId) => getOne(`/users/${id(userId)}`),
+    createUser: (user) => create('/users', user),
+    updateUser: (userId, patch, options) => update('user', userId, `/users/${id(userId)}`, patch, options),
+    deleteUser: (userId) => remove(`/users/${id(userId)}`),
+
+    // Addresses
+    getAddressesByUser: (userId) => list(`/users/${id(userId)}/addresses`)(),
+    getAddressById: (addressId) => getOne(`/addresses/${id(addressId)}`),
+    createAddress: (address) => create('/addresses', address),
+    updateAddress: (addressId, patch, options) =>
+      update('address', addressId, `/addresses/${id(addressId)}`, patch, options),
+    deleteAddress: (addressId) => remove(`/addresses/${id(addressId)}`),
+
+    // Restaurants
+    getRestaurants: list('/restaurants'),
+    getRestaurantById: (restaurantId) => getOne(`/restaurants/${id(restaurantId)}`),
+    createRestaurant: (restaurant) => create('/restaurants', restaurant),
+    updateRestaurant: (restaurantId, patch, options) =>
+      update('restaurant', restaurantId, `/restaurants/${id(restaurantId)}`, patch, options),
+    deleteRestaurant: (restaurantId) => remove(`/restaurants/${id(restaurantId)}`),
+
+    // Menus
+    getMenus: list('/menus'),
+    getMenusByRestaurant: (restaurantId) => list(`/restaurants/${id(restaurantId)}/menus`)(),
+    getMenuItemById: (menuItemId) => getOne(`/menus/${id(menuItemId)}`),
+    createMenuItem: (menuItem) => create('/menus', menuItem),
+    updateMenuItem: (menuItemId, patch, options) =>
+      update('menuItem', menuItemId, `/menus/${id(menuItemId)}`, patch, options),
+    deleteMenuItem: (menuItemId) => remove(`/menus/${id(menuItemId)}`),
+
+    // Orders
+    getOrders: list('/orders'),
+    getOrdersByUser: (userId) => list(`/users/${id(userId)}/orders`)(),
+    getOrderById: (orderId) => getOne(`/orders/${id(orderId)}`),
+    createOrder: async (order) => {
+      try {
+        return await create('/orders', order);
+      } catch (e) {
+        const refusal = e instanceof ApiError && e.status === 422 && e.body ? e.body : {};
+        const restaurant = { id: order.restaurantId, name: refusal.restaurantName };
+        if (refusal.reason === 'outside_delivery_zone') throw new DeliveryZoneError(restaurant, refusal);
+        if (refusal.reason === 'restaurant_closed') throw new RestaurantClosedError(restaurant, refusal);
+        if (refusal.reason === 'scheduled_time_passed') throw new ScheduledTimeError(refusal.scheduledFor);
+        throw e;
+      }
+    },
+    updateOrderStatus: (orderId, status, options = {}) =>
+      update('order', orderId, `/orders/${id(orderId)}/status`, { status, ...(options.at ? { at: options.at } : {}) }, options),
+    deleteOrder: (orderId) => remove(`/orders/${id(orderId)}`),
+    getKitchenQueues: async () => {
+      const result = await request('GET', '/orders/queues');
+      return result === NOT_FOUND || !result || typeof result !== 'object' ? {} : result;
+    },
+
+    // Promotions
+    getPromotions: list('/promotions'),
+    createPromotion: (promotion) => create('/promotions', promotion),
+    checkPromoCode: async (code, { userId = null, subtotal = 0, deliveryFee = 0 } = {}) => {
+      try {
+        return await request('POST', '/promotions/check', { code, userId, subtotal, deliveryFee });
+      } catch (e) {
+        if (e instanceof ApiError && e.status === 422 && e.body && e.body.reason) {
+          throw new PromoCodeError(e.body.reason, normalizePromoCode(code));
+        }
+        throw e;
+      }
+    },
+
+    // Reviews
+    getReviewsByRestaurant: (restaurantId) => list(`/restaurants/${id(restaurantId)}/reviews`)(),
+    getReviewsByUser: (userId) => list(`/users/${id(userId)}/reviews`)(),
+    getTopReviews: ({ limit = 3 } = {}) => list(`/reviews/top?limit=${encodeURIComponent(String(limit))}`)(),
+    createReview: async (review) => {
+      try {
+        return await create('/reviews', review);
+      } catch (e) {
+        if (e instanceof ApiError && e.status === 422 && e.body && e.body.reason) {
+          throw new ReviewError(e.body.reason, review.orderId);
+        }
+        if (e instanceof ApiError && e.status === 422 && e.body && e.body.errors) {
+          throw new ReviewValidationError(e.body.errors);
+        }
+        throw e;
+      }
+    },
+    deleteReview: (reviewId) => remove(`/reviews/${id(reviewId)}`),
+
+    // Favorites
+    getFavoritesByUser: (userId) => list(`/users/${id(userId)}/favorites`)(),
+    createFavorite: async (favorite) => {
+      try {
+        return await create('/favorites', favorite);
+      } catch (e) {
+        if (e instanceof ApiError && e.status === 422 && e.body && e.body.reason) {
+          throw new FavoriteError(e.body.reason, favorite);
+        }
+        throw e;
+      }
+    },
+    deleteFavorite: (favoriteId) => remove(`/favorites/${id(favoriteId)}`)
+  };
+}
@@ -0,0 +1,201 @@
+/**
+ * @jest-environment node
+ */
+import http from 'http';
+import { createRestAdapter, ApiError } from './restAdapter';
+import { WriteConflictError } from './revisions';
+import { ReviewError, ReviewValidationError } from './reviews';
+import { FavoriteError } from './favorites';
+import { DeliveryZoneError } from './deliveryZones';
+import { RestaurantClosedError, ScheduledTimeError } from './openingHours';
+import { createRepository, REPOSITORY_METHODS } from './repository';
+
+// Minimal fetch over Node's http module (the node test environment has no global fetch).
+function nodeFetch(url, { method = 'GET', headers = {}, body } = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(url, { method, headers }, (res) => {
+      let data = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => { data += chunk; });
+      res.on('end', () => resolve({
+        ok: res.statusCode >= 200 && res.statusCode < 300,
+        status: res.statusCode,
+        text: async () => data,
+        json: async () => JSON.parse(data)
+      }));
+    });
+    req.on('error', reject);
+    if (body) req.write(body);
+    req.end();
+  });
+}
+
+// Local mock API with in-memory restaurants and orders.
+function startMockServer() {
+  const db = {
+    restaurants: [{ id: 1, name: 'Pasta Palace', cuisine: 'Italian', rating: 4.6, revision: 1 }],
+    orders: []
+  };
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', (chunk) => { raw += chunk; });
+    req.on('end', () => {
+      requests.push({ method: req.method, url: req.url, ifMatch: req.headers['if-match'] });
+      const send = (status, payload) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(payload === undefined ? '' : JSON.stringify(payload));
+      };
+      const body = raw ? JSON.parse(raw) : null;
+      let m;
+      if (req.method === 'GET' && req.url === '/restaurants') return send(200, db.restaurants);
+      if ((m = req.url.match(/^\/restaurants\/(\d+)$/))) {
+        const r = db.restaurants.find((x) => x.id === Number(m[1]));
+        if (!r) return send(404, { message: 'Not found' });
+        if (req.method === 'GET') return send(200, r);
+        if (req.method === 'PATCH') {
+          const ifMatch = req.headers['if-match'];
+          if (ifMatch && ifMatch !== `"${r.revision}"`) return send(412, r);
+          return send(200, Object.assign(r, body, { revision: r.revision + 1 }));
+        }
+        if (req.method === 'DELETE') {
+          db.restaurants = db.restaurants.filter((x) => x !== r);
+          return send(204);
+        }
+      }
+      if (req.method === 'POST' && req.url === '/orders') {
+        if (!body.items || !body.items.length) return send(422, { message: 'items required' });
+        if (body.addressId === 99) {
+          return send(422, { reason: 'outside_delivery_zone', restaurantName: 'Pasta Palace', distanceKm: 12.4, radiusKm: 8 });
+        }
+        if (body.scheduledFor === '2026-03-04T06:00:00.000Z') {
+          return send(422, { reason: 'restaurant_closed', restaurantName: 'Pasta Palace', scheduledFor: body.scheduledFor, opensAt: null });
+        }
+        if (body.scheduledFor === '2020-01-01T12:00:00.000Z') {
+          return send(422, { reason: 'scheduled_time_passed', scheduledFor: body.scheduledFor });
+        }
+        const order = { id: db.orders.length + 1, status: 'placed', ...body };
+        db.orders.push(order);
+        return send(201, order);
+      }
+      if (req.method === 'POST' && req.url === '/reviews') {
+        if (!body.rating) return send(422, { errors: { rating: 'Pick 1 to 5 stars.' } });
+        return send(422, { reason: 'already_reviewed' });
+      }
+      if (req.method === 'POST' && req.url === '/favorites') {
+        return send(422, { reason: 'target_not_found' });
+      }
+      return send(404, { message: 'Not found' });
+    });
+  });
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      resolve({ server, requests, baseUrl: `http://127.0.0.1:${port}/` });
+    });
+  });
+}
+
+let mock;
+let api;
+
+beforeAll(async () => {
+  mock = await startMockServer();
+  api = createRestAdapter({ baseUrl: mock.baseUrl, fetchImpl: nodeFetch });
+});
+
+afterAll(() => new Promise((resolve) => mock.server.close(resolve)));
+
+test('implements every repository method', () => {
+  expect(() => createRepository(api)).not.toThrow();
+  expect(REPOSITORY_METHODS.every((name) => typeof api[name] === 'function')).toBe(true);
+});
+
+test('getAppState resolves every collection, like the local store', async () => {
+  const state = await api.getAppState();
+  expect(Object.keys(state).sort()).toEqual(
+    ['addresses', 'favorites', 'menus', 'orders', 'promotions', 'restaurants', 'reviews', 'users']
+  );
+  expect(state.restaurants).toEqual([expect.objectContaining({ name: 'Pasta Palace' })]);
+  expect(state.reviews).toEqual([]);
+  expect(mock.requests.slice(-8).map((r) => r.url).sort()).toEqual(
+    ['/addresses', '/favorites', '/menus', '/orders', '/promotions', '/restaurants', '/reviews', '/users']
+  );
+});
+
+test('reads and updates restaurants over HTTP', async () => {
+  expect(await api.getRestaurants()).toEqual([expect.objectContaining({ name: 'Pasta Palace' })]);
+  expect(await api.getRestaurantById(1)).toMatchObject({ id: 1 });
+  expect(await api.updateRestaurant(1, { rating: 4.9 })).toMatchObject({ rating: 4.9 });
+  expect(mock.requests.slice(-1)[0]).toEqual({ method: 'PATCH', url: '/restaurants/1', ifMatch: undefined });
+});
+
+test('conditional updates send If-Match and reject stale revisions with WriteConflictError', async () => {
+  const { revision } = await api.getRestaurantById(1);
+  expect(await api.updateRestaurant(1, { rating: 4.7 }, { expectedRevision: revision })).toMatchObject({
+    revision: revision + 1
+  });
+  expect(mock.requests.slice(-1)[0].ifMatch).toBe(`"${revision}"`);
+
+  const stale = api.updateRestaurant(1, { rating: 1 }, { expectedRevision: revision });
+  await expect(stale).rejects.toThrow(WriteConflictError);
+  await expect(api.updateRestaurant(1, { rating: 1 }, { expectedRevision: revision })).rejects.toMatchObject({
+    entity: 'restaurant',
+    expectedRevision: revision,
+    actualRevision: revision + 1
+  });
+  expect(await api.getRestaurantById(1)).toMatchObject({ rating: 4.7 });
+});
+
+test('maps 404 to the localStore return conventions', async () => {
+  expect(await api.getRestaurantById(99)).toBeUndefined();
+  expect(await api.updateRestaurant(99, { name: 'x' })).toBeNull();
+  expect(await api.deleteRestaurant(99)).toBe(false);
+  expect(await api.deleteRestaurant(1)).toBe(true);
+});
+
+test('rejects other errors with ApiError', async () => {
+  const created = await api.createOrder({ userId: 1, restaurantId: 1, items: [{ menuItemId: 1, quantity: 1 }] });
+  expect(created).toMatchObject({ id: 1, status: 'placed' });
+
+  await expect(api.createOrder({ userId: 1, restaurantId: 1, items: [] })).rejects.toThrow(ApiError);
+  await expect(api.createOrder({ userId: 1, restaurantId: 1, items: [] })).rejects.toMatchObject({ status: 422 });
+});
+
+test('maps an order outside the delivery zone to DeliveryZoneError', async () => {
+  const placing = api.createOrder({ userId: 1, restaurantId: 1, addressId: 99, items: [{ menuItemId: 1, quantity: 1 }] });
+  await expect(placing).rejects.toThrow(DeliveryZoneError);
+  await expect(placing).rejects.toMatchObject({
+    restaurantId: 1,
+    distanceKm: 12.4,
+    radiusKm: 8,
+    message: 'Pasta Palace does not deliver to this address (12.4 km away; it delivers within 8 km).'
+  });
+});
+
+test('maps orders refused by opening hours to RestaurantClosedError and ScheduledTimeError', async () => {
+  const order = { userId: 1, restaurantId: 1, items: [{ menuItemId: 1, quantity: 1 }] };
+  const closed = api.createOrder({ ...order, scheduledFor: '2026-03-04T06:00:00.000Z' });
+  await expect(closed).rejects.toThrow(RestaurantClosedError);
+  await expect(closed).rejects.toMatchObject({
+    restaurantId: 1,
+    scheduledFor: '2026-03-04T06:00:00.000Z',
+    message: 'Pasta Palace is closed at that time. Pick a delivery time when it is open.'
+  });
+
+  const past = api.createOrder({ ...order, scheduledFor: '2020-01-01T12:00:00.000Z' });
+  await expect(past).rejects.toThrow(ScheduledTimeError);
+  await expect(past).rejects.toMatchObject({ scheduledFor: '2020-01-01T12:00:00.000Z' });
+});
+
+test('maps refused reviews to ReviewError and invalid ones to ReviewValidationError', async () => {
+  await expect(api.createReview({ orderId: 1, userId: 1, rating: 5 })).rejects.toThrow(ReviewError);
+  await expect(api.createReview({ orderId: 1, userId: 1, rating: 5 })).rejects.toMatchObject({ reason: 'already_reviewed' });
+  await expect(api.createReview({ orderId: 1, userId: 1 })).rejects.toThrow(ReviewValidationError);
+});
+
+test('maps a refused favorite to FavoriteError', async () => {
+  const saving = api.createFavorite({ userId: 1, type: 'menuItem', targetId: 99 });
+  await expect(saving).rejects.toThrow(FavoriteError);
+  await expect(saving).rejects.toMatchObject({ reason: 'target_not_found', type: 'menuItem', targetId: 99 });
+});
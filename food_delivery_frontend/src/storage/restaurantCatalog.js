@@ -0,0 +1,86 @@
+/**
+ * Restaurant directory search, cuisine facets and sorting.
+ *
+ * Pure helpers over restaurant arrays; nothing here touches storage. Searching hundreds of
+ * restaurants per keystroke is cheap because buildRestaurantIndex lower-cases the searchable
+ * text once per restaurant list, not once per query.
+ */
+
+// PUBLIC_INTERFACE
+export const PRICE_LEVELS = [1, 2, 3, 4];
+
+// PUBLIC_INTERFACE
+export const RESTAURANT_SORTS = [
+  { id: 'featured', label: 'Featured' },
+  { id: 'rating', label: 'Top rated' },
+  { id: 'name', label: 'Name (A–Z)' },
+  { id: 'price', label: 'Price (low to high)' }
+];
+
+// PUBLIC_INTERFACE
+export function normalizePriceLevel(level) {
+  /** Returns a price level between 1 ($) and 4 ($$$$); anything unusable becomes 2. */
+  const n = Math.round(Number(level));
+  return PRICE_LEVELS.includes(n) ? n : 2;
+}
+
+// PUBLIC_INTERFACE
+export function formatPriceLevel(level) {
+  /** Returns the price level as dollar signs, e.g. 2 → '$$'. */
+  return '$'.repeat(normalizePriceLevel(level));
+}
+
+// PUBLIC_INTERFACE
+export function buildRestaurantIndex(restaurants) {
+  /**
+   * Precomputes search fields: [{ restaurant, text, cuisine, order }].
+   * Rebuild only when the restaurant list changes.
+   */
+  return (restaurants || []).map((restaurant, order) => ({
+    restaurant,
+    text: `${restaurant.name || ''} ${restaurant.cuisine || ''}`.toLowerCase(),
+    cuisine: String(restaurant.cuisine || '').trim(),
+    order
+  }));
+}
+
+// PUBLIC_INTERFACE
+export function getCuisineFacets(index, { query = '' } = {}) {
+  /**
+   * Returns [{ cuisine, count }] for every cuisine among entries matching the text query,
+   * most common first (ties by name). Counts ignore the cuisine filter itself so chips
+   * can be combined.
+   */
+  const needle = String(query || '').trim().toLowerCase();
+  const counts = new Map();
+  index.forEach((entry) => {
+    if (!entry.cuisine || (needle && !entry.text.includes(needle))) return;
+    counts.set(entry.cuisine, (counts.get(entry.cuisine) || 0) + 1);
+  });
+  return Array.from(counts, ([cuisine, count]) => ({ cuisine, count }))
+    .sort((a, b) => b.count - a.count || a.cuisine.localeCompare(b.cuisine));
+}
+
+const COMPARATORS = {
+  featured: (a, b) => a.order - b.order,
+  rating: (a, b) => (Number(b.restaurant.rating) || 0) - (Number(a.restaurant.rating) || 0) || a.order - b.order,
+  name: (a, b) => String(a.restaurant.name || '').localeCompare(String(b.restaurant.name || '')) || a.order - b.order,
+  price: (a, b) =>
+    normalizePriceLevel(a.restaurant.priceLevel) - normalizePriceLevel(b.restaurant.priceLevel) ||
+    (Number(b.restaurant.rating) || 0) - (Number(a.restaurant.rating) || 0) ||
+    a.order - b.order
+};
+
+// PUBLIC_INTERFACE
+export function searchRestaurants(index, { query = '', cuisines = [], sort = 'featured' } = {}) {
+  /**
+   * Returns the restaurants matching the query (name or cuisine, case-insensitive) and any
+   * of the selected cuisines, ordered by a RESTAURANT_SORTS id (unknown ids keep list order).
+   */
+  const needle = String(query || '').trim().toLowerCase();
+  const wanted = new Set(cuisines);
+  const matches = index.filter(
+    (entry) => (!needle || entry.text.includes(needle)) && (!wanted.size || wanted.has(entry.cuisine))
+  );
+  return matches.sort(COMPARATORS[sort] || COMPARATORS.featured).map((entry) => entry.restaurant);
+}
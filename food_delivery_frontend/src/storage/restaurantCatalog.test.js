@@ -0,0 +1,103 @@
+import {
+  buildRestaurantIndex,
+  formatPriceLevel,
+  getCuisineFacets,
+  normalizePriceLevel,
+  searchRestaurants
+} from './restaurantCatalog';
+
+const CUISINES = ['Italian', 'Japanese', 'Mexican', 'Thai', 'Indian', 'Greek'];
+
+// A directory the size of a busy city: 600 restaurants
+const restaurants = Array.from({ length: 600 }, (_, i) => ({
+  id: i + 1,
+  name: `${CUISINES[i % CUISINES.length]} Place ${i + 1}`,
+  cuisine: CUISINES[i % CUISINES.length],
+  rating: (i * 7) % 50 / 10,
+  priceLevel: (i % 4) + 1
+}));
+const index = buildRestaurantIndex(restaurants);
+
+test('searches name and cuisine case-insensitively and filters by any selected cuisine', () => {
+  expect(searchRestaurants(index, { query: 'place 42' }).map((r) => r.id)).toEqual([42, 420, 421, 422, 423, 424, 425, 426, 427, 428, 429]);
+  expect(searchRestaurants(index, { query: 'THAI' })).toHaveLength(100);
+  expect(searchRestaurants(index, { cuisines: ['Greek', 'Thai'] })).toHaveLength(200);
+  expect(searchRestaurants(index, { query: 'nothing like this' })).toEqual([]);
+});
+
+test('sorts by rating, name and price level with list order as tie-break', () => {
+  const byRating = searchRestaurants(index, { sort: 'rating' });
+  expect(byRating[0].rating).toBe(4.9);
+  expect(byRating[byRating.length - 1].rating).toBe(0);
+
+  const byName = searchRestaurants(index, { cuisines: ['Greek'], sort: 'name' }).map((r) => r.name);
+  expect(byName).toEqual([...byName].sort((a, b) => a.localeCompare(b)));
+
+  const byPrice = searchRestaurants(index, { sort: 'price' });
+  expect(byPrice[0].priceLevel).toBe(1);
+  expect(byPrice[599].priceLevel).toBe(4);
+
+  expect(searchRestaurants(index).map((r) => r.id).slice(0, 3)).toEqual([1, 2, 3]);
+});
+
+test('cuisine facets count matches for the text query only', () => {
+  expect(getCuisineFacets(index)).toHaveLength(6);
+  // 'place 1' matches #1, #10–19 and #100–199
+  const facets = getCuisineFacets(index, { query: 'place 1' });
+  expect(facets.reduce((sum, f) => sum + f.count, 0)).toBe(111);
+  expect(facets.map((f) => f.count)).toEqual([...facets.map((f) => f.count)].sort((a, b) => b - a));
+});
+
+test('combined query, cuisine filter and sort agree with a plain scan of every restaurant', () => {
+  const scan = (query, cuisines) =>
+    restaurants.filter(
+      (r) =>
+        `${r.name} ${r.cuisine}`.toLowerCase().includes(query.toLowerCase()) &&
+        (!cuisines.length || cuisines.includes(r.cuisine))
+    );
+  [
+    ['place 3', ['Thai', 'Italian'], 'rating'],
+    ['  IAN ', [], 'price'],
+    ['5', ['Greek'], 'name'],
+    ['', ['Mexican'], 'featured']
+  ].forEach(([query, cuisines, sort]) => {
+    const found = searchRestaurants(index, { query, cuisines, sort });
+    const expected = scan(query.trim(), cuisines);
+    expect(found.map((r) => r.id).sort((a, b) => a - b)).toEqual(expected.map((r) => r.id));
+    const facets = getCuisineFacets(index, { query });
+    CUISINES.forEach((cuisine) => {
+      const facet = facets.find((f) => f.cuisine === cuisine);
+      expect(facet ? facet.count : 0).toBe(scan(query.trim(), [cuisine]).length);
+    });
+  });
+  const byRating = searchRestaurants(index, { query: 'place 3', cuisines: ['Thai', 'Italian'], sort: 'rating' });
+  byRating.slice(1).forEach((r, i) => {
+    const prev = byRating[i];
+    expect(prev.rating > r.rating || (prev.rating === r.rating && prev.id < r.id)).toBe(true);
+  });
+});
+
+test('queries reuse the index instead of reading restaurant names again', () => {
+  let reads = 0;
+  const counted = restaurants.map((r) => {
+    const copy = { ...r };
+    Object.defineProperty(copy, 'name', { get: () => { reads += 1; return r.name; } });
+    return copy;
+  });
+  const countedIndex = buildRestaurantIndex(counted);
+  expect(reads).toBe(600);
+  // One search per keystroke, as the directory search box does
+  'italian place 12'.split('').forEach((_, i, chars) => {
+    const query = chars.slice(0, i + 1).join('');
+    getCuisineFacets(countedIndex, { query });
+    searchRestaurants(countedIndex, { query, sort: 'rating' });
+  });
+  expect(reads).toBe(600);
+  expect(searchRestaurants(countedIndex, { query: 'italian place 12' }).map((r) => r.id)).toEqual([121, 127]);
+});
+
+test('price levels outside 1–4 fall back to the default level 2', () => {
+  expect(normalizePriceLevel(undefined)).toBe(2);
+  expect(normalizePriceLevel(9)).toBe(2);
+  expect(formatPriceLevel(3)).toBe('$$$');
+});
@@ -0,0 +1,185 @@
+/**
+ * Ratings and reviews.
+ *
+ * A customer reviews a completed order once. A review is stored in the `reviews` collection:
+ *
+ *   {
+ *     id, orderId, userId, restaurantId,
+ *     rating: 4,                          // 1–5 stars for the restaurant
+ *     text: 'Fresh and fast.',            // optional
+ *     items: [{ menuItemId, rating }],    // optional stars for dishes in the order
+ *     createdAt
+ *   }
+ *
+ * Restaurants do not store a rating: `rating` (the average, to one decimal; null without
+ * reviews) and `reviewCount` are worked out from the reviews whenever restaurants are read.
+ * Helpers here are pure; localStore checks and stores reviews.
+ */
+
+// PUBLIC_INTERFACE
+export const REVIEW_RATING = { min: 1, max: 5 };
+
+// PUBLIC_INTERFACE
+export const REVIEW_TEXT_MAX_LENGTH = 1000;
+
+// PUBLIC_INTERFACE
+export const REVIEWS_PAGE_SIZE = 5;
+
+// PUBLIC_INTERFACE
+export const REVIEW_SORTS = [
+  { id: 'newest', label: 'Newest' },
+  { id: 'highest', label: 'Highest rated' },
+  { id: 'lowest', label: 'Lowest rated' }
+];
+
+const REASON_MESSAGES = {
+  order_not_found: 'This order no longer exists.',
+  not_your_order: 'You can only review your own orders.',
+  not_completed: 'You can review this order once it has been delivered.',
+  already_reviewed: 'You have already reviewed this order.'
+};
+
+// PUBLIC_INTERFACE
+export class ReviewError extends Error {
+  /**
+   * Raised when an order cannot be reviewed. `reason` is one of: order_not_found,
+   * not_your_order, not_completed, already_reviewed; the message is customer-facing.
+   */
+  constructor(reason, orderId) {
+    super(REASON_MESSAGES[reason] || REASON_MESSAGES.order_not_found);
+    this.name = 'ReviewError';
+    this.reason = reason;
+    this.orderId = orderId;
+  }
+}
+
+// PUBLIC_INTERFACE
+export class ReviewValidationError extends Error {
+  /**
+   * Raised when review values cannot be saved. `errors` maps each invalid field (rating, text,
+   * items) to a message (see validateReview).
+   */
+  constructor(errors) {
+    super(`Invalid review: ${Object.values(errors).join(' ')}`);
+    this.name = 'ReviewValidationError';
+    this.errors = errors;
+  }
+}
+
+const isStarRating = (value) =>
+  Number.isInteger(Number(value)) && Number(value) >= REVIEW_RATING.min && Number(value) <= REVIEW_RATING.max;
+
+// PUBLIC_INTERFACE
+export function validateReview(fields, order = null) {
+  /**
+   * Checks review values. rating must be a whole number of stars (1–5); text is optional and
+   * at most REVIEW_TEXT_MAX_LENGTH characters; each item rating needs a dish from the order
+   * (when the order is given) and 1–5 stars.
+   * Returns { [field]: message }; empty when the review can be saved.
+   */
+  const errors = {};
+  if (!isStarRating(fields.rating)) {
+    errors.rating = `Pick ${REVIEW_RATING.min} to ${REVIEW_RATING.max} stars.`;
+  }
+  if (String(fields.text || '').trim().length > REVIEW_TEXT_MAX_LENGTH) {
+    errors.text = `Keep the review under ${REVIEW_TEXT_MAX_LENGTH + 1} characters.`;
+  }
+  const items = Array.isArray(fields.items) ? fields.items : [];
+  const ordered = order ? (order.items || []).map((it) => Number(it.menuItemId)) : null;
+  if (items.some((it) => !isStarRating(it.rating) || (ordered && !ordered.includes(Number(it.menuItemId))))) {
+    errors.items = 'Rate dishes from this order with 1 to 5 stars.';
+  }
+  return errors;
+}
+
+// PUBLIC_INTERFACE
+export function getReviewBlocker(order, { userId, reviews = [] } = {}) {
+  /**
+   * Returns why the user cannot review the order (a ReviewError reason), or null when they can:
+   * the order must be theirs, completed and not reviewed yet.
+   */
+  if (!order) return 'order_not_found';
+  if (Number(order.userId) !== Number(userId)) return 'not_your_order';
+  if (order.status !== 'completed') return 'not_completed';
+  if (reviews.some((r) => Number(r.orderId) === Number(order.id))) return 'already_reviewed';
+  return null;
+}
+
+const roundRating = (total, count) => Math.round((total / count) * 10) / 10;
+
+// PUBLIC_INTERFACE
+export function summarizeRatings(reviews = []) {
+  /** Returns { rating, reviewCount }: the average stars to one decimal (null without reviews). */
+  const reviewCount = reviews.length;
+  const total = reviews.reduce((acc, r) => acc + Number(r.rating), 0);
+  return { rating: reviewCount ? roundRating(total, reviewCount) : null, reviewCount };
+}
+
+// PUBLIC_INTERFACE
+export function summarizeItemRatings(reviews = []) {
+  /** Returns a Map of menuItemId → { rating, reviewCount } from the dish ratings in the reviews. */
+  const totals = new Map();
+  reviews.forEach((review) => {
+    (review.items || []).forEach((it) => {
+      const id = Number(it.menuItemId);
+      const entry = totals.get(id) || { total: 0, reviewCount: 0 };
+      totals.set(id, { total: entry.total + Number(it.rating), reviewCount: entry.reviewCount + 1 });
+    });
+  });
+  return new Map(
+    Array.from(totals, ([id, { total, reviewCount }]) => [id, { rating: roundRating(total, reviewCount), reviewCount }])
+  );
+}
+
+const byNewest = (a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt) || Number(b.id) - Number(a.id);
+
+const REVIEW_COMPARATORS = {
+  newest: byNewest,
+  highest: (a, b) => Number(b.rating) - Number(a.rating) || byNewest(a, b),
+  lowest: (a, b) => Number(a.rating) - Number(b.rating) || byNewest(a, b)
+};
+
+// PUBLIC_INTERFACE
+export function getReviewPage(reviews = [], { sort = 'newest', page = 1, pageSize = REVIEWS_PAGE_SIZE } = {}) {
+  /**
+   * Sorts the reviews (a REVIEW_SORTS id; unknown ids sort newest first) and returns one page:
+   * { reviews, page, pageCount }. page is clamped to the pages there are (1 when there are none).
+   */
+  const sorted = reviews.slice().sort(REVIEW_COMPARATORS[sort] || REVIEW_COMPARATORS.newest);
+  const pageCount = Math.max(1, Math.ceil(sorted.length / pageSize));
+  const current = Math.min(Math.max(1, Math.floor(Number(page)) || 1), pageCount);
+  return { reviews: sorted.slice((current - 1) * pageSize, current * pageSize), page: current, pageCount };
+}
+
+// PUBLIC_INTERFACE
+export function selectTopReviews(reviews = [], { limit = 3 } = {}) {
+  /**
+   * Picks reviews to quote (the home page testimonials): reviews with text, most stars first,
+   * then newest, one per customer.
+   */
+  const seen = new Set();
+  return reviews
+    .filter((r) => String(r.text || '').trim())
+    .sort(REVIEW_COMPARATORS.highest)
+    .filter((r) => {
+      if (seen.has(Number(r.userId))) return false;
+      seen.add(Number(r.userId));
+      return true;
+    })
+    .slice(0, limit);
+}
+
+// PUBLIC_INTERFACE
+export function formatReviewerName(user) {
+  /** Returns how a reviewer is shown: first name and last initial ('Priya S.'), or 'A customer'. */
+  const parts = String((user && user.name) || '').trim().split(/\s+/).filter(Boolean);
+  if (!parts.length) return 'A customer';
+  return parts.length > 1 ? `${parts[0]} ${parts[parts.length - 1][0].toUpperCase()}.` : parts[0];
+}
+
+// PUBLIC_INTERFACE
+export function formatStars(rating) {
+  /** Returns the rating as five stars, rounded to whole stars: 4 → '★★★★☆'. */
+  const filled = Math.min(REVIEW_RATING.max, Math.max(0, Math.round(Number(rating) || 0)));
+  return '★'.repeat(filled) + '☆'.repeat(REVIEW_RATING.max - filled);
+}
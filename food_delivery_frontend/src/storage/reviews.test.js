@@ -0,0 +1,76 @@
+import {
+  formatReviewerName,
+  formatStars,
+  getReviewBlocker,
+  getReviewPage,
+  selectTopReviews,
+  summarizeItemRatings,
+  summarizeRatings,
+  validateReview
+} from './reviews';
+
+const review = (id, rating, daysAgo, extra = {}) => ({
+  id,
+  userId: id,
+  restaurantId: 1,
+  rating,
+  text: `Review ${id}`,
+  items: [],
+  createdAt: new Date(Date.parse('2026-03-04T12:00:00Z') - daysAgo * 86400000).toISOString(),
+  ...extra
+});
+
+test('averages stars for restaurants and dishes', () => {
+  expect(summarizeRatings([review(1, 5, 1), review(2, 4, 2), review(3, 4, 3)])).toEqual({ rating: 4.3, reviewCount: 3 });
+  expect(summarizeRatings([])).toEqual({ rating: null, reviewCount: 0 });
+  const items = summarizeItemRatings([
+    review(1, 5, 1, { items: [{ menuItemId: 4, rating: 5 }, { menuItemId: 6, rating: 3 }] }),
+    review(2, 4, 2, { items: [{ menuItemId: 4, rating: 4 }] })
+  ]);
+  expect(items.get(4)).toEqual({ rating: 4.5, reviewCount: 2 });
+  expect(items.get(6)).toEqual({ rating: 3, reviewCount: 1 });
+});
+
+test('sorts and pages reviews', () => {
+  const reviews = [review(1, 3, 5), review(2, 5, 4), review(3, 1, 3), review(4, 5, 2), review(5, 4, 1), review(6, 2, 6)];
+  expect(getReviewPage(reviews).reviews.map((r) => r.id)).toEqual([5, 4, 3, 2, 1]);
+  expect(getReviewPage(reviews, { page: 2 })).toEqual({ reviews: [reviews[5]], page: 2, pageCount: 2 });
+  expect(getReviewPage(reviews, { sort: 'highest' }).reviews.map((r) => r.id)).toEqual([4, 2, 5, 1, 6]);
+  expect(getReviewPage(reviews, { sort: 'lowest', page: 9 })).toMatchObject({ page: 2, reviews: [reviews[1]] });
+  expect(getReviewPage([], { page: 3 })).toEqual({ reviews: [], page: 1, pageCount: 1 });
+});
+
+test('quotes the best recent review of each customer', () => {
+  const reviews = [
+    review(1, 5, 3),
+    review(2, 5, 1, { userId: 1 }),
+    review(3, 5, 2, { text: '' }),
+    review(4, 4, 1),
+    review(5, 3, 1)
+  ];
+  expect(selectTopReviews(reviews, { limit: 3 }).map((r) => r.id)).toEqual([2, 4, 5]);
+});
+
+test('checks who can review which order, and the values', () => {
+  const order = { id: 7, userId: 1, status: 'completed', items: [{ menuItemId: 4, quantity: 1 }] };
+  expect(getReviewBlocker(order, { userId: 1 })).toBeNull();
+  expect(getReviewBlocker(order, { userId: 2 })).toBe('not_your_order');
+  expect(getReviewBlocker({ ...order, status: 'delivering' }, { userId: 1 })).toBe('not_completed');
+  expect(getReviewBlocker(order, { userId: 1, reviews: [{ orderId: 7 }] })).toBe('already_reviewed');
+  expect(getReviewBlocker(undefined, { userId: 1 })).toBe('order_not_found');
+
+  expect(validateReview({ rating: 4, items: [{ menuItemId: 4, rating: 5 }] }, order)).toEqual({});
+  expect(validateReview({ rating: 4.5, text: 'x'.repeat(1001), items: [{ menuItemId: 9, rating: 5 }] }, order)).toEqual({
+    rating: 'Pick 1 to 5 stars.',
+    text: 'Keep the review under 1001 characters.',
+    items: 'Rate dishes from this order with 1 to 5 stars.'
+  });
+});
+
+test('formats reviewer names and stars', () => {
+  expect(formatReviewerName({ name: 'Priya  Shah' })).toBe('Priya S.');
+  expect(formatReviewerName({ name: 'Cher' })).toBe('Cher');
+  expect(formatReviewerName(undefined)).toBe('A customer');
+  expect(formatStars(4)).toBe('★★★★☆');
+  expect(formatStars(4.6)).toBe('★★★★★');
+});
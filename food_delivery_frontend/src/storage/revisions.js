@@ -0,0 +1,44 @@
+/**
+ * Record revisions for optimistic concurrency.
+ *
+ * Every stored record (user, address, restaurant, menu item, order) carries a `revision` number that
+ * starts at 1 and goes up by one on each write to that record. A caller that read a record and
+ * wants to write it back passes the revision it read as `expectedRevision`; if the record was
+ * written in the meantime (another tab, the simulator, the kitchen dashboard) the write is
+ * rejected with WriteConflictError instead of silently overwriting the newer version.
+ */
+
+// PUBLIC_INTERFACE
+export class WriteConflictError extends Error {
+  /**
+   * Raised when an update carries an expectedRevision that no longer matches the stored record.
+   * entity: 'user' | 'address' | 'restaurant' | 'menuItem' | 'order'; actualRevision is the stored one.
+   */
+  constructor(entity, id, expectedRevision, actualRevision) {
+    super(`The ${entity} #${id} was changed by someone else (revision ${actualRevision}, expected ${expectedRevision}).`);
+    this.name = 'WriteConflictError';
+    this.entity = entity;
+    this.id = id;
+    this.expectedRevision = expectedRevision;
+    this.actualRevision = actualRevision;
+  }
+}
+
+// PUBLIC_INTERFACE
+export function getRevision(record) {
+  /** Returns a record's revision (records written before revisions existed count as 1). */
+  const revision = Number(record && record.revision);
+  return Number.isInteger(revision) && revision > 0 ? revision : 1;
+}
+
+// PUBLIC_INTERFACE
+export function checkRevision(entity, record, expectedRevision) {
+  /**
+   * Throws WriteConflictError when expectedRevision is given and differs from the record's.
+   * A missing expectedRevision (null/undefined) skips the check: last write wins.
+   */
+  if (expectedRevision == null) return;
+  if (Number(expectedRevision) !== getRevision(record)) {
+    throw new WriteConflictError(entity, record.id, Number(expectedRevision), getRevision(record));
+  }
+}
@@ -0,0 +1,138 @@
+/**
+ * Current-user session.
+ *
+ * Sign-in is lightweight: an account is a row in the users collection and signing in
+ * means "this browser acts as the user with that email". There are no passwords.
+ * Only the signed-in user id is persisted (under SESSION_KEY, per browser like the cart);
+ * the user record itself is always read through the repository, so a deleted user
+ * ends the session.
+ */
+
+import repository from './repository';
+
+// PUBLIC_INTERFACE
+export const SESSION_KEY = 'fd_session_v1';
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// PUBLIC_INTERFACE
+export class SessionError extends Error {
+  /**
+   * Raised when sign-in or sign-up is rejected.
+   * code: 'invalid_email' | 'name_required' | 'not_found' | 'email_taken'
+   */
+  constructor(code, message) {
+    super(message);
+    this.name = 'SessionError';
+    this.code = code;
+  }
+}
+
+const listeners = new Set();
+
+function notify(userId) {
+  listeners.forEach((listener) => {
+    try {
+      listener(userId);
+    } catch (e) {
+      console.error('Session listener failed.', e);
+    }
+  });
+}
+
+function saveUserId(userId) {
+  if (userId == null) window.localStorage.removeItem(SESSION_KEY);
+  else window.localStorage.setItem(SESSION_KEY, JSON.stringify({ userId: Number(userId) }));
+  notify(userId == null ? null : Number(userId));
+}
+
+function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+async function findUserByEmail(email, store) {
+  const users = await store.getUsers();
+  return users.find((u) => normalizeEmail(u.email) === email);
+}
+
+// PUBLIC_INTERFACE
+export function getCurrentUserId() {
+  /** Returns the signed-in user id, or null when signed out. */
+  try {
+    const raw = window.localStorage.getItem(SESSION_KEY);
+    const parsed = raw ? JSON.parse(raw) : null;
+    return parsed && Number.isFinite(Number(parsed.userId)) ? Number(parsed.userId) : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// PUBLIC_INTERFACE
+export async function getCurrentUser({ store = repository } = {}) {
+  /**
+   * Resolves the signed-in user, or null when signed out.
+   * If the stored id no longer matches a user, the session is cleared.
+   */
+  const userId = getCurrentUserId();
+  if (userId == null) return null;
+  const user = await store.getUserById(userId);
+  if (!user) {
+    saveUserId(null);
+    return null;
+  }
+  return user;
+}
+
+// PUBLIC_INTERFACE
+export async function signIn(email, { store = repository } = {}) {
+  /**
+   * Signs in as the user with this email (case-insensitive).
+   * Returns the user; throws SessionError('invalid_email' | 'not_found').
+   */
+  const normalized = normalizeEmail(email);
+  if (!EMAIL_PATTERN.test(normalized)) {
+    throw new SessionError('invalid_email', 'Enter a valid email address.');
+  }
+  const user = await findUserByEmail(normalized, store);
+  if (!user) {
+    throw new SessionError('not_found', 'No account uses that email. Sign up instead?');
+  }
+  saveUserId(user.id);
+  return user;
+}
+
+// PUBLIC_INTERFACE
+export async function signUp({ name, email } = {}, { store = repository } = {}) {
+  /**
+   * Creates a user and signs in as them.
+   * Returns the new user; throws SessionError('name_required' | 'invalid_email' | 'email_taken').
+   */
+  const trimmedName = String(name || '').trim();
+  const normalized = normalizeEmail(email);
+  if (!trimmedName) throw new SessionError('name_required', 'Name is required.');
+  if (!EMAIL_PATTERN.test(normalized)) {
+    throw new SessionError('invalid_email', 'Enter a valid email address.');
+  }
+  if (await findUserByEmail(normalized, store)) {
+    throw new SessionError('email_taken', 'An account already uses that email. Sign in instead?');
+  }
+  const user = await store.createUser({ name: trimmedName, email: normalized });
+  saveUserId(user.id);
+  return user;
+}
+
+// PUBLIC_INTERFACE
+export function signOut() {
+  /** Ends the session. The cart is kept. */
+  saveUserId(null);
+}
+
+// PUBLIC_INTERFACE
+export function subscribeSession(listener) {
+  /**
+   * Registers a listener called with the new user id (or null) after sign-in, sign-up
+   * and sign-out. Returns an unsubscribe function.
+   */
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
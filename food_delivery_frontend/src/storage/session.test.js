@@ -0,0 +1,55 @@
+import {
+  SessionError,
+  getCurrentUser,
+  getCurrentUserId,
+  signIn,
+  signOut,
+  signUp,
+  subscribeSession
+} from './session';
+import { deleteUser, getUsers, initializeStore } from './localStore';
+
+beforeEach(() => {
+  window.localStorage.clear();
+  initializeStore();
+});
+
+test('signs in by email, persists the user id and signs out', async () => {
+  const listener = jest.fn();
+  const unsubscribe = subscribeSession(listener);
+
+  const user = await signIn('  ALICE@example.com ');
+  expect(user.name).toBe('Alice Johnson');
+  expect(getCurrentUserId()).toBe(user.id);
+  expect(await getCurrentUser()).toEqual(user);
+
+  signOut();
+  expect(getCurrentUserId()).toBeNull();
+  expect(listener.mock.calls).toEqual([[user.id], [null]]);
+  unsubscribe();
+});
+
+test('rejects unknown and malformed emails', async () => {
+  await expect(signIn('nobody@example.com')).rejects.toMatchObject({ code: 'not_found' });
+  await expect(signIn('not-an-email')).rejects.toBeInstanceOf(SessionError);
+  expect(getCurrentUserId()).toBeNull();
+});
+
+test('sign-up creates a user once per email and signs in', async () => {
+  const user = await signUp({ name: 'Cara Diaz', email: 'Cara@Example.com' });
+  expect(user).toMatchObject({ name: 'Cara Diaz', email: 'cara@example.com' });
+  expect(getCurrentUserId()).toBe(user.id);
+
+  await expect(signUp({ name: 'Cara Again', email: 'cara@example.com' })).rejects.toMatchObject({
+    code: 'email_taken'
+  });
+  await expect(signUp({ name: ' ', email: 'x@example.com' })).rejects.toMatchObject({ code: 'name_required' });
+  expect(getUsers().filter((u) => u.email === 'cara@example.com')).toHaveLength(1);
+});
+
+test('a deleted user ends the session', async () => {
+  const user = await signIn('bob@example.com');
+  deleteUser(user.id);
+  expect(await getCurrentUser()).toBeNull();
+  expect(getCurrentUserId()).toBeNull();
+});